@@ -6,6 +6,15 @@ const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
 
+// Categories for structured findings (see findings.js)
+const FINDING_CATEGORIES = [
+  'weak adjective',
+  'unnecessary adverb',
+  'qualifier',
+  'stacked modifiers',
+  'missed imagery'
+];
+
 /**
  * Adjective Adverb Optimizer Tool
  * Analyzes manuscript for adjective and adverb usage using the Claude API.
@@ -38,6 +47,8 @@ class AdjectiveAdverbOptimizer extends BaseTool {
     const analysisLevel = options.analysis_level || 'standard';
     const focusAreas = options.focus_areas || ['qualifiers', 'adverbs', 'adjectives', 'imagery'];
     const skipThinking = options.skip_thinking || false;
+    const structuredFindings = options.structured_findings || false;
+    const chapterRange = options.chapters || '';
     const analysisDescription = options.analysis_description || '';
     const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     
@@ -63,14 +74,21 @@ class AdjectiveAdverbOptimizer extends BaseTool {
 
       // Read the manuscript file
       this.emitOutput(`Reading manuscript file: ${manuscriptFile}\n`);
-      const manuscriptContent = await this.readInputFile(manuscriptFile);
+      const { content: manuscriptContent, scope } = this.scopeManuscript(
+        await this.readInputFile(manuscriptFile),
+        chapterRange
+      );
       
       // Create the prompt
-      const prompt = this.createModifierAnalysisPrompt(manuscriptContent, analysisLevel, focusAreas);
+      let prompt = await this.customizePrompt(this.createModifierAnalysisPrompt(manuscriptContent, analysisLevel, focusAreas));
+      prompt = this.scopePrompt(prompt, scope);
+      if (structuredFindings) {
+        prompt = this.requestFindings(prompt, FINDING_CATEGORIES);
+      }
 
       // Count tokens in the prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.countTokens(prompt);
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -78,7 +96,7 @@ class AdjectiveAdverbOptimizer extends BaseTool {
       // Handle logging based on the returned values
       this.emitOutput(`\nToken stats:\n`);
       this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
-      this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] ...\n`);
+      this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()}) ...\n`);
       this.emitOutput(`                     = manuscript + prompt instructions\n`);
       this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]  = ${tokenBudgets.contextWindow} - ${tokenBudgets.promptTokens} = context_window - prompt\n`);
       this.emitOutput(`Desired output tokens: [${tokenBudgets.desiredOutputTokens}]\n`);
@@ -121,17 +139,15 @@ class AdjectiveAdverbOptimizer extends BaseTool {
 
       // Use the calculated values in the API call
       try {
-        await this.claudeService.streamWithThinking(
+        await this.streamWithThinking(
           prompt,
           {
-            model: "claude-3-7-sonnet-20250219",
             system: systemPrompt,
             max_tokens: tokenBudgets.maxTokens,
             thinking: {
               type: "enabled",
               budget_tokens: tokenBudgets.thinkingBudget
-            },
-            betas: ["output-128k-2025-02-19"]
+            }
           },
           // Callback for thinking content
           (thinkingDelta) => {
@@ -158,11 +174,18 @@ class AdjectiveAdverbOptimizer extends BaseTool {
       this.emitOutput(`Report has approximately ${wordCount} words.\n`);
       
       // Count tokens in response
-      const responseTokens = await this.claudeService.countTokens(fullResponse);
-      this.emitOutput(`Response token count: ${responseTokens}\n`);
+      const responseTokens = await this.responseTokenCount(fullResponse);
+      this.emitOutput(`Response token count: ${responseTokens} (${this.tokenCountLabel()})\n`);
+
+      // Take the structured findings off before cleaning up the report
+      let findings = null;
+      if (structuredFindings) {
+        ({ text: fullResponse, findings } = this.takeFindings(fullResponse));
+      }
 
       // Remove any markdown formatting
       fullResponse = this.removeMarkdown(fullResponse);
+      fullResponse = this.scopeReport(fullResponse, scope);
 
       // Save the report
       const outputFile = await this.saveReport(
@@ -179,6 +202,9 @@ class AdjectiveAdverbOptimizer extends BaseTool {
       
       // Add all output files to the result
       outputFiles.push(...outputFile);
+      if (findings) {
+        outputFiles.push(await this.saveFindings(findings, outputFile[0], manuscriptFile));
+      }
       
       // Add files to the cache
       const toolName = 'adjective_adverb_optimizer';
@@ -417,7 +443,7 @@ Output tokens: ${responseTokens}
 ${thinking}
 
 === END AI'S THINKING PROCESS ===
-${stats}`;
+${this.effectivePromptSection()}${stats}`;
         
         await this.writeOutputFile(thinkingContent, saveDir, thinkingFilename);
         this.emitOutput(`AI thinking saved to: ${thinkingPath}\n`);
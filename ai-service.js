@@ -0,0 +1,252 @@
+// ai-service.js
+
+/**
+ * AI Service
+ * Base class for AI provider services. Tools only talk to this interface:
+ * countTokens, completeWithThinking, streamWithThinking and calculateTokenBudgets.
+ * Provider classes (client.js, openai-compatible-client.js) implement the API calls;
+ * budget math and request option validation are shared here.
+ */
+class AIService {
+  /**
+   * Constructor
+   * @param {Object} config - API configuration from UI settings
+   */
+  constructor(config = {}) {
+    // Store the config values shared by all providers
+    this.config = {
+      max_retries: config.max_retries,
+      request_timeout: config.request_timeout,
+      context_window: config.context_window,
+      thinking_budget_tokens: config.thinking_budget_tokens,
+      betas_max_tokens: config.betas_max_tokens,
+      desired_output_tokens: config.desired_output_tokens,
+      model_name: config.model_name,
+      betas: config.betas,
+      max_thinking_budget: config.max_thinking_budget
+    };
+
+    // Whether requests cost money, so runs are priced and recorded in the ledger
+    this.billable = false;
+  }
+
+  /**
+   * Count tokens in a text string
+   * @param {string} text - Text to count tokens in
+   * @returns {Promise<number>} - Token count
+   */
+  async countTokens(text) {
+    throw new Error(`countTokens is not implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Count tokens and say whether the count is exact or a local estimate
+   * Providers that estimate (see token-estimator.js) override this.
+   * @param {string} text - Text to count tokens in
+   * @returns {Promise<{count: number, exact: boolean}>}
+   */
+  async countTokensDetailed(text) {
+    return { count: await this.countTokens(text), exact: true };
+  }
+
+  /**
+   * Complete a prompt with thinking
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - API options
+   * @returns {Promise<Object>} - Response with content and thinking
+   */
+  async completeWithThinking(prompt, options = {}) {
+    throw new Error(`completeWithThinking is not implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Stream a response with thinking using callbacks
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - API options
+   * @param {Function} onThinking - Callback for thinking content
+   * @param {Function} onText - Callback for response text
+   * @returns {Promise<Object|void>} - { usage } when the provider reports token usage
+   *   (input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens,
+   *   and thinking_tokens when the provider reports thinking separately)
+   */
+  async streamWithThinking(prompt, options = {}, onThinking, onText) {
+    throw new Error(`streamWithThinking is not implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Whether this provider can run Message Batches
+   * @returns {boolean}
+   */
+  supportsBatches() {
+    return false;
+  }
+
+  /**
+   * Submit requests as one batch
+   * @param {Object[]} requests - [{ customId, prompt, options }]
+   * @returns {Promise<string>} - Batch ID
+   */
+  async submitBatch(requests) {
+    throw new Error(`${this.constructor.name} does not support batches`);
+  }
+
+  /**
+   * Get the processing status of a batch
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} - { id, status ('in_progress', 'canceling' or 'ended'), counts }
+   */
+  async getBatch(batchId) {
+    throw new Error(`${this.constructor.name} does not support batches`);
+  }
+
+  /**
+   * Get the results of an ended batch
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Map<string, Object>>} - customId => { text, thinking, usage } or { error }
+   */
+  async getBatchResults(batchId) {
+    throw new Error(`${this.constructor.name} does not support batches`);
+  }
+
+  /**
+   * Resolve and validate per-call request options against the configured defaults
+   * Per-call options override the configured defaults, so the token budgets
+   * a tool calculates are the ones actually sent. Overridable options are:
+   * system, max_tokens, thinking, model, temperature and stop_sequences.
+   * A prefill (the start of the assistant's reply, to continue from) may also
+   * be given, but only with thinking disabled.
+   * @param {Object} options - Per-call API options
+   * @returns {Object} - { model, maxTokens, thinkingBudget (null when disabled),
+   *                       temperature, stopSequences, system, prefill }
+   * @throws {Error} - If an override is out of range or inconsistent
+   */
+  resolveRequestOptions(options = {}) {
+    const maxTokens = options.max_tokens !== undefined
+      ? options.max_tokens
+      : this.config.betas_max_tokens;
+    if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+      throw new Error(`Invalid max_tokens: ${maxTokens}. Must be a positive integer.`);
+    }
+    if (this.config.betas_max_tokens && maxTokens > this.config.betas_max_tokens) {
+      throw new Error(
+        `Invalid max_tokens: ${maxTokens}. Cannot exceed the configured limit of ${this.config.betas_max_tokens}.`
+      );
+    }
+
+    const model = options.model || this.config.model_name;
+    if (typeof model !== 'string' || model.trim() === '') {
+      throw new Error('Invalid model: a model name is required.');
+    }
+
+    // Thinking is on unless the caller explicitly disables it
+    let thinkingBudget = null;
+    const thinkingDisabled = options.thinking === false ||
+      (options.thinking && options.thinking.type === 'disabled');
+    if (!thinkingDisabled) {
+      thinkingBudget = options.thinking && options.thinking.budget_tokens !== undefined
+        ? options.thinking.budget_tokens
+        : this.config.thinking_budget_tokens;
+      if (!Number.isInteger(thinkingBudget) || thinkingBudget < 1024) {
+        throw new Error(`Invalid thinking budget: ${thinkingBudget}. Must be an integer of at least 1024.`);
+      }
+      if (thinkingBudget >= maxTokens) {
+        throw new Error(
+          `Invalid thinking budget: ${thinkingBudget}. Must be less than max_tokens (${maxTokens}).`
+        );
+      }
+    }
+
+    let temperature;
+    if (options.temperature !== undefined) {
+      temperature = options.temperature;
+      if (typeof temperature !== 'number' || temperature < 0 || temperature > 1) {
+        throw new Error(`Invalid temperature: ${temperature}. Must be a number between 0 and 1.`);
+      }
+      if (thinkingBudget !== null && temperature !== 1) {
+        throw new Error(`Invalid temperature: ${temperature}. Must be 1 (or unset) when thinking is enabled.`);
+      }
+    }
+
+    let stopSequences;
+    if (options.stop_sequences !== undefined) {
+      stopSequences = options.stop_sequences;
+      if (!Array.isArray(stopSequences) ||
+          stopSequences.some(seq => typeof seq !== 'string' || seq.length === 0)) {
+        throw new Error('Invalid stop_sequences: must be an array of non-empty strings.');
+      }
+      if (stopSequences.length === 0) {
+        stopSequences = undefined;
+      }
+    }
+
+    let prefill;
+    if (options.prefill !== undefined && options.prefill !== null) {
+      if (typeof options.prefill !== 'string') {
+        throw new Error('Invalid prefill: must be a string.');
+      }
+      if (thinkingBudget !== null) {
+        throw new Error('Invalid prefill: thinking must be disabled to continue a partial reply.');
+      }
+      // The API rejects an assistant turn that ends in whitespace
+      prefill = options.prefill.trimEnd() || undefined;
+    }
+
+    return {
+      model,
+      maxTokens,
+      thinkingBudget,
+      temperature,
+      stopSequences,
+      system: options.system || undefined,
+      prefill
+    };
+  }
+
+  /**
+   * Calculate token budgets and validate prompt size
+   * @param {number} promptTokens - Number of tokens in the prompt
+   * @returns {Object} - Calculated token budgets and limits
+   */
+  calculateTokenBudgets(promptTokens) {
+    // Use configuration settings directly
+    const contextWindow = this.config.context_window;
+    const desiredOutputTokens = this.config.desired_output_tokens;
+    const configuredThinkingBudget = this.config.thinking_budget_tokens;
+    const betasMaxTokens = this.config.betas_max_tokens;
+    const maxThinkingBudget = this.config.max_thinking_budget;
+
+    // Calculate available tokens after prompt
+    const availableTokens = contextWindow - promptTokens;
+
+    // For API call, max_tokens must respect the API limit
+    const maxTokens = Math.min(availableTokens, betasMaxTokens);
+
+    // Thinking budget must be LESS than max_tokens to leave room for visible output
+    let thinkingBudget = maxTokens - desiredOutputTokens;
+
+    // Cap thinking budget if it's too large - use configurable limit
+    const capThinkingBudget = thinkingBudget > maxThinkingBudget;
+    if (capThinkingBudget) {
+      thinkingBudget = maxThinkingBudget;
+    }
+
+    // Check if prompt is too large for the configured thinking budget
+    const isPromptTooLarge = thinkingBudget < configuredThinkingBudget;
+
+    // Return all calculated values for use in API calls and logging
+    return {
+      contextWindow,
+      promptTokens,
+      availableTokens,
+      maxTokens,
+      thinkingBudget,
+      desiredOutputTokens,
+      betasMaxTokens,
+      configuredThinkingBudget,
+      capThinkingBudget,
+      isPromptTooLarge
+    };
+  }
+}
+
+module.exports = AIService;
@@ -1,6 +1,18 @@
 // base-tool.js
 const fs = require('fs/promises');
 const path = require('path');
+const { calculateCost, formatCost } = require('./pricing');
+const tokenEstimator = require('./token-estimator');
+const checkpoints = require('./checkpoints');
+const promptOverrides = require('./prompt-overrides');
+const { splitLeadingDocuments, summarizeDocument } = require('./prompt-documents');
+const findings = require('./findings');
+const chapterScope = require('./chapter-scope');
+const chunkedAnalysis = require('./chunked-analysis');
+const appState = require('./state.js');
+
+// How often streamed output is written to its checkpoint
+const CHECKPOINT_INTERVAL_MS = 2000;
 
 /**
  * Base class for all tools
@@ -15,6 +27,26 @@ class BaseTool {
   constructor(name, config = {}) {
     this.name = name;
     this.config = config;
+    // Set by the tool runner for the duration of a run so it can be cancelled
+    this.abortSignal = null;
+    // Model and budgets of the most recent API request, kept for the run history
+    this.lastRequest = null;
+    // Token usage summed over the API requests of the current run
+    this.runUsage = null;
+    // Dollars the current run may still spend under the spending caps (null = no cap)
+    this.spendingLimit = null;
+    // Where the most recent token count came from: 'exact', 'estimated' or 'usage'
+    this.lastTokenCountSource = 'exact';
+    // Token usage the API reported for the most recent stream (see summarizeUsage)
+    this.lastUsage = null;
+    // { projectPath, toolId, resume } while a run is checkpointed (see executeToolById)
+    this.checkpointContext = null;
+    // Set while the run is part of a Message Batch (see executeToolsAsBatch):
+    // { phase: 'collect', requests, tokenCounts } records the requests execute() makes,
+    // { phase: 'deliver', results, tokenCounts } answers them with the batch results
+    this.batchContext = null;
+    // { prompt, files } when the project's prompts folder changed the latest prompt
+    this.promptCustomization = null;
     // console.log(`BaseTool initialized: ${name}`);
   }
   
@@ -57,14 +89,24 @@ class BaseTool {
    */
   async writeOutputFile(content, saveDir, fileName) {
     try {
+      // Never write output for a run that has been cancelled
+      this.throwIfAborted();
+
+      // Collecting batch requests: there is no response to save yet
+      if (this.batchContext && this.batchContext.phase === 'collect') {
+        return path.resolve(path.join(saveDir, fileName));
+      }
+
       // Ensure the directory exists
       await fs.mkdir(saveDir, { recursive: true });
       
       // Path to the output file
       const outputPath = path.join(saveDir, fileName);
       
-      // Write the file
-      await fs.writeFile(outputPath, content, 'utf-8');
+      // Write to a temp file first, then rename, so a report is never half-written
+      const tempPath = `${outputPath}.partial`;
+      await fs.writeFile(tempPath, content, 'utf-8');
+      await fs.rename(tempPath, outputPath);
       
       // Return the absolute path to the file
       return path.resolve(outputPath);
@@ -74,6 +116,284 @@ class BaseTool {
     }
   }
   
+  /**
+   * Apply the current project's prompt overrides to a prompt this tool built
+   * See prompt-overrides.js for how templates in the project's prompts folder are named.
+   * @param {string} prompt - Prompt from the tool's create*Prompt method
+   * @param {string} [variant] - Which of the tool's prompts this is, for tools with several
+   * @returns {Promise<string>} - Effective prompt
+   */
+  async customizePrompt(prompt, variant) {
+    this.promptCustomization = null;
+    const templates = await promptOverrides.load(appState.CURRENT_PROJECT_PATH, this.name, variant);
+    const files = [templates.override, ...templates.appends].filter(Boolean).map(template => template.file);
+    if (files.length === 0) {
+      return prompt;
+    }
+
+    for (const file of files) {
+      this.emitOutput(`Using prompt template: ${file}\n`);
+    }
+    const effectivePrompt = promptOverrides.apply(prompt, templates);
+    this.promptCustomization = { prompt: effectivePrompt, files };
+    return effectivePrompt;
+  }
+
+  /**
+   * The effective prompt, for the thinking file, when the project customized it
+   * Documents are shown by name and size rather than repeated in full.
+   * @returns {string} - Text to add to the thinking file, or '' if the prompt was not customized
+   */
+  effectivePromptSection() {
+    if (!this.promptCustomization) {
+      return '';
+    }
+    const { documents, rest } = splitLeadingDocuments(this.promptCustomization.prompt);
+    const shown = [...documents.map(summarizeDocument), rest.trim()].filter(Boolean).join('\n\n');
+    return `
+=== EFFECTIVE PROMPT ===
+Customized by: ${this.promptCustomization.files.join(', ')}
+
+${shown}
+
+=== END EFFECTIVE PROMPT ===
+`;
+  }
+
+  /**
+   * Narrow the manuscript to the chapters option (see chapter-scope.js)
+   * @param {string} manuscriptContent - Whole manuscript
+   * @param {string} chapterRange - e.g. "1-5,12"; blank for the whole manuscript
+   * @returns {Object} - { content: text to analyze, scope: null for the whole manuscript }
+   * @throws {Error} - If the range selects nothing
+   */
+  scopeManuscript(manuscriptContent, chapterRange) {
+    const scope = chapterScope.buildChapterScope(manuscriptContent, chapterRange);
+    if (!scope) {
+      return { content: manuscriptContent, scope: null };
+    }
+    this.emitOutput(`Analyzing ${scope.description}\n`);
+    if (scope.missing.length > 0) {
+      this.emitOutput(`Warning: no chapter ${scope.missing.join(', ')} in the manuscript\n`);
+    }
+    return { content: scope.content, scope };
+  }
+
+  /**
+   * Put the context of a scoped run ahead of the prompt
+   * @param {string} prompt - Effective prompt
+   * @param {Object|null} scope - From scopeManuscript
+   * @returns {string} - Prompt
+   */
+  scopePrompt(prompt, scope) {
+    return scope ? `${scope.context}\n\n${prompt}` : prompt;
+  }
+
+  /**
+   * Head a scoped report with the chapters it covers
+   * @param {string} report - Report text
+   * @param {Object|null} scope - From scopeManuscript
+   * @returns {string} - Report
+   */
+  scopeReport(report, scope) {
+    return scope && report ? `${chapterScope.formatScope(scope)}\n\n${report}` : report;
+  }
+
+  /**
+   * Analyze a manuscript in overlapping chapter windows and merge the reports
+   * (see chunked-analysis.js). Every window gets the full configured thinking
+   * budget. The merge is one more request, or several in stages when the
+   * part reports could not all fit in one; that is settled before any part
+   * is sent, so a run that cannot be merged is refused before it is billed.
+   * @param {Object} params
+   * @param {string} params.manuscriptContent - Manuscript to split
+   * @param {Function} params.buildPrompt - async (manuscript text) => the tool's prompt for that text
+   * @param {string} params.system - System prompt
+   * @param {number} params.overlap - Chapters each window shares with the one before
+   * @param {string} params.title - Name of the analysis, for the merge prompt
+   * @param {string[]} [params.findingsCategories] - Ask the merge for structured findings in these categories
+   * @returns {Promise<Object>} - { text, thinking, promptTokens: total over all requests, split: description for the report }
+   */
+  async analyzeInChunks({ manuscriptContent, buildPrompt, system, overlap, title, findingsCategories }) {
+    if (this.batchContext) {
+      throw new Error('Chunked analysis cannot run in a Message Batch, as the merge needs the part reports first; run it on its own');
+    }
+
+    // Largest prompt that still leaves the configured thinking budget, less the instructions
+    const budgets = this.claudeService.calculateTokenBudgets(0);
+    const maxPromptTokens = budgets.contextWindow - budgets.configuredThinkingBudget - budgets.desiredOutputTokens;
+    const instructionTokens = tokenEstimator.estimate(await buildPrompt('')) + 300;
+    const chunkTokens = Math.floor((maxPromptTokens - instructionTokens) * chunkedAnalysis.ESTIMATE_MARGIN);
+    if (chunkTokens <= 0) {
+      throw new Error('The prompt instructions alone leave no room for the manuscript with the configured thinking budget');
+    }
+
+    const plan = chunkedAnalysis.planChunks(manuscriptContent, {
+      chunkTokens,
+      overlap,
+      estimate: text => tokenEstimator.estimate(text)
+    });
+    const split = chunkedAnalysis.describeSplit(plan);
+    this.emitOutput(`\n${split}\n`);
+
+    const reports = [];
+    let thinking = '';
+    let promptTokens = 0;
+    const request = async (prompt, label) => {
+      const tokens = await this.countTokens(prompt);
+      const tokenBudgets = this.claudeService.calculateTokenBudgets(tokens);
+      this.emitOutput(`\n=== ${label} ===\n`);
+      this.emitOutput(`Input prompt tokens: [${tokens}] (${this.tokenCountLabel()}), thinking budget: [${tokenBudgets.thinkingBudget}] tokens\n`);
+      if (tokenBudgets.isPromptTooLarge) {
+        throw new Error(`${label} is too large for ${tokenBudgets.configuredThinkingBudget} thinking budget - run aborted`);
+      }
+      promptTokens += tokens;
+
+      let text = '';
+      await this.streamWithThinking(
+        prompt,
+        {
+          system,
+          max_tokens: tokenBudgets.maxTokens,
+          thinking: {
+            type: "enabled",
+            budget_tokens: tokenBudgets.thinkingBudget
+          }
+        },
+        (thinkingDelta) => {
+          thinking += thinkingDelta;
+        },
+        (textDelta) => {
+          text += textDelta;
+        }
+      );
+      this.emitOutput('\n');
+      return text;
+    };
+
+    if (plan.chunks.length === 1) {
+      this.emitOutput(`The manuscript fits in one request, so it is analyzed whole.\n`);
+      let prompt = await buildPrompt(manuscriptContent);
+      if (findingsCategories) {
+        prompt = this.requestFindings(prompt, findingsCategories);
+      }
+      const text = await request(prompt, 'Whole manuscript');
+      return { text, thinking, promptTokens, split };
+    }
+
+    // Each part report may run to the full output allowance
+    const findingsInstructions = findingsCategories ? findings.buildFindingsInstructions(findingsCategories) : '';
+    const mergeInstructionTokens = tokenEstimator.estimate(
+      chunkedAnalysis.buildReducePrompt(plan, [], title) + findingsInstructions) + 300;
+    const perMerge = Math.floor((maxPromptTokens - mergeInstructionTokens) * chunkedAnalysis.ESTIMATE_MARGIN /
+      budgets.desiredOutputTokens);
+    const stages = chunkedAnalysis.planMerges(plan.chunks.length, perMerge);
+    if (stages.length > 1) {
+      this.emitOutput(`The ${plan.chunks.length} part reports will be merged in ${stages.length} stages, ` +
+        `up to ${perMerge} at a time.\n`);
+    }
+
+    for (const chunk of plan.chunks) {
+      const label = `Part ${chunk.index + 1} of ${plan.chunks.length}: ${chunk.label}`;
+      thinking += `${thinking ? '\n\n' : ''}=== ${label} ===\n`;
+      const prompt = `${chunkedAnalysis.buildChunkContext(plan, chunk)}\n\n${await buildPrompt(chunk.content)}`;
+      reports.push(await request(prompt, label));
+    }
+
+    let parts = plan.chunks.map((chunk, index) => ({
+      first: chunk.first,
+      last: chunk.last,
+      label: chunk.label,
+      text: reports[index]
+    }));
+    for (const [stageIndex, sizes] of stages.entries()) {
+      const whole = stageIndex === stages.length - 1;
+      const merged = [];
+      let start = 0;
+      for (const size of sizes) {
+        const group = parts.slice(start, start + size);
+        start += size;
+        if (group.length === 1) {
+          merged.push(group[0]);
+          continue;
+        }
+        const first = group[0].first;
+        const last = group[group.length - 1].last;
+        let prompt = chunkedAnalysis.buildReducePrompt(plan, group, title, whole);
+        if (whole && findingsCategories) {
+          prompt = this.requestFindings(prompt, findingsCategories);
+        }
+        const label = whole
+          ? `Merging ${group.length} part reports`
+          : `Merging ${group.length} part reports (stage ${stageIndex + 1}): ${first} to ${last}`;
+        thinking += `\n\n=== ${label} ===\n`;
+        merged.push({ first, last, label: `${first} to ${last}`, text: await request(prompt, label) });
+      }
+      parts = merged;
+    }
+    return { text: parts[0].text, thinking, promptTokens, split };
+  }
+
+  /**
+   * Ask for structured findings at the end of the report (see findings.js)
+   * @param {string} prompt - Effective prompt
+   * @param {string[]} categories - Categories this tool's findings fall into
+   * @returns {string} - Prompt with the findings instructions appended
+   */
+  requestFindings(prompt, categories) {
+    return prompt + findings.buildFindingsInstructions(categories);
+  }
+
+  /**
+   * Split the structured findings off a response
+   * A response without readable findings still gives its text report,
+   * with a warning in the output.
+   * @param {string} response - Response text
+   * @returns {Object} - { text: the report, findings: normalized findings or null }
+   */
+  takeFindings(response) {
+    if (!response) {
+      // Nothing to read yet while collecting batch requests
+      return { text: response, findings: null };
+    }
+
+    const { text, raw } = findings.splitFindings(response);
+    if (raw === null) {
+      this.emitOutput(`\nWarning: the response has no structured findings; only the text report is saved.\n`);
+      return { text, findings: null };
+    }
+    try {
+      return { text, findings: findings.parseFindings(raw) };
+    } catch (error) {
+      this.emitOutput(`\nWarning: structured findings not saved, ${error.message}\n`);
+      return { text, findings: null };
+    }
+  }
+
+  /**
+   * Save structured findings next to their text report
+   * @param {Object[]} items - Findings from takeFindings
+   * @param {string} reportPath - Text report
+   * @param {string} [manuscriptFile] - Manuscript the passages are quoted from
+   * @returns {Promise<string>} - Path to the <report>.findings.json file
+   */
+  async saveFindings(items, reportPath, manuscriptFile) {
+    const findingsPath = findings.getFindingsPath(reportPath);
+    const document = findings.buildFindingsDocument({
+      toolId: this.name,
+      reportPath,
+      manuscriptFile,
+      findings: items
+    });
+    const savedPath = await this.writeOutputFile(
+      JSON.stringify(document, null, 2),
+      path.dirname(findingsPath),
+      path.basename(findingsPath)
+    );
+    this.emitOutput(`Findings (${items.length}) saved to: ${savedPath}\n`);
+    return savedPath;
+  }
+
   /**
    * Emit output to be displayed in the UI
    * This will be overridden by the tool runner
@@ -83,6 +403,522 @@ class BaseTool {
     console.log(text);
   }
 
+  /**
+   * Emit a streamed delta of model output
+   * This will be overridden by the tool runner to drive the live view
+   * @param {string} kind - 'text' or 'thinking'
+   * @param {string} text - Delta text
+   */
+  emitStream(kind, text) {
+    // No live view outside the tool runner
+  }
+
+  /**
+   * Whether the current run has been cancelled
+   * @returns {boolean} - True if the run's abort signal has fired
+   */
+  isAborted() {
+    return !!(this.abortSignal && this.abortSignal.aborted);
+  }
+
+  /**
+   * Throw if the current run has been cancelled
+   * Call this before any step that writes files or starts an API request.
+   */
+  throwIfAborted() {
+    if (this.isAborted()) {
+      const error = new Error('Run cancelled by user');
+      error.cancelled = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Wait for a number of milliseconds, returning early if the run is cancelled
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise<void>}
+   */
+  async delay(ms) {
+    const signal = this.abortSignal;
+    await new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      if (signal) signal.addEventListener('abort', done);
+    });
+    this.throwIfAborted();
+  }
+
+  /**
+   * Count tokens with the AI service
+   * Offline, or when the service has no exact counter, this is a local
+   * estimate; tokenCountLabel() says which the most recent count was.
+   * @param {string} text - Text to count tokens in
+   * @returns {Promise<number>} - Token count
+   */
+  async countTokens(text) {
+    const batch = this.batchContext;
+    if (batch) {
+      // Counts made while collecting are reused when the results are delivered,
+      // so reports show the same numbers the requests were budgeted with
+      const key = checkpoints.keyFor(text || '');
+      const saved = batch.tokenCounts[key];
+      if (saved) {
+        this.lastTokenCountSource = saved.exact ? 'exact' : 'estimated';
+        return saved.count;
+      }
+      if (batch.phase === 'collect' && !text) {
+        // The empty response of a request that has not run yet
+        return 0;
+      }
+      const counted = batch.phase === 'collect'
+        ? await this.claudeService.countTokensDetailed(text)
+        : { count: tokenEstimator.estimate(text), exact: false };
+      batch.tokenCounts[key] = counted;
+      this.lastTokenCountSource = counted.exact ? 'exact' : 'estimated';
+      return counted.count;
+    }
+
+    const { count, exact } = await this.claudeService.countTokensDetailed(text);
+    this.lastTokenCountSource = exact ? 'exact' : 'estimated';
+    return count;
+  }
+
+  /**
+   * Token count of the response from the most recent stream
+   * Uses the usage the API reported, so no extra request is needed;
+   * providers that report no usage fall back to counting the text.
+   * @param {string} text - Response text
+   * @returns {Promise<number>} - Token count
+   */
+  async responseTokenCount(text) {
+    if (!this.lastUsage) {
+      return this.countTokens(text);
+    }
+    this.lastTokenCountSource = this.lastUsage.thinkingSplitEstimated ? 'usage' : 'exact';
+    return this.lastUsage.responseTokens;
+  }
+
+  /**
+   * Token count of the thinking from the most recent stream
+   * @param {string} text - Thinking text
+   * @returns {Promise<number>} - Token count
+   */
+  async thinkingTokenCount(text) {
+    if (!this.lastUsage) {
+      return this.countTokens(text);
+    }
+    this.lastTokenCountSource = this.lastUsage.thinkingSplitEstimated ? 'usage' : 'exact';
+    return this.lastUsage.thinkingTokens;
+  }
+
+  /**
+   * Label for the most recent token count, for reports
+   * @returns {string} - 'exact', 'estimated' or 'from API usage'
+   */
+  tokenCountLabel() {
+    if (this.lastTokenCountSource === 'usage') return 'from API usage';
+    return this.lastTokenCountSource;
+  }
+
+  /**
+   * Turn the usage an API reported into the counts tools report
+   * The API gives one output count covering thinking and the visible reply.
+   * Unless the provider reports thinking tokens itself, the output count is
+   * split between them by the length of the streamed thinking and text.
+   * @param {Object} usage - Usage reported by the AI service
+   * @param {number} thinkingChars - Characters of thinking streamed
+   * @param {number} textChars - Characters of response text streamed
+   * @returns {Object} - { inputTokens, outputTokens, thinkingTokens, responseTokens,
+   *                       cacheReadTokens, cacheWriteTokens, thinkingSplitEstimated }
+   */
+  summarizeUsage(usage, thinkingChars, textChars) {
+    const cacheReadTokens = usage.cache_read_input_tokens || 0;
+    const cacheWriteTokens = usage.cache_creation_input_tokens || 0;
+    const outputTokens = usage.output_tokens || 0;
+
+    let thinkingTokens = usage.thinking_tokens;
+    const thinkingSplitEstimated = thinkingTokens === undefined && thinkingChars > 0;
+    if (thinkingTokens === undefined) {
+      const totalChars = thinkingChars + textChars;
+      thinkingTokens = totalChars > 0 ? Math.round(outputTokens * thinkingChars / totalChars) : 0;
+    }
+
+    return {
+      inputTokens: (usage.input_tokens || 0) + cacheReadTokens + cacheWriteTokens,
+      outputTokens,
+      thinkingTokens,
+      responseTokens: outputTokens - thinkingTokens,
+      cacheReadTokens,
+      cacheWriteTokens,
+      thinkingSplitEstimated
+    };
+  }
+
+  /**
+   * Stream a response from the AI service for this run
+   * Wraps claudeService.streamWithThinking so every tool gets the run's
+   * abort signal, live view and checkpoints without threading them through
+   * by hand. Text and thinking are checkpointed as they arrive; when a run
+   * is resumed, a completed request is replayed from its checkpoint and a
+   * partial one continues from the saved text (with thinking disabled, as
+   * the API requires for a prefilled reply).
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - API options
+   * @param {Function} onThinking - Callback for thinking content
+   * @param {Function} onText - Callback for response text
+   * @returns {Promise<*>} - Whatever the service returns; reported usage is kept in lastUsage
+   */
+  async streamWithThinking(prompt, options = {}, onThinking, onText) {
+    this.throwIfAborted();
+    this.lastUsage = null;
+
+    const handleThinking = (thinkingDelta) => {
+      this.emitStream('thinking', thinkingDelta);
+      if (onThinking) onThinking(thinkingDelta);
+    };
+    const handleText = (textDelta) => {
+      this.emitStream('text', textDelta);
+      if (onText) onText(textDelta);
+    };
+
+    if (this.batchContext) {
+      return this.batchRequest(prompt, options, handleThinking, handleText);
+    }
+
+    const checkpoint = await this.openCheckpoint(prompt, options.system);
+    const saved = checkpoint ? checkpoint.data : null;
+
+    if (saved && saved.status === 'complete') {
+      this.emitOutput(`\nReusing the completed response saved in checkpoint ${checkpoint.filePath}\n`);
+      if (saved.thinking) handleThinking(saved.thinking);
+      if (saved.text) handleText(saved.text);
+      return {};
+    }
+
+    let requestOptions = options;
+    const resuming = !!(saved && saved.text);
+    if (resuming) {
+      this.emitOutput(`\nContinuing from checkpoint: ${saved.text.length} characters were written before the failure.\n`);
+      if (saved.thinking) handleThinking(saved.thinking);
+      handleText(saved.text);
+      requestOptions = { ...options, thinking: false, prefill: saved.text };
+    } else if (checkpoint) {
+      checkpoint.data.text = '';
+      checkpoint.data.thinking = '';
+    }
+
+    this.lastRequest = this.describeRequest(requestOptions);
+    this.checkEstimatedCost(prompt);
+    let thinkingChars = 0;
+    let textChars = 0;
+    let streamed = '';
+    try {
+      const result = await this.claudeService.streamWithThinking(
+        prompt,
+        { ...requestOptions, signal: this.abortSignal || undefined },
+        (thinkingDelta) => {
+          thinkingChars += thinkingDelta.length;
+          streamed += thinkingDelta;
+          if (checkpoint) checkpoint.append('thinking', thinkingDelta);
+          handleThinking(thinkingDelta);
+        },
+        (textDelta) => {
+          textChars += textDelta.length;
+          streamed += textDelta;
+          if (checkpoint) checkpoint.append('text', textDelta);
+          handleText(textDelta);
+        }
+      );
+      if (checkpoint) {
+        await checkpoint.finish('complete');
+      }
+      if (result && result.usage) {
+        // Usage of a continuation covers only the new part, so resumed
+        // responses are counted from their full text instead
+        if (!resuming) {
+          this.lastUsage = this.summarizeUsage(result.usage, thinkingChars, textChars);
+        }
+        this.recordUsage(result.usage);
+      }
+      return result;
+    } catch (error) {
+      if (error.usage) {
+        // A failed or cancelled request is billed for its input and for what
+        // it streamed; the final output count never arrived, so estimate it
+        this.lastUsage = null;
+        this.recordUsage({
+          ...error.usage,
+          output_tokens: Math.max(error.usage.output_tokens || 0, tokenEstimator.estimate(streamed))
+        });
+      }
+      if (checkpoint && (checkpoint.data.text || checkpoint.data.thinking)) {
+        await checkpoint.finish('partial');
+        if (!this.isAborted()) {
+          error.checkpoint = checkpoint.filePath;
+          this.emitOutput(`\nPartial output (${checkpoint.data.text.length} characters) saved to checkpoint ${checkpoint.filePath}\n`);
+        }
+      }
+      // The SDK reports an aborted stream with its own error type
+      this.throwIfAborted();
+      throw error;
+    } finally {
+      // A stream that finished just as Cancel was pressed still counts as cancelled
+      this.throwIfAborted();
+    }
+  }
+
+  /**
+   * Model and budgets a request will use, for the run history and cost estimates
+   * @param {Object} options - API options
+   * @returns {Object} - { model, maxTokens, thinkingBudget (null with thinking off) }
+   */
+  describeRequest(options) {
+    let thinkingBudget = this.config.thinking_budget_tokens;
+    if (options.thinking === false || (options.thinking && options.thinking.type === 'disabled')) {
+      thinkingBudget = null;
+    } else if (options.thinking && options.thinking.budget_tokens !== undefined) {
+      thinkingBudget = options.thinking.budget_tokens;
+    }
+    return {
+      model: options.model || this.config.model_name,
+      maxTokens: options.max_tokens || this.config.betas_max_tokens,
+      thinkingBudget
+    };
+  }
+
+  /**
+   * Stand in for a streamed request while the run is part of a Message Batch
+   * Collecting, the request is recorded and nothing is streamed. Delivering,
+   * the next batch result is passed to the callbacks in one piece, after
+   * checking it answers the same prompt.
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - API options
+   * @param {Function} handleThinking - Callback for thinking content
+   * @param {Function} handleText - Callback for response text
+   * @returns {Promise<Object>} - { usage } when delivering, {} when collecting
+   */
+  async batchRequest(prompt, options, handleThinking, handleText) {
+    const batch = this.batchContext;
+    const key = checkpoints.keyFor(prompt, options.system);
+    const { signal, ...requestOptions } = options;
+
+    if (batch.phase === 'collect') {
+      batch.requests.push({ key, prompt, options: requestOptions });
+      return {};
+    }
+
+    const result = batch.results.shift();
+    if (!result || result.key !== key) {
+      throw new Error('Batch results do not match the requests this tool makes; ' +
+        'the input files may have changed since the batch was submitted.');
+    }
+    if (result.error) {
+      throw new Error(`Batch request failed: ${result.error}`);
+    }
+
+    this.lastRequest = this.describeRequest(requestOptions);
+    if (result.thinking) handleThinking(result.thinking);
+    if (result.text) handleText(result.text);
+    if (result.usage) {
+      this.lastUsage = this.summarizeUsage(result.usage, (result.thinking || '').length, (result.text || '').length);
+      this.recordUsage(result.usage);
+    }
+    return { usage: result.usage };
+  }
+
+  /**
+   * Open the checkpoint for a request in the current run
+   * Outside a project there is nowhere to save, so there is no checkpoint.
+   * @param {string} prompt - Prompt about to be sent
+   * @param {string} [system] - System prompt
+   * @returns {Promise<Object|null>} - { filePath, data, append(kind, delta), finish(status) }
+   */
+  async openCheckpoint(prompt, system) {
+    const context = this.checkpointContext;
+    if (!context || !context.projectPath) {
+      return null;
+    }
+
+    const key = checkpoints.keyFor(prompt, system);
+    const filePath = checkpoints.getCheckpointPath(context.projectPath, context.toolId, key);
+    const existing = context.resume ? await checkpoints.load(filePath) : null;
+    const data = existing || {
+      toolId: context.toolId,
+      key,
+      status: 'partial',
+      text: '',
+      thinking: ''
+    };
+
+    // Writes are throttled and chained so they land in order
+    let lastSave = 0;
+    let saving = Promise.resolve();
+    const write = (status) => {
+      const snapshot = { ...data, status };
+      saving = saving
+        .then(() => checkpoints.save(filePath, snapshot))
+        .catch(() => {}); // save() has already logged the failure
+      return saving;
+    };
+
+    return {
+      filePath,
+      data,
+      append(kind, delta) {
+        data[kind] += delta;
+        if (Date.now() - lastSave >= CHECKPOINT_INTERVAL_MS) {
+          lastSave = Date.now();
+          write('partial');
+        }
+      },
+      finish(status) {
+        data.status = status;
+        return write(status);
+      }
+    };
+  }
+
+  /**
+   * Load the progress a multi-step tool saved before its run failed
+   * @returns {Promise<Object|null>} - Saved progress, or null unless the run is resuming
+   */
+  async loadRunProgress() {
+    const context = this.checkpointContext;
+    if (!context || !context.projectPath || !context.resume) {
+      return null;
+    }
+    return checkpoints.load(checkpoints.getCheckpointPath(context.projectPath, context.toolId, 'progress'));
+  }
+
+  /**
+   * Save the progress of a multi-step tool, so a resumed run can skip finished steps
+   * @param {Object} progress - Progress data
+   */
+  async saveRunProgress(progress) {
+    const context = this.checkpointContext;
+    if (!context || !context.projectPath) {
+      return;
+    }
+    await checkpoints.save(checkpoints.getCheckpointPath(context.projectPath, context.toolId, 'progress'), progress);
+  }
+
+  /**
+   * Report the estimated cost of the next request and enforce the spending cap
+   * The estimate assumes no prompt cache hits and a full thinking budget plus
+   * the desired output, so it errs on the high side.
+   * @param {string} prompt - Prompt about to be sent
+   * @throws {Error} - If the estimate would exceed what the spending caps allow
+   */
+  checkEstimatedCost(prompt) {
+    if (!this.claudeService || !this.claudeService.billable) {
+      return;
+    }
+
+    const request = this.lastRequest;
+    const { cost, promptTokens, outputTokens } = this.estimateRequestCost(prompt, request);
+    if (!cost) {
+      this.emitOutput(`\nEstimated cost: unknown, no price is listed for model ${request.model}\n`);
+      return;
+    }
+
+    this.emitOutput(`\nEstimated cost: up to ${formatCost(cost.total)} ` +
+      `(~${promptTokens} prompt tokens, up to ${outputTokens} thinking and output tokens)\n`);
+
+    if (this.spendingLimit !== null && cost.total > this.spendingLimit) {
+      const error = new Error(
+        `Spending cap reached: this request could cost up to ${formatCost(cost.total)} ` +
+        `but only ${formatCost(Math.max(this.spendingLimit, 0))} remains under the cap set in API Settings.`
+      );
+      error.budgetExceeded = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Estimate the most a request could cost
+   * @param {string} prompt - Prompt to send
+   * @param {Object} request - { model, maxTokens, thinkingBudget }
+   * @param {Object} [options] - { batch: true } prices it as part of a Message Batch
+   * @returns {Object} - { cost (null if the model's price is unknown), promptTokens, outputTokens }
+   */
+  estimateRequestCost(prompt, request, options = {}) {
+    const promptTokens = tokenEstimator.estimate(prompt);
+    const outputTokens = Math.min(
+      request.maxTokens,
+      (request.thinkingBudget || 0) + (this.config.desired_output_tokens || 0)
+    );
+    const cost = calculateCost(request.model, { inputTokens: promptTokens, outputTokens }, options);
+    return { cost, promptTokens, outputTokens };
+  }
+
+  /**
+   * Add a request's token usage to the run and report prompt cache use
+   * Cache reads are billed at 10% of the normal input price and cache
+   * writes at 125%, so savings are shown in full-price input tokens.
+   * @param {Object} usage - Usage reported by the AI service
+   */
+  recordUsage(usage) {
+    const read = usage.cache_read_input_tokens || 0;
+    const written = usage.cache_creation_input_tokens || 0;
+
+    const total = this.runUsage || {
+      requests: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheReadTokens: 0,
+      cacheWriteTokens: 0,
+      cost: 0
+    };
+    const requestUsage = {
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0,
+      cacheReadTokens: read,
+      cacheWriteTokens: written
+    };
+    total.requests += 1;
+    total.inputTokens += requestUsage.inputTokens;
+    total.outputTokens += requestUsage.outputTokens;
+    total.cacheReadTokens += read;
+    total.cacheWriteTokens += written;
+    this.runUsage = total;
+
+    if (this.lastUsage) {
+      const split = this.lastUsage.thinkingSplitEstimated ? '~' : '';
+      this.emitOutput(`\nActual usage: ${this.lastUsage.inputTokens} input tokens, ` +
+        `${this.lastUsage.outputTokens} output tokens (${split}${this.lastUsage.thinkingTokens} thinking, ` +
+        `${split}${this.lastUsage.responseTokens} response)\n`);
+    }
+
+    const cost = this.claudeService && this.claudeService.billable
+      ? calculateCost(this.lastRequest && this.lastRequest.model, requestUsage, { batch: !!this.batchContext })
+      : null;
+    if (cost) {
+      total.cost += cost.total;
+      if (this.spendingLimit !== null) {
+        this.spendingLimit -= cost.total;
+      }
+      this.emitOutput(`\nActual cost: ${formatCost(cost.total)}${this.batchContext ? ' at batch rates' : ''} ` +
+        `(input ${formatCost(cost.input)}, output ${formatCost(cost.output)}, ` +
+        `cache write ${formatCost(cost.cacheWrite)}, cache read ${formatCost(cost.cacheRead)})\n`);
+    }
+
+    if (read === 0 && written === 0) {
+      return;
+    }
+    const saved = Math.round(read * 0.9 - written * 0.25);
+    this.emitOutput(`\nPrompt cache: ${read} tokens read from cache, ${written} tokens written to cache\n`);
+    if (saved >= 0) {
+      this.emitOutput(`Prompt cache savings: about ${saved} full-price input tokens\n`);
+    } else {
+      this.emitOutput(`Prompt cache cost: about ${-saved} extra input tokens to fill the cache; ` +
+        `repeat runs over the same documents within 5 minutes read it at 10% of the price\n`);
+    }
+  }
+
   /**
    * Remove Markdown formatting from text
    * @param {string} text - Text with Markdown formatting
@@ -0,0 +1,115 @@
+// batch-records.js
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Batch Records
+ * Keeps a record of each submitted Message Batch in the project's
+ * .wt/batches folder, as <batchId>.json, until its results have been
+ * collected. A record holds the tool runs that went into the batch and the
+ * custom ID of each request, so results can be collected after a restart.
+ */
+class BatchRecords {
+  constructor() {
+    this.DIR_NAME = path.join('.wt', 'batches');
+  }
+
+  /**
+   * Get the batch folder of a project
+   * @param {string} projectPath - Project directory
+   * @returns {string} - Path to .wt/batches
+   */
+  getBatchDir(projectPath) {
+    return path.join(projectPath, this.DIR_NAME);
+  }
+
+  /**
+   * Get the path of a batch record
+   * @param {string} projectPath - Project directory
+   * @param {string} batchId - Batch ID
+   * @returns {string} - Path to the record file
+   */
+  getRecordPath(projectPath, batchId) {
+    if (!/^[A-Za-z0-9_-]+$/.test(batchId)) {
+      throw new Error(`Invalid batch ID: ${batchId}`);
+    }
+    return path.join(this.getBatchDir(projectPath), `${batchId}.json`);
+  }
+
+  /**
+   * Write a batch record
+   * @param {string} projectPath - Project directory
+   * @param {Object} record - Batch record with at least an id
+   * @returns {Promise<Object>} - The record as written
+   */
+  async save(projectPath, record) {
+    const recordPath = this.getRecordPath(projectPath, record.id);
+    const tempPath = `${recordPath}.partial`;
+    try {
+      await fs.mkdir(path.dirname(recordPath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(record, null, 2), 'utf-8');
+      await fs.rename(tempPath, recordPath);
+      return record;
+    } catch (error) {
+      console.error(`Error writing batch record ${recordPath}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read a batch record
+   * @param {string} projectPath - Project directory
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object|null>} - The record, or null if there is none
+   */
+  async load(projectPath, batchId) {
+    const recordPath = this.getRecordPath(projectPath, batchId);
+    try {
+      return JSON.parse(await fs.readFile(recordPath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      console.error(`Error reading batch record ${recordPath}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the batches of a project whose results have not been collected
+   * @param {string} projectPath - Project directory
+   * @returns {Promise<Object[]>} - Batch records, oldest first
+   */
+  async list(projectPath) {
+    if (!projectPath) {
+      return [];
+    }
+
+    let names;
+    try {
+      names = await fs.readdir(this.getBatchDir(projectPath));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const name of names.filter(name => name.endsWith('.json'))) {
+      const record = await this.load(projectPath, path.basename(name, '.json')).catch(() => null);
+      if (record) records.push(record);
+    }
+    return records.sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+  }
+
+  /**
+   * Delete a batch record once its results are collected
+   * @param {string} projectPath - Project directory
+   * @param {string} batchId - Batch ID
+   */
+  async remove(projectPath, batchId) {
+    await fs.rm(this.getRecordPath(projectPath, batchId), { force: true });
+  }
+}
+
+// Create a singleton instance
+const batchRecords = new BatchRecords();
+
+module.exports = batchRecords;
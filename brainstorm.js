@@ -134,7 +134,7 @@ class BrainstormTool extends BaseTool {
 
     // Count tokens in the prompt
     this.emitOutput(`Counting tokens in prompt...\n`);
-    const promptTokens = await this.claudeService.countTokens(prompt);
+    const promptTokens = await this.countTokens(prompt);
 
     // Call the shared token budget calculator
     const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -142,7 +142,7 @@ class BrainstormTool extends BaseTool {
     // Handle logging based on the returned values
     this.emitOutput(`\nToken stats:\n`);
     this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
-    this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] ...\n`);
+    this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()}) ...\n`);
     this.emitOutput(`                     = outline.txt + world.txt + manuscript.txt\n`);
     this.emitOutput(`                       + prompt instructions\n`);
     this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]  = ${tokenBudgets.contextWindow} - ${tokenBudgets.promptTokens} = context_window - prompt\n`);
@@ -174,17 +174,15 @@ class BrainstormTool extends BaseTool {
 
     // Use the calculated values in the API call
     try {
-      await this.claudeService.streamWithThinking(
+      await this.streamWithThinking(
         prompt,
         {
-          model: "claude-3-7-sonnet-20250219",
           system: systemPrompt,
           max_tokens: tokenBudgets.maxTokens,
           thinking: {
             type: "enabled",
             budget_tokens: tokenBudgets.thinkingBudget
-          },
-          betas: ["output-128k-2025-02-19"]
+          }
         },
         // Callback for thinking content
         (thinkingDelta) => {
@@ -214,8 +212,8 @@ class BrainstormTool extends BaseTool {
     this.emitOutput(`Generated ${promptType} has approximately ${wordCount} words.\n`);
     
     // Count tokens in response
-    const responseTokens = await this.claudeService.countTokens(cleanedResponse);
-    this.emitOutput(`Response token count: ${responseTokens}\n`);
+    const responseTokens = await this.responseTokenCount(cleanedResponse);
+    this.emitOutput(`Response token count: ${responseTokens} (${this.tokenCountLabel()})\n`);
     
     // Append to ideas file
     await this.appendToIdeasFile(ideasFile, cleanedResponse, promptType);
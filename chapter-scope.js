@@ -0,0 +1,191 @@
+// chapter-scope.js
+//
+// The chapters option: run an analyzer on some chapters instead of the whole
+// manuscript. "1-5,12" selects chapters 1 to 5 and chapter 12 by the numbers
+// in their headings ("Chapter 12: ...", "12. ..."), or by position when the
+// chapters have bare titles (see manuscript.js).
+//
+// The selected chapters take the manuscript's place in the prompt. Ahead of
+// the prompt goes a CONTEXT section giving excerpts of the chapters on
+// either side of each selected run (heading, length, opening and closing
+// words) and naming the rest, so the model can follow continuity without
+// reviewing text it was not given. The excerpts are cut from the text, not
+// written by the model, so a scoped run is still a single request and can
+// go in a Message Batch.
+const { Manuscript, describeChapter } = require('./manuscript');
+
+const RANGE_PATTERN = '\\s*\\d+(\\s*-\\s*\\d+)?(\\s*,\\s*\\d+(\\s*-\\s*\\d+)?)*\\s*';
+const EXCERPT_WORDS = 60;
+
+// Added to every analyzer's options in TOOL_DEFS
+const CHAPTERS_OPTION = {
+  "name": "chapters",
+  "label": "Chapters",
+  "type": "text",
+  "description": "Analyze only these chapters, e.g. 1-5,12; the opening and closing words of the chapters around them are given for context. Leave blank for the whole manuscript.",
+  "required": false,
+  "default": "",
+  "pattern": RANGE_PATTERN,
+  "pattern_message": "Use chapter numbers and ranges, e.g. 1-5,12",
+  "chapter_range": true,
+  "group": "Input Files"
+};
+
+/**
+ * Parse a chapter range
+ * @param {string} spec - e.g. "1-5,12"
+ * @returns {Object[]} - [{ from, to }]
+ * @throws {Error} - If the range is malformed or runs backwards
+ */
+function parseChapterRange(spec) {
+  if (!new RegExp(`^(?:${RANGE_PATTERN})$`).test(spec)) {
+    throw new Error(`Invalid chapters "${spec}": use chapter numbers and ranges, e.g. 1-5,12`);
+  }
+  return spec.split(',').map(part => {
+    const [from, to = from] = part.split('-').map(number => parseInt(number, 10));
+    if (from > to) {
+      throw new Error(`Invalid chapters "${spec}": ${from}-${to} runs backwards`);
+    }
+    return { from, to };
+  });
+}
+
+/**
+ * Describe a chapter range in its simplest form
+ * @param {number[]} numbers - Chapter numbers, sorted
+ * @returns {string} - e.g. "1-5, 12"
+ */
+function describeNumbers(numbers) {
+  const runs = [];
+  numbers.forEach(number => {
+    const run = runs[runs.length - 1];
+    if (run && number === run.to + 1) {
+      run.to = number;
+    } else {
+      runs.push({ from: number, to: number });
+    }
+  });
+  return runs.map(run => run.from === run.to ? `${run.from}` : `${run.from}-${run.to}`).join(', ');
+}
+
+/**
+ * Take words from the start or end of a text
+ * @param {string} text - Text to excerpt
+ * @param {boolean} fromEnd - Take the last words instead of the first
+ * @returns {string} - Excerpt, with "..." where it was cut
+ */
+function excerpt(text, fromEnd) {
+  const words = text.split(/\s+/).filter(word => word.length > 0);
+  if (words.length <= EXCERPT_WORDS) return words.join(' ');
+  return fromEnd
+    ? '...' + words.slice(-EXCERPT_WORDS).join(' ')
+    : words.slice(0, EXCERPT_WORDS).join(' ') + '...';
+}
+
+/**
+ * Excerpt a chapter for the context section
+ * @param {Manuscript} manuscript - Parsed manuscript
+ * @param {Object} chapter - Chapter to excerpt
+ * @param {string} position - "before" or "after" the selected chapters
+ * @returns {string} - Heading, length and the chapter's first and last words
+ */
+function excerptChapter(manuscript, chapter, position) {
+  const scenes = chapter.scenes;
+  const body = scenes.length > 0
+    ? manuscript.text.slice(scenes[0].start, scenes[scenes.length - 1].end)
+    : '';
+  return `${describeChapter(chapter)} (${chapter.wordCount} words, ${position} the selected chapters)\n` +
+    `Opens: ${excerpt(body, false)}\n` +
+    `Ends: ${excerpt(body, true)}`;
+}
+
+/**
+ * Select chapters from a manuscript
+ * @param {string} text - Manuscript text
+ * @param {string} spec - Chapter range, e.g. "1-5,12"; blank for the whole manuscript
+ * @returns {Object|null} - null for the whole manuscript, otherwise
+ *   { content, context, description, chapters: headings of the selected chapters,
+ *     missing: numbers in the range the manuscript lacks, wordCount, totalWords }
+ * @throws {Error} - If the range is invalid, the manuscript has no chapter headings, or nothing matches
+ */
+function buildChapterScope(text, spec) {
+  if (!spec || !String(spec).trim()) return null;
+  const ranges = parseChapterRange(String(spec));
+
+  const manuscript = Manuscript.parse(text);
+  if (manuscript.style === 'none') {
+    throw new Error('The manuscript has no chapter headings, so chapters cannot be selected');
+  }
+
+  // Numbered chapters go by their numbers, titled ones by position
+  const numberOf = chapter => manuscript.style === 'numbered' ? chapter.number : chapter.index + 1;
+  const inRange = number => ranges.some(range => number >= range.from && number <= range.to);
+  const selected = manuscript.chapters.filter(chapter => inRange(numberOf(chapter)));
+  if (selected.length === 0) {
+    throw new Error(`None of chapters ${spec.trim()} are in the manuscript`);
+  }
+
+  const found = new Set(manuscript.chapters.map(numberOf));
+  const missing = [];
+  ranges.forEach(range => {
+    for (let number = range.from; number <= range.to && missing.length < 100; number++) {
+      if (!found.has(number) && !missing.includes(number)) missing.push(number);
+    }
+  });
+
+  const selectedIndexes = new Set(selected.map(chapter => chapter.index));
+  const neighbours = [];
+  selected.forEach(chapter => {
+    [[chapter.index - 1, 'before'], [chapter.index + 1, 'after']].forEach(([index, position]) => {
+      const neighbour = manuscript.chapters[index];
+      if (neighbour && !selectedIndexes.has(index) && !neighbours.some(n => n.chapter === neighbour)) {
+        neighbours.push({ chapter: neighbour, position });
+      }
+    });
+  });
+  neighbours.sort((a, b) => a.chapter.index - b.chapter.index);
+  const others = manuscript.chapters.filter(chapter =>
+    !selectedIndexes.has(chapter.index) && !neighbours.some(n => n.chapter === chapter));
+
+  const numbers = [...new Set(selected.map(numberOf))].sort((a, b) => a - b);
+  const wordCount = selected.reduce((sum, chapter) => sum + chapter.wordCount, 0);
+  const description = `chapter${numbers.length === 1 ? '' : 's'} ${describeNumbers(numbers)} ` +
+    `(${selected.length} of ${manuscript.chapters.length} chapters, ${wordCount} of ${manuscript.wordCount} words)`;
+
+  let context = `=== CONTEXT ===\n` +
+    `The manuscript below is not the whole book: it holds only ${description}. ` +
+    `Review only those chapters. The excerpts of other chapters here are there to keep continuity in view; do not report on them.\n`;
+  neighbours.forEach(({ chapter, position }) => {
+    context += `\n${excerptChapter(manuscript, chapter, position)}\n`;
+  });
+  if (others.length > 0) {
+    context += `\nOther chapters, not included: ${others.map(describeChapter).join('; ')}\n`;
+  }
+  context += `=== END CONTEXT ===`;
+
+  return {
+    content: selected.map(chapter => manuscript.textOf(chapter)).join('\n\n\n'),
+    context,
+    description,
+    chapters: selected.map(describeChapter),
+    missing,
+    wordCount,
+    totalWords: manuscript.wordCount
+  };
+}
+
+/**
+ * Build the scope lines at the top of a scoped report
+ * @param {Object} scope - From buildChapterScope
+ * @returns {string} - Report lines
+ */
+function formatScope(scope) {
+  return [`Scope: ${scope.description}`, ...scope.chapters.map(heading => `  ${heading}`)].join('\n');
+}
+
+module.exports = {
+  CHAPTERS_OPTION,
+  parseChapterRange,
+  buildChapterScope,
+  formatScope
+};
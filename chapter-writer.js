@@ -4,6 +4,7 @@ const path = require('path');
 const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
+const { extractChapterNum } = require('./manuscript');
 
 /**
  * ChapterWriter Tool
@@ -89,10 +90,18 @@ class ChapterWriter extends BaseTool {
           this.emitOutput(`  ${index + 1}. ${chapter}\n`);
         });
         
+        // Chapters already appended by a failed run are not written twice when it resumes
+        const progress = (await this.loadRunProgress()) || { completedChapters: [] };
+        
         // Process each chapter with a delay between them
         for (let i = 0; i < chapterList.length; i++) {
           const chapterRequest = chapterList[i];
           
+          if (progress.completedChapters.includes(chapterRequest)) {
+            this.emitOutput(`\nSkipping chapter ${i + 1} of ${chapterList.length}: ${chapterRequest} (written before the run was interrupted)\n`);
+            continue;
+          }
+          
           this.emitOutput(`\nProcessing chapter ${i + 1} of ${chapterList.length}: ${chapterRequest}\n`);
           
           const result = await this.processChapter(
@@ -117,11 +126,13 @@ class ChapterWriter extends BaseTool {
             }
             summary.push(result);
           }
+          progress.completedChapters.push(chapterRequest);
+          await this.saveRunProgress(progress);
           
           // If this isn't the last chapter, wait before processing the next one
           if (i < chapterList.length - 1) {
             this.emitOutput(`Waiting ${chapterDelay} seconds before next chapter...\n`);
-            await new Promise(resolve => setTimeout(resolve, chapterDelay * 1000));
+            await this.delay(chapterDelay * 1000);
           }
         }
         
@@ -306,7 +317,7 @@ class ChapterWriter extends BaseTool {
       
       // Count tokens in prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.countTokens(prompt);
       
       // Calculate available tokens after prompt
       const contextWindow = this.config.context_window || 200000;
@@ -325,7 +336,7 @@ class ChapterWriter extends BaseTool {
       // Display token stats
       this.emitOutput(`\nToken stats:\n`);
       this.emitOutput(`Max AI model context window: [${contextWindow}] tokens\n`);
-      this.emitOutput(`Input prompt tokens: [${promptTokens}] ...\n`);
+      this.emitOutput(`Input prompt tokens: [${promptTokens}] (${this.tokenCountLabel()}) ...\n`);
       this.emitOutput(`                     = request + chapters.txt + manuscript.txt\n`);
       this.emitOutput(`                       + outline.txt + world.txt + prompt instructions\n`);
       this.emitOutput(`Available tokens: [${availableTokens}]  = ${contextWindow} - ${promptTokens} = context_window - prompt\n`);
@@ -365,17 +376,15 @@ class ChapterWriter extends BaseTool {
       
       try {
         // Use streaming API call
-        await this.claudeService.streamWithThinking(
+        await this.streamWithThinking(
           prompt,
           {
-            model: "claude-3-7-sonnet-20250219",
             system: systemPrompt,
             max_tokens: maxTokens,
             thinking: {
               type: "enabled",
               budget_tokens: thinkingBudget
-            },
-            betas: ["output-128k-2025-02-19"]
+            }
           },
           // Callback for thinking content
           (thinkingDelta) => {
@@ -411,10 +420,13 @@ class ChapterWriter extends BaseTool {
       const chapterWordCount = this.countWords(cleanedResponse);
       
       // Count tokens in chapter
-      const chapterTokenCount = await this.claudeService.countTokens(cleanedResponse);
+      const chapterTokenCount = await this.responseTokenCount(cleanedResponse);
       
       // Append the new chapter to the manuscript file if not disabled
       if (!noAppend) {
+        // A cancelled run must never touch the manuscript
+        this.throwIfAborted();
+        
         const appendSuccess = await this.appendToManuscript(
           cleanedResponse, 
           this.ensureAbsolutePath(manuscriptFile, saveDir), 
@@ -445,7 +457,7 @@ Chapter ${chapterNum} token count: ${chapterTokenCount}
       // Save thinking content if available
       let thinkingPath = null;
       if (thinkingContent) {
-        const thinkingTokenCount = await this.claudeService.countTokens(thinkingContent);
+        const thinkingTokenCount = await this.thinkingTokenCount(thinkingContent);
         const thinkingEfficiency = (thinkingTokenCount / thinkingBudget) * 100;
         const thinkingToOutputRatio = thinkingTokenCount / chapterTokenCount;
         
@@ -515,38 +527,23 @@ ${analytics}
   }
   
   /**
-   * Extract chapter number from request
+   * Extract chapter number from request (see extractChapterNum in manuscript.js),
+   * explaining the accepted formats if there is none
    * @param {string} request - Chapter request text
    * @returns {Object} - Chapter number and formatted chapter number
+   * @throws {Error} - If the request is not a chapter heading
    */
   extractChapterNum(request) {
-    // Check for the different formats
-    const fullPattern = /^Chapter\s+(\d+)[:\.]?\s+(.+)$/i;
-    const colonPattern = /^(\d+):\s+(.+)$/;
-    const periodPattern = /^(\d+)\.\s+(.+)$/;
-    
-    let chapterNum;
-    let fullMatch = request.match(fullPattern);
-    let colonMatch = request.match(colonPattern);
-    let periodMatch = request.match(periodPattern);
-    
-    if (fullMatch) {
-      chapterNum = fullMatch[1];
-    } else if (colonMatch) {
-      chapterNum = colonMatch[1];
-    } else if (periodMatch) {
-      chapterNum = periodMatch[1];
-    } else {
+    // Accept the heading styles the Manuscript model reads, including
+    // "Chapter X: Title", "X: Title" and "X. Title"
+    const extracted = extractChapterNum(request);
+    if (!extracted) {
       this.emitOutput("\nERROR: it's best to copy your next chapter number and title from your outline, as\n");
       this.emitOutput("'--request' must be like:\n\t--request \"Chapter X: Title\"\n...or\n\t--request \"X: Title\"\n...or\n\t--request \"X. Title\"\n... where X is a number.\n");
       this.emitOutput(`But your request was: '${request}'\n\n`);
       throw new Error('Invalid chapter request format');
     }
-    
-    // Format the chapter number as 3-digit
-    const formattedChapter = String(parseInt(chapterNum)).padStart(3, '0');
-    
-    return { chapterNum, formattedChapter };
+    return extracted;
   }
   
   /**
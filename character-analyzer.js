@@ -6,6 +6,15 @@ const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
 
+// Categories for structured findings (see findings.js)
+const FINDING_CATEGORIES = [
+  'inconsistent character',
+  'name variation',
+  'missing character',
+  'underdeveloped character',
+  'role change'
+];
+
 /**
  * Character Analyzer Tool
  * Analyzes manuscript, outline, and world files to identify 
@@ -46,6 +55,10 @@ class CharacterAnalyzer extends BaseTool {
     let outlineFile = options.outline_file;
     let worldFile = options.world_file;
     const skipThinking = options.skip_thinking || false;
+    const structuredFindings = options.structured_findings || false;
+    const chapterRange = options.chapters || '';
+    const chunked = options.chunked || false;
+    const chunkOverlap = options.chunk_overlap !== undefined ? options.chunk_overlap : 1;
     const analysisDescription = options.analysis_description || '';
     const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     
@@ -81,7 +94,10 @@ class CharacterAnalyzer extends BaseTool {
 
       // Read the manuscript file
       this.emitOutput(`Reading manuscript file: ${manuscriptFile}\n`);
-      const manuscriptContent = await this.readInputFile(manuscriptFile);
+      const { content: manuscriptContent, scope } = this.scopeManuscript(
+        await this.readInputFile(manuscriptFile),
+        chapterRange
+      );
       
       // Read the outline file if provided
       let outlineContent = '';
@@ -97,87 +113,107 @@ class CharacterAnalyzer extends BaseTool {
         worldContent = await this.readInputFile(worldFile);
       }
       
-      // Create the prompt
-      const prompt = this.createCharacterAnalysisPrompt(manuscriptContent, outlineContent, worldContent);
-
-      // Count tokens in the prompt
-      this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
-
-      // Call the shared token budget calculator
-      const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
-
-      // Handle logging based on the returned values
-      this.emitOutput(`\nToken stats:\n`);
-      this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
-      this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] ...\n`);
-      this.emitOutput(`                     = manuscript + outline + world\n`);
-      this.emitOutput(`                       + prompt instructions\n`);
-      this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]  = ${tokenBudgets.contextWindow} - ${tokenBudgets.promptTokens} = context_window - prompt\n`);
-      this.emitOutput(`Desired output tokens: [${tokenBudgets.desiredOutputTokens}]\n`);
-      this.emitOutput(`AI model thinking budget: [${tokenBudgets.thinkingBudget}] tokens\n`);
-      this.emitOutput(`Max output tokens: [${tokenBudgets.maxTokens}] tokens\n`);
-
-      // Check for special conditions
-      if (tokenBudgets.capThinkingBudget) {
-        this.emitOutput(`Warning: thinking budget is larger than 32K, set to 32K.\n`);
-      }
+      // Create the prompt for a manuscript text: all of it, or one chunk
+      const buildPrompt = async (content) => this.scopePrompt(
+        await this.customizePrompt(this.createCharacterAnalysisPrompt(content, outlineContent, worldContent)),
+        scope
+      );
+
+      // Create system prompt to avoid markdown
+      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
 
-      // Check if the prompt is too large
-      if (tokenBudgets.isPromptTooLarge) {
-        this.emitOutput(`Error: prompt is too large to have a ${tokenBudgets.configuredThinkingBudget} thinking budget!\n`);
-        this.emitOutput(`Run aborted!\n`);
-        throw new Error(`Prompt is too large for ${tokenBudgets.configuredThinkingBudget} thinking budget - run aborted`);
-      }
-      
-      // Call Claude API with streaming
-      this.emitOutput(`Sending request to Claude API (streaming)...\n`);
-      
-      // Add a message about waiting
-      this.emitOutput(`****************************************************************************\n`);
-      this.emitOutput(`*  Analyzing characters across your manuscript and reference documents...  \n`);
-      this.emitOutput(`*  This process typically takes several minutes.                           \n`);
-      this.emitOutput(`*                                                                          \n`);
-      this.emitOutput(`*  It's recommended to keep this window the sole 'focus'                   \n`);
-      this.emitOutput(`*  and to avoid browsing online or running other apps, as these API        \n`);
-      this.emitOutput(`*  network connections are often flakey, like delicate echoes of whispers. \n`);
-      this.emitOutput(`*                                                                          \n`);
-      this.emitOutput(`*  So breathe, remove eye glasses, stretch, relax, and be like water 🥋 🧘🏽‍♀️\n`);
-      this.emitOutput(`****************************************************************************\n\n`);
-      
       const startTime = Date.now();
       let fullResponse = "";
       let thinkingContent = "";
-      
-      // Create system prompt to avoid markdown
-      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
+      let promptTokens;
+      let split = null;
+
+      if (chunked) {
+        ({ text: fullResponse, thinking: thinkingContent, promptTokens, split } = await this.analyzeInChunks({
+          manuscriptContent,
+          buildPrompt,
+          system: systemPrompt,
+          overlap: chunkOverlap,
+          title: 'Character Analyzer',
+          findingsCategories: structuredFindings ? FINDING_CATEGORIES : null
+        }));
+      } else {
+        let prompt = await buildPrompt(manuscriptContent);
+        if (structuredFindings) {
+          prompt = this.requestFindings(prompt, FINDING_CATEGORIES);
+        }
 
-      // Use the calculated values in the API call
-      try {
-        await this.claudeService.streamWithThinking(
-          prompt,
-          {
-            model: "claude-3-7-sonnet-20250219",
-            system: systemPrompt,
-            max_tokens: tokenBudgets.maxTokens,
-            thinking: {
-              type: "enabled",
-              budget_tokens: tokenBudgets.thinkingBudget
+        // Count tokens in the prompt
+        this.emitOutput(`Counting tokens in prompt...\n`);
+        promptTokens = await this.countTokens(prompt);
+
+        // Call the shared token budget calculator
+        const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
+
+        // Handle logging based on the returned values
+        this.emitOutput(`\nToken stats:\n`);
+        this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
+        this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()}) ...\n`);
+        this.emitOutput(`                     = manuscript + outline + world\n`);
+        this.emitOutput(`                       + prompt instructions\n`);
+        this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]  = ${tokenBudgets.contextWindow} - ${tokenBudgets.promptTokens} = context_window - prompt\n`);
+        this.emitOutput(`Desired output tokens: [${tokenBudgets.desiredOutputTokens}]\n`);
+        this.emitOutput(`AI model thinking budget: [${tokenBudgets.thinkingBudget}] tokens\n`);
+        this.emitOutput(`Max output tokens: [${tokenBudgets.maxTokens}] tokens\n`);
+
+        // Check for special conditions
+        if (tokenBudgets.capThinkingBudget) {
+          this.emitOutput(`Warning: thinking budget is larger than 32K, set to 32K.\n`);
+        }
+
+        // Check if the prompt is too large
+        if (tokenBudgets.isPromptTooLarge) {
+          this.emitOutput(`Error: prompt is too large to have a ${tokenBudgets.configuredThinkingBudget} thinking budget!\n`);
+          this.emitOutput(`Turn on the chunked option to analyze a manuscript this long in parts.\n`);
+          this.emitOutput(`Run aborted!\n`);
+          throw new Error(`Prompt is too large for ${tokenBudgets.configuredThinkingBudget} thinking budget - run aborted`);
+        }
+      
+        // Call Claude API with streaming
+        this.emitOutput(`Sending request to Claude API (streaming)...\n`);
+      
+        // Add a message about waiting
+        this.emitOutput(`****************************************************************************\n`);
+        this.emitOutput(`*  Analyzing characters across your manuscript and reference documents...  \n`);
+        this.emitOutput(`*  This process typically takes several minutes.                           \n`);
+        this.emitOutput(`*                                                                          \n`);
+        this.emitOutput(`*  It's recommended to keep this window the sole 'focus'                   \n`);
+        this.emitOutput(`*  and to avoid browsing online or running other apps, as these API        \n`);
+        this.emitOutput(`*  network connections are often flakey, like delicate echoes of whispers. \n`);
+        this.emitOutput(`*                                                                          \n`);
+        this.emitOutput(`*  So breathe, remove eye glasses, stretch, relax, and be like water 🥋 🧘🏽‍♀️\n`);
+        this.emitOutput(`****************************************************************************\n\n`);
+      
+        // Use the calculated values in the API call
+        try {
+          await this.streamWithThinking(
+            prompt,
+            {
+              system: systemPrompt,
+              max_tokens: tokenBudgets.maxTokens,
+              thinking: {
+                type: "enabled",
+                budget_tokens: tokenBudgets.thinkingBudget
+              }
+            },
+            // Callback for thinking content
+            (thinkingDelta) => {
+              thinkingContent += thinkingDelta;
             },
-            betas: ["output-128k-2025-02-19"]
-          },
-          // Callback for thinking content
-          (thinkingDelta) => {
-            thinkingContent += thinkingDelta;
-          },
-          // Callback for response text
-          (textDelta) => {
-            fullResponse += textDelta;
-          }
-        );
-      } catch (error) {
-        this.emitOutput(`\nAPI Error: ${error.message}\n`);
-        throw error;
+            // Callback for response text
+            (textDelta) => {
+              fullResponse += textDelta;
+            }
+          );
+        } catch (error) {
+          this.emitOutput(`\nAPI Error: ${error.message}\n`);
+          throw error;
+        }
       }
 
       const elapsed = (Date.now() - startTime) / 1000;
@@ -191,11 +227,21 @@ class CharacterAnalyzer extends BaseTool {
       this.emitOutput(`Report has approximately ${wordCount} words.\n`);
       
       // Count tokens in response
-      const responseTokens = await this.claudeService.countTokens(fullResponse);
-      this.emitOutput(`Response token count: ${responseTokens}\n`);
+      const responseTokens = await this.responseTokenCount(fullResponse);
+      this.emitOutput(`Response token count: ${responseTokens} (${this.tokenCountLabel()})\n`);
+
+      // Take the structured findings off before cleaning up the report
+      let findings = null;
+      if (structuredFindings) {
+        ({ text: fullResponse, findings } = this.takeFindings(fullResponse));
+      }
 
       // Remove any markdown formatting
       fullResponse = this.removeMarkdown(fullResponse);
+      if (split) {
+        fullResponse = `${split}\n\n${fullResponse}`;
+      }
+      fullResponse = this.scopeReport(fullResponse, scope);
 
       // Save the report
       const outputFile = await this.saveReport(
@@ -210,6 +256,9 @@ class CharacterAnalyzer extends BaseTool {
       
       // Add all output files to the result
       outputFiles.push(...outputFile);
+      if (findings) {
+        outputFiles.push(await this.saveFindings(findings, outputFile[0], manuscriptFile));
+      }
       
       // Add files to the cache
       const toolName = 'character_analyzer';
@@ -246,15 +295,16 @@ class CharacterAnalyzer extends BaseTool {
     const hasOutline = Boolean(outlineContent.trim());
     const hasWorld = Boolean(worldContent.trim());
     
-    // Construct file sections
+    // Construct file sections, manuscript first so its prompt cache entry
+    // is shared with the other editing tools
     let fileSections = `=== MANUSCRIPT ===\n${manuscriptContent}\n=== END MANUSCRIPT ===\n`;
     
     if (hasOutline) {
-      fileSections = `=== OUTLINE ===\n${outlineContent}\n=== END OUTLINE ===\n\n` + fileSections;
+      fileSections += `\n=== OUTLINE ===\n${outlineContent}\n=== END OUTLINE ===\n`;
     }
     
     if (hasWorld) {
-      fileSections = `=== WORLD ===\n${worldContent}\n=== END WORLD ===\n\n` + fileSections;
+      fileSections += `\n=== WORLD ===\n${worldContent}\n=== END WORLD ===\n`;
     }
     
     // Build instruction section
@@ -376,7 +426,7 @@ Output tokens: ${responseTokens}
 ${thinking}
 
 === END AI'S THINKING PROCESS ===
-${stats}`;
+${this.effectivePromptSection()}${stats}`;
         
         await this.writeOutputFile(thinkingContent, saveDir, thinkingFilename);
         this.emitOutput(`AI thinking saved to: ${thinkingPath}\n`);
@@ -0,0 +1,130 @@
+// checkpoints.js
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Checkpoints
+ * Saves the text and thinking of streaming requests to the project's
+ * .wt/checkpoints folder as they arrive, so a run that dies on a network
+ * failure can continue where it stopped instead of starting over.
+ * Files are named <toolId>-<key>.json, where the key is a hash of the
+ * prompt and system prompt, plus <toolId>-progress.json for tools that
+ * track which steps of a multi-step run are done.
+ */
+class Checkpoints {
+  constructor() {
+    this.DIR_NAME = path.join('.wt', 'checkpoints');
+  }
+
+  /**
+   * Get the checkpoint folder of a project
+   * @param {string} projectPath - Project directory
+   * @returns {string} - Path to .wt/checkpoints
+   */
+  getCheckpointDir(projectPath) {
+    return path.join(projectPath, this.DIR_NAME);
+  }
+
+  /**
+   * Hash a request into a checkpoint key
+   * @param {string} prompt - Prompt
+   * @param {string} [system] - System prompt
+   * @returns {string} - Hex key
+   */
+  keyFor(prompt, system) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ system: system || null, prompt }))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  /**
+   * Get the path of a checkpoint file
+   * @param {string} projectPath - Project directory
+   * @param {string} toolId - Tool ID
+   * @param {string} key - Checkpoint key, or 'progress'
+   * @returns {string} - Path to the checkpoint file
+   */
+  getCheckpointPath(projectPath, toolId, key) {
+    return path.join(this.getCheckpointDir(projectPath), `${toolId}-${key}.json`);
+  }
+
+  /**
+   * Read a checkpoint
+   * @param {string} filePath - Checkpoint file
+   * @returns {Promise<Object|null>} - Checkpoint data, or null if there is none
+   */
+  async load(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      console.error(`Error reading checkpoint ${filePath}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Write a checkpoint, replacing it atomically
+   * @param {string} filePath - Checkpoint file
+   * @param {Object} data - Checkpoint data
+   */
+  async save(filePath, data) {
+    const tempPath = `${filePath}.partial`;
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify({ ...data, updatedAt: new Date().toISOString() }), 'utf-8');
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      console.error(`Error writing checkpoint ${filePath}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a tool has any checkpoints in a project
+   * @param {string} projectPath - Project directory
+   * @param {string} toolId - Tool ID
+   * @returns {Promise<boolean>}
+   */
+  async hasCheckpoints(projectPath, toolId) {
+    return (await this._toolFiles(projectPath, toolId)).length > 0;
+  }
+
+  /**
+   * Delete all of a tool's checkpoints in a project
+   * @param {string} projectPath - Project directory
+   * @param {string} toolId - Tool ID
+   */
+  async clearTool(projectPath, toolId) {
+    for (const file of await this._toolFiles(projectPath, toolId)) {
+      await fs.rm(file, { force: true });
+    }
+  }
+
+  /**
+   * List a tool's checkpoint files
+   * @param {string} projectPath - Project directory
+   * @param {string} toolId - Tool ID
+   * @returns {Promise<string[]>} - Checkpoint file paths
+   */
+  async _toolFiles(projectPath, toolId) {
+    const dir = this.getCheckpointDir(projectPath);
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return names
+      .filter(name => name.startsWith(`${toolId}-`) && name.endsWith('.json'))
+      .map(name => path.join(dir, name));
+  }
+}
+
+// Create a singleton instance
+const checkpoints = new Checkpoints();
+
+module.exports = checkpoints;
@@ -0,0 +1,226 @@
+// chunked-analysis.js
+//
+// Map-reduce analysis for manuscripts too long for one request. With the
+// chunked option on, the manuscript is split at chapter headings (see
+// manuscript.js) into windows small enough to leave the full configured
+// thinking budget, each window sharing its first chapters with the end of
+// the one before so nothing that straddles a split is lost. Each window is
+// analyzed on its own (map), then one more request merges the partial
+// reports into a single report, reporting issues from the overlap once
+// (reduce). The merged report opens with how the manuscript was split.
+// Each part report may run to the full output allowance, so when they could
+// not all fit in one merge request they are merged in stages, a few at a
+// time; this is settled before the first part is sent.
+//
+// The merge needs the partial reports first, so a chunked run is several
+// dependent requests and cannot go in a Message Batch.
+const { Manuscript, describeChapter } = require('./manuscript');
+
+// Room left in each window for token estimates that come in low
+const ESTIMATE_MARGIN = 0.9;
+
+// Added to the options of chunkable analyzers in TOOL_DEFS
+const CHUNKED_OPTIONS = [
+  {
+    "name": "chunked",
+    "label": "chunked",
+    "type": "boolean",
+    "description": "For manuscripts too long for one request: analyze overlapping windows of chapters, each with the full thinking budget, then merge the reports into one. Makes one request per window plus one to merge, so it cannot run in a batch.",
+    "required": false,
+    "default": false,
+    "group": "Analysis Options"
+  },
+  {
+    "name": "chunk_overlap",
+    "label": "chunk_overlap",
+    "type": "number",
+    "description": "Chapters each window shares with the window before it, when the analysis is chunked",
+    "required": false,
+    "default": 1,
+    "min": 0,
+    "max": 5,
+    "step": 1,
+    "group": "Analysis Options"
+  }
+];
+
+/**
+ * Split a manuscript into overlapping windows of whole chapters
+ * @param {string} text - Manuscript text
+ * @param {Object} params
+ * @param {number} params.chunkTokens - Most manuscript tokens a window may hold
+ * @param {number} params.overlap - Chapters each window shares with the one before
+ * @param {Function} params.estimate - (text) => token count
+ * @returns {Object} - { chapterCount, wordCount, overlap, chunkTokens, chunks: [{ index, first, last, label, chapterCount, wordCount, tokens, sharedChapters, content }] }
+ * @throws {Error} - If the manuscript has no chapters to split at, or one chapter will not fit in a window
+ */
+function planChunks(text, { chunkTokens, overlap, estimate }) {
+  const manuscript = Manuscript.parse(text);
+  const chapters = manuscript.chapters;
+  if (manuscript.style === 'none') {
+    throw new Error('Chunked analysis splits the manuscript at its chapter headings, and none were found');
+  }
+
+  const tokens = chapters.map(chapter => estimate(manuscript.textOf(chapter)));
+  tokens.forEach((count, index) => {
+    if (count > chunkTokens) {
+      throw new Error(`${describeChapter(chapters[index])} alone is about ${count} tokens, more than the ${chunkTokens} a chunk can hold`);
+    }
+  });
+
+  const windows = [];
+  let start = 0;
+  while (true) {
+    let end = start;
+    let total = tokens[start];
+    while (end + 1 < chapters.length && total + tokens[end + 1] <= chunkTokens) {
+      end++;
+      total += tokens[end];
+    }
+    const previous = windows[windows.length - 1];
+    windows.push({ from: start, to: end, tokens: total, shared: previous ? previous.to - start + 1 : 0 });
+    if (end === chapters.length - 1) break;
+
+    // Carry the overlap only while the next window still has room for a new chapter
+    let next = Math.max(end + 1 - overlap, start + 1);
+    const carried = tokens.slice(next, end + 1).reduce((sum, count) => sum + count, 0);
+    if (carried + tokens[end + 1] > chunkTokens) {
+      next = end + 1;
+    }
+    start = next;
+  }
+
+  return {
+    chapterCount: chapters.length,
+    wordCount: manuscript.wordCount,
+    overlap,
+    chunkTokens,
+    chunks: windows.map((window, index) => {
+      const included = chapters.slice(window.from, window.to + 1);
+      const first = describeChapter(included[0]);
+      const last = describeChapter(included[included.length - 1]);
+      return {
+        index,
+        first,
+        last,
+        label: included.length === 1 ? first : `${first} to ${last}`,
+        chapterCount: included.length,
+        wordCount: included.reduce((sum, chapter) => sum + chapter.wordCount, 0),
+        tokens: window.tokens,
+        sharedChapters: window.shared,
+        content: included.map(chapter => manuscript.textOf(chapter)).join('\n\n\n')
+      };
+    })
+  };
+}
+
+/**
+ * Describe how the manuscript was split, for the top of the report
+ * @param {Object} plan - From planChunks
+ * @returns {string} - Report lines
+ */
+function describeSplit(plan) {
+  const parts = plan.chunks.length;
+  let how = '.';
+  if (parts > 1) {
+    const sharing = plan.overlap > 0
+      ? `each sharing up to ${plan.overlap} chapter${plan.overlap === 1 ? '' : 's'} with the part before`
+      : 'without overlap';
+    how = `, ${sharing}, and the part reports were merged into this one.`;
+  }
+  const lines = [
+    `Chunked analysis: the manuscript (${plan.chapterCount} chapters, ${plan.wordCount} words) was analyzed in ` +
+    `${parts} part${parts === 1 ? '' : 's'} of up to about ${plan.chunkTokens} tokens${how}`
+  ];
+  plan.chunks.forEach(chunk => {
+    const shared = chunk.sharedChapters > 0 ? `, ${chunk.sharedChapters} shared with part ${chunk.index}` : '';
+    const chapters = `${chunk.chapterCount} chapter${chunk.chapterCount === 1 ? '' : 's'}`;
+    lines.push(`  Part ${chunk.index + 1}: ${chunk.label} (${chapters}, ${chunk.wordCount} words${shared})`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Build the context section that goes ahead of one part's prompt
+ * @param {Object} plan - From planChunks
+ * @param {Object} chunk - Part of the plan
+ * @returns {string} - Context section
+ */
+function buildChunkContext(plan, chunk) {
+  const shared = chunk.sharedChapters > 0
+    ? ` Its first ${chunk.sharedChapters === 1 ? 'chapter was' : `${chunk.sharedChapters} chapters were`} also in part ${chunk.index}, to keep continuity across the split.`
+    : '';
+  return `=== CONTEXT ===\n` +
+    `The manuscript below is part ${chunk.index + 1} of ${plan.chunks.length} of a book too long to review in one request: ` +
+    `it holds ${chunk.label}.${shared} ` +
+    `Each part is reviewed on its own and the reports are merged afterwards, so review only the chapters given here ` +
+    `and name the chapter of every issue you report. Things that seem unresolved may be resolved in a later part; say so rather than calling them errors.\n` +
+    `=== END CONTEXT ===`;
+}
+
+/**
+ * Group reports into merges of at most perMerge, stage by stage
+ * @param {number} count - Reports to merge
+ * @param {number} perMerge - Most reports one merge request can hold
+ * @returns {number[][]} - Group sizes of each stage; the last stage is a single merge
+ * @throws {Error} - If fewer than two reports fit in a merge
+ */
+function planMerges(count, perMerge) {
+  if (perMerge < 2) {
+    throw new Error('Two part reports will not fit in one merge request; raise the context window or lower the desired output tokens');
+  }
+  const stages = [];
+  let remaining = count;
+  while (remaining > 1) {
+    const groups = Math.ceil(remaining / perMerge);
+    // Spread the reports evenly over the groups
+    const sizes = Array.from({ length: groups }, (_, index) =>
+      Math.floor(remaining / groups) + (index < remaining % groups ? 1 : 0));
+    stages.push(sizes);
+    remaining = groups;
+  }
+  return stages;
+}
+
+/**
+ * Build the prompt that merges part reports
+ * @param {Object} plan - From planChunks
+ * @param {Object[]} parts - [{ first, last, label, text }] in order; first and last name their chapters
+ * @param {string} title - Name of the analysis, e.g. "Plot Thread Tracker"
+ * @param {boolean} [whole] - Whether the parts cover the whole manuscript
+ * @returns {string} - Merge prompt
+ */
+function buildReducePrompt(plan, parts, title, whole = true) {
+  const sections = parts.map((part, index) =>
+    `=== PART ${index + 1} REPORT: ${part.label} ===\n${part.text.trim()}\n=== END PART ${index + 1} REPORT ===`
+  ).join('\n\n');
+  const overlap = plan.overlap === 0 ? ''
+    : ` Consecutive parts share up to ${plan.overlap === 1 ? '1 chapter' : `${plan.overlap} chapters`}, so some issues appear in two reports.`;
+  const coverage = whole || parts.length === 0 ? 'the whole manuscript'
+    : `${parts[0].first} to ${parts[parts.length - 1].last}`;
+  const rest = whole ? ''
+    : ` Other reports cover the rest of the book and will be merged with yours later, so leave things that may continue outside ${coverage} open rather than calling them unresolved.`;
+
+  return `${sections}
+
+The ${parts.length} reports above are a ${title} analysis of one manuscript, done in parts because the manuscript is too long to review at once.${overlap}
+
+Merge them into a single ${title} report for ${coverage}:${rest}
+- Keep the sections and structure the part reports use.
+- Report each issue once. When parts describe the same issue, keep one entry with the fullest detail and every chapter reference.
+- Treat anything that runs across parts as one thing: a thread, character arc or setup in one part and its payoff in a later one. Drop "unresolved" or "missing" verdicts that a later part contradicts.
+- Where the reports disagree, say so rather than choosing silently.
+- Add nothing the reports do not support; you have the reports, not the manuscript.
+
+Write plain text only, without Markdown.`;
+}
+
+module.exports = {
+  CHUNKED_OPTIONS,
+  ESTIMATE_MARGIN,
+  planChunks,
+  describeSplit,
+  buildChunkContext,
+  planMerges,
+  buildReducePrompt
+};
@@ -0,0 +1,572 @@
+#!/usr/bin/env node
+// cli.js
+// Runs the toolkit's tools from a terminal or a cron job, without Electron.
+//
+//   writers-toolkit list
+//   writers-toolkit run <tool_id> --help
+//   writers-toolkit run narrative_integrity --manuscript_file manuscript.txt --project A_Darker_Roast
+//   writers-toolkit run tokens_words_counter --project ~/writing/A_Darker_Roast --json
+//   writers-toolkit pipeline run novel_draft --param title="A Darker Roast" --project A_Darker_Roast
+//   writers-toolkit pipeline resume <pipeline_run_id> --project A_Darker_Roast
+//
+// API settings come from the app's saved settings when they can be found,
+// or from --settings <file.json> (the same keys as the API Settings dialog).
+// ANTHROPIC_API_KEY, WT_PROVIDER and the other environment variables work
+// as they do for the app. Exit codes: 0 success, 1 the run failed,
+// 2 bad arguments or options, 130 cancelled with Ctrl-C.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const util = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { ArgumentParser, BooleanOptionalAction, SUPPRESS } = require('argparse');
+
+// The tool modules log as they load, so this comes before requiring them
+redirectLogging(process.argv.includes('--verbose'));
+
+const { version } = require('./package.json');
+const appState = require('./state.js');
+const toolSystem = require('./tool-system');
+const runHistory = require('./run-history');
+const fileCache = require('./file-cache');
+const pipelineRunner = require('./pipeline-runner');
+const { loadPipelines } = require('./pipelines');
+
+// Same defaults as the API Settings dialog
+const DEFAULT_API_SETTINGS = {
+  provider: 'anthropic',
+  max_retries: 1,
+  request_timeout: 300,
+  context_window: 200000,
+  thinking_budget_tokens: 32000,
+  betas_max_tokens: 128000,
+  desired_output_tokens: 12000,
+  model_name: 'claude-3-7-sonnet-20250219',
+  betas: 'output-128k-2025-02-19',
+  max_thinking_budget: 32000
+};
+
+// Where electron-store keeps the app's settings (see state.js), by app name
+const SETTINGS_FILE_NAME = 'writers-toolkit-config.json';
+const APP_NAMES = ['writers-toolkit', "Writer's Toolkit"];
+
+// Flags every run accepts, so tool options may not use these names
+const COMMON_FLAGS = ['project', 'settings', 'json', 'verbose', 'help'];
+
+/**
+ * Find the settings file the app saved, without loading Electron
+ * @returns {string|null} - Path to the settings file, or null if there is none
+ */
+function findSavedSettingsFile() {
+  const home = os.homedir();
+  const appDataDirs = process.platform === 'darwin'
+    ? [path.join(home, 'Library', 'Application Support')]
+    : process.platform === 'win32'
+      ? [process.env.APPDATA || path.join(home, 'AppData', 'Roaming')]
+      : [process.env.XDG_CONFIG_HOME || path.join(home, '.config')];
+
+  for (const appDataDir of appDataDirs) {
+    for (const appName of APP_NAMES) {
+      const candidate = path.join(appDataDir, appName, SETTINGS_FILE_NAME);
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Load API settings and the last project the app had open
+ * @param {string} [settingsFile] - JSON file given with --settings
+ * @returns {Object} - { apiSettings, projectPath, source }
+ */
+function loadSettings(settingsFile) {
+  const file = settingsFile || process.env.WT_SETTINGS_FILE || findSavedSettingsFile();
+  if (!file) {
+    return { apiSettings: { ...DEFAULT_API_SETTINGS }, projectPath: null, source: null };
+  }
+
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read settings from ${file}: ${error.message}`);
+  }
+
+  // The app's own file nests the API settings; a --settings file may not
+  const apiSettings = saved.claude_api_configuration || saved;
+  const projectPath = saved.settings ? saved.settings.current_project_path || null : null;
+  return { apiSettings: { ...DEFAULT_API_SETTINGS, ...apiSettings }, projectPath, source: file };
+}
+
+/**
+ * Work out the project folder to run in
+ * @param {string} [project] - --project value: a project name under ~/writing, or a path
+ * @param {string} [savedProjectPath] - The project the app last had open
+ * @returns {string} - Absolute project folder
+ */
+function resolveProject(project, savedProjectPath) {
+  let projectPath;
+  if (project) {
+    const expanded = project.replace(/^~(?=$|[\/\\])/, os.homedir());
+    projectPath = path.isAbsolute(expanded) || /[\/\\]/.test(expanded) || expanded.startsWith('.')
+      ? path.resolve(expanded)
+      : path.join(appState.PROJECTS_DIR, expanded);
+  } else if (savedProjectPath) {
+    projectPath = savedProjectPath;
+  } else {
+    throw new Error('No project selected: pass --project with a project name or folder.');
+  }
+
+  if (!fs.existsSync(projectPath) || !fs.statSync(projectPath).isDirectory()) {
+    throw new Error(`Project folder not found: ${projectPath}`);
+  }
+  return projectPath;
+}
+
+/**
+ * Add a tool's options to its argument parser, grouped as in the setup dialog
+ * @param {ArgumentParser} parser - The tool's parser
+ * @param {Object[]} options - The tool's option schema
+ */
+function addToolArguments(parser, options) {
+  const groups = {};
+  for (const option of options || []) {
+    if (COMMON_FLAGS.includes(option.name)) continue;
+
+    const groupName = option.group || 'Options';
+    if (!groups[groupName]) {
+      groups[groupName] = parser.add_argument_group({ title: groupName });
+    }
+
+    // argparse formats help with %, so escape any in the description
+    let help = String(option.description || option.label || option.name).replace(/%/g, '%%');
+    const hasDefault = option.default !== undefined && option.default !== null && option.default !== '';
+    if (hasDefault && !/default/i.test(help)) {
+      // File defaults are looked for in the project (see getDefaultToolOptions)
+      const shown = option.type === 'file' || option.type === 'directory'
+        ? `${path.basename(String(option.default))} in the project`
+        : String(option.default);
+      help += ` (default: ${shown.replace(/%/g, '%%')})`;
+    }
+    if (option.required) {
+      help += ' [required]';
+    }
+
+    // Options left off the command line keep the tool's defaults
+    const argument = { dest: option.name, help };
+    if (option.type === 'boolean') {
+      argument.action = BooleanOptionalAction;
+    } else {
+      argument.default = SUPPRESS;
+      argument.metavar = option.type === 'file' ? 'FILE'
+        : option.type === 'directory' ? 'DIR'
+        : option.type === 'number' ? 'N'
+        : 'TEXT';
+      if (option.type === 'select' && Array.isArray(option.choices)) {
+        argument.choices = option.choices.map(choice =>
+          String(choice !== null && typeof choice === 'object' ? choice.value : choice));
+        delete argument.metavar;
+      }
+    }
+    groups[groupName].add_argument(`--${option.name}`, argument);
+  }
+}
+
+/**
+ * Build the command line parser from the tools' option schemas
+ * @param {Object[]} schemas - Result of toolSystem.listToolSchemas()
+ * @returns {ArgumentParser}
+ */
+function buildParser(schemas) {
+  const parser = new ArgumentParser({
+    prog: 'writers-toolkit',
+    description: "Run Writer's Toolkit tools from the command line."
+  });
+  parser.add_argument('--version', { action: 'version', version });
+  const commands = parser.add_subparsers({ dest: 'command', required: true, metavar: 'command' });
+
+  commands.add_parser('list', {
+    help: 'list the tools that can be run',
+    description: 'List the tools that can be run.'
+  });
+
+  // Flags shared by every tool
+  const common = new ArgumentParser({ add_help: false });
+  const runGroup = common.add_argument_group({ title: 'Run' });
+  runGroup.add_argument('--project', {
+    help: 'project name under ~/writing, or a project folder (default: the project the app last had open)'
+  });
+  runGroup.add_argument('--settings', {
+    metavar: 'FILE',
+    help: "JSON file of API settings (default: the app's saved settings)"
+  });
+  runGroup.add_argument('--json', {
+    action: 'store_true',
+    help: 'print the result as JSON on stdout; tool output goes to stderr'
+  });
+  runGroup.add_argument('--verbose', {
+    action: 'store_true',
+    help: 'also print diagnostic logging to stderr'
+  });
+
+  const run = commands.add_parser('run', {
+    help: 'run a tool (writers-toolkit run <tool_id> --help lists its options)',
+    description: 'Run a tool. Use "writers-toolkit run <tool_id> --help" for its options.'
+  });
+  const tools = run.add_subparsers({ dest: 'tool_id', required: true, metavar: 'tool_id' });
+  for (const schema of schemas) {
+    const toolParser = tools.add_parser(schema.id, {
+      help: schema.title,
+      description: schema.description,
+      parents: [common]
+    });
+    addToolArguments(toolParser, schema.options);
+  }
+
+  const pipeline = commands.add_parser('pipeline', {
+    help: 'run tools one after another (writers-toolkit pipeline list)',
+    description: 'Run a pipeline of tools, each step using the files the earlier ones wrote.'
+  });
+  const pipelineCommands = pipeline.add_subparsers({ dest: 'pipeline_command', required: true, metavar: 'pipeline_command' });
+  pipelineCommands.add_parser('list', {
+    help: 'list the pipelines that can be run',
+    description: 'List the built-in pipelines and those in ~/writing/.pipelines.'
+  });
+  const pipelineRun = pipelineCommands.add_parser('run', {
+    help: 'start a pipeline',
+    description: 'Start a pipeline. It stops when a step asks for review; continue it with "pipeline resume".',
+    parents: [common]
+  });
+  pipelineRun.add_argument('pipeline_id', { help: 'pipeline ID, from "pipeline list"' });
+  pipelineRun.add_argument('--param', {
+    action: 'append',
+    metavar: 'NAME=VALUE',
+    help: 'a pipeline param; repeat for each one'
+  });
+  const pipelineResume = pipelineCommands.add_parser('resume', {
+    help: 'continue a paused or failed pipeline',
+    description: 'Continue a pipeline paused for review, or run its failed step again from its checkpoint.',
+    parents: [common]
+  });
+  pipelineResume.add_argument('run_id', { help: 'pipeline run ID, from "pipeline status"' });
+  pipelineCommands.add_parser('status', {
+    help: "list the project's pipeline runs",
+    description: "List the project's pipeline runs, newest first.",
+    parents: [common]
+  });
+
+  return parser;
+}
+
+/**
+ * Route the tools' diagnostic logging to stderr, or drop it
+ * Tool output goes to stdout through emitOutput; console logging would
+ * otherwise be mixed into it.
+ * @param {boolean} verbose - Keep the logging, on stderr
+ */
+function redirectLogging(verbose) {
+  const toStderr = (...args) => {
+    if (verbose) {
+      process.stderr.write(args.map(arg => typeof arg === 'string' ? arg : util.inspect(arg)).join(' ') + '\n');
+    }
+  };
+  console.log = toStderr;
+  console.info = toStderr;
+  console.warn = toStderr;
+  console.error = toStderr;
+}
+
+/**
+ * Print the tools that can be run
+ * @param {Object[]} schemas - Result of toolSystem.listToolSchemas()
+ */
+function printToolList(schemas) {
+  const width = Math.max(...schemas.map(schema => schema.id.length));
+  for (const schema of schemas) {
+    const source = schema.source === 'built-in' ? '' : ` [${schema.source}]`;
+    process.stdout.write(`${schema.id.padEnd(width)}  ${schema.title}${source}\n`);
+  }
+}
+
+/**
+ * Open the project and start the tool system for a run
+ * @param {Object} args - Parsed arguments with project and settings
+ * @returns {Promise<string>} - Project folder
+ * @throws {Error} - If the settings or project cannot be found
+ */
+async function openProject(args) {
+  const settings = loadSettings(args.settings);
+  const projectPath = resolveProject(args.project, settings.projectPath);
+  appState.CURRENT_PROJECT = path.basename(projectPath);
+  appState.CURRENT_PROJECT_PATH = projectPath;
+  appState.DEFAULT_SAVE_DIR = projectPath;
+
+  const init = await toolSystem.initializeToolSystem(settings.apiSettings);
+  for (const message of [...init.userToolErrors, ...init.pluginErrors]) {
+    process.stderr.write(`Warning: ${message}\n`);
+  }
+  return projectPath;
+}
+
+/**
+ * Run a tool and record it in the project's run history
+ * @param {string} toolId - Tool ID
+ * @param {Object} optionValues - Option values; executeToolById checks them
+ * @param {string} projectPath - Project folder
+ * @param {Object} how
+ * @param {Function} how.out - Writes tool output
+ * @param {AbortSignal} how.signal - Cancels the run
+ * @param {Object} [how.runOptions] - { resume: true } continues from the last checkpoint
+ * @returns {Promise<Object>} - { runId, status, error, errorShown: whether the tool output gave it,
+ *   validationErrors, result, outputFiles }
+ */
+async function executeRun(toolId, optionValues, projectPath, { out, signal, runOptions = {} }) {
+  const tool = toolSystem.toolRegistry.getTool(toolId);
+  tool.emitOutput = out;
+
+  const run = {
+    runId: uuidv4(),
+    toolName: toolId,
+    optionValues,
+    startedAt: new Date(),
+    status: 'success',
+    error: null,
+    errorShown: false,
+    validationErrors: null,
+    result: null,
+    outputFiles: []
+  };
+  try {
+    run.result = await toolSystem.executeToolById(toolId, optionValues, run.runId, signal, runOptions);
+    run.outputFiles = [...new Set([
+      ...(run.result.outputFiles || []),
+      ...fileCache.getFiles(toolId).map(file => file.path)
+    ])];
+  } catch (error) {
+    run.status = signal.aborted ? 'cancelled' : 'error';
+    run.error = run.status === 'cancelled' ? null : error.message;
+    run.errorShown = !!error.shownInOutput;
+    run.validationErrors = error.validationErrors || null;
+  }
+
+  try {
+    await runHistory.addRun(projectPath, runHistory.buildRecord(run, tool));
+  } catch (error) {
+    // Losing a history record must never turn a good run into a failed one
+    process.stderr.write(`Warning: run not recorded in run history: ${error.message}\n`);
+  }
+  return run;
+}
+
+/**
+ * Cancel with Ctrl-C while a run is in progress
+ * @returns {Object} - { signal, release }; call release() when the run ends
+ */
+function cancelOnSigint() {
+  const controller = new AbortController();
+  const onSigint = () => {
+    process.stderr.write('\nCancelling...\n');
+    controller.abort();
+  };
+  process.once('SIGINT', onSigint);
+  return {
+    signal: controller.signal,
+    release: () => process.removeListener('SIGINT', onSigint)
+  };
+}
+
+/**
+ * Run one tool and report the outcome
+ * @param {Object} args - Parsed arguments
+ * @param {Object} schema - The tool's schema
+ * @returns {Promise<number>} - Exit code
+ */
+async function runTool(args, schema) {
+  const out = (text) => (args.json ? process.stderr : process.stdout).write(text);
+  const report = (outcome) => {
+    if (args.json) {
+      process.stdout.write(JSON.stringify(outcome, null, 2) + '\n');
+    }
+  };
+
+  let projectPath;
+  try {
+    projectPath = await openProject(args);
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message}\n`);
+    report({ success: false, toolId: schema.id, error: error.message });
+    return 2;
+  }
+
+  // Start from the tool's defaults, as the setup dialog does
+  const optionValues = toolSystem.getDefaultToolOptions(schema.id);
+  for (const option of schema.options || []) {
+    if (args[option.name] !== undefined) {
+      optionValues[option.name] = args[option.name];
+    }
+  }
+
+  const validation = toolSystem.validateToolOptions(schema.id, optionValues, { projectPath });
+  if (!validation.valid) {
+    process.stderr.write(`Invalid options for ${schema.id}:\n`);
+    for (const [name, message] of Object.entries(validation.errors)) {
+      process.stderr.write(`  --${name}: ${message}\n`);
+    }
+    report({ success: false, toolId: schema.id, error: 'Invalid options', fieldErrors: validation.errors });
+    return 2;
+  }
+
+  // Ctrl-C cancels the run; the partial output stays checkpointed
+  const sigint = cancelOnSigint();
+  const run = await executeRun(schema.id, validation.values, projectPath, { out, signal: sigint.signal });
+  sigint.release();
+
+  if (run.status === 'success') {
+    if (!args.json && run.outputFiles.length > 0) {
+      out(`\nOutput files:\n${run.outputFiles.map(file => `  ${file}\n`).join('')}`);
+    }
+    report({ success: true, toolId: schema.id, runId: run.runId, ...run.result, outputFiles: run.outputFiles });
+    return 0;
+  }
+
+  if (run.status === 'cancelled') {
+    process.stderr.write('Run cancelled.\n');
+  } else if (!run.errorShown) {
+    process.stderr.write(`Error: ${run.error}\n`);
+  }
+  report({ success: false, toolId: schema.id, runId: run.runId, status: run.status, error: run.error || 'Run cancelled' });
+  return run.status === 'cancelled' ? 130 : 1;
+}
+
+/**
+ * List, start, continue or show pipelines (see pipelines.js)
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<number>} - Exit code: 0 completed or paused for review,
+ *                              1 a step failed, 2 bad arguments, 130 cancelled
+ */
+async function runPipelineCommand(args) {
+  const out = (text) => (args.json ? process.stderr : process.stdout).write(text);
+  const report = (outcome) => {
+    if (args.json) {
+      process.stdout.write(JSON.stringify(outcome, null, 2) + '\n');
+    }
+  };
+
+  if (args.pipeline_command === 'list') {
+    const { pipelines, errors } = loadPipelines();
+    for (const error of errors) {
+      process.stderr.write(`Warning: ${error}\n`);
+    }
+    for (const pipeline of pipelines) {
+      const params = pipeline.params.map(param => param.required ? param.name : `[${param.name}]`).join(' ');
+      process.stdout.write(`${pipeline.id}  ${pipeline.title}\n  steps: ${pipeline.steps.map(step => step.tool).join(' -> ')}\n` +
+        (params ? `  params: ${params}\n` : ''));
+    }
+    return 0;
+  }
+
+  let record;
+  try {
+    await openProject(args);
+    if (args.pipeline_command === 'status') {
+      const records = await pipelineRunner.listPipelineRuns();
+      if (args.json) {
+        report(records);
+      } else {
+        for (const item of records) {
+          const done = item.steps.filter(step => step.status === 'completed').length;
+          process.stdout.write(`${item.id}  ${item.pipelineId}  ${item.status}  ${done}/${item.steps.length} steps` +
+            (item.error ? `  ${item.error}` : '') + '\n');
+        }
+      }
+      return 0;
+    }
+
+    if (args.pipeline_command === 'run') {
+      const params = {};
+      for (const pair of args.param || []) {
+        const index = pair.indexOf('=');
+        if (index === -1) {
+          throw new Error(`Params are given as --param name=value, not "${pair}"`);
+        }
+        params[pair.slice(0, index)] = pair.slice(index + 1);
+      }
+      record = await pipelineRunner.createPipelineRun(args.pipeline_id, params);
+    } else {
+      record = { id: args.run_id };
+    }
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message}\n`);
+    report({ success: false, error: error.message, fieldErrors: error.validationErrors || null });
+    return 2;
+  }
+
+  // Ctrl-C cancels the step in progress; the pipeline can be resumed from it
+  const sigint = cancelOnSigint();
+  try {
+    record = await pipelineRunner.runPipeline(record.id, {
+      signal: sigint.signal,
+      onProgress: (progress, message) => out(`\n== ${message}\n`),
+      runStep: async (step, options, runOptions) => {
+        const run = await executeRun(step.tool, options, appState.CURRENT_PROJECT_PATH, {
+          out,
+          signal: sigint.signal,
+          runOptions
+        });
+        if (run.status !== 'success') {
+          throw Object.assign(new Error(run.error || 'Run cancelled'), { validationErrors: run.validationErrors });
+        }
+        return { runId: run.runId, outputFiles: run.outputFiles, stats: (run.result && run.result.stats) || {} };
+      }
+    });
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message}\n`);
+    report({ success: false, error: error.message });
+    return 2;
+  } finally {
+    sigint.release();
+  }
+
+  if (!args.json) {
+    for (const step of record.steps.filter(item => item.outputFiles && item.outputFiles.length > 0)) {
+      out(`\n${step.id}:\n${step.outputFiles.map(file => `  ${file}\n`).join('')}`);
+    }
+    if (record.status !== 'completed') {
+      out(`\nContinue with: writers-toolkit pipeline resume ${record.id} --project "${appState.CURRENT_PROJECT_PATH}"\n`);
+    }
+  }
+  report({ success: record.status !== 'failed', ...record });
+  if (record.status === 'failed') {
+    return sigint.signal.aborted ? 130 : 1;
+  }
+  return 0;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const schemas = toolSystem.listToolSchemas();
+  const args = buildParser(schemas).parse_args(argv);
+
+  if (args.command === 'list') {
+    printToolList(schemas);
+    return 0;
+  }
+  if (args.command === 'pipeline') {
+    return runPipelineCommand(args);
+  }
+  return runTool(args, schemas.find(schema => schema.id === args.tool_id));
+}
+
+if (require.main === module) {
+  main()
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(error => {
+      process.stderr.write(`Error: ${error.message}\n`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { main, loadSettings, resolveProject };
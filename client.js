@@ -1,32 +1,28 @@
 // claude-api/client.js
 const anthropic = require('@anthropic-ai/sdk');
+const AIService = require('./ai-service');
+const tokenEstimator = require('./token-estimator');
+const { splitLeadingDocuments } = require('./prompt-documents');
+
+// The API allows at most four cache breakpoints per request
+const MAX_CACHE_BREAKPOINTS = 4;
 
 /**
  * Claude API Service
  * Handles interactions with the Claude AI API
  * Uses UI settings with no hardcoded values
  */
-class ClaudeAPIService {
+class ClaudeAPIService extends AIService {
   /**
    * Constructor
    * @param {Object} config - API configuration from UI settings
    */
   constructor(config = {}) {
+    // Store all config values
+    super(config);
+    
     // Validate required settings
     this.validateConfig(config);
-    
-    // Store all config values
-    this.config = {
-      max_retries: config.max_retries,
-      request_timeout: config.request_timeout,
-      context_window: config.context_window,
-      thinking_budget_tokens: config.thinking_budget_tokens,
-      betas_max_tokens: config.betas_max_tokens,
-      desired_output_tokens: config.desired_output_tokens,
-      model_name: config.model_name,
-      betas: config.betas,
-      max_thinking_budget: config.max_thinking_budget
-    };
 
     const apiKey = process.env.ANTHROPIC_API_KEY;
     if (!apiKey) {
@@ -36,12 +32,29 @@ class ClaudeAPIService {
       );
     }
 
+    // Anthropic requests are billed per token (see pricing.js)
+    this.billable = true;
+    // 'auto' asks the API and falls back to the local estimator; 'local' never asks
+    this.config.token_counting = config.token_counting || 'auto';
+
     // Create Claude API client
     this.client = new anthropic.Anthropic({
       apiKey: apiKey,
       timeout: this.config.request_timeout * 1000, // convert seconds to ms
       maxRetries: this.config.max_retries,
     });
+
+    // Batches may go to a local stand-in endpoint for testing
+    // (see utilities/batch-stand-in.js)
+    this.config.batch_base_url = config.batch_base_url || '';
+    this.batchClient = this.config.batch_base_url
+      ? new anthropic.Anthropic({
+          apiKey: apiKey,
+          baseURL: this.config.batch_base_url,
+          timeout: this.config.request_timeout * 1000,
+          maxRetries: this.config.max_retries,
+        })
+      : this.client;
     
     console.log('Claude API Service initialized with:');
     console.log('- Context window:', this.config.context_window);
@@ -52,14 +65,84 @@ class ClaudeAPIService {
   
   /**
    * Helper method to convert betas string to array for API calls
+   * @param {string|string[]} [betas] - Betas to convert (defaults to the configured betas)
    * @returns {string[]} Array of beta features
    */
-  _getBetasArray() {
-    return this.config.betas.split(',')
-      .map(beta => beta.trim())
+  _getBetasArray(betas = this.config.betas) {
+    const list = Array.isArray(betas) ? betas : String(betas || '').split(',');
+    return list
+      .map(beta => String(beta).trim())
       .filter(beta => beta.length > 0);
   }
 
+  /**
+   * Build the user message content for a prompt
+   * Each leading document block (manuscript, outline, world) becomes its own
+   * text block with a cache breakpoint, so repeated calls over the same
+   * documents read them from the prompt cache instead of paying full price.
+   * Prompts without leading documents are sent as plain text.
+   * @param {string} prompt - Prompt to send
+   * @returns {string|Object[]} - Message content
+   */
+  _buildUserContent(prompt) {
+    const { documents, rest } = splitLeadingDocuments(prompt, MAX_CACHE_BREAKPOINTS);
+    if (documents.length === 0) {
+      return prompt;
+    }
+
+    const content = documents.map(text => ({
+      type: "text",
+      text,
+      cache_control: { type: "ephemeral" }
+    }));
+    if (rest) {
+      content.push({ type: "text", text: rest });
+    }
+    return content;
+  }
+
+  /**
+   * Build the request parameters for a messages call
+   * Per-call options are validated by resolveRequestOptions; betas may
+   * also be overridden per call.
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - Per-call API options
+   * @returns {Object} - Validated request parameters
+   * @throws {Error} - If an override is out of range or inconsistent
+   */
+  _buildRequestOptions(prompt, options = {}) {
+    const resolved = this.resolveRequestOptions(options);
+
+    const modelOptions = {
+      model: resolved.model,
+      max_tokens: resolved.maxTokens,
+      messages: [{ role: "user", content: this._buildUserContent(prompt) }],
+      betas: this._getBetasArray(options.betas !== undefined ? options.betas : this.config.betas)
+    };
+
+    if (resolved.thinkingBudget !== null) {
+      modelOptions.thinking = {
+        type: "enabled",
+        budget_tokens: resolved.thinkingBudget
+      };
+    }
+    if (resolved.temperature !== undefined) {
+      modelOptions.temperature = resolved.temperature;
+    }
+    if (resolved.stopSequences) {
+      modelOptions.stop_sequences = resolved.stopSequences;
+    }
+    if (resolved.system) {
+      modelOptions.system = resolved.system;
+    }
+    if (resolved.prefill) {
+      // The model continues its reply from the prefilled text
+      modelOptions.messages.push({ role: "assistant", content: resolved.prefill });
+    }
+
+    return modelOptions;
+  }
+
   validateConfig(config) {
     // Check if config exists at all
     if (!config || Object.keys(config).length === 0) {
@@ -90,9 +173,25 @@ class ClaudeAPIService {
   /**
    * Count tokens in a text string
    * @param {string} text - Text to count tokens in
-   * @returns {Promise<number>} - Token count
+   * @returns {Promise<number>} - Token count (exact, or estimated when offline)
    */
   async countTokens(text) {
+    const { count } = await this.countTokensDetailed(text);
+    return count;
+  }
+
+  /**
+   * Count tokens, falling back to the local estimator
+   * With token_counting set to 'local' no request is made at all. Otherwise
+   * the API is asked first, and each exact count calibrates the estimator.
+   * @param {string} text - Text to count tokens in
+   * @returns {Promise<{count: number, exact: boolean}>}
+   */
+  async countTokensDetailed(text) {
+    if (this.config.token_counting === 'local') {
+      return { count: tokenEstimator.estimate(text), exact: false };
+    }
+
     try {
       const response = await this.client.beta.messages.countTokens({
         model: this.config.model_name,
@@ -104,82 +203,150 @@ class ClaudeAPIService {
         betas: this._getBetasArray()
       });
       
-      return response.input_tokens;
+      tokenEstimator.recordSample(text, response.input_tokens);
+      return { count: response.input_tokens, exact: true };
     } catch (error) {
-      console.error('Token counting error:', error);
-      throw error;
+      console.error('Token counting error, using local estimate:', error);
+      return { count: tokenEstimator.estimate(text), exact: false };
     }
   }
   
   /**
    * Complete a prompt with thinking
    * @param {string} prompt - Prompt to complete
-   * @param {Object} options - API options (only system is allowed to be overridden)
-   * @returns {Promise<Object>} - Response with content and thinking
+   * @param {Object} options - API options (see _buildRequestOptions), plus an optional signal
+   * @returns {Promise<Object>} - Response with content, thinking and token usage
    */
   async completeWithThinking(prompt, options = {}) {
-    const modelOptions = {
-      model: this.config.model_name,
-      max_tokens: this.config.betas_max_tokens,
-      messages: [{ role: "user", content: prompt }],
-      thinking: {
-        type: "enabled",
-        budget_tokens: this.config.thinking_budget_tokens
-      },
-      betas: this._getBetasArray()
-    };
+    const modelOptions = this._buildRequestOptions(prompt, options);
     
-    // Only allow system prompt to be overridden
-    if (options.system) {
-      modelOptions.system = options.system;
-    }
+    // An AbortSignal lets the caller cancel the request
+    const requestOptions = options.signal ? { signal: options.signal } : undefined;
     
     try {
-      const response = await this.client.beta.messages.create(modelOptions);
+      const response = await this.client.beta.messages.create(modelOptions, requestOptions);
       
       // Extract main content and thinking
       const content = response.content[0].text;
       const thinking = response.thinking || "";
       
-      return { content, thinking };
+      return { content, thinking, usage: response.usage };
     } catch (error) {
       console.error('API error:', error);
       throw error;
     }
   }
   
+  /**
+   * Whether this provider can run Message Batches
+   * @returns {boolean}
+   */
+  supportsBatches() {
+    return true;
+  }
+
+  /**
+   * Submit requests as one Message Batch
+   * @param {Object[]} requests - [{ customId, prompt, options }], options as for streamWithThinking
+   * @returns {Promise<string>} - Batch ID
+   */
+  async submitBatch(requests) {
+    const batchRequests = requests.map(request => {
+      // Betas go on the batch, not on each request
+      const { betas, ...params } = this._buildRequestOptions(request.prompt, request.options);
+      return { custom_id: request.customId, params };
+    });
+
+    try {
+      const batch = await this.batchClient.beta.messages.batches.create({
+        requests: batchRequests,
+        betas: this._getBetasArray()
+      });
+      return batch.id;
+    } catch (error) {
+      console.error('Batch submit error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the processing status of a batch
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} - { id, status, counts }
+   */
+  async getBatch(batchId) {
+    try {
+      const batch = await this.batchClient.beta.messages.batches.retrieve(batchId);
+      return { id: batch.id, status: batch.processing_status, counts: batch.request_counts };
+    } catch (error) {
+      console.error('Batch status error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the results of an ended batch
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Map<string, Object>>} - customId => { text, thinking, usage } or { error }
+   */
+  async getBatchResults(batchId) {
+    const results = new Map();
+    try {
+      const entries = await this.batchClient.beta.messages.batches.results(batchId);
+      for await (const entry of entries) {
+        const result = entry.result;
+        if (result.type !== 'succeeded') {
+          const message = result.type === 'errored' && result.error && result.error.error
+            ? result.error.error.message
+            : `request ${result.type}`;
+          results.set(entry.custom_id, { error: message });
+          continue;
+        }
+
+        let text = '';
+        let thinking = '';
+        for (const block of result.message.content) {
+          if (block.type === 'text') text += block.text;
+          if (block.type === 'thinking') thinking += block.thinking;
+        }
+        results.set(entry.custom_id, { text, thinking, usage: result.message.usage });
+      }
+      return results;
+    } catch (error) {
+      console.error('Batch results error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Stream a response with thinking using callbacks
    * @param {string} prompt - Prompt to complete
-   * @param {Object} options - API options (only system is allowed to be overridden)
+   * @param {Object} options - API options (see _buildRequestOptions), plus an optional signal
    * @param {Function} onThinking - Callback for thinking content
    * @param {Function} onText - Callback for response text
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} - { usage } with input, output and prompt cache token counts
+   * @throws {Error} - With the usage reported so far as error.usage, if the stream fails after it started
    */
   async streamWithThinking(prompt, options = {}, onThinking, onText) {
-    const modelOptions = {
-      model: this.config.model_name,
-      max_tokens: this.config.betas_max_tokens,
-      messages: [{ role: "user", content: prompt }],
-      thinking: {
-        type: "enabled",
-        budget_tokens: this.config.thinking_budget_tokens
-      },
-      betas: this._getBetasArray()
-    };
+    const modelOptions = this._buildRequestOptions(prompt, options);
+    let usage = null;
     
     console.log("streamWithThinking: modelOptions:\n", modelOptions);
 
-    // Only allow system prompt to be overridden
-    if (options.system) {
-      modelOptions.system = options.system;
-    }
+    // An AbortSignal lets the caller cancel the request mid-stream
+    const requestOptions = options.signal ? { signal: options.signal } : undefined;
     
     try {
-      const stream = await this.client.beta.messages.stream(modelOptions);
+      const stream = await this.client.beta.messages.stream(modelOptions, requestOptions);
       
       for await (const event of stream) {
-        if (event.type === "content_block_delta") {
+        if (event.type === "message_start") {
+          // Input and prompt cache counts arrive at the start of the stream
+          usage = { ...event.message.usage };
+        } else if (event.type === "message_delta" && event.usage) {
+          // The final output count arrives at the end
+          usage = { ...usage, output_tokens: event.usage.output_tokens };
+        } else if (event.type === "content_block_delta") {
           if (event.delta.type === "thinking_delta") {
             // Call thinking callback with delta
             if (onThinking && typeof onThinking === 'function') {
@@ -193,57 +360,17 @@ class ClaudeAPIService {
           }
         }
       }
+      
+      return { usage };
     } catch (error) {
       console.error('API streaming error:', error);
+      // A request that failed after it started was still billed for its input
+      if (usage) {
+        error.usage = usage;
+      }
       throw error;
     }
   }
-
-  /**
-   * Calculate token budgets and validate prompt size
-   * @param {number} promptTokens - Number of tokens in the prompt
-   * @returns {Object} - Calculated token budgets and limits
-   */
-  calculateTokenBudgets(promptTokens) {
-    // Use configuration settings directly
-    const contextWindow = this.config.context_window;
-    const desiredOutputTokens = this.config.desired_output_tokens;
-    const configuredThinkingBudget = this.config.thinking_budget_tokens;
-    const betasMaxTokens = this.config.betas_max_tokens;
-    const maxThinkingBudget = this.config.max_thinking_budget;
-    
-    // Calculate available tokens after prompt
-    const availableTokens = contextWindow - promptTokens;
-    
-    // For API call, max_tokens must respect the API limit
-    const maxTokens = Math.min(availableTokens, betasMaxTokens);
-    
-    // Thinking budget must be LESS than max_tokens to leave room for visible output
-    let thinkingBudget = maxTokens - desiredOutputTokens;
-    
-    // Cap thinking budget if it's too large - use configurable limit
-    const capThinkingBudget = thinkingBudget > maxThinkingBudget;
-    if (capThinkingBudget) {
-      thinkingBudget = maxThinkingBudget;
-    }
-    
-    // Check if prompt is too large for the configured thinking budget
-    const isPromptTooLarge = thinkingBudget < configuredThinkingBudget;
-    
-    // Return all calculated values for use in API calls and logging
-    return {
-      contextWindow,
-      promptTokens,
-      availableTokens,
-      maxTokens,
-      thinkingBudget,
-      desiredOutputTokens,
-      betasMaxTokens,
-      configuredThinkingBudget,
-      capThinkingBudget,
-      isPromptTooLarge
-    };
-  }
 }
 
 module.exports = ClaudeAPIService;
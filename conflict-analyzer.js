@@ -6,6 +6,15 @@ const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
 
+// Categories for structured findings (see findings.js)
+const FINDING_CATEGORIES = [
+  'unclear stakes',
+  'weak escalation',
+  'unresolved conflict',
+  'rushed resolution',
+  'missing conflict'
+];
+
 /**
  * ConflictAnalyzer Tool
  * Analyzes manuscript for conflict patterns at different structural levels 
@@ -39,6 +48,8 @@ class ConflictAnalyzer extends BaseTool {
     let outlineFile = options.outline_file;
     const conflictTypes = options.conflict_types;
     const skipThinking = options.skip_thinking;
+    const structuredFindings = options.structured_findings || false;
+    const chapterRange = options.chapters || '';
     const analysisDescription = options.analysis_description;
     const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     
@@ -71,7 +82,10 @@ class ConflictAnalyzer extends BaseTool {
 
       // Read the manuscript file
       this.emitOutput(`Reading manuscript file: ${manuscriptFile}\n`);
-      const manuscriptContent = await this.readInputFile(manuscriptFile);
+      const { content: manuscriptContent, scope } = this.scopeManuscript(
+        await this.readInputFile(manuscriptFile),
+        chapterRange
+      );
       
       // Read the outline file if provided
       let outlineContent = '';
@@ -90,11 +104,15 @@ class ConflictAnalyzer extends BaseTool {
         this.emitOutput(`\nRunning ${level.toUpperCase()} conflict analysis...\n`);
         
         // Create the prompt for this level
-        const prompt = this.createPrompt(level, outlineContent, manuscriptContent, conflictTypes);
+        let prompt = await this.customizePrompt(this.createPrompt(level, outlineContent, manuscriptContent, conflictTypes), level);
+        prompt = this.scopePrompt(prompt, scope);
+        if (structuredFindings) {
+          prompt = this.requestFindings(prompt, FINDING_CATEGORIES);
+        }
 
         // Count tokens in the prompt
         this.emitOutput(`Counting tokens in prompt...\n`);
-        const promptTokens = await this.claudeService.countTokens(prompt);
+        const promptTokens = await this.countTokens(prompt);
 
         // Call the shared token budget calculator
         const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -102,7 +120,7 @@ class ConflictAnalyzer extends BaseTool {
         // Handle logging based on the returned values
         this.emitOutput(`\nToken stats:\n`);
         this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
-        this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] ...\n`);
+        this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()}) ...\n`);
         this.emitOutput(`                     = outline.txt + manuscript.txt\n`);
         this.emitOutput(`                       + prompt instructions\n`);
         this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]  = ${tokenBudgets.contextWindow} - ${tokenBudgets.promptTokens} = context_window - prompt\n`);
@@ -146,7 +164,7 @@ class ConflictAnalyzer extends BaseTool {
 
         // Use the calculated values in the API call
         try {
-          await this.claudeService.streamWithThinking(
+          await this.streamWithThinking(
             prompt,
             {
               system: systemPrompt,
@@ -181,11 +199,18 @@ class ConflictAnalyzer extends BaseTool {
         this.emitOutput(`Report has approximately ${wordCount} words.\n`);
         
         // Count tokens in response
-        const responseTokens = await this.claudeService.countTokens(fullResponse);
-        this.emitOutput(`Response token count: ${responseTokens}\n`);
+        const responseTokens = await this.responseTokenCount(fullResponse);
+        this.emitOutput(`Response token count: ${responseTokens} (${this.tokenCountLabel()})\n`);
+
+        // Take the structured findings off before cleaning up the report
+        let findings = null;
+        if (structuredFindings) {
+          ({ text: fullResponse, findings } = this.takeFindings(fullResponse));
+        }
 
         // Remove any markdown formatting
         fullResponse = this.removeMarkdown(fullResponse);
+        fullResponse = this.scopeReport(fullResponse, scope);
 
         // Save the report
         const outputFile = await this.saveReport(
@@ -201,6 +226,9 @@ class ConflictAnalyzer extends BaseTool {
         
         // Add the output files to the result
         outputFiles.push(...outputFile);
+        if (findings) {
+          outputFiles.push(await this.saveFindings(findings, outputFile[0], manuscriptFile));
+        }
       }
       
       // Add files to the cache
@@ -239,14 +267,14 @@ class ConflictAnalyzer extends BaseTool {
     const conflictTypesList = Array.isArray(conflictTypes) ? conflictTypes.join(", ") : conflictTypes;
     
     const prompts = {
-      "scene": `=== OUTLINE ===
-${outlineContent}
-=== END OUTLINE ===
-
-=== MANUSCRIPT ===
+      "scene": `=== MANUSCRIPT ===
 ${manuscriptContent}
 === END MANUSCRIPT ===
 
+=== OUTLINE ===
+${outlineContent}
+=== END OUTLINE ===
+
 ${noMarkdown}
 
 You are an expert fiction editor specializing in conflict analysis. Analyze the manuscript to identify and evaluate conflicts at the SCENE level. Focus on these conflict types: ${conflictTypesList}.
@@ -281,14 +309,14 @@ Organize your analysis by scene, using clear scene boundaries and key identifyin
 Use specific text examples from the manuscript to support your analysis.
 `,
 
-      "chapter": `=== OUTLINE ===
-${outlineContent}
-=== END OUTLINE ===
-
-=== MANUSCRIPT ===
+      "chapter": `=== MANUSCRIPT ===
 ${manuscriptContent}
 === END MANUSCRIPT ===
 
+=== OUTLINE ===
+${outlineContent}
+=== END OUTLINE ===
+
 ${noMarkdown}
 
 You are an expert fiction editor specializing in conflict analysis. Analyze the manuscript to identify and evaluate conflicts at the CHAPTER level. Focus on these conflict types: ${conflictTypesList}.
@@ -323,14 +351,14 @@ Organize your analysis by chapter/section, providing:
 Use specific text examples from the manuscript to support your analysis.
 `,
 
-      "arc": `=== OUTLINE ===
-${outlineContent}
-=== END OUTLINE ===
-
-=== MANUSCRIPT ===
+      "arc": `=== MANUSCRIPT ===
 ${manuscriptContent}
 === END MANUSCRIPT ===
 
+=== OUTLINE ===
+${outlineContent}
+=== END OUTLINE ===
+
 ${noMarkdown}
 
 You are an expert fiction editor specializing in conflict analysis. Analyze the manuscript to identify and evaluate conflicts at the ARC level. Focus on these conflict types: ${conflictTypesList}.
@@ -477,7 +505,7 @@ ${analysisLevel}
 ${thinking}
 
 === END AI'S THINKING PROCESS ===
-${stats}`;
+${this.effectivePromptSection()}${stats}`;
         
         await this.writeOutputFile(thinkingContent, saveDir, thinkingFilename);
         this.emitOutput(`AI thinking saved to: ${thinkingPath}\n`);
@@ -6,6 +6,14 @@ const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
 
+// Categories for structured findings (see findings.js)
+const FINDING_CATEGORIES = [
+  'crowding',
+  'leaping',
+  'abrupt transition',
+  'pacing'
+];
+
 /**
  * CrowdingLeapingEvaluator Tool
  * Analyzes manuscript for pacing issues based on Ursula K. Le Guin's concepts of
@@ -40,6 +48,8 @@ class CrowdingLeapingEvaluator extends BaseTool {
     const sensitivity = options.sensitivity;
     const includeVisualization = options.include_visualization;
     const skipThinking = options.skip_thinking;
+    const structuredFindings = options.structured_findings || false;
+    const chapterRange = options.chapters || '';
     const analysisDescription = options.analysis_description;
     const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     
@@ -65,20 +75,27 @@ class CrowdingLeapingEvaluator extends BaseTool {
 
       // Read the manuscript file
       this.emitOutput(`Reading manuscript file: ${manuscriptFile}\n`);
-      const manuscriptContent = await this.readInputFile(manuscriptFile);
+      const { content: manuscriptContent, scope } = this.scopeManuscript(
+        await this.readInputFile(manuscriptFile),
+        chapterRange
+      );
       
       // Create the prompt
-      const prompt = this.createCrowdingLeapingPrompt(
+      let prompt = await this.customizePrompt(this.createCrowdingLeapingPrompt(
         manuscriptContent, 
         analysisLevel, 
         focusAreas, 
         sensitivity,
         includeVisualization
-      );
+      ));
+      prompt = this.scopePrompt(prompt, scope);
+      if (structuredFindings) {
+        prompt = this.requestFindings(prompt, FINDING_CATEGORIES);
+      }
 
       // Count tokens in the prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.countTokens(prompt);
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -86,7 +103,7 @@ class CrowdingLeapingEvaluator extends BaseTool {
       // Handle logging based on the returned values
       this.emitOutput(`\nToken stats:\n`);
       this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
-      this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] ...\n`);
+      this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()}) ...\n`);
       this.emitOutput(`                     = manuscript + prompt instructions\n`);
       this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]  = ${tokenBudgets.contextWindow} - ${tokenBudgets.promptTokens} = context_window - prompt\n`);
       this.emitOutput(`Desired output tokens: [${tokenBudgets.desiredOutputTokens}]\n`);
@@ -129,7 +146,7 @@ class CrowdingLeapingEvaluator extends BaseTool {
 
       // Use the calculated values in the API call - following pattern from rhythm-analyzer.js
       try {
-        await this.claudeService.streamWithThinking(
+        await this.streamWithThinking(
           prompt,
           {
             system: systemPrompt,
@@ -164,11 +181,18 @@ class CrowdingLeapingEvaluator extends BaseTool {
       this.emitOutput(`Report has approximately ${wordCount} words.\n`);
       
       // Count tokens in response
-      const responseTokens = await this.claudeService.countTokens(fullResponse);
-      this.emitOutput(`Response token count: ${responseTokens}\n`);
+      const responseTokens = await this.responseTokenCount(fullResponse);
+      this.emitOutput(`Response token count: ${responseTokens} (${this.tokenCountLabel()})\n`);
+
+      // Take the structured findings off before cleaning up the report
+      let findings = null;
+      if (structuredFindings) {
+        ({ text: fullResponse, findings } = this.takeFindings(fullResponse));
+      }
 
       // Remove any markdown formatting
       fullResponse = this.removeMarkdown(fullResponse);
+      fullResponse = this.scopeReport(fullResponse, scope);
 
       // Save the report
       const outputFile = await this.saveReport(
@@ -187,6 +211,9 @@ class CrowdingLeapingEvaluator extends BaseTool {
       
       // Add all output files to the result
       outputFiles.push(...outputFile);
+      if (findings) {
+        outputFiles.push(await this.saveFindings(findings, outputFile[0], manuscriptFile));
+      }
       
       // Add files to the cache
       const toolName = 'crowding_leaping_evaluator';
@@ -489,7 +516,7 @@ Output tokens: ${responseTokens}
 ${thinking}
 
 === END AI'S THINKING PROCESS ===
-${stats}`;
+${this.effectivePromptSection()}${stats}`;
         
         await this.writeOutputFile(thinkingContent, saveDir, thinkingFilename);
         this.emitOutput(`AI thinking saved to: ${thinkingPath}\n`);
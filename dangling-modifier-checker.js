@@ -6,6 +6,14 @@ const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
 
+// Categories for structured findings (see findings.js)
+const FINDING_CATEGORIES = [
+  'dangling modifier',
+  'misplaced modifier',
+  'squinting modifier',
+  'limiting modifier'
+];
+
 /**
  * DanglingModifierChecker Tool
  * Analyzes manuscript for dangling and misplaced modifiers using the Claude API.
@@ -40,6 +48,8 @@ class DanglingModifierChecker extends BaseTool {
     const modifierTypes = options.modifier_types;
     const sensitivity = options.sensitivity;
     const skipThinking = options.skip_thinking;
+    const structuredFindings = options.structured_findings || false;
+    const chapterRange = options.chapters || '';
     const analysisDescription = options.analysis_description;
     const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     
@@ -65,14 +75,21 @@ class DanglingModifierChecker extends BaseTool {
 
       // Read the manuscript file
       this.emitOutput(`Reading manuscript file: ${manuscriptFile}\n`);
-      const manuscriptContent = await this.readInputFile(manuscriptFile);
+      const { content: manuscriptContent, scope } = this.scopeManuscript(
+        await this.readInputFile(manuscriptFile),
+        chapterRange
+      );
       
       // Create the prompt
-      const prompt = this.createModifierAnalysisPrompt(manuscriptContent, analysisLevel, modifierTypes, sensitivity);
+      let prompt = await this.customizePrompt(this.createModifierAnalysisPrompt(manuscriptContent, analysisLevel, modifierTypes, sensitivity));
+      prompt = this.scopePrompt(prompt, scope);
+      if (structuredFindings) {
+        prompt = this.requestFindings(prompt, FINDING_CATEGORIES);
+      }
 
       // Count tokens in the prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.countTokens(prompt);
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -80,7 +97,7 @@ class DanglingModifierChecker extends BaseTool {
       // Handle logging based on the returned values
       this.emitOutput(`\nToken stats:\n`);
       this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
-      this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] ...\n`);
+      this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()}) ...\n`);
       this.emitOutput(`                     = manuscript + prompt instructions\n`);
       this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]  = ${tokenBudgets.contextWindow} - ${tokenBudgets.promptTokens} = context_window - prompt\n`);
       this.emitOutput(`Desired output tokens: [${tokenBudgets.desiredOutputTokens}]\n`);
@@ -123,7 +140,7 @@ class DanglingModifierChecker extends BaseTool {
 
       // Use the calculated values in the API call - FIXED to match narrative-integrity.js pattern
       try {
-        await this.claudeService.streamWithThinking(
+        await this.streamWithThinking(
           prompt,
           {
             system: systemPrompt,
@@ -158,11 +175,18 @@ class DanglingModifierChecker extends BaseTool {
       this.emitOutput(`Report has approximately ${wordCount} words.\n`);
       
       // Count tokens in response
-      const responseTokens = await this.claudeService.countTokens(fullResponse);
-      this.emitOutput(`Response token count: ${responseTokens}\n`);
+      const responseTokens = await this.responseTokenCount(fullResponse);
+      this.emitOutput(`Response token count: ${responseTokens} (${this.tokenCountLabel()})\n`);
+
+      // Take the structured findings off before cleaning up the report
+      let findings = null;
+      if (structuredFindings) {
+        ({ text: fullResponse, findings } = this.takeFindings(fullResponse));
+      }
 
       // Remove any markdown formatting
       fullResponse = this.removeMarkdown(fullResponse);
+      fullResponse = this.scopeReport(fullResponse, scope);
 
       // Save the report
       const outputFile = await this.saveReport(
@@ -180,6 +204,9 @@ class DanglingModifierChecker extends BaseTool {
       
       // Add all output files to the result
       outputFiles.push(...outputFile);
+      if (findings) {
+        outputFiles.push(await this.saveFindings(findings, outputFile[0], manuscriptFile));
+      }
       
       // Add files to the cache
       const toolName = 'dangling_modifier_checker';
@@ -457,7 +484,7 @@ Output tokens: ${responseTokens}
 ${thinking}
 
 === END AI'S THINKING PROCESS ===
-${stats}`;
+${this.effectivePromptSection()}${stats}`;
         
         await this.writeOutputFile(thinkingContent, saveDir, thinkingFilename);
         this.emitOutput(`AI thinking saved to: ${thinkingPath}\n`);
@@ -0,0 +1,258 @@
+// docx-import.js
+//
+// Import a DOCX into manuscript.txt. Mammoth converts the document to HTML,
+// mapping Word's "Heading 1" to "Heading 6" styles onto h1 to h6, and each
+// block is then read with JSDOM. The import options decide what is kept:
+//
+//   headingLevels   - heading levels that start chapters, e.g. [1] or [1, 2]
+//   chapterPattern  - a regular expression; paragraphs matching it also start
+//                     chapters, e.g. ^Chapter \d+ for plain chapter titles
+//   boldTitles      - short paragraphs set wholly in bold start chapters
+//   keepItalics     - write italics as _text_ instead of dropping them
+//   keepSceneBreaks - write scene-break paragraphs ("***", "#", "~",
+//                     an ornament picture) as "***" lines, or drop them
+//   keepFrontMatter - keep the paragraphs before the first chapter
+//   stopTitles      - headings that start the back matter; the import stops
+//                     at the first of them (STOP_TITLES by default)
+//
+// With the defaults an import matches the original DOCX import: chapters at
+// h1, nothing before the first one, nothing from "About the Author" on.
+// previewDocxImport runs the same conversion without writing anything, so
+// the import dialog can list the chapters it would find.
+const path = require('path');
+const mammoth = require('mammoth');
+const { JSDOM } = require('jsdom');
+const { STOP_TITLES, isStopTitle, formatManuscript, countWords } = require('./manuscript');
+
+const DEFAULT_IMPORT_OPTIONS = {
+  headingLevels: [1],
+  chapterPattern: '',
+  boldTitles: false,
+  keepItalics: false,
+  keepSceneBreaks: true,
+  keepFrontMatter: false,
+  stopTitles: STOP_TITLES
+};
+
+// A paragraph of nothing but break symbols, e.g. "* * *", "#", "~ ~ ~" or "⁂"
+const SCENE_BREAK_TEXT = /^[\s*#~•·⁂§†◊=_-]+$/;
+const MAX_SCENE_BREAK_LENGTH = 12;
+const MAX_BOLD_TITLE_LENGTH = 100;
+
+/**
+ * Fill in the import options, checking the chapter pattern
+ * @param {Object} [options] - Import options, any of DEFAULT_IMPORT_OPTIONS
+ * @returns {Object} - Complete options, with chapterPattern compiled or null
+ * @throws {Error} - If the chapter pattern is not a valid regular expression
+ */
+function resolveOptions(options = {}) {
+  const resolved = { ...DEFAULT_IMPORT_OPTIONS, ...options };
+  resolved.headingLevels = (resolved.headingLevels || []).map(Number).filter(level => level >= 1 && level <= 6);
+  resolved.stopTitles = (resolved.stopTitles || [])
+    .map(title => String(title).trim().toLowerCase())
+    .filter(title => title.length > 0);
+
+  const pattern = String(resolved.chapterPattern || '').trim();
+  try {
+    resolved.chapterPattern = pattern ? new RegExp(pattern, 'i') : null;
+  } catch (error) {
+    throw new Error(`Invalid chapter pattern "${pattern}": ${error.message}`);
+  }
+  if (resolved.headingLevels.length === 0 && !resolved.chapterPattern && !resolved.boldTitles) {
+    throw new Error('Choose at least one way to find chapters: a heading level, a chapter pattern or bold titles');
+  }
+  return resolved;
+}
+
+/**
+ * Read the text of a block, optionally marking italics
+ * Spaces at the edges of an italic run go outside the markers, and runs
+ * Word split in two ("_dark_ _roast_") are joined again.
+ * @param {Element} element - Block element
+ * @param {boolean} keepItalics - Write italics as _text_
+ * @returns {string} - Text with runs of whitespace collapsed
+ */
+function blockText(element, keepItalics) {
+  if (!keepItalics) {
+    return element.textContent.replace(/\s+/g, ' ').trim();
+  }
+  let text = '';
+  const walk = node => {
+    node.childNodes.forEach(child => {
+      if (child.nodeType === child.TEXT_NODE) {
+        text += child.textContent;
+      } else if (child.localName === 'em' || child.localName === 'i') {
+        const [, before, inner, after] = child.textContent.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        text += before + (inner ? `_${inner}_` : '') + after;
+      } else if (child.localName === 'br') {
+        text += ' ';
+      } else if (child.nodeType === child.ELEMENT_NODE) {
+        walk(child);
+      }
+    });
+  };
+  walk(element);
+  return text.replace(/\s+/g, ' ').replace(/_( ?)_/g, '$1').trim();
+}
+
+/**
+ * Read the blocks of the converted document
+ * @param {string} html - Mammoth's HTML
+ * @param {boolean} keepItalics - Write italics as _text_
+ * @returns {Object[]} - [{ level: 1-6 for headings or 0, text, title: text without italic markers, bold, sceneBreak }]
+ */
+function readBlocks(html, keepItalics) {
+  const document = new JSDOM(html).window.document;
+  return Array.from(document.querySelectorAll('p, h1, h2, h3, h4, h5, h6')).map(element => {
+    const text = blockText(element, keepItalics);
+    const plain = element.textContent.trim();
+    const bold = Array.from(element.querySelectorAll('strong, b'))
+      .map(strong => strong.textContent).join('').trim();
+    const ornament = !plain && element.querySelector('img') !== null;
+    return {
+      level: /^h\d$/.test(element.localName) ? Number(element.localName[1]) : 0,
+      text,
+      title: plain.replace(/\s+/g, ' '),
+      bold: plain.length > 0 && bold.replace(/\s+/g, '') === plain.replace(/\s+/g, ''),
+      sceneBreak: ornament || (plain.length > 0 && plain.length <= MAX_SCENE_BREAK_LENGTH && SCENE_BREAK_TEXT.test(plain))
+    };
+  });
+}
+
+/**
+ * Check whether a block starts a chapter
+ * @param {Object} block - From readBlocks
+ * @param {Object} options - Resolved import options
+ * @returns {boolean}
+ */
+function isChapterTitle(block, options) {
+  if (!block.title || block.sceneBreak) return false;
+  if (block.level > 0 && options.headingLevels.includes(block.level)) return true;
+  if (options.chapterPattern && options.chapterPattern.test(block.title)) return true;
+  return options.boldTitles && block.bold && block.level === 0 && block.title.length <= MAX_BOLD_TITLE_LENGTH;
+}
+
+/**
+ * Convert a DOCX to chapters
+ * @param {string} docxPath - Path to the .docx file
+ * @param {Object} [options] - Import options, see DEFAULT_IMPORT_OPTIONS
+ * @returns {Promise<Object>} - { text, chapters: [{ title, paragraphs }], frontMatter: paragraphs kept,
+ *   skippedFrontMatter: paragraphs left out, stoppedAt: back matter heading or null, warnings: mammoth's messages }
+ * @throws {Error} - If the options are invalid, the file cannot be converted or no text is found
+ */
+async function convertDocx(docxPath, options) {
+  const resolved = resolveOptions(options);
+  let result;
+  try {
+    result = await mammoth.convertToHtml({ path: docxPath });
+  } catch (error) {
+    console.error(`Error converting DOCX ${docxPath}:`, error);
+    throw new Error(`Could not open ${path.basename(docxPath)} as a DOCX: ${error.message}`);
+  }
+
+  const chapters = [];
+  const frontMatter = [];
+  let skippedFrontMatter = 0;
+  let stoppedAt = null;
+  let chapter = null;
+
+  for (const block of readBlocks(result.value, resolved.keepItalics)) {
+    if (!block.text && !block.sceneBreak) continue;
+
+    const chapterTitle = isChapterTitle(block, resolved);
+    if ((block.level > 0 || chapterTitle) && isStopTitle(block.title, resolved.stopTitles)) {
+      stoppedAt = block.title;
+      break;
+    }
+    if (chapterTitle) {
+      chapter = { title: block.title, paragraphs: [] };
+      chapters.push(chapter);
+      continue;
+    }
+
+    if (block.sceneBreak) {
+      // Only between paragraphs: a break at the start of a chapter or after
+      // another break separates nothing
+      if (resolved.keepSceneBreaks && chapter && chapter.paragraphs.length > 0 &&
+          chapter.paragraphs[chapter.paragraphs.length - 1] !== '***') {
+        chapter.paragraphs.push('***');
+      }
+      continue;
+    }
+    if (!chapter) {
+      if (resolved.keepFrontMatter) {
+        frontMatter.push(block.text);
+      } else {
+        skippedFrontMatter++;
+      }
+      continue;
+    }
+    chapter.paragraphs.push(block.text);
+  }
+
+  chapters.forEach(found => {
+    if (found.paragraphs[found.paragraphs.length - 1] === '***') found.paragraphs.pop();
+  });
+  if (chapters.length === 0 && frontMatter.length === 0) {
+    throw new Error(skippedFrontMatter > 0
+      ? 'No chapter titles found: check the heading levels or chapter pattern'
+      : 'No text found in the DOCX');
+  }
+
+  return {
+    text: formatManuscript(chapters, frontMatter),
+    chapters,
+    frontMatter,
+    skippedFrontMatter,
+    stoppedAt,
+    warnings: result.messages.map(message => `${message.type}: ${message.message}`)
+  };
+}
+
+/**
+ * Convert a DOCX to manuscript text
+ * @param {string} docxPath - Path to the .docx file
+ * @param {Object} [options] - Import options, see DEFAULT_IMPORT_OPTIONS
+ * @returns {Promise<Object>} - { text, chapterCount, frontMatterCount, skippedFrontMatter, stoppedAt, warnings }
+ */
+async function convertDocxToText(docxPath, options) {
+  const converted = await convertDocx(docxPath, options);
+  return {
+    text: converted.text,
+    chapterCount: converted.chapters.length,
+    frontMatterCount: converted.frontMatter.length,
+    skippedFrontMatter: converted.skippedFrontMatter,
+    stoppedAt: converted.stoppedAt,
+    warnings: converted.warnings
+  };
+}
+
+/**
+ * List the chapters a DOCX import would find, without the text
+ * @param {string} docxPath - Path to the .docx file
+ * @param {Object} [options] - Import options, see DEFAULT_IMPORT_OPTIONS
+ * @returns {Promise<Object>} - { chapters: [{ title, wordCount, sceneCount }], frontMatterCount,
+ *   skippedFrontMatter, stoppedAt, warnings, wordCount }
+ */
+async function previewDocxImport(docxPath, options) {
+  const converted = await convertDocx(docxPath, options);
+  const chapters = converted.chapters.map(chapter => ({
+    title: chapter.title,
+    wordCount: countWords(chapter.paragraphs.filter(paragraph => paragraph !== '***').join(' ')),
+    sceneCount: chapter.paragraphs.filter(paragraph => paragraph === '***').length + 1
+  }));
+  return {
+    chapters,
+    frontMatterCount: converted.frontMatter.length,
+    skippedFrontMatter: converted.skippedFrontMatter,
+    stoppedAt: converted.stoppedAt,
+    warnings: converted.warnings,
+    wordCount: chapters.reduce((sum, chapter) => sum + chapter.wordCount, 0)
+  };
+}
+
+module.exports = {
+  DEFAULT_IMPORT_OPTIONS,
+  convertDocxToText,
+  previewDocxImport
+};
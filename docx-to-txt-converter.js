@@ -15,14 +15,12 @@ const fs = require('fs');
 const path = require('path');
 const jsdom = require('jsdom');
 const { JSDOM } = jsdom;
+const { isStopTitle } = require('./manuscript');
 
 // Configure file paths - update these to your document location
 const INPUT_DOCX = path.join(__dirname, 'OvidsTenth.docx'); // Update to your document
 const OUTPUT_TXT = path.join(__dirname, 'manuscript_OT.txt');
 
-// Headings that indicate end of content (e.g., back matter)
-const STOP_TITLES = ["about the author", "website", "acknowledgments", "appendix"];
-
 /**
  * Converts a DOCX file to a structured plain text file
  * @param {string} docxPath - Path to the input .docx file
@@ -56,7 +54,6 @@ async function convertDocxToText(docxPath, outputPath) {
       
       const tagName = block.tagName.toLowerCase();
       const textRaw = block.textContent.trim();
-      const textLower = textRaw.toLowerCase();
       
       // Skip everything until first <h1>
       if (ignoreFrontMatter) {
@@ -68,7 +65,7 @@ async function convertDocxToText(docxPath, outputPath) {
       }
       
       // If this heading is a "stop" heading, ignore the rest
-      if (tagName.startsWith("h") && STOP_TITLES.some(title => textLower.startsWith(title))) {
+      if (tagName.startsWith("h") && isStopTitle(textRaw)) {
         ignoreRest = true;
         return;
       }
@@ -0,0 +1,317 @@
+// epub-import.js
+//
+// Import an EPUB into manuscript.txt. An EPUB is a zip of XHTML documents:
+// its OPF package file lists them in reading order (the spine), and its
+// table of contents (the EPUB 3 nav document, or the EPUB 2 NCX) names them.
+//
+// Each spine document is converted with JSDOM. Its top-level headings start
+// chapters and its paragraphs become their text. A document with no heading
+// takes its title from the table of contents, or, when that has none either,
+// continues the chapter before it, as long chapters are often split across
+// files. A "Chapter 3" heading followed straight away by a subtitle heading
+// becomes "Chapter 3: Subtitle".
+//
+// Front matter is skipped: everything before the start of the body, when the
+// book marks it (nav landmarks or the OPF guide), and otherwise, until the
+// first chapter, documents the table of contents leaves out and untitled
+// ones or ones titled like FRONT_MATTER_TITLES.
+// Everything from the first back matter heading on is dropped (STOP_TITLES,
+// as for DOCX imports). The chapters are laid out with formatManuscript, the
+// same spacing as a DOCX import.
+const fs = require('fs/promises');
+const path = require('path');
+const JSZip = require('jszip');
+const { JSDOM } = require('jsdom');
+const { formatManuscript, isStopTitle, parseChapterHeading } = require('./manuscript');
+
+// Headings of front matter documents, skipped before the first chapter
+const FRONT_MATTER_TITLES = [
+  "cover", "title page", "half title", "copyright", "dedication", "contents",
+  "table of contents", "also by", "praise for", "epigraph", "map", "maps"
+];
+
+const EPUB_TYPE_NS = 'http://www.idpf.org/2007/ops';
+
+/**
+ * Parse an XML file from the EPUB
+ * @param {string} text - XML text
+ * @returns {Document}
+ */
+function parseXml(text) {
+  return new JSDOM(text, { contentType: 'application/xml' }).window.document;
+}
+
+/**
+ * Parse an XHTML document, falling back to HTML parsing for sloppy markup
+ * @param {string} text - Document text
+ * @returns {Document}
+ */
+function parseXhtml(text) {
+  try {
+    return new JSDOM(text, { contentType: 'application/xhtml+xml' }).window.document;
+  } catch (error) {
+    return new JSDOM(text).window.document;
+  }
+}
+
+/**
+ * Find elements by local name, whatever their namespace
+ * @param {Document|Element} node - Where to look
+ * @param {string} localName - e.g. "itemref"
+ * @returns {Element[]}
+ */
+function elementsNamed(node, localName) {
+  return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+/**
+ * Resolve a link in one EPUB file to the path of the file it points to
+ * @param {string} fromFile - Path of the file the link is in
+ * @param {string} href - Link, possibly with a #fragment
+ * @returns {string} - Path inside the zip
+ */
+function resolveHref(fromFile, href) {
+  const file = (href || '').split('#')[0];
+  return path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), decodeURIComponent(file)));
+}
+
+/**
+ * Read a text file from the EPUB
+ * @param {JSZip} zip - Opened EPUB
+ * @param {string} name - Path inside the zip
+ * @returns {Promise<string>}
+ * @throws {Error} - If the file is missing
+ */
+async function readZipText(zip, name) {
+  const entry = zip.file(name);
+  if (!entry) {
+    throw new Error(`The EPUB is missing ${name}`);
+  }
+  return entry.async('string');
+}
+
+/**
+ * Normalize the text of an element
+ * @param {Element} element - Element to read
+ * @returns {string} - Text with runs of whitespace collapsed
+ */
+function textOf(element) {
+  return element.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Read the OPF package: the spine, the table of contents files and the guide
+ * @param {JSZip} zip - Opened EPUB
+ * @returns {Promise<Object>} - { spine: [{ href }], nav, ncx, bodyStart }
+ */
+async function readPackage(zip) {
+  const container = parseXml(await readZipText(zip, 'META-INF/container.xml'));
+  const rootfile = elementsNamed(container, 'rootfile')[0];
+  if (!rootfile || !rootfile.getAttribute('full-path')) {
+    throw new Error('Not an EPUB: META-INF/container.xml names no package file');
+  }
+  const opfPath = rootfile.getAttribute('full-path');
+  const opf = parseXml(await readZipText(zip, opfPath));
+
+  const manifest = new Map();
+  elementsNamed(opf, 'item').forEach(item => {
+    manifest.set(item.getAttribute('id'), {
+      href: resolveHref(opfPath, item.getAttribute('href')),
+      mediaType: item.getAttribute('media-type') || '',
+      properties: (item.getAttribute('properties') || '').split(/\s+/)
+    });
+  });
+  const items = Array.from(manifest.values());
+
+  // Documents marked linear="no" (pop-up notes and the like) are not read in order
+  const spine = elementsNamed(opf, 'itemref')
+    .filter(ref => ref.getAttribute('linear') !== 'no')
+    .map(ref => manifest.get(ref.getAttribute('idref')))
+    .filter(item => item && /html/.test(item.mediaType));
+  if (spine.length === 0) {
+    throw new Error('The EPUB has no documents in its spine');
+  }
+
+  const spineElement = elementsNamed(opf, 'spine')[0];
+  const guideText = elementsNamed(opf, 'reference').find(ref => ref.getAttribute('type') === 'text');
+  return {
+    spine,
+    nav: items.find(item => item.properties.includes('nav')) || null,
+    ncx: (spineElement && manifest.get(spineElement.getAttribute('toc'))) ||
+      items.find(item => item.mediaType === 'application/x-dtbncx+xml') || null,
+    bodyStart: guideText ? resolveHref(opfPath, guideText.getAttribute('href')) : null
+  };
+}
+
+/**
+ * Read the table of contents
+ * @param {JSZip} zip - Opened EPUB
+ * @param {Object} pkg - From readPackage
+ * @returns {Promise<Object>} - { titles: Map of document path to its first title, bodyStart: path or null }
+ */
+async function readTableOfContents(zip, pkg) {
+  const titles = new Map();
+  const addTitle = (href, title) => {
+    if (title && !titles.has(href)) titles.set(href, title);
+  };
+  let bodyStart = null;
+
+  if (pkg.nav) {
+    const doc = parseXhtml(await readZipText(zip, pkg.nav.href));
+    const epubType = element => (element.getAttributeNS(EPUB_TYPE_NS, 'type') ||
+      element.getAttribute('epub:type') || '').split(/\s+/);
+    const navs = elementsNamed(doc, 'nav');
+    const toc = navs.find(nav => epubType(nav).includes('toc')) || navs[0];
+    if (toc) {
+      elementsNamed(toc, 'a').forEach(link => addTitle(resolveHref(pkg.nav.href, link.getAttribute('href')), textOf(link)));
+    }
+    const landmarks = navs.find(nav => epubType(nav).includes('landmarks'));
+    const body = landmarks && elementsNamed(landmarks, 'a').find(link => epubType(link).includes('bodymatter'));
+    if (body) {
+      bodyStart = resolveHref(pkg.nav.href, body.getAttribute('href'));
+    }
+  } else if (pkg.ncx) {
+    const doc = parseXml(await readZipText(zip, pkg.ncx.href));
+    elementsNamed(doc, 'navPoint').forEach(point => {
+      // A navPoint's own label and content come before its children's
+      const label = elementsNamed(point, 'text')[0];
+      const content = elementsNamed(point, 'content')[0];
+      if (label && content) {
+        addTitle(resolveHref(pkg.ncx.href, content.getAttribute('src')), textOf(label));
+      }
+    });
+  }
+  return { titles, bodyStart };
+}
+
+/**
+ * Split one document into titled sections
+ * @param {Document} doc - Parsed document
+ * @param {string|null} tocTitle - The document's title in the table of contents
+ * @returns {Object[]} - [{ title: null for untitled text, paragraphs }]
+ */
+function readSections(doc, tocTitle) {
+  const root = doc.body || doc.documentElement;
+  const blocks = Array.from(root.querySelectorAll('p, h1, h2, h3, h4, h5, h6'))
+    .map(element => ({
+      level: /^h\d$/i.test(element.localName) ? Number(element.localName[1]) : 0,
+      text: textOf(element)
+    }))
+    .filter(block => block.text);
+
+  // The document's top heading level starts chapters; lower ones are text
+  const levels = blocks.filter(block => block.level > 0).map(block => block.level);
+  const topLevel = levels.length > 0 ? Math.min(...levels) : 0;
+
+  const sections = [];
+  let section = null;
+  blocks.forEach((block, index) => {
+    if (topLevel && block.level === topLevel) {
+      let title = block.text;
+      const next = blocks[index + 1];
+      const heading = parseChapterHeading(title);
+      if (heading && !heading.title && next && next.level > topLevel) {
+        title = `${title}: ${next.text}`;
+        next.merged = true;
+      }
+      section = { title, paragraphs: [] };
+      sections.push(section);
+      return;
+    }
+    if (block.merged) return;
+    if (!section) {
+      section = { title: tocTitle, paragraphs: [] };
+      sections.push(section);
+    }
+    section.paragraphs.push(block.text);
+  });
+  return sections;
+}
+
+/**
+ * Check whether a title names front matter
+ * @param {string} title - Section title
+ * @returns {boolean}
+ */
+function isFrontMatter(title) {
+  const lower = title.trim().toLowerCase();
+  return FRONT_MATTER_TITLES.some(front => lower === front || lower.startsWith(`${front} `));
+}
+
+/**
+ * Convert an EPUB to manuscript text
+ * @param {string} epubPath - Path to the .epub file
+ * @returns {Promise<Object>} - { text, chapterCount, skipped: titles of the front matter left out, stoppedAt: back matter heading or null }
+ */
+async function convertEpubToText(epubPath) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(await fs.readFile(epubPath));
+  } catch (error) {
+    console.error(`Error opening EPUB ${epubPath}:`, error);
+    throw new Error(`Could not open ${path.basename(epubPath)} as an EPUB: ${error.message}`);
+  }
+
+  const pkg = await readPackage(zip);
+  const toc = await readTableOfContents(zip, pkg);
+  const bodyStart = toc.bodyStart || pkg.bodyStart;
+  const bodyIndex = bodyStart ? pkg.spine.findIndex(item => item.href === bodyStart) : -1;
+
+  const chapters = [];
+  const skipped = [];
+  let started = false;
+  let stoppedAt = null;
+
+  for (let index = 0; index < pkg.spine.length && !stoppedAt; index++) {
+    const item = pkg.spine[index];
+    const tocTitle = toc.titles.get(item.href) || null;
+    if (index < bodyIndex) {
+      skipped.push(tocTitle || path.posix.basename(item.href));
+      continue;
+    }
+    if (index === bodyIndex) {
+      started = true;
+    }
+    // Before the first chapter, documents the table of contents leaves out
+    // or names as front matter are front matter
+    if (!started && (tocTitle ? isFrontMatter(tocTitle) : toc.titles.size > 0)) {
+      skipped.push(tocTitle || path.posix.basename(item.href));
+      continue;
+    }
+
+    const doc = parseXhtml(await readZipText(zip, item.href));
+    for (const section of readSections(doc, tocTitle)) {
+      if (section.title && isStopTitle(section.title)) {
+        stoppedAt = section.title;
+        break;
+      }
+      if (!started) {
+        if (!section.title || isFrontMatter(section.title)) {
+          skipped.push(section.title || path.posix.basename(item.href));
+          continue;
+        }
+        started = true;
+      }
+      if (!section.title && chapters.length > 0) {
+        // Untitled text continues the chapter before it
+        chapters[chapters.length - 1].paragraphs.push(...section.paragraphs);
+        continue;
+      }
+      chapters.push({ title: section.title || 'Untitled Chapter', paragraphs: section.paragraphs });
+    }
+  }
+
+  if (chapters.length === 0) {
+    throw new Error('No chapters found in the EPUB');
+  }
+  return {
+    text: formatManuscript(chapters),
+    chapterCount: chapters.length,
+    skipped,
+    stoppedAt
+  };
+}
+
+module.exports = {
+  convertEpubToText
+};
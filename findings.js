@@ -0,0 +1,198 @@
+// findings.js
+//
+// Structured findings: with structured_findings on, an analysis tool asks
+// the model to end its report with a JSON list of the issues it found, and
+// saves that list next to the text report as <report>.findings.json:
+//
+//   {
+//     "version": 1,
+//     "toolId": "punctuation_auditor",
+//     "report": "punctuation_audit_20250412T101500.txt",
+//     "manuscript": "/Users/me/writing/A_Darker_Roast/manuscript.txt",
+//     "createdAt": "2025-04-12T10:15:00.000Z",
+//     "findings": [
+//       {
+//         "id": 1,
+//         "category": "comma splice",
+//         "severity": "medium",         // high, medium or low
+//         "chapter": "3",               // as the manuscript names it, or null
+//         "passage": "She ran, he followed.",
+//         "explanation": "Two sentences joined by a comma alone.",
+//         "suggestion": "She ran; he followed."
+//       }
+//     ]
+//   }
+//
+// Passages are quoted exactly, so they can be found in the manuscript.
+const path = require('path');
+
+const FINDINGS_VERSION = 1;
+const FINDINGS_START = '=== FINDINGS JSON ===';
+const FINDINGS_END = '=== END FINDINGS JSON ===';
+const SEVERITIES = ['high', 'medium', 'low'];
+
+// Added to every analyzer's options in TOOL_DEFS
+const STRUCTURED_FINDINGS_OPTION = {
+  "name": "structured_findings",
+  "label": "structured_findings",
+  "type": "boolean",
+  "description": "Also save each finding (category, severity, chapter, passage, explanation, suggested rewrite) as JSON in <report>.findings.json",
+  "required": false,
+  "default": false,
+  "group": "Output Configuration"
+};
+
+// Words models use for severity, mapped onto SEVERITIES
+const SEVERITY_ALIASES = {
+  critical: 'high',
+  major: 'high',
+  serious: 'high',
+  moderate: 'medium',
+  minor: 'low',
+  trivial: 'low'
+};
+
+/**
+ * Build the instructions that ask for findings after the report
+ * @param {string[]} categories - Categories the tool's findings fall into
+ * @returns {string} - Text to append to the prompt
+ */
+function buildFindingsInstructions(categories) {
+  return `
+
+STRUCTURED FINDINGS:
+After the complete report, list every specific issue the report raises as JSON. This JSON block is the only exception to the plain text rule. Put it last, between these two marker lines, with nothing else between them:
+${FINDINGS_START}
+[
+  {
+    "category": "one of: ${categories.join(', ')}",
+    "severity": "high, medium or low",
+    "chapter": "the chapter number or title the passage is in, or null if unknown",
+    "passage": "the passage, copied exactly from the manuscript",
+    "explanation": "what the problem is",
+    "suggestion": "a suggested rewrite of the passage, or null if none"
+  }
+]
+${FINDINGS_END}
+Use an empty list if there are no specific issues.`;
+}
+
+/**
+ * Split the findings block off a response
+ * A block whose end marker is missing, as when the response was cut off,
+ * runs to the end of the response.
+ * @param {string} response - Model response
+ * @returns {Object} - { text: the report without the block, raw: the block's JSON text, or null if there is none }
+ */
+function splitFindings(response) {
+  const start = response.lastIndexOf(FINDINGS_START);
+  if (start === -1) {
+    return { text: response, raw: null };
+  }
+  const end = response.indexOf(FINDINGS_END, start);
+  const raw = response.slice(start + FINDINGS_START.length, end === -1 ? undefined : end);
+  const rest = end === -1 ? '' : response.slice(end + FINDINGS_END.length);
+  return { text: (response.slice(0, start) + rest).trimEnd() + '\n', raw };
+}
+
+/**
+ * Text value of a finding's field
+ * @param {*} value - Field as the model wrote it
+ * @returns {string|null} - Trimmed text, or null if empty
+ */
+function textOrNull(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text && text.toLowerCase() !== 'null' ? text : null;
+}
+
+/**
+ * Check one finding and bring it into the saved shape
+ * @param {Object} item - Finding as the model wrote it
+ * @param {number} index - Position in the list
+ * @returns {Object} - { id, category, severity, chapter, passage, explanation, suggestion }
+ * @throws {Error} - If the finding has neither a passage nor an explanation
+ */
+function normalizeFinding(item, index) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    throw new Error(`finding ${index + 1} is not an object`);
+  }
+  const passage = textOrNull(item.passage);
+  const explanation = textOrNull(item.explanation);
+  if (!passage && !explanation) {
+    throw new Error(`finding ${index + 1} has neither a passage nor an explanation`);
+  }
+
+  const severity = String(item.severity || '').trim().toLowerCase();
+  return {
+    id: index + 1,
+    category: textOrNull(item.category) || 'general',
+    severity: SEVERITIES.includes(severity) ? severity : SEVERITY_ALIASES[severity] || 'medium',
+    chapter: textOrNull(item.chapter),
+    passage,
+    explanation,
+    suggestion: textOrNull(item.suggestion || item.rewrite)
+  };
+}
+
+/**
+ * Parse the JSON text of a findings block
+ * @param {string} raw - Block text; a Markdown code fence around it is allowed
+ * @returns {Object[]} - Normalized findings
+ * @throws {Error} - If the JSON is invalid or is not a list of findings
+ */
+function parseFindings(raw) {
+  const json = raw.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`the findings are not valid JSON (${error.message})`);
+  }
+  // Accept { "findings": [...] } as well as a bare list
+  const list = Array.isArray(parsed) ? parsed : parsed && Array.isArray(parsed.findings) ? parsed.findings : null;
+  if (!list) {
+    throw new Error('the findings are not a JSON list');
+  }
+  return list.map(normalizeFinding);
+}
+
+/**
+ * Get the findings file of a text report
+ * @param {string} reportPath - Text report, e.g. punctuation_audit_20250412T101500.txt
+ * @returns {string} - e.g. punctuation_audit_20250412T101500.findings.json
+ */
+function getFindingsPath(reportPath) {
+  const parsed = path.parse(reportPath);
+  return path.join(parsed.dir, `${parsed.name}.findings.json`);
+}
+
+/**
+ * Build the contents of a findings file
+ * @param {Object} details
+ * @param {string} details.toolId - Tool that wrote the report
+ * @param {string} details.reportPath - Text report
+ * @param {string} [details.manuscriptFile] - Manuscript the passages are quoted from
+ * @param {Object[]} details.findings - Normalized findings
+ * @returns {Object} - Findings document
+ */
+function buildFindingsDocument({ toolId, reportPath, manuscriptFile, findings }) {
+  return {
+    version: FINDINGS_VERSION,
+    toolId,
+    report: path.basename(reportPath),
+    manuscript: manuscriptFile || null,
+    createdAt: new Date().toISOString(),
+    findings
+  };
+}
+
+module.exports = {
+  STRUCTURED_FINDINGS_OPTION,
+  SEVERITIES,
+  buildFindingsInstructions,
+  splitFindings,
+  parseFindings,
+  getFindingsPath,
+  buildFindingsDocument
+};
@@ -6,6 +6,14 @@ const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
 
+// Categories for structured findings (see findings.js)
+const FINDING_CATEGORIES = [
+  'unfulfilled setup',
+  'unplanted payoff',
+  'heavy-handed hint',
+  'chekhov element'
+];
+
 /**
  * ForeshadowingTracker Tool
  * Analyzes manuscript for foreshadowing elements, planted clues, and their payoffs using the Claude API.
@@ -36,6 +44,8 @@ class ForeshadowingTracker extends BaseTool {
     const foreshadowingType = options.foreshadowing_type;
     const chronological = options.chronological;
     const skipThinking = options.skip_thinking;
+    const structuredFindings = options.structured_findings || false;
+    const chapterRange = options.chapters || '';
     const analysisDescription = options.analysis_description;
     const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     
@@ -67,7 +77,10 @@ class ForeshadowingTracker extends BaseTool {
 
       // Read the manuscript file
       this.emitOutput(`Reading manuscript file: ${manuscriptFile}\n`);
-      const manuscriptContent = await this.readInputFile(manuscriptFile);
+      const { content: manuscriptContent, scope } = this.scopeManuscript(
+        await this.readInputFile(manuscriptFile),
+        chapterRange
+      );
       
       // Read the outline file if provided
       let outlineContent = '';
@@ -87,7 +100,9 @@ class ForeshadowingTracker extends BaseTool {
             chronological,
             skipThinking,
             analysisDescription,
-            saveDir
+            saveDir,
+            structuredFindings ? manuscriptFile : null,
+            scope
           );
           outputFiles.push(...result.outputFiles);
         }
@@ -100,7 +115,9 @@ class ForeshadowingTracker extends BaseTool {
           chronological,
           skipThinking,
           analysisDescription,
-          saveDir
+          saveDir,
+          structuredFindings ? manuscriptFile : null,
+          scope
         );
         outputFiles.push(...result.outputFiles);
       }
@@ -132,6 +149,8 @@ class ForeshadowingTracker extends BaseTool {
    * @param {boolean} skipThinking - Whether to skip saving thinking
    * @param {string} analysisDescription - Optional description
    * @param {string} saveDir - Directory to save to
+   * @param {string|null} findingsFor - Manuscript file to save structured findings for, or null for none
+   * @param {Object|null} scope - Chapters the manuscript was narrowed to, or null for all of it
    * @returns {Promise<Object>} - Analysis result
    */
   async runAnalysis(
@@ -141,21 +160,27 @@ class ForeshadowingTracker extends BaseTool {
     chronological,
     skipThinking,
     analysisDescription,
-    saveDir
+    saveDir,
+    findingsFor,
+    scope
   ) {
     this.emitOutput(`\n=== Running ${foreshadowingType.toUpperCase()} Foreshadowing Analysis ===\n`);
     
     // Create the prompt
-    const prompt = this.createForeshadowingPrompt(
+    let prompt = await this.customizePrompt(this.createForeshadowingPrompt(
       foreshadowingType,
       outlineContent,
       manuscriptContent,
       chronological
-    );
+    ), foreshadowingType);
+    prompt = this.scopePrompt(prompt, scope);
+    if (findingsFor) {
+      prompt = this.requestFindings(prompt, FINDING_CATEGORIES);
+    }
 
     // Count tokens in the prompt
     this.emitOutput(`Counting tokens in prompt...\n`);
-    const promptTokens = await this.claudeService.countTokens(prompt);
+    const promptTokens = await this.countTokens(prompt);
 
     // Call the shared token budget calculator
     const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -163,7 +188,7 @@ class ForeshadowingTracker extends BaseTool {
     // Handle logging based on the returned values
     this.emitOutput(`\nToken stats:\n`);
     this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
-    this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] ...\n`);
+    this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()}) ...\n`);
     this.emitOutput(`                     = outline + manuscript + prompt instructions\n`);
     this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]  = ${tokenBudgets.contextWindow} - ${tokenBudgets.promptTokens} = context_window - prompt\n`);
     this.emitOutput(`Desired output tokens: [${tokenBudgets.desiredOutputTokens}]\n`);
@@ -206,7 +231,7 @@ class ForeshadowingTracker extends BaseTool {
 
     // Use the calculated values in the API call
     try {
-      await this.claudeService.streamWithThinking(
+      await this.streamWithThinking(
         prompt,
         {
           system: systemPrompt,
@@ -241,11 +266,18 @@ class ForeshadowingTracker extends BaseTool {
     this.emitOutput(`Report has approximately ${wordCount} words.\n`);
     
     // Count tokens in response
-    const responseTokens = await this.claudeService.countTokens(fullResponse);
-    this.emitOutput(`Response token count: ${responseTokens}\n`);
+    const responseTokens = await this.responseTokenCount(fullResponse);
+    this.emitOutput(`Response token count: ${responseTokens} (${this.tokenCountLabel()})\n`);
+
+    // Take the structured findings off before cleaning up the report
+    let findings = null;
+    if (findingsFor) {
+      ({ text: fullResponse, findings } = this.takeFindings(fullResponse));
+    }
 
     // Remove any markdown formatting
     fullResponse = this.removeMarkdown(fullResponse);
+    fullResponse = this.scopeReport(fullResponse, scope);
 
     // Save the report
     const outputFile = await this.saveReport(
@@ -260,6 +292,10 @@ class ForeshadowingTracker extends BaseTool {
       chronological
     );
     
+    if (findings) {
+      outputFile.push(await this.saveFindings(findings, outputFile[0], findingsFor));
+    }
+    
     return {
       success: true,
       outputFiles: outputFile,
@@ -289,14 +325,14 @@ class ForeshadowingTracker extends BaseTool {
       : "Organize your analysis by foreshadowing type, grouping similar elements together.";
     
     const prompts = {
-      "explicit": `=== OUTLINE ===
-${outlineContent}
-=== END OUTLINE ===
-
-=== MANUSCRIPT ===
+      "explicit": `=== MANUSCRIPT ===
 ${manuscriptContent}
 === END MANUSCRIPT ===
 
+=== OUTLINE ===
+${outlineContent}
+=== END OUTLINE ===
+
 ${noMarkdown}
 
 You are an expert fiction editor specializing in narrative structure and foreshadowing. Analyze the manuscript to identify EXPLICIT foreshadowing elements - direct hints, statements, or events that point to future developments.
@@ -340,14 +376,14 @@ For unresolved foreshadowing, note:
 
 Use the extensive thinking space to thoroughly catalog and cross-reference all foreshadowing elements before finalizing your analysis.`,
 
-      "implicit": `=== OUTLINE ===
-${outlineContent}
-=== END OUTLINE ===
-
-=== MANUSCRIPT ===
+      "implicit": `=== MANUSCRIPT ===
 ${manuscriptContent}
 === END MANUSCRIPT ===
 
+=== OUTLINE ===
+${outlineContent}
+=== END OUTLINE ===
+
 ${noMarkdown}
 
 You are an expert fiction editor specializing in narrative structure and foreshadowing. Analyze the manuscript to identify IMPLICIT foreshadowing elements - subtle clues, symbolic imagery, and thematic elements that hint at future developments.
@@ -391,14 +427,14 @@ For potential missed opportunities, identify:
 
 Use the extensive thinking space to thoroughly catalog and cross-reference all implicit elements before finalizing your analysis.`,
 
-      "chekhov": `=== OUTLINE ===
-${outlineContent}
-=== END OUTLINE ===
-
-=== MANUSCRIPT ===
+      "chekhov": `=== MANUSCRIPT ===
 ${manuscriptContent}
 === END MANUSCRIPT ===
 
+=== OUTLINE ===
+${outlineContent}
+=== END OUTLINE ===
+
 ${noMarkdown}
 
 You are an expert fiction editor specializing in narrative structure and "Chekhov's Gun" analysis - the principle that significant elements introduced in a story must be used in a meaningful way. Analyze the manuscript to identify introduced elements that create expectations for later use.
@@ -523,7 +559,7 @@ ${foreshadowingType}
 ${thinking}
 
 === END AI'S THINKING PROCESS ===
-${stats}`;
+${this.effectivePromptSection()}${stats}`;
         
         await this.writeOutputFile(thinkingContent, saveDir, thinkingFilename);
         this.emitOutput(`AI thinking saved to: ${thinkingPath}\n`);
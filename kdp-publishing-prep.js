@@ -76,11 +76,11 @@ class KdpPublishingPrep extends BaseTool {
       this.emitOutput(`Generating KDP publishing elements with AI analysis...\n`);
       
       // Create appropriate prompt based on book type
-      const prompt = this.createKDPPrompt(textSample, bookType, titleIdeas, existingTitle, targetAudience);
+      const prompt = await this.customizePrompt(this.createKDPPrompt(textSample, bookType, titleIdeas, existingTitle, targetAudience));
       
       // Count tokens in the prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.countTokens(prompt);
 
       // Calculate token budgets
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -88,7 +88,7 @@ class KdpPublishingPrep extends BaseTool {
       // Log token information
       this.emitOutput(`\nToken stats:\n`);
       this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
-      this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}]\n`);
+      this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()})\n`);
       this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]\n`);
       this.emitOutput(`Desired output tokens: [${tokenBudgets.desiredOutputTokens}]\n`);
       this.emitOutput(`AI model thinking budget: [${tokenBudgets.thinkingBudget}] tokens\n`);
@@ -113,7 +113,7 @@ class KdpPublishingPrep extends BaseTool {
       
       // Use the calculated values in the API call
       try {
-        await this.claudeService.streamWithThinking(
+        await this.streamWithThinking(
           prompt,
           {
             max_tokens: tokenBudgets.maxTokens,
@@ -164,7 +164,7 @@ class KdpPublishingPrep extends BaseTool {
       // Save the thinking content if available
       if (thinkingContent) {
         const thinkingPath = path.join(saveDir, `${baseFilename}_thinking.txt`);
-        await this.writeOutputFile(thinkingContent, saveDir, `${baseFilename}_thinking.txt`);
+        await this.writeOutputFile(thinkingContent + this.effectivePromptSection(), saveDir, `${baseFilename}_thinking.txt`);
         outputFiles.push(thinkingPath);
       }
       
@@ -193,7 +193,7 @@ class KdpPublishingPrep extends BaseTool {
           wordCount,
           responseWordCount,
           promptTokens,
-          responseTokens: await this.claudeService.countTokens(fullResponse)
+          responseTokens: await this.responseTokenCount(fullResponse)
         }
       };
       
@@ -224,7 +224,11 @@ class KdpPublishingPrep extends BaseTool {
       ? `The author has identified their target audience as: "${targetAudience}". Keep this in mind when making suggestions.`
       : "";
       
-    return `You are a professional publishing consultant helping an author prepare their manuscript for Kindle Direct Publishing (KDP). 
+    return `=== MANUSCRIPT ===
+${textSample}
+=== END MANUSCRIPT ===
+
+You are a professional publishing consultant helping an author prepare their manuscript for Kindle Direct Publishing (KDP). 
 
 The author has provided their manuscript text and needs your expertise to generate the essential elements for their KDP submission page. Amazon has specific requirements and limitations for each element.
 
@@ -298,11 +302,7 @@ Here's what the author needs:
 
 ${audienceContext}
 
-Analyze the following manuscript and provide all requested elements in a clearly organized format. For a ${bookType} book:
-
-=== MANUSCRIPT ===
-${textSample}
-=== END MANUSCRIPT ===`;
+Analyze the manuscript above and provide all requested elements in a clearly organized format, for a ${bookType} book.`;
   }
 
   /**
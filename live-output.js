@@ -0,0 +1,182 @@
+// live-output.js
+/**
+ * Live Output View
+ * Virtualized display of streamed model output for the tool window.
+ * A long response can run to 100k tokens, so instead of appending to one
+ * huge text node the text is wrapped into fixed-height rows and only the
+ * rows in view are rendered.
+ */
+class LiveOutputView {
+  /**
+   * Constructor
+   * @param {HTMLElement} container - Scrollable element that hosts the view
+   */
+  constructor(container) {
+    this.container = container;
+    this.rows = []; // { kind, text }
+    this.currentKind = null;
+    this.overscan = 20;
+    this.renderPending = false;
+
+    this.container.innerHTML = '';
+    this.container.style.position = 'relative';
+
+    // Spacer gives the container its full scroll height
+    this.spacer = document.createElement('div');
+    this.container.appendChild(this.spacer);
+
+    // Only the visible rows are rendered into this layer
+    this.layer = document.createElement('div');
+    this.layer.style.position = 'absolute';
+    this.layer.style.left = '0';
+    this.layer.style.right = '0';
+    this.layer.style.top = '0';
+    this.container.appendChild(this.layer);
+
+    this.rowHeight = 18;
+    this.columns = 100;
+    this.measure();
+    this.container.addEventListener('scroll', () => this.scheduleRender());
+  }
+
+  /**
+   * Measure row height and characters per row from the container's font
+   */
+  measure() {
+    if (this.container.clientWidth === 0) return; // Hidden, measure again when shown
+
+    const row = document.createElement('div');
+    row.className = 'live-output-row';
+    row.style.visibility = 'hidden';
+    const probe = document.createElement('span');
+    probe.textContent = 'M'.repeat(100);
+    row.appendChild(probe);
+    this.container.appendChild(row);
+    const charWidth = probe.offsetWidth / 100 || 8;
+    const rowStyle = window.getComputedStyle(row);
+    const rowPadding = parseFloat(rowStyle.paddingLeft || 0) + parseFloat(rowStyle.paddingRight || 0);
+    this.rowHeight = row.offsetHeight || 18;
+    this.container.removeChild(row);
+
+    // Leave room for the vertical scrollbar
+    const width = this.container.clientWidth - rowPadding - 20;
+    this.columns = Math.max(20, Math.floor(width / charWidth));
+  }
+
+  /**
+   * Remove all text from the view
+   */
+  clear() {
+    this.rows = [];
+    this.currentKind = null;
+    this.container.scrollTop = 0;
+    this.scheduleRender();
+  }
+
+  /**
+   * Append a streamed delta
+   * @param {string} kind - 'text' or 'thinking'
+   * @param {string} text - Delta text
+   */
+  append(kind, text) {
+    if (!text) return;
+
+    // Mark each switch between thinking and response text
+    if (kind !== this.currentKind) {
+      if (this.rows.length > 0 && this.rows[this.rows.length - 1].text !== '') {
+        this.rows.push({ kind, text: '' });
+      }
+      this.rows.push({ kind: 'marker', text: kind === 'thinking' ? '--- thinking ---' : '--- response ---' });
+      this.rows.push({ kind, text: '' });
+      this.currentKind = kind;
+    }
+
+    const lines = text.split('\n');
+    lines.forEach((line, index) => {
+      if (index > 0) {
+        this.rows.push({ kind, text: '' });
+      }
+      this.appendToLastRow(kind, line);
+    });
+
+    this.scheduleRender();
+  }
+
+  /**
+   * Append text to the last row, wrapping onto new rows at the column limit
+   * @param {string} kind - Row kind
+   * @param {string} text - Text without newlines
+   */
+  appendToLastRow(kind, text) {
+    let last = this.rows[this.rows.length - 1];
+    let remaining = text;
+    while (remaining.length > 0) {
+      const room = this.columns - last.text.length;
+      if (room <= 0) {
+        last = { kind, text: '' };
+        this.rows.push(last);
+        continue;
+      }
+      // Break at a space where possible so words are not split across rows
+      let take = Math.min(room, remaining.length);
+      if (remaining.length > room) {
+        const space = remaining.lastIndexOf(' ', room - 1);
+        if (space >= 0) {
+          take = space + 1;
+        } else if (last.text.length > 0) {
+          // The word does not fit in what is left of this row, start a new one
+          last = { kind, text: '' };
+          this.rows.push(last);
+          continue;
+        }
+      }
+      last.text += remaining.slice(0, take);
+      remaining = remaining.slice(take);
+    }
+  }
+
+  /**
+   * Render on the next animation frame, at most once per frame
+   */
+  scheduleRender() {
+    if (this.renderPending) return;
+    this.renderPending = true;
+    window.requestAnimationFrame(() => {
+      this.renderPending = false;
+      this.render();
+    });
+  }
+
+  /**
+   * Render the rows currently in view
+   */
+  render() {
+    const container = this.container;
+    const totalHeight = this.rows.length * this.rowHeight;
+
+    // Follow the stream only if the user has not scrolled up
+    const atBottom = container.scrollTop + container.clientHeight >=
+      parseFloat(this.spacer.style.height || 0) - this.rowHeight * 2;
+
+    this.spacer.style.height = `${totalHeight}px`;
+    if (atBottom) {
+      container.scrollTop = totalHeight;
+    }
+
+    const first = Math.max(0, Math.floor(container.scrollTop / this.rowHeight) - this.overscan);
+    const visible = Math.ceil(container.clientHeight / this.rowHeight) + this.overscan * 2;
+    const last = Math.min(this.rows.length, first + visible);
+
+    const fragment = document.createDocumentFragment();
+    for (let i = first; i < last; i++) {
+      const row = document.createElement('div');
+      row.className = `live-output-row live-output-${this.rows[i].kind}`;
+      row.textContent = this.rows[i].text || ' ';
+      fragment.appendChild(row);
+    }
+
+    this.layer.style.transform = `translateY(${first * this.rowHeight}px)`;
+    this.layer.innerHTML = '';
+    this.layer.appendChild(fragment);
+  }
+}
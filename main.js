@@ -8,6 +8,13 @@ const { v4: uuidv4 } = require('uuid');
 const appState = require('./state.js');
 // const database = require('./database.js');
 const toolSystem = require('./tool-system');
+const runHistory = require('./run-history');
+const toolServer = require('./tool-server');
+const pipelineRunner = require('./pipeline-runner');
+const { loadPipelines } = require('./pipelines');
+const { PROVIDERS, REPLAY_MODES, DEFAULT_PROVIDER } = require('./providers');
+const { DEFAULT_IMPORT_OPTIONS, convertDocxToText, previewDocxImport } = require('./docx-import');
+const { convertEpubToText } = require('./epub-import');
 
 // Set fixed working directory regardless of launch method
 app.whenReady().then(() => {
@@ -38,6 +45,24 @@ let shouldShowProjectDialog = true;
 // Store the currently selected tool
 let currentTool = null;
 
+// Option values to prefill when a tool is re-run from the Runs panel
+let currentToolPresetOptions = null;
+
+// Runs in progress, keyed by runId: { toolName, controller }
+const activeRuns = new Map();
+
+// Message Batches being waited on or collected, by batch ID
+const activeBatches = new Set();
+
+// Pipelines being advanced, by pipeline run ID: { controller, runId of the current step }
+const activePipelines = new Map();
+
+// Live view settings from the tool window: forward text deltas, and thinking too?
+let toolStreamOptions = { live: false, thinking: false };
+
+// How often batched stream deltas are sent to the tool window
+const TOOL_STREAM_INTERVAL_MS = 100;
+
 // Set application name
 app.name = "Writer's Toolkit";
 
@@ -359,6 +384,9 @@ function createToolSetupRunDialog(toolName) {
     autoHideMenuBar: true,
   });
 
+  // A new tool window starts with the live view off
+  toolStreamOptions = { live: false, thinking: false };
+
   // Load the HTML file
   toolSetupRunWindow.loadFile(path.join(__dirname, 'tool-setup-run.html'));
 
@@ -391,7 +419,7 @@ function createToolSetupRunDialog(toolName) {
 }
 
 // Show the tool setup dialog - MODIFIED: always recreate the window
-function showToolSetupRunDialog(toolName) {
+function showToolSetupRunDialog(toolName, presetOptions = null) {
   // Always close any existing tool window first
   if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
     toolSetupRunWindow.destroy();
@@ -400,6 +428,7 @@ function showToolSetupRunDialog(toolName) {
   
   // Store the selected tool
   currentTool = toolName;
+  currentToolPresetOptions = presetOptions;
   console.log(`Creating new tool setup dialog for: ${toolName}`);
   
   // Create a new dialog window with the current tool
@@ -431,6 +460,364 @@ function launchEditor() {
   });
 }
 
+/**
+ * Create a sender that batches streamed model deltas for the 'tool-stream' channel
+ * Deltas arrive many times per second; sending each one would flood the renderer,
+ * so consecutive deltas of the same kind are merged and flushed on a timer.
+ * @param {string} runId - Run the deltas belong to
+ * @returns {{push: Function, flush: Function}} - push(kind, text) and flush()
+ */
+function createToolStreamSender(runId) {
+  let chunks = [];
+  let timer = null;
+  
+  const flush = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (chunks.length === 0) return;
+    
+    const batch = chunks;
+    chunks = [];
+    if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
+      toolSetupRunWindow.webContents.send('tool-stream', { runId, chunks: batch });
+    }
+  };
+  
+  const push = (kind, text) => {
+    if (!toolStreamOptions.live) return;
+    if (kind === 'thinking' && !toolStreamOptions.thinking) return;
+    
+    const last = chunks[chunks.length - 1];
+    if (last && last.kind === kind) {
+      last.text += text;
+    } else {
+      chunks.push({ kind, text });
+    }
+    
+    if (!timer) {
+      timer = setTimeout(flush, TOOL_STREAM_INTERVAL_MS);
+    }
+  };
+  
+  return { push, flush };
+}
+
+/**
+ * Write a finished, failed or cancelled run to the project's run history
+ * and let the main window know so the Runs panel can refresh.
+ * @param {Object} run - Details collected by the start-tool-run handler
+ */
+async function recordToolRun(run) {
+  if (!run.projectPath) {
+    console.log(`No project selected, run ${run.runId} not recorded in run history`);
+    return;
+  }
+  
+  const tool = toolSystem.toolRegistry.getTool(run.toolName);
+  const record = runHistory.buildRecord(run, tool);
+  
+  try {
+    await runHistory.addRun(run.projectPath, record);
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('run-history-updated', record);
+    }
+  } catch (error) {
+    // Losing a history record must never turn a good run into a failed one
+    console.error('Error recording run history:', error);
+  }
+}
+
+/**
+ * Let the main window know how a Message Batch is getting on
+ * @param {Object} progress - { batchId, status, counts, message, done }
+ */
+function sendBatchProgress(progress) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('batch-progress', progress);
+  }
+}
+
+/**
+ * Wait for a submitted batch to end, then save each tool's reports
+ * and record every tool in the run history.
+ * @param {Object} record - Batch record from the tool system
+ * @param {boolean} wait - Poll until the batch ends before collecting
+ */
+async function finishToolBatch(record, wait) {
+  const batchId = record.id;
+  if (activeBatches.has(batchId)) {
+    return;
+  }
+  activeBatches.add(batchId);
+  const projectPath = appState.CURRENT_PROJECT_PATH;
+  const startedAt = new Date(record.submittedAt);
+  
+  try {
+    if (wait) {
+      await toolSystem.waitForToolBatch(batchId, {
+        onProgress: (batchRecord, status) => sendBatchProgress({
+          batchId,
+          status: status.status,
+          counts: status.counts,
+          message: `Batch ${batchId}: ${status.status.replace(/_/g, ' ')}`
+        })
+      });
+    }
+    
+    sendBatchProgress({ batchId, status: 'collecting', message: `Batch ${batchId}: saving reports...` });
+    let runIndex = 0;
+    const outcomes = await toolSystem.collectToolBatch(batchId, {
+      onRunFinished: async (outcome) => {
+        await recordToolRun({
+          runId: `${batchId}-${runIndex++}`,
+          toolName: outcome.toolId,
+          optionValues: outcome.options,
+          projectPath,
+          startedAt,
+          status: outcome.success ? 'success' : 'error',
+          error: outcome.error,
+          result: outcome.result,
+          outputFiles: outcome.outputFiles
+        });
+      }
+    });
+    
+    const failed = outcomes.filter(outcome => !outcome.success).length;
+    sendBatchProgress({
+      batchId,
+      status: 'collected',
+      done: true,
+      message: `Batch ${batchId}: ${outcomes.length - failed} of ${outcomes.length} tools saved their reports` +
+        (failed ? `; ${failed} failed (see Runs)` : '')
+    });
+  } catch (error) {
+    console.error(`Error finishing batch ${batchId}:`, error);
+    sendBatchProgress({ batchId, status: 'error', done: true, message: `Batch ${batchId}: ${error.message}` });
+  } finally {
+    activeBatches.delete(batchId);
+  }
+}
+
+/**
+ * Start a tool run in the background, tracked in activeRuns and recorded
+ * in the run history when it ends. Used by the tool window and the local
+ * tool server alike; each passes listeners for the run's events.
+ * @param {string} toolName - Tool ID
+ * @param {Object} optionValues - Option values
+ * @param {Object} runOptions - { resume: true } continues from the last checkpoint
+ * @param {Object} listeners
+ * @param {Function} listeners.output - Called with each piece of tool output
+ * @param {Function} [listeners.stream] - Called with (kind, text) for streamed model deltas
+ * @param {Function} listeners.finished - Called with { createdFiles, result } on success
+ * @param {Function} listeners.error - Called with { error, cancelled, checkpoint, fieldErrors, shownInOutput } on failure
+ * @returns {string} - Run ID
+ * @throws {Error} - If the tool does not exist or is already running
+ */
+function startToolRun(toolName, optionValues, runOptions, listeners) {
+  const tool = toolSystem.toolRegistry.getTool(toolName);
+  if (!tool) {
+    throw new Error(`Tool not found: ${toolName}`);
+  }
+  // A tool instance holds the state of its run, so one run per tool at a time,
+  // batches included
+  toolSystem.claimTools([toolName]);
+  
+  // Generate a unique run ID
+  const runId = uuidv4();
+  
+  // Track the run so 'stop-tool' can cancel it
+  const controller = new AbortController();
+  activeRuns.set(runId, { toolName, controller });
+  
+  // Details for the run history record
+  const projectPath = appState.CURRENT_PROJECT_PATH;
+  const startedAt = new Date();
+  let runStatus = 'success';
+  let runError = null;
+  let runResult = null;
+  let runFiles = [];
+  
+  // Execute the tool in the background, starting on the next tick so the
+  // caller has the run ID before the first event arrives
+  setImmediate(async () => {
+    try {
+      // Send initial output notification
+      listeners.output(`Starting ${toolName}...\n\n`);
+      
+      // Add output functions to the tool
+      tool.emitOutput = (text) => listeners.output(text);
+      tool.emitStream = (kind, text) => {
+        if (listeners.stream) listeners.stream(kind, text);
+      };
+      
+      // Execute the tool
+      const result = await toolSystem.executeToolById(toolName, optionValues, runId, controller.signal, runOptions || {});
+      runResult = result;
+      
+      // Get files from cache
+      const fileCache = require('./file-cache');
+      const cachedFiles = fileCache.getFiles(toolName);
+      
+      // Combine cached files with any files returned by the tool
+      runFiles = [...new Set([
+        ...(result.outputFiles || []),
+        ...cachedFiles.map(file => file.path)
+      ])];
+      
+      // Send completion notification
+      listeners.finished({ createdFiles: runFiles, result });
+    } catch (error) {
+      const cancelled = controller.signal.aborted;
+      runStatus = cancelled ? 'cancelled' : 'error';
+      runError = cancelled ? null : error.message;
+      if (cancelled) {
+        console.log(`Tool run cancelled: ${toolName} (${runId})`);
+      } else {
+        console.error(`Error running tool ${toolName}:`, error);
+      }
+      listeners.error({
+        error: cancelled ? 'Run cancelled by user' : error.message,
+        cancelled,
+        // Partial output was saved, so the run can continue from it
+        checkpoint: !cancelled && !!error.checkpoint,
+        // Per-option messages when the options failed validation
+        fieldErrors: error.validationErrors || null,
+        // The tool already wrote the error to its output
+        shownInOutput: !cancelled && !!error.shownInOutput
+      });
+    } finally {
+      activeRuns.delete(runId);
+      toolSystem.releaseTools([toolName]);
+      await recordToolRun({
+        runId,
+        toolName,
+        optionValues,
+        projectPath,
+        startedAt,
+        status: runStatus,
+        error: runError,
+        result: runResult,
+        outputFiles: runFiles
+      });
+    }
+  });
+  
+  return runId;
+}
+
+/**
+ * Cancel a tool run in progress
+ * @param {string} runId - Run ID
+ * @returns {Object} - { success, message }
+ */
+function stopToolRun(runId) {
+  const run = activeRuns.get(runId);
+  if (!run) {
+    return { success: false, message: `No running tool with run ID: ${runId}` };
+  }
+  
+  console.log(`Cancelling tool run: ${run.toolName} (${runId})`);
+  run.controller.abort();
+  return { success: true };
+}
+
+/**
+ * Let the main window know how a pipeline is getting on
+ * @param {Object} record - Pipeline run record
+ * @param {string} message - What just happened
+ */
+function sendPipelineProgress(record, message) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('pipeline-progress', {
+      id: record.id,
+      status: record.status,
+      message,
+      done: record.status !== 'running'
+    });
+  }
+}
+
+/**
+ * Hooks for pipeline-runner.js that run each step as an ordinary tool run,
+ * so steps show up in the run history and can be stopped like any other run
+ * @param {string} id - Pipeline run ID
+ * @param {AbortController} controller - Aborted by stop-pipeline
+ * @returns {Object} - { runStep, onProgress, signal }
+ */
+function createPipelineHooks(id, controller) {
+  return {
+    signal: controller.signal,
+    onProgress: sendPipelineProgress,
+    runStep: (step, options, runOptions) => new Promise((resolve, reject) => {
+      const runId = startToolRun(step.tool, options, runOptions, {
+        output: () => {},
+        finished: ({ createdFiles, result }) => resolve({
+          runId,
+          outputFiles: createdFiles,
+          stats: (result && result.stats) || {}
+        }),
+        error: (details) => reject(Object.assign(new Error(details.error), {
+          validationErrors: details.fieldErrors
+        }))
+      });
+      activePipelines.get(id).runId = runId;
+    })
+  };
+}
+
+/**
+ * Run a pipeline in the background until it pauses, fails or completes
+ * @param {string} id - Pipeline run ID
+ * @returns {Object} - { success, message }
+ */
+function runPipelineInBackground(id) {
+  if (activePipelines.has(id)) {
+    return { success: false, message: 'That pipeline is already running.' };
+  }
+  const controller = new AbortController();
+  activePipelines.set(id, { controller, runId: null });
+  pipelineRunner.runPipeline(id, createPipelineHooks(id, controller))
+    .catch(error => {
+      console.error('Error running pipeline:', error);
+      sendPipelineProgress({ id, status: 'failed' }, error.message);
+    })
+    .finally(() => activePipelines.delete(id));
+  return { success: true };
+}
+
+/**
+ * Start, restart or stop the local tool server to match the API settings
+ * A missing token is generated and saved, so it can be copied from API Settings.
+ */
+async function applyToolServerSettings() {
+  const settings = appState.settings_claude_api_configuration;
+  try {
+    if (!settings.server_enabled) {
+      await toolServer.stop();
+      return;
+    }
+    
+    if (!settings.server_token) {
+      settings.server_token = require('crypto').randomBytes(24).toString('hex');
+      if (appState.store) {
+        appState.store.set('claude_api_configuration', settings);
+      }
+    }
+    await toolServer.start({
+      port: settings.server_port,
+      token: settings.server_token,
+      startRun: startToolRun,
+      stopRun: stopToolRun
+    });
+  } catch (error) {
+    // The app works without the server, so report it and carry on
+    console.error('Error starting tool server:', error);
+    dialog.showErrorBox('Tool Server', `The local tool server could not start: ${error.message}`);
+  }
+}
+
 // Setup handlers for tool operations
 function setupToolHandlers() {
   // Get list of tools
@@ -462,7 +849,13 @@ function setupToolHandlers() {
   ipcMain.handle('get-tools', () => {
     return toolSystem.toolRegistry.getAllToolIds().map(id => {
       const t = toolSystem.toolRegistry.getTool(id);
-      return { name: id, title: t.config.title, description: t.config.description };
+      return {
+        name: id,
+        title: t.config.title,
+        description: t.config.description,
+        batchable: !!t.config.batchable,
+        userDefined: !!(t.config.userDefined || t.config.plugin)
+      };
     });
   });
 
@@ -488,6 +881,16 @@ function setupToolHandlers() {
     return t ? (t.config.options || []) : [];
   });
   
+  // Check option values against the tool's option schema
+  ipcMain.handle('validate-tool-options', (e, toolName, optionValues) => {
+    try {
+      return toolSystem.validateToolOptions(toolName, optionValues);
+    } catch (error) {
+      console.error('Error validating tool options:', error);
+      return { valid: false, values: optionValues, errors: {}, message: error.message };
+    }
+  });
+  
   // Show tool setup dialog
   ipcMain.on('show-tool-setup-dialog', (event, toolName) => {
     showToolSetupRunDialog(toolName);
@@ -511,7 +914,8 @@ function setupToolHandlers() {
           return {
             name: currentTool,
             title: tool.config.title || currentTool,
-            description: tool.config.description || ''
+            description: tool.config.description || '',
+            presetOptions: currentToolPresetOptions
           };
         }
         
@@ -532,69 +936,30 @@ function setupToolHandlers() {
     }
   });
   
-  // When updating the start-tool-run handler:
-  ipcMain.handle('start-tool-run', async (event, toolName, optionValues) => {
+  // Run a tool from the tool window
+  ipcMain.handle('start-tool-run', async (event, toolName, optionValues, runOptions = {}) => {
     try {
-      // Generate a unique run ID
-      const runId = uuidv4();
-      
-      // Set up output function
-      const sendOutput = (text) => {
+      let streamSender = null;
+      const send = (channel, data) => {
         if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
-          toolSetupRunWindow.webContents.send('tool-output', { 
-            runId, 
-            text 
-          });
+          toolSetupRunWindow.webContents.send(channel, data);
         }
       };
       
-      // Execute the tool in the background
-      (async () => {
-        try {
-          // Send initial output notification
-          sendOutput(`Starting ${toolName}...\n\n`);
-          
-          // Get the tool
-          const tool = toolSystem.toolRegistry.getTool(toolName);
-          
-          if (!tool) {
-            throw new Error(`Tool not found: ${toolName}`);
-          }
-          
-          // Add output function to the tool
-          tool.emitOutput = sendOutput;
-          
-          // Execute the tool
-          const result = await toolSystem.executeToolById(toolName, optionValues, runId);
-          
-          // Get files from cache
-          const fileCache = require('./file-cache');
-          const cachedFiles = fileCache.getFiles(toolName);
-          
-          // Combine cached files with any files returned by the tool
-          const allFiles = [...new Set([
-            ...(result.outputFiles || []),
-            ...cachedFiles.map(file => file.path)
-          ])];
-          
-          // Send completion notification
-          if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
-            toolSetupRunWindow.webContents.send('tool-finished', { 
-              runId, 
-              code: 0, 
-              createdFiles: allFiles 
-            });
-          }
-        } catch (error) {
-          console.error(`Error running tool ${toolName}:`, error);
-          if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
-            toolSetupRunWindow.webContents.send('tool-error', { 
-              runId, 
-              error: error.message 
-            });
-          }
+      const runId = startToolRun(toolName, optionValues, runOptions, {
+        output: (text) => send('tool-output', { runId, text }),
+        // Batched live view of the model's streamed output
+        stream: (kind, text) => streamSender.push(kind, text),
+        finished: ({ createdFiles }) => {
+          streamSender.flush();
+          send('tool-finished', { runId, code: 0, createdFiles });
+        },
+        error: (details) => {
+          streamSender.flush();
+          send('tool-error', { runId, ...details });
         }
-      })();
+      });
+      streamSender = createToolStreamSender(runId);
       
       return runId;
     } catch (error) {
@@ -603,6 +968,153 @@ function setupToolHandlers() {
     }
   });
   
+  // Cancel a running tool
+  ipcMain.handle('stop-tool', (event, runId) => stopToolRun(runId));
+  
+  // Live view settings from the tool window
+  ipcMain.handle('set-tool-stream-options', (event, options = {}) => {
+    toolStreamOptions = {
+      live: !!options.live,
+      thinking: !!options.thinking
+    };
+    return toolStreamOptions;
+  });
+  
+  // Get the run history for the current project
+  ipcMain.handle('get-run-history', async (event, filter = {}) => {
+    try {
+      return await runHistory.getRuns(appState.CURRENT_PROJECT_PATH, filter);
+    } catch (error) {
+      console.error('Error getting run history:', error);
+      return [];
+    }
+  });
+  
+  // Re-run a recorded run: open its tool with the same option values
+  ipcMain.handle('rerun-tool', async (event, runId) => {
+    try {
+      const run = await runHistory.getRun(appState.CURRENT_PROJECT_PATH, runId);
+      if (!run) {
+        return { success: false, message: `Run not found: ${runId}` };
+      }
+      if (!toolSystem.toolRegistry.getTool(run.toolId)) {
+        return { success: false, message: `Tool is no longer available: ${run.toolId}` };
+      }
+      
+      showToolSetupRunDialog(run.toolId, run.options || {});
+      return { success: true };
+    } catch (error) {
+      console.error('Error re-running tool:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Submit tool runs as one Message Batch: [{ toolId, options }], where options
+  // not given take the tool's defaults and all are validated before submitting
+  ipcMain.handle('submit-batch', async (event, runs) => {
+    try {
+      runs = runs.map(({ toolId, options }) => ({
+        toolId,
+        options: { ...toolSystem.getDefaultToolOptions(toolId), ...(options || {}) }
+      }));
+      const record = await toolSystem.submitToolBatch(runs, {
+        onOutput: (toolId, text) => sendBatchProgress({ status: 'preparing', message: text.trim() })
+      });
+      
+      // Keep polling in the background; the batch can also be collected after a restart
+      finishToolBatch(record, true);
+      return { success: true, batchId: record.id };
+    } catch (error) {
+      console.error('Error submitting batch:', error);
+      return { success: false, message: error.message, fieldErrors: error.validationErrors || null };
+    }
+  });
+  
+  // Batches of the current project whose results have not been collected
+  ipcMain.handle('get-pending-batches', async () => {
+    try {
+      const records = await toolSystem.listPendingBatches();
+      return records.map(record => ({
+        id: record.id,
+        submittedAt: record.submittedAt,
+        estimatedCost: record.estimatedCost,
+        toolIds: record.runs.map(run => run.toolId),
+        active: activeBatches.has(record.id)
+      }));
+    } catch (error) {
+      console.error('Error listing batches:', error);
+      return [];
+    }
+  });
+  
+  // Collect an ended batch that is not already being waited on
+  ipcMain.handle('collect-batch', async (event, batchId) => {
+    try {
+      const records = await toolSystem.listPendingBatches();
+      const record = records.find(item => item.id === batchId);
+      if (!record) {
+        return { success: false, message: `No pending batch ${batchId} in the current project.` };
+      }
+      finishToolBatch(record, true);
+      return { success: true };
+    } catch (error) {
+      console.error('Error collecting batch:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Built-in pipelines and those in ~/writing/.pipelines
+  ipcMain.handle('get-pipelines', () => {
+    const { pipelines, errors } = loadPipelines();
+    return {
+      pipelines: pipelines.map(pipeline => ({
+        id: pipeline.id,
+        title: pipeline.title,
+        description: pipeline.description,
+        params: pipeline.params,
+        steps: pipeline.steps.map(step => ({ id: step.id, title: step.title, tool: step.tool }))
+      })),
+      errors
+    };
+  });
+
+  // Start a pipeline in the current project; progress arrives as 'pipeline-progress'
+  ipcMain.handle('start-pipeline', async (event, pipelineId, params = {}) => {
+    try {
+      const record = await pipelineRunner.createPipelineRun(pipelineId, params);
+      return { ...runPipelineInBackground(record.id), id: record.id };
+    } catch (error) {
+      console.error('Error starting pipeline:', error);
+      return { success: false, message: error.message, fieldErrors: error.validationErrors || null };
+    }
+  });
+
+  // Continue a pipeline paused for review, or stopped by a failure
+  ipcMain.handle('resume-pipeline', (event, id) => runPipelineInBackground(id));
+
+  // Stop a pipeline, cancelling the step in progress; it can be continued later
+  ipcMain.handle('stop-pipeline', (event, id) => {
+    const pipeline = activePipelines.get(id);
+    if (!pipeline) {
+      return { success: false, message: `No running pipeline with ID: ${id}` };
+    }
+    pipeline.controller.abort();
+    if (pipeline.runId) {
+      stopToolRun(pipeline.runId);
+    }
+    return { success: true };
+  });
+
+  // Pipeline runs of the current project, newest first
+  ipcMain.handle('get-pipeline-runs', async () => {
+    try {
+      return await pipelineRunner.listPipelineRuns();
+    } catch (error) {
+      console.error('Error listing pipeline runs:', error);
+      return [];
+    }
+  });
+  
   // Store tool options in app state
   ipcMain.handle('set-tool-options', (event, options) => {
     try {
@@ -772,6 +1284,7 @@ function setupApiSettingsHandlers() {
   // Local copy of the schema that used to live in database.getClaudeApiSettingsSchema()
   // (kept here so the renderer can still build the form).
   const CLAUDE_API_SCHEMA = [
+    { name: 'provider',               label: 'AI Provider',                       type: 'select', default: DEFAULT_PROVIDER, required: true, options: PROVIDERS, description: 'Service that runs the tools. Anthropic needs ANTHROPIC_API_KEY; an OpenAI-compatible server can run locally and offline.' },
     { name: 'max_retries',            label: 'Max Retries',                       type: 'number', default: 1,       required: true,  description: 'Maximum retry attempts if an API call fails.' },
     { name: 'request_timeout',        label: 'Request Timeout (seconds)',         type: 'number', default: 300,     required: true,  description: 'Seconds to wait for the API to respond.' },
     { name: 'desired_output_tokens',  label: 'Desired Output Tokens',             type: 'number', default: 12000,   required: true,  description: 'Approximate size of the visible reply.' },
@@ -780,7 +1293,21 @@ function setupApiSettingsHandlers() {
     { name: 'betas_max_tokens',       label: 'Beta Max Tokens',                   type: 'number', default: 128000,  required: true,  description: 'Upper limit when enabling beta features.' },
     { name: 'model_name',             label: 'Model Name',                        type: 'text',   default: 'claude-3-7-sonnet-20250219', required: true, description: 'Exact model identifier.' },
     { name: 'betas',                  label: 'Beta Features (comma‑separated)',   type: 'text',   default: 'output-128k-2025-02-19',     required: true, description: 'List of beta flags.' },
-    { name: 'max_thinking_budget',    label: 'Max Thinking Budget (tokens)',      type: 'number', default: 32000,   required: true,  description: 'Absolute cap for thinking tokens.' }
+    { name: 'max_thinking_budget',    label: 'Max Thinking Budget (tokens)',      type: 'number', default: 32000,   required: true,  description: 'Absolute cap for thinking tokens.' },
+    { name: 'openai_base_url',        label: 'OpenAI-compatible Server URL',      type: 'text',   default: 'http://localhost:11434/v1', required: false, description: 'Base URL of the /chat/completions server, e.g. Ollama (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1).' },
+    { name: 'openai_model_name',      label: 'OpenAI-compatible Model Name',      type: 'text',   default: 'llama3.1',  required: false, description: 'Model to request from the OpenAI-compatible server.' },
+    { name: 'openai_context_window',  label: 'OpenAI-compatible Context Window (tokens)', type: 'number', default: 32768, required: false, description: 'Context size the local model was loaded with.' },
+    { name: 'openai_tools',           label: 'Tools Using the OpenAI-compatible Server', type: 'text', default: '', required: false, description: 'Comma-separated tool IDs (e.g. punctuation_auditor, tense_consistency_checker) that always run on the OpenAI-compatible server.' },
+    { name: 'replay_mode',            label: 'Record/Replay Mode',                type: 'select', default: 'replay', required: false, options: REPLAY_MODES, description: 'Used when the provider is Record/Replay (or WT_PROVIDER=replay). Can also be set with WT_REPLAY_MODE.' },
+    { name: 'replay_target',          label: 'Record From Provider',              type: 'select', default: DEFAULT_PROVIDER, required: false, options: PROVIDERS.filter(p => p.value !== 'replay'), description: 'Real provider whose responses are recorded in record mode.' },
+    { name: 'replay_cassette_dir',    label: 'Cassette Directory',                type: 'text',   default: '',         required: false, description: 'Where cassettes are saved and read; empty uses ~/writing/.wt/cassettes. Can also be set with WT_CASSETTE_DIR. Put a canned.txt here to change the canned text.' },
+    { name: 'token_counting',         label: 'Token Counting',                    type: 'select', default: 'auto',     required: false, options: [{ value: 'auto', label: 'Ask the API, estimate locally if offline' }, { value: 'local', label: 'Always estimate locally (no API calls)' }], description: 'How prompts are measured before a run. Local estimates are calibrated against earlier exact counts.' },
+    { name: 'budget_project_usd',     label: 'Per-Project Spending Cap ($)',      type: 'number', default: 0,          required: false, description: 'Refuse runs once this project has spent this much in total (see .wt/ledger.jsonl). 0 means no cap.' },
+    { name: 'budget_monthly_usd',     label: 'Monthly Spending Cap ($)',          type: 'number', default: 0,          required: false, description: 'Refuse runs once all projects together have spent this much this calendar month. 0 means no cap.' },
+    { name: 'batch_base_url',         label: 'Batch Endpoint',                    type: 'text',   default: '',         required: false, description: 'Where Message Batches are sent; empty uses the Anthropic API. Set to http://127.0.0.1:8787 to try batches against utilities/batch-stand-in.js.' },
+    { name: 'server_enabled',         label: 'Local Tool Server',                 type: 'boolean', default: false,     required: false, description: 'Let scripts and other editors run tools through a server on 127.0.0.1 (see tool-server.js).' },
+    { name: 'server_port',            label: 'Tool Server Port',                  type: 'number', default: 8789,       required: false, description: 'Port the local tool server listens on.' },
+    { name: 'server_token',           label: 'Tool Server Token',                 type: 'text',   default: '',         required: false, description: 'Secret every request to the tool server must send. Leave empty to generate one; it is also written to ~/writing/.wt-server.json while the server runs.' }
   ];
 
   // -------------------------------------------------------------------------
@@ -817,6 +1344,9 @@ function setupApiSettingsHandlers() {
       // Re‑instantiate the Claude service with the new config
       toolSystem.reinitializeClaudeService(appState.settings_claude_api_configuration);
 
+      // Start, restart or stop the local tool server to match
+      await applyToolServerSettings();
+
       // Push fresh settings into every registered tool
       for (const toolId of toolSystem.toolRegistry.getAllToolIds()) {
         const tool = toolSystem.toolRegistry.getTool(toolId);
@@ -1051,8 +1581,25 @@ function setupIPCHandlers() {
     }
   });
 
+  // Options the DOCX import dialog starts with
+  ipcMain.handle('get-docx-import-defaults', () => DEFAULT_IMPORT_OPTIONS);
+
+  // List the chapters a DOCX import would find, for the import dialog
+  ipcMain.handle('preview-docx-import', async (event, docxPath, options) => {
+    try {
+      const preview = await previewDocxImport(docxPath, options);
+      return { success: true, ...preview };
+    } catch (error) {
+      console.error('Error previewing DOCX import:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to read DOCX file'
+      };
+    }
+  });
+
   // Convert DOCX to TXT
-  ipcMain.handle('convert-docx-to-txt', async (event, docxPath, outputFilename) => {
+  ipcMain.handle('convert-docx-to-txt', async (event, docxPath, outputFilename, options) => {
     try {
       // Ensure we have a current project
       if (!appState.CURRENT_PROJECT_PATH) {
@@ -1075,112 +1622,21 @@ function setupIPCHandlers() {
       // Construct output path
       const outputPath = path.join(appState.CURRENT_PROJECT_PATH, outputFilename);
       
-      // Use your existing DOCX to TXT conversion code
-      const mammoth = require('mammoth');
-      const jsdom = require('jsdom');
-      const { JSDOM } = jsdom;
-      
-      // Load the docx file
-      const result = await mammoth.convertToHtml({ path: docxPath });
-      const htmlContent = result.value;
-      
-      // Parse the HTML
-      const dom = new JSDOM(htmlContent);
-      const document = dom.window.document;
-      
-      // Get all block elements
-      const blocks = document.querySelectorAll("p, h1, h2, h3, h4, h5, h6");
-      
-      // Process blocks to extract chapters
-      let chapters = [];
-      let currentChapter = null;
-      let ignoreFrontMatter = true;
-      let ignoreRest = false;
-      
-      // Stop headings
-      const STOP_TITLES = ["about the author", "website", "acknowledgments", "appendix"];
-      
-      // Convert NodeList to Array for iteration
-      Array.from(blocks).forEach(block => {
-        if (ignoreRest) return;
-        
-        const tagName = block.tagName.toLowerCase();
-        const textRaw = block.textContent.trim();
-        const textLower = textRaw.toLowerCase();
-        
-        // Skip everything until first <h1>
-        if (ignoreFrontMatter) {
-          if (tagName === "h1") {
-            ignoreFrontMatter = false;
-          } else {
-            return;
-          }
-        }
-        
-        // If this heading is a "stop" heading, ignore the rest
-        if (tagName.startsWith("h") && STOP_TITLES.some(title => textLower.startsWith(title))) {
-          ignoreRest = true;
-          return;
-        }
-        
-        // If we see a new <h1>, that means a new chapter
-        if (tagName === "h1") {
-          currentChapter = {
-            title: textRaw,
-            textBlocks: []
-          };
-          chapters.push(currentChapter);
-        }
-        else {
-          // If there's no current chapter yet, create one
-          if (!currentChapter) {
-            currentChapter = { title: "Untitled Chapter", textBlocks: [] };
-            chapters.push(currentChapter);
-          }
-          // Add the block text if not empty
-          if (textRaw) {
-            currentChapter.textBlocks.push(textRaw);
-          }
-        }
-      });
-      
-      // Build the manuscript text with proper spacing
-      let manuscriptText = "";
-      
-      chapters.forEach((ch, idx) => {
-        // Two newlines before each chapter title
-        if (idx === 0) {
-          manuscriptText += "\n\n";
-        } else {
-          manuscriptText += "\n\n\n";
-        }
-        
-        // Add chapter title
-        manuscriptText += ch.title;
-        
-        // One newline after chapter title
-        manuscriptText += "\n\n";
-        
-        // Add paragraphs with one blank line between them
-        manuscriptText += ch.textBlocks.join("\n\n");
-      });
+      // Convert with the options chosen in the import dialog (see docx-import.js)
+      const converted = await convertDocxToText(docxPath, options);
       
       // Write to output file
-      await fs.promises.writeFile(outputPath, manuscriptText);
-
-      // cls: not working:
-      // dialog.showMessageBox({
-      //   type: 'info',
-      //   title: 'Conversion Complete',
-      //   message: 'Output saved as ' + outputFilename,
-      //   detail: 'Found ' + chapters.length + ' chapters.'
-      // });
+      await fs.promises.writeFile(outputPath, converted.text);
       
       return {
         success: true,
         outputPath: outputPath,
         outputFilename: outputFilename,
-        chapterCount: chapters.length
+        chapterCount: converted.chapterCount,
+        frontMatterCount: converted.frontMatterCount,
+        skippedFrontMatter: converted.skippedFrontMatter,
+        stoppedAt: converted.stoppedAt,
+        warnings: converted.warnings
       };
     } catch (error) {
       console.error('Error converting DOCX to TXT:', error);
@@ -1191,16 +1647,59 @@ function setupIPCHandlers() {
     }
   });
 
+  // Convert an EPUB to manuscript text (see epub-import.js)
+  ipcMain.handle('convert-epub-to-txt', async (event, epubPath, outputFilename) => {
+    try {
+      if (!appState.CURRENT_PROJECT_PATH) {
+        return {
+          success: false,
+          message: 'No active project selected'
+        };
+      }
+      
+      if (!outputFilename) {
+        outputFilename = 'manuscript.txt';
+      }
+      if (!outputFilename.toLowerCase().endsWith('.txt')) {
+        outputFilename += '.txt';
+      }
+      const outputPath = path.join(appState.CURRENT_PROJECT_PATH, outputFilename);
+      
+      const result = await convertEpubToText(epubPath);
+      await fs.promises.writeFile(outputPath, result.text);
+      
+      return {
+        success: true,
+        outputPath: outputPath,
+        outputFilename: outputFilename,
+        chapterCount: result.chapterCount,
+        skipped: result.skipped,
+        stoppedAt: result.stoppedAt
+      };
+    } catch (error) {
+      console.error('Error converting EPUB to TXT:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to convert EPUB file'
+      };
+    }
+  });
+
   // Get output files for a tool run
-  ipcMain.handle('get-tool-output-files', (event, toolId) => {
+  ipcMain.handle('get-tool-output-files', async (event, toolId) => {
     try {
-      // For simplicity, if toolId is a runId, we just use the tool name part
-      // This assumes runIds are in the format toolName-uuid
-      const toolName = toolId.includes('-') ? toolId.split('-')[0] : toolId;
+      // A runId is looked up in the project's run history, which survives restarts
+      const run = await runHistory.getRun(appState.CURRENT_PROJECT_PATH, toolId);
+      if (run) {
+        return (run.outputFiles || []).map(filePath => ({
+          path: filePath,
+          name: path.basename(filePath)
+        }));
+      }
       
-      // Get files from the cache
-      const fileCache = require('cache/file-cache');
-      const files = fileCache.getFiles(toolName);
+      // Otherwise treat it as a tool name and use the files from its latest run
+      const fileCache = require('./file-cache');
+      const files = fileCache.getFiles(toolId);
       
       return files;
     } catch (error) {
@@ -1350,6 +1849,9 @@ async function main() {
     // Set up IPC handlers
     setupIPCHandlers();
     
+    // Start the local tool server if it is turned on
+    await applyToolServerSettings();
+    
     // Create the main window
     createWindow();
     
@@ -1369,6 +1871,11 @@ async function main() {
 // This method will be called when Electron has finished initialization
 app.whenReady().then(main);
 
+// Stop the local tool server on the way out
+app.on('will-quit', () => {
+  toolServer.stop();
+});
+
 // Quit when all windows are closed
 app.on('window-all-closed', () => {
   // On macOS it is common for applications and their menu bar
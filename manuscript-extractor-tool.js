@@ -197,14 +197,14 @@ class ManuscriptExtractor extends BaseTool {
     
     // Count tokens in prompt
     this.emitOutput(`Counting tokens in prompt...\n`);
-    const promptTokens = await this.claudeService.countTokens(prompt);
+    const promptTokens = await this.countTokens(prompt);
     
     // Calculate available tokens
     const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
     
     // Display token stats
     this.emitOutput(`\nToken stats for outline extraction:\n`);
-    this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}]\n`);
+    this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()})\n`);
     this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]\n`);
     this.emitOutput(`AI model thinking budget: [${tokenBudgets.thinkingBudget}] tokens\n`);
     
@@ -232,7 +232,7 @@ class ManuscriptExtractor extends BaseTool {
     
     try {
       // Use streaming API call
-      await this.claudeService.streamWithThinking(
+      await this.streamWithThinking(
         prompt,
         {
           system: systemPrompt,
@@ -240,8 +240,7 @@ class ManuscriptExtractor extends BaseTool {
           thinking: {
             type: "enabled",
             budget_tokens: tokenBudgets.thinkingBudget
-          },
-          betas: ["output-128k-2025-02-19"]
+          }
         },
         // Callback for thinking content
         (thinkingDelta) => {
@@ -268,7 +267,7 @@ class ManuscriptExtractor extends BaseTool {
     const wordCount = this.countWords(fullResponse);
     
     // Count tokens in response
-    const responseTokens = await this.claudeService.countTokens(fullResponse);
+    const responseTokens = await this.responseTokenCount(fullResponse);
     
     // Save the outline to a file
     const outlineFilename = 'outline.txt';
@@ -345,14 +344,14 @@ ${stats}`;
     
     // Count tokens in prompt
     this.emitOutput(`Counting tokens in prompt...\n`);
-    const promptTokens = await this.claudeService.countTokens(prompt);
+    const promptTokens = await this.countTokens(prompt);
     
     // Calculate available tokens
     const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
     
     // Display token stats
     this.emitOutput(`\nToken stats for character extraction:\n`);
-    this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}]\n`);
+    this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()})\n`);
     this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]\n`);
     this.emitOutput(`AI model thinking budget: [${tokenBudgets.thinkingBudget}] tokens\n`);
     
@@ -380,7 +379,7 @@ ${stats}`;
     
     try {
       // Use streaming API call
-      await this.claudeService.streamWithThinking(
+      await this.streamWithThinking(
         prompt,
         {
           system: systemPrompt,
@@ -388,8 +387,7 @@ ${stats}`;
           thinking: {
             type: "enabled",
             budget_tokens: tokenBudgets.thinkingBudget
-          },
-          betas: ["output-128k-2025-02-19"]
+          }
         },
         // Callback for thinking content
         (thinkingDelta) => {
@@ -416,7 +414,7 @@ ${stats}`;
     const wordCount = this.countWords(fullResponse);
     
     // Count tokens in response
-    const responseTokens = await this.claudeService.countTokens(fullResponse);
+    const responseTokens = await this.responseTokenCount(fullResponse);
     
     // Save the characters to a file
     const charactersFilename = 'characters.txt';
@@ -496,14 +494,14 @@ ${stats}`;
     
     // Count tokens in prompt
     this.emitOutput(`Counting tokens in prompt...\n`);
-    const promptTokens = await this.claudeService.countTokens(prompt);
+    const promptTokens = await this.countTokens(prompt);
     
     // Calculate available tokens
     const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
     
     // Display token stats
     this.emitOutput(`\nToken stats for world extraction:\n`);
-    this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}]\n`);
+    this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()})\n`);
     this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]\n`);
     this.emitOutput(`AI model thinking budget: [${tokenBudgets.thinkingBudget}] tokens\n`);
     
@@ -531,7 +529,7 @@ ${stats}`;
     
     try {
       // Use streaming API call
-      await this.claudeService.streamWithThinking(
+      await this.streamWithThinking(
         prompt,
         {
           system: systemPrompt,
@@ -539,8 +537,7 @@ ${stats}`;
           thinking: {
             type: "enabled",
             budget_tokens: tokenBudgets.thinkingBudget
-          },
-          betas: ["output-128k-2025-02-19"]
+          }
         },
         // Callback for thinking content
         (thinkingDelta) => {
@@ -567,7 +564,7 @@ ${stats}`;
     const wordCount = this.countWords(fullResponse);
     
     // Count tokens in response
-    const responseTokens = await this.claudeService.countTokens(fullResponse);
+    const responseTokens = await this.responseTokenCount(fullResponse);
     
     // Save the world to a file
     const worldFilename = 'world.txt';
@@ -641,14 +638,14 @@ ${stats}`;
     
     // Count tokens in prompt
     this.emitOutput(`Counting tokens in prompt...\n`);
-    const promptTokens = await this.claudeService.countTokens(prompt);
+    const promptTokens = await this.countTokens(prompt);
     
     // Calculate available tokens
     const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
     
     // Display token stats
     this.emitOutput(`\nToken stats for timeline extraction:\n`);
-    this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}]\n`);
+    this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()})\n`);
     this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]\n`);
     this.emitOutput(`AI model thinking budget: [${tokenBudgets.thinkingBudget}] tokens\n`);
     
@@ -676,7 +673,7 @@ ${stats}`;
     
     try {
       // Use streaming API call
-      await this.claudeService.streamWithThinking(
+      await this.streamWithThinking(
         prompt,
         {
           system: systemPrompt,
@@ -684,8 +681,7 @@ ${stats}`;
           thinking: {
             type: "enabled",
             budget_tokens: tokenBudgets.thinkingBudget
-          },
-          betas: ["output-128k-2025-02-19"]
+          }
         },
         // Callback for thinking content
         (thinkingDelta) => {
@@ -712,7 +708,7 @@ ${stats}`;
     const wordCount = this.countWords(fullResponse);
     
     // Count tokens in response
-    const responseTokens = await this.claudeService.countTokens(fullResponse);
+    const responseTokens = await this.responseTokenCount(fullResponse);
     
     // Save the timeline to a file
     const timelineFilename = 'timeline.txt';
@@ -206,7 +206,7 @@ class ManuscriptToOutlineCharactersWorld extends BaseTool {
   async callClaudeAPI(prompt, label) {
     // Count tokens in the prompt
     this.emitOutput(`Counting tokens for: ${label} prompt...\n`);
-    const promptTokens = await this.claudeService.countTokens(prompt);
+    const promptTokens = await this.countTokens(prompt);
 
     // Call the shared token budget calculator
     const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -214,7 +214,7 @@ class ManuscriptToOutlineCharactersWorld extends BaseTool {
     // Handle logging based on the returned values
     this.emitOutput(`\n${label} Token stats:\n`);
     this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
-    this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] tokens\n`);
+    this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()}) tokens\n`);
     this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}] tokens\n`);
     this.emitOutput(`Desired output tokens: [${tokenBudgets.desiredOutputTokens}] tokens\n`);
     this.emitOutput(`AI model thinking budget: [${tokenBudgets.thinkingBudget}] tokens\n`);
@@ -256,7 +256,7 @@ class ManuscriptToOutlineCharactersWorld extends BaseTool {
 
     // Use the calculated values in the API call
     try {
-      await this.claudeService.streamWithThinking(
+      await this.streamWithThinking(
         prompt,
         {
           system: systemPrompt,
@@ -291,8 +291,8 @@ class ManuscriptToOutlineCharactersWorld extends BaseTool {
     this.emitOutput(`${label} has approximately ${wordCount} words.\n`);
     
     // Count tokens in response
-    const responseTokens = await this.claudeService.countTokens(fullResponse);
-    this.emitOutput(`${label} response token count: ${responseTokens}\n`);
+    const responseTokens = await this.responseTokenCount(fullResponse);
+    this.emitOutput(`${label} response token count: ${responseTokens} (${this.tokenCountLabel()})\n`);
 
     // Remove any markdown formatting
     fullResponse = this.removeMarkdown(fullResponse);
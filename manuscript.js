@@ -0,0 +1,493 @@
+// manuscript.js
+//
+// The one place that knows how a manuscript.txt is laid out. Manuscript.parse
+// splits the text into chapters and each chapter into scenes:
+//
+//   chapters: [{
+//     index: 0,                    // position in the manuscript
+//     number: 9,                   // from "Chapter 9: Title" or "9. Title"; null for bare titles
+//     title: 'The Last Cup',       // null for "Chapter 9" on its own
+//     heading: 'Chapter 9: The Last Cup',
+//     start, end,                  // character offsets, heading included
+//     byteStart, byteEnd,          // the same in UTF-8 bytes
+//     wordCount,                   // words in the chapter body, not counting scene breaks
+//     scenes: [{ index, start, end, byteStart, byteEnd, wordCount }]
+//   }]
+//
+// Chapter headings come in three styles, and a manuscript uses one of them:
+//   numbered - "Chapter 9: Title", "Chapter 9", "Chapter Nine", "CHAPTER IX",
+//              "9. Title" or "9: Title" on a line of its own; "9. Title"
+//              headings only count when there are no "Chapter" ones and
+//              a stretch of text lies between them, so a numbered list in
+//              the prose is not read as chapters
+//   titled   - a bare title after two or more blank lines, which is how the
+//              DOCX import lays chapters out (see formatManuscript)
+//   none     - no headings found; the whole text is one chapter
+// Text before the first heading (a title page, say) is the preamble. The
+// manuscript's wordCount is the preamble's plus the chapters', so heading
+// lines count in neither.
+//
+// Scenes are separated by a line holding only "#", "***" or "* * *", or by
+// two or more blank lines inside a chapter.
+
+const fs = require('fs/promises');
+
+const SCENE_BREAK_PATTERN = /^(#|\*\s*\*\s*\*[\s*]*)$/;
+const CHAPTER_WORD_PATTERN = /^chapter\s+(.+)$/i;
+const NUMBER_HEADING_PATTERN = /^(\d{1,3})(?:[.:]\s+(\S.*)|\.?)$/;
+const HEADING_SEPARATOR_PATTERN = /^\s*(?:[:.\-–—]\s*)?/;
+const MAX_HEADING_LENGTH = 100;
+const MAX_TITLE_LENGTH = 60;
+// Words that must lie between "9. Title" headings for them to be chapters
+const MIN_CHAPTER_WORDS = 100;
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS_WORDS = {
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+const ROMAN_VALUES = { i: 1, v: 5, x: 10, l: 50, c: 100 };
+const ROMAN_NUMERALS = [
+  ['c', 100], ['xc', 90], ['l', 50], ['xl', 40], ['x', 10], ['ix', 9], ['v', 5], ['iv', 4], ['i', 1]
+];
+
+// Headings that indicate the end of the story (back matter), for imports
+const STOP_TITLES = ["about the author", "website", "acknowledgments", "appendix"];
+
+/**
+ * Count words in text
+ * @param {string} text - Text to count words in
+ * @returns {number} - Word count
+ */
+function countWords(text) {
+  return text.split(/\s+/).filter(word => word.length > 0).length;
+}
+
+/**
+ * Read a chapter number written as a numeral, a Roman numeral or in words
+ * @param {string} text - Text after "Chapter"
+ * @returns {Object|null} - { number, rest: the text after the number }, or null
+ */
+function readChapterNumber(text) {
+  const digits = text.match(/^(\d+)\b(.*)$/);
+  if (digits) {
+    return { number: parseInt(digits[1], 10), rest: digits[2] };
+  }
+
+  const words = text.match(/^([a-z]+)(?:[-\s]([a-z]+))?\b(.*)$/i);
+  if (!words) return null;
+  const first = words[1].toLowerCase();
+  const second = (words[2] || '').toLowerCase();
+  if (TENS_WORDS[first] && NUMBER_WORDS[second] && NUMBER_WORDS[second] < 10) {
+    return { number: TENS_WORDS[first] + NUMBER_WORDS[second], rest: words[3] };
+  }
+  const rest = text.slice(words[1].length);
+  if (NUMBER_WORDS[first] || TENS_WORDS[first]) {
+    return { number: NUMBER_WORDS[first] || TENS_WORDS[first], rest };
+  }
+  if (/^[ivxlc]+$/.test(first)) {
+    let number = 0;
+    for (let i = 0; i < first.length; i++) {
+      const value = ROMAN_VALUES[first[i]];
+      const next = ROMAN_VALUES[first[i + 1]] || 0;
+      number += value < next ? -value : value;
+    }
+    // Only a numeral written the usual way, so words like "civil" or "ill" are not read as numbers
+    return number > 0 && toRoman(number) === first ? { number, rest } : null;
+  }
+  return null;
+}
+
+/**
+ * Write a number as a lowercase Roman numeral
+ * @param {number} number - 1 to 399
+ * @returns {string} - e.g. "xiv"
+ */
+function toRoman(number) {
+  let roman = '';
+  for (const [numeral, value] of ROMAN_NUMERALS) {
+    while (number >= value) {
+      roman += numeral;
+      number -= value;
+    }
+  }
+  return roman;
+}
+
+/**
+ * Parse a chapter heading
+ * Accepts "Chapter 9: Title", "Chapter 9. Title", "Chapter 9 - Title",
+ * "Chapter 9", "Chapter Nine", "Chapter IX", "9. Title", "9: Title" and "9."
+ * @param {string} line - One line of text
+ * @returns {Object|null} - { number, title, keyword: whether it began with "Chapter" }, or null if the line is not a heading
+ */
+function parseChapterHeading(line) {
+  const text = line.trim();
+  if (!text || text.length > MAX_HEADING_LENGTH) return null;
+
+  const keywordMatch = text.match(CHAPTER_WORD_PATTERN);
+  if (keywordMatch) {
+    const parsed = readChapterNumber(keywordMatch[1]);
+    if (!parsed) return null;
+    const title = parsed.rest.replace(HEADING_SEPARATOR_PATTERN, '').trim();
+    return { number: parsed.number, title: title || null, keyword: true };
+  }
+
+  const numberMatch = text.match(NUMBER_HEADING_PATTERN);
+  if (numberMatch) {
+    return { number: parseInt(numberMatch[1], 10), title: numberMatch[2] ? numberMatch[2].trim() : null, keyword: false };
+  }
+  return null;
+}
+
+/**
+ * Read the chapter number from a chapter request such as "Chapter 9: Title"
+ * @param {string} request - A chapter heading, as an outline gives it
+ * @returns {Object|null} - { chapterNum: "9", formattedChapter: "009" }, or null if it is not a heading
+ */
+function extractChapterNum(request) {
+  const heading = parseChapterHeading(request);
+  if (!heading) return null;
+  const chapterNum = String(heading.number);
+  return { chapterNum, formattedChapter: chapterNum.padStart(3, '0') };
+}
+
+/**
+ * Check whether a line could be a bare chapter title
+ * @param {string} text - Trimmed line
+ * @returns {boolean}
+ */
+function looksLikeTitle(text) {
+  return text.length <= MAX_TITLE_LENGTH &&
+    !/[.,;:]$/.test(text) &&
+    !/^["'“‘(\-—]/.test(text) &&
+    !SCENE_BREAK_PATTERN.test(text);
+}
+
+/**
+ * Split text into lines with their character and byte offsets
+ * @param {string} text - Manuscript text
+ * @returns {Object[]} - [{ start, end, byteStart, byteEnd, text, blank }], ends excluding the line break
+ */
+function scanLines(text) {
+  const lines = [];
+  let start = 0;
+  let byte = 0;
+  while (true) {
+    let lineBreak = text.indexOf('\n', start);
+    if (lineBreak === -1) lineBreak = text.length;
+    const end = lineBreak > start && text[lineBreak - 1] === '\r' ? lineBreak - 1 : lineBreak;
+    const content = text.slice(start, end);
+    const byteEnd = byte + Buffer.byteLength(content);
+    lines.push({ start, end, byteStart: byte, byteEnd, text: content.trim(), blank: content.trim() === '' });
+    if (lineBreak === text.length) break;
+    byte = byteEnd + (lineBreak - end) + 1;
+    start = lineBreak + 1;
+  }
+  return lines;
+}
+
+/**
+ * Count the words in a range of lines, leaving out scene break lines
+ * @param {Object[]} lines - Lines from scanLines
+ * @param {number} from - First line
+ * @param {number} to - Line after the last
+ * @returns {number} - Word count
+ */
+function countLineWords(lines, from, to) {
+  let count = 0;
+  for (let i = from; i < to; i++) {
+    if (!lines[i].blank && !SCENE_BREAK_PATTERN.test(lines[i].text)) {
+      count += countWords(lines[i].text);
+    }
+  }
+  return count;
+}
+
+/**
+ * Build a unit (chapter, scene or preamble) from a range of lines
+ * Leading and trailing blank lines are left out of the unit, and scene
+ * break lines are not counted as words.
+ * @param {Object[]} lines - Lines from scanLines
+ * @param {number} from - First line
+ * @param {number} to - Line after the last
+ * @returns {Object|null} - { start, end, byteStart, byteEnd, wordCount }, or null if the range is blank
+ */
+function buildUnit(lines, from, to) {
+  while (from < to && lines[from].blank) from++;
+  while (to > from && lines[to - 1].blank) to--;
+  if (from === to) return null;
+  const start = lines[from].start;
+  const end = lines[to - 1].end;
+  return {
+    start,
+    end,
+    byteStart: lines[from].byteStart,
+    byteEnd: lines[to - 1].byteEnd,
+    wordCount: countLineWords(lines, from, to)
+  };
+}
+
+/**
+ * Split a chapter body into scenes
+ * @param {Object[]} lines - Lines from scanLines
+ * @param {number} from - First body line
+ * @param {number} to - Line after the last
+ * @returns {Object[]} - Scenes
+ */
+function splitScenes(lines, from, to) {
+  const scenes = [];
+  const addScene = (sceneFrom, sceneTo) => {
+    const scene = buildUnit(lines, sceneFrom, sceneTo);
+    if (scene && scene.wordCount > 0) {
+      scenes.push({ index: scenes.length, ...scene });
+    }
+  };
+
+  let sceneFrom = from;
+  let blankRun = 0;
+  for (let i = from; i < to; i++) {
+    const line = lines[i];
+    if (line.blank) {
+      blankRun++;
+      continue;
+    }
+    if (SCENE_BREAK_PATTERN.test(line.text)) {
+      addScene(sceneFrom, i);
+      sceneFrom = i + 1;
+    } else if (blankRun >= 2) {
+      addScene(sceneFrom, i);
+      sceneFrom = i;
+    }
+    blankRun = 0;
+  }
+  addScene(sceneFrom, to);
+  return scenes;
+}
+
+/**
+ * Keep the "9. Title" headings that are spaced like chapters
+ * A heading with another one fewer than MIN_CHAPTER_WORDS words before or
+ * after it is taken to be an item of a numbered list.
+ * @param {Object[]} lines - Lines from scanLines
+ * @param {Object[]} headings - Numbered headings without the "Chapter" keyword
+ * @returns {Object[]} - Headings kept
+ */
+function spacedNumberHeadings(lines, headings) {
+  const gapAfter = headings.map((heading, i) => i + 1 < headings.length
+    ? countLineWords(lines, heading.line + 1, headings[i + 1].line)
+    : Infinity);
+  return headings.filter((heading, i) =>
+    gapAfter[i] >= MIN_CHAPTER_WORDS && (i === 0 || gapAfter[i - 1] >= MIN_CHAPTER_WORDS));
+}
+
+/**
+ * Find the heading lines of a manuscript
+ * @param {Object[]} lines - Lines from scanLines
+ * @returns {Object} - { style, headings: [{ line, number, title }] }
+ */
+function findHeadings(lines) {
+  const keyword = [];
+  const bareNumber = [];
+  const titled = [];
+  let blankRun = Infinity; // the start of the text counts as a break
+
+  lines.forEach((line, i) => {
+    if (line.blank) {
+      blankRun++;
+      return;
+    }
+    const followedByBlank = i === lines.length - 1 || lines[i + 1].blank;
+    if (blankRun > 0) {
+      const heading = parseChapterHeading(line.text);
+      // "9. Title" needs a blank line after it too, or a numbered list would pass
+      if (heading && (heading.keyword || followedByBlank)) {
+        (heading.keyword ? keyword : bareNumber).push({ line: i, number: heading.number, title: heading.title });
+      }
+    }
+    if (blankRun >= 2 && followedByBlank && looksLikeTitle(line.text)) {
+      titled.push({ line: i, number: null, title: line.text });
+    }
+    blankRun = 0;
+  });
+
+  const numbered = keyword.length > 0 ? keyword : spacedNumberHeadings(lines, bareNumber);
+  if (numbered.length > 0) return { style: 'numbered', headings: numbered };
+  if (titled.length > 0) return { style: 'titled', headings: titled };
+  return { style: 'none', headings: [] };
+}
+
+/**
+ * Build the chapters from their heading lines
+ * @param {Object[]} lines - Lines from scanLines
+ * @param {Object[]} headings - From findHeadings
+ * @returns {Object[]} - Chapters
+ */
+function buildChapters(lines, headings) {
+  return headings.map((heading, index) => {
+    const to = index + 1 < headings.length ? headings[index + 1].line : lines.length;
+    const unit = buildUnit(lines, heading.line, to);
+    const body = buildUnit(lines, heading.line + 1, to);
+    return {
+      index,
+      number: heading.number,
+      title: heading.title,
+      heading: lines[heading.line].text,
+      ...unit,
+      wordCount: body ? body.wordCount : 0,
+      scenes: splitScenes(lines, heading.line + 1, to)
+    };
+  });
+}
+
+/**
+ * Describe a chapter for reports and prompts
+ * @param {Object} chapter - Chapter from a Manuscript
+ * @returns {string} - e.g. "Chapter 9: The Last Cup", "The Last Cup" or "Chapter 9"
+ */
+function describeChapter(chapter) {
+  if (chapter.number !== null && chapter.title) return `Chapter ${chapter.number}: ${chapter.title}`;
+  if (chapter.number !== null) return `Chapter ${chapter.number}`;
+  return chapter.title || 'Whole manuscript';
+}
+
+/**
+ * Check whether a heading starts the back matter, which imports leave out
+ * @param {string} title - Heading text
+ * @param {string[]} [stopTitles] - Lowercase heading starts; STOP_TITLES by default
+ * @returns {boolean}
+ */
+function isStopTitle(title, stopTitles = STOP_TITLES) {
+  const lower = title.trim().toLowerCase();
+  return stopTitles.some(stop => lower.startsWith(stop));
+}
+
+/**
+ * Lay chapters out as manuscript.txt text
+ * Two blank lines come before each title after the first, and one blank
+ * line separates the title and the paragraphs, so the result parses back
+ * into the same chapters. Front matter goes first, one paragraph per line
+ * between two "#" lines. A heading needs a blank line before it and a title
+ * one after it too, and no front matter line has either, so the front matter
+ * reads back as the preamble rather than as chapters.
+ * @param {Object[]} chapters - [{ title, paragraphs: string[] }]
+ * @param {string[]} [frontMatter] - Paragraphs before the first chapter
+ * @returns {string} - Manuscript text
+ */
+function formatManuscript(chapters, frontMatter = []) {
+  let text = frontMatter.length > 0 ? `#\n${frontMatter.join('\n')}\n#` : '';
+  chapters.forEach((chapter, index) => {
+    text += index === 0 && !text ? '\n\n' : '\n\n\n';
+    text += chapter.title + '\n\n';
+    text += chapter.paragraphs.join('\n\n');
+  });
+  return text;
+}
+
+class Manuscript {
+  /**
+   * @param {string} text - Manuscript text
+   */
+  constructor(text) {
+    const lines = scanLines(text);
+    const { style, headings } = findHeadings(lines);
+
+    this.text = text;
+    this.style = style;
+    this.preamble = buildUnit(lines, 0, headings.length > 0 ? headings[0].line : 0);
+
+    if (headings.length === 0) {
+      const whole = buildUnit(lines, 0, lines.length);
+      this.chapters = whole ? [{
+        index: 0,
+        number: null,
+        title: null,
+        heading: null,
+        ...whole,
+        scenes: splitScenes(lines, 0, lines.length)
+      }] : [];
+    } else {
+      this.chapters = buildChapters(lines, headings);
+    }
+    this.wordCount = this.chapters.reduce((sum, chapter) => sum + chapter.wordCount,
+      this.preamble ? this.preamble.wordCount : 0);
+  }
+
+  /**
+   * Parse manuscript text
+   * @param {string} text - Manuscript text
+   * @returns {Manuscript}
+   */
+  static parse(text) {
+    return new Manuscript(text);
+  }
+
+  /**
+   * Read and parse a manuscript file
+   * @param {string} filePath - Path to the file
+   * @returns {Promise<Manuscript>}
+   */
+  static async load(filePath) {
+    try {
+      const text = await fs.readFile(filePath, 'utf8');
+      return new Manuscript(text);
+    } catch (error) {
+      console.error(`Error loading manuscript ${filePath}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a chapter by its number
+   * @param {number} number - Chapter number as the manuscript gives it
+   * @returns {Object|null} - Chapter, or null if there is none
+   */
+  getChapter(number) {
+    return this.chapters.find(chapter => chapter.number === number) || null;
+  }
+
+  /**
+   * Find the chapter containing a character offset
+   * @param {number} offset - Character offset into the text
+   * @returns {Object|null} - Chapter, or null if the offset is outside every chapter
+   */
+  chapterAt(offset) {
+    return this.chapters.find(chapter => offset >= chapter.start && offset <= chapter.end) || null;
+  }
+
+  /**
+   * Get the text of a chapter, scene or the preamble
+   * @param {Object} unit - Anything with start and end offsets
+   * @returns {string} - Text of the unit
+   */
+  textOf(unit) {
+    return this.text.slice(unit.start, unit.end);
+  }
+
+  /**
+   * Summarize the structure without the text, e.g. to send over IPC
+   * @returns {Object} - { style, wordCount, preamble, chapters }
+   */
+  toJSON() {
+    return {
+      style: this.style,
+      wordCount: this.wordCount,
+      preamble: this.preamble,
+      chapters: this.chapters
+    };
+  }
+}
+
+module.exports = {
+  Manuscript,
+  parseChapterHeading,
+  describeChapter,
+  extractChapterNum,
+  STOP_TITLES,
+  isStopTitle,
+  formatManuscript,
+  countWords
+};
@@ -6,6 +6,15 @@ const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
 
+// Categories for structured findings (see findings.js)
+const FINDING_CATEGORIES = [
+  'world inconsistency',
+  'internal inconsistency',
+  'outline deviation',
+  'timeline error',
+  'character inconsistency'
+];
+
 /**
  * NarrativeIntegrity Tool
  * Checks a manuscript for integrity against:
@@ -40,6 +49,10 @@ class NarrativeIntegrity extends BaseTool {
     let outlineFile = options.outline_file;
     const checkType = options.check_type;
     const skipThinking = options.skip_thinking;
+    const structuredFindings = options.structured_findings || false;
+    const chapterRange = options.chapters || '';
+    const chunked = options.chunked || false;
+    const chunkOverlap = options.chunk_overlap !== undefined ? options.chunk_overlap : 1;
     const checkDescription = options.check_description;
     let saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     
@@ -74,7 +87,10 @@ class NarrativeIntegrity extends BaseTool {
 
       // Read the manuscript file
       this.emitOutput(`Reading manuscript file: ${manuscriptFile}\n`);
-      const manuscriptContent = await this.readInputFile(manuscriptFile);
+      const { content: manuscriptContent, scope } = this.scopeManuscript(
+        await this.readInputFile(manuscriptFile),
+        chapterRange
+      );
       
       // Read the outline file if provided
       let outlineContent = '';
@@ -96,73 +112,95 @@ class NarrativeIntegrity extends BaseTool {
       for (const type of checkTypes) {
         this.emitOutput(`\nRunning ${type.toUpperCase()} integrity check...\n`);
         
-        // Create the prompt for this check type
-        const prompt = this.createPrompt(type, outlineContent, worldContent, manuscriptContent);
-
-        // Count tokens in the prompt
-        this.emitOutput(`Counting tokens in prompt...\n`);
-        const promptTokens = await this.claudeService.countTokens(prompt);
-
-        // Call the shared token budget calculator
-        const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
-
-        // Handle logging based on the returned values
-        this.emitOutput(`\nToken stats:\n`);
-        this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
-        this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] ...\n`);
-        this.emitOutput(`                     = outline.txt + world.txt + manuscript.txt\n`);
-        this.emitOutput(`                       + prompt instructions\n`);
-        this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]  = ${tokenBudgets.contextWindow} - ${tokenBudgets.promptTokens} = context_window - prompt\n`);
-        this.emitOutput(`Desired output tokens: [${tokenBudgets.desiredOutputTokens}]\n`);
-        this.emitOutput(`AI model thinking budget: [${tokenBudgets.thinkingBudget}] tokens\n`);
-        this.emitOutput(`Max output tokens: [${tokenBudgets.maxTokens}] tokens\n`);
-
-        // Check for special conditions
-        if (tokenBudgets.capThinkingBudget) {
-          this.emitOutput(`Warning: thinking budget is larger than 32K, set to 32K.\n`);
-        }
+        // Create the prompt for a manuscript text: all of it, or one chunk
+        const buildPrompt = async (content) => this.scopePrompt(
+          await this.customizePrompt(this.createPrompt(type, outlineContent, worldContent, content), type),
+          scope
+        );
+
+        // Create system prompt to avoid markdown
+        const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
 
-        // Check if the prompt is too large
-        if (tokenBudgets.isPromptTooLarge) {
-          this.emitOutput(`Error: prompt is too large to have a ${tokenBudgets.configuredThinkingBudget} thinking budget!\n`);
-          this.emitOutput(`Run aborted!\n`);
-          throw new Error(`Prompt is too large for ${tokenBudgets.configuredThinkingBudget} thinking budget - run aborted`);
-        }
-        
-        // Call Claude API with streaming
-        this.emitOutput(`Sending request to Claude API (streaming)...\n`);
-        
         const startTime = Date.now();
         let fullResponse = "";
         let thinkingContent = "";
+        let promptTokens;
+        let split = null;
+
+        if (chunked) {
+          ({ text: fullResponse, thinking: thinkingContent, promptTokens, split } = await this.analyzeInChunks({
+            manuscriptContent,
+            buildPrompt,
+            system: systemPrompt,
+            overlap: chunkOverlap,
+            title: 'Narrative Integrity',
+            findingsCategories: structuredFindings ? FINDING_CATEGORIES : null
+          }));
+        } else {
+          let prompt = await buildPrompt(manuscriptContent);
+          if (structuredFindings) {
+            prompt = this.requestFindings(prompt, FINDING_CATEGORIES);
+          }
+
+          // Count tokens in the prompt
+          this.emitOutput(`Counting tokens in prompt...\n`);
+          promptTokens = await this.countTokens(prompt);
+
+          // Call the shared token budget calculator
+          const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
+
+          // Handle logging based on the returned values
+          this.emitOutput(`\nToken stats:\n`);
+          this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
+          this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()}) ...\n`);
+          this.emitOutput(`                     = outline.txt + world.txt + manuscript.txt\n`);
+          this.emitOutput(`                       + prompt instructions\n`);
+          this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]  = ${tokenBudgets.contextWindow} - ${tokenBudgets.promptTokens} = context_window - prompt\n`);
+          this.emitOutput(`Desired output tokens: [${tokenBudgets.desiredOutputTokens}]\n`);
+          this.emitOutput(`AI model thinking budget: [${tokenBudgets.thinkingBudget}] tokens\n`);
+          this.emitOutput(`Max output tokens: [${tokenBudgets.maxTokens}] tokens\n`);
+
+          // Check for special conditions
+          if (tokenBudgets.capThinkingBudget) {
+            this.emitOutput(`Warning: thinking budget is larger than 32K, set to 32K.\n`);
+          }
+
+          // Check if the prompt is too large
+          if (tokenBudgets.isPromptTooLarge) {
+            this.emitOutput(`Error: prompt is too large to have a ${tokenBudgets.configuredThinkingBudget} thinking budget!\n`);
+            this.emitOutput(`Turn on the chunked option to analyze a manuscript this long in parts.\n`);
+            this.emitOutput(`Run aborted!\n`);
+            throw new Error(`Prompt is too large for ${tokenBudgets.configuredThinkingBudget} thinking budget - run aborted`);
+          }
         
-        // Create system prompt to avoid markdown
-        const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
-
-        // Use the calculated values in the API call
-        try {
-          await this.claudeService.streamWithThinking(
-            prompt,
-            {
-              system: systemPrompt,
-              max_tokens: tokenBudgets.maxTokens,
-              thinking: {
-                type: "enabled",
-                budget_tokens: tokenBudgets.thinkingBudget
+          // Call Claude API with streaming
+          this.emitOutput(`Sending request to Claude API (streaming)...\n`);
+        
+          // Use the calculated values in the API call
+          try {
+            await this.streamWithThinking(
+              prompt,
+              {
+                system: systemPrompt,
+                max_tokens: tokenBudgets.maxTokens,
+                thinking: {
+                  type: "enabled",
+                  budget_tokens: tokenBudgets.thinkingBudget
+                }
+              },
+              // Callback for thinking content
+              (thinkingDelta) => {
+                thinkingContent += thinkingDelta;
+              },
+              // Callback for response text
+              (textDelta) => {
+                fullResponse += textDelta;
               }
-            },
-            // Callback for thinking content
-            (thinkingDelta) => {
-              thinkingContent += thinkingDelta;
-            },
-            // Callback for response text
-            (textDelta) => {
-              fullResponse += textDelta;
-            }
-          );
-        } catch (error) {
-          this.emitOutput(`\nAPI Error: ${error.message}\n`);
-          throw error;
+            );
+          } catch (error) {
+            this.emitOutput(`\nAPI Error: ${error.message}\n`);
+            throw error;
+          }
         }
 
         const elapsed = (Date.now() - startTime) / 1000;
@@ -176,10 +214,20 @@ class NarrativeIntegrity extends BaseTool {
         this.emitOutput(`Report has approximately ${wordCount} words.\n`);
         
         // Count tokens in response
-        const responseTokens = await this.claudeService.countTokens(fullResponse);
-        this.emitOutput(`Response token count: ${responseTokens}\n`);
+        const responseTokens = await this.responseTokenCount(fullResponse);
+        this.emitOutput(`Response token count: ${responseTokens} (${this.tokenCountLabel()})\n`);
+
+        // Take the structured findings off before cleaning up the report
+        let findings = null;
+        if (structuredFindings) {
+          ({ text: fullResponse, findings } = this.takeFindings(fullResponse));
+        }
 
         fullResponse = this.removeMarkdown(fullResponse);
+        if (split) {
+          fullResponse = `${split}\n\n${fullResponse}`;
+        }
+        fullResponse = this.scopeReport(fullResponse, scope);
 
         // Save the report
         const outputFile = await this.saveReport(
@@ -195,6 +243,9 @@ class NarrativeIntegrity extends BaseTool {
         
         // Use spread operator to push all elements individually
         outputFiles.push(...outputFile);
+        if (findings) {
+          outputFiles.push(await this.saveFindings(findings, outputFile[0], manuscriptFile));
+        }
       }
       
       // Return the result
@@ -251,7 +302,11 @@ class NarrativeIntegrity extends BaseTool {
     const noMarkdown = "IMPORTANT: - NO Markdown formatting";
     
     const prompts = {
-      "world": `=== OUTLINE ===
+      "world": `=== MANUSCRIPT ===
+${manuscriptContent}
+=== END MANUSCRIPT ===
+
+=== OUTLINE ===
 ${outlineContent}
 === END OUTLINE ===
 
@@ -259,10 +314,6 @@ ${outlineContent}
 ${worldContent}
 === END WORLD ===
 
-=== MANUSCRIPT ===
-${manuscriptContent}
-=== END MANUSCRIPT ===
-
 ${noMarkdown}
 
 You are an expert fiction editor with exceptional attention to detail.
@@ -354,7 +405,11 @@ For each issue found, provide:
 - A suggested revision approach
 `,
 
-      "development": `=== OUTLINE ===
+      "development": `=== MANUSCRIPT ===
+${manuscriptContent}
+=== END MANUSCRIPT ===
+
+=== OUTLINE ===
 ${outlineContent}
 === END OUTLINE ===
 
@@ -362,10 +417,6 @@ ${outlineContent}
 ${worldContent}
 === END WORLD ===
 
-=== MANUSCRIPT ===
-${manuscriptContent}
-=== END MANUSCRIPT ===
-
 ${noMarkdown}
 
 You are an expert fiction editor analyzing character and plot
@@ -511,7 +562,7 @@ ${checkType}
 ${thinking}
 
 === END AI'S THINKING PROCESS ===
-${stats}`;
+${this.effectivePromptSection()}${stats}`;
         
         await this.writeOutputFile(thinkingContent, saveDir, thinkingFilename);
         this.emitOutput(`AI thinking saved to: ${thinkingPath}\n`);
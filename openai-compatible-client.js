@@ -0,0 +1,370 @@
+// openai-compatible-client.js
+const AIService = require('./ai-service');
+const tokenEstimator = require('./token-estimator');
+
+/**
+ * OpenAI-Compatible API Service
+ * Talks to any server with an OpenAI-style /chat/completions endpoint,
+ * such as a local llama.cpp server or Ollama, so tools can run offline.
+ * Reasoning models stream their thinking either as `reasoning_content`
+ * (llama.cpp, DeepSeek) or inside <think>...</think> tags (Ollama);
+ * both are routed to the thinking callback.
+ */
+class OpenAICompatibleService extends AIService {
+  /**
+   * Constructor
+   * @param {Object} config - API configuration from UI settings
+   */
+  constructor(config = {}) {
+    // Store all config values
+    super(config);
+
+    // Validate required settings
+    this.validateConfig(config);
+
+    this.config.base_url = config.openai_base_url.replace(/\/+$/, '');
+
+    // Local servers usually need no key; hosted OpenAI-compatible services do
+    this.apiKey = process.env.OPENAI_API_KEY || null;
+
+    console.log('OpenAI-compatible API Service initialized with:');
+    console.log('- Base URL:', this.config.base_url);
+    console.log('- Context window:', this.config.context_window);
+    console.log('- Model name:', this.config.model_name);
+  }
+
+  validateConfig(config) {
+    // Check if config exists at all
+    if (!config || Object.keys(config).length === 0) {
+      throw new Error("No API configuration provided. Please check API settings.");
+    }
+
+    if (!config.openai_base_url) {
+      throw new Error(
+        "OpenAI-compatible server URL not set. Please set it in API Settings (e.g. http://localhost:11434/v1)."
+      );
+    }
+
+    if (!config.model_name) {
+      throw new Error("No model name set for the OpenAI-compatible server. Please set it in API Settings.");
+    }
+  }
+
+  /**
+   * Count tokens in a text string
+   * OpenAI-compatible servers have no standard token counting endpoint,
+   * so this is the local estimate (see token-estimator.js).
+   * @param {string} text - Text to count tokens in
+   * @returns {Promise<number>} - Estimated token count
+   */
+  async countTokens(text) {
+    return tokenEstimator.estimate(text);
+  }
+
+  /**
+   * Count tokens, always estimated
+   * @param {string} text - Text to count tokens in
+   * @returns {Promise<{count: number, exact: boolean}>}
+   */
+  async countTokensDetailed(text) {
+    return { count: tokenEstimator.estimate(text), exact: false };
+  }
+
+  /**
+   * Calculate token budgets and validate prompt size
+   * These servers have no thinking budget to honor, so a prompt only needs
+   * to leave room for the visible reply plus the minimum thinking budget.
+   * @param {number} promptTokens - Number of tokens in the prompt
+   * @returns {Object} - Calculated token budgets and limits
+   */
+  calculateTokenBudgets(promptTokens) {
+    const budgets = super.calculateTokenBudgets(promptTokens);
+    budgets.isPromptTooLarge = budgets.maxTokens - budgets.desiredOutputTokens < 1024;
+    return budgets;
+  }
+
+  /**
+   * Build the /chat/completions request body
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - Per-call API options
+   * @param {boolean} stream - Whether to stream the response
+   * @returns {Object} - Request body
+   */
+  _buildRequestBody(prompt, options, stream) {
+    const resolved = this.resolveRequestOptions(options);
+
+    const messages = [];
+    if (resolved.system) {
+      messages.push({ role: "system", content: resolved.system });
+    }
+    messages.push({ role: "user", content: prompt });
+    if (resolved.prefill) {
+      // Servers that support it continue the reply from the prefilled text
+      messages.push({ role: "assistant", content: resolved.prefill });
+    }
+
+    const body = {
+      model: resolved.model,
+      messages,
+      max_tokens: resolved.maxTokens,
+      stream
+    };
+    if (stream) {
+      // Ask for a final chunk with token usage (ignored by servers without support)
+      body.stream_options = { include_usage: true };
+    }
+    if (resolved.temperature !== undefined) {
+      body.temperature = resolved.temperature;
+    }
+    if (resolved.stopSequences) {
+      body.stop = resolved.stopSequences;
+    }
+
+    return body;
+  }
+
+  /**
+   * POST to the server with timeout, retries and cancellation
+   * @param {string} endpoint - Path below the base URL
+   * @param {Object} body - JSON request body
+   * @param {AbortSignal} [signal] - Caller's abort signal
+   * @returns {Promise<Response>} - Successful fetch response
+   */
+  async _post(endpoint, body, signal) {
+    const url = `${this.config.base_url}${endpoint}`;
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const maxRetries = this.config.max_retries || 0;
+    for (let attempt = 0; ; attempt++) {
+      // Abort on the caller's signal, or if the server takes too long to answer
+      const controller = new AbortController();
+      const onAbort = () => controller.abort();
+      if (signal) {
+        if (signal.aborted) controller.abort();
+        signal.addEventListener('abort', onAbort);
+      }
+      const timeoutMs = (this.config.request_timeout || 300) * 1000;
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(body),
+          signal: controller.signal
+        });
+
+        if (response.ok) {
+          // Keep following the caller's signal while the body is read
+          response.cleanup = () => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+          };
+          return response;
+        }
+
+        const errorText = await response.text();
+        const error = new Error(`OpenAI-compatible server error ${response.status}: ${errorText}`);
+        error.status = response.status;
+        throw error;
+      } catch (error) {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        if (signal && signal.aborted) throw error;
+
+        const retryable = error.status === undefined || error.status === 429 || error.status >= 500;
+        if (!retryable || attempt >= maxRetries) {
+          if (controller.signal.aborted) {
+            throw new Error(`OpenAI-compatible server did not respond within ${timeoutMs / 1000} seconds`);
+          }
+          throw error;
+        }
+        console.warn(`OpenAI-compatible request failed (${error.message}), retrying...`);
+        await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  }
+
+  /**
+   * Complete a prompt with thinking
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - API options (see resolveRequestOptions), plus an optional signal
+   * @returns {Promise<Object>} - Response with content and thinking
+   */
+  async completeWithThinking(prompt, options = {}) {
+    const body = this._buildRequestBody(prompt, options, false);
+
+    let response;
+    try {
+      response = await this._post('/chat/completions', body, options.signal);
+      const data = await response.json();
+
+      const message = (data.choices && data.choices[0] && data.choices[0].message) || {};
+      const split = splitThinkTags(message.content || '');
+      const thinking = (message.reasoning_content || message.reasoning || '') + split.thinking;
+
+      return { content: split.text, thinking, usage: toUsage(data.usage) };
+    } catch (error) {
+      console.error('API error:', error);
+      throw error;
+    } finally {
+      if (response) response.cleanup();
+    }
+  }
+
+  /**
+   * Stream a response with thinking using callbacks
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - API options (see resolveRequestOptions), plus an optional signal
+   * @param {Function} onThinking - Callback for thinking content
+   * @param {Function} onText - Callback for response text
+   * @returns {Promise<Object>} - { usage } if the server reported it, else {}
+   */
+  async streamWithThinking(prompt, options = {}, onThinking, onText) {
+    const body = this._buildRequestBody(prompt, options, true);
+
+    console.log("streamWithThinking: request:\n", { ...body, messages: `[${body.messages.length} messages]` });
+
+    const emitThinking = (text) => {
+      if (text && onThinking && typeof onThinking === 'function') onThinking(text);
+    };
+    const emitText = (text) => {
+      if (text && onText && typeof onText === 'function') onText(text);
+    };
+    const thinkTags = createThinkTagRouter(emitThinking, emitText);
+
+    let response;
+    let usage;
+    try {
+      response = await this._post('/chat/completions', body, options.signal);
+
+      // Server-sent events: "data: {json}" lines, ending with "data: [DONE]"
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) continue;
+          const payload = trimmed.slice(5).trim();
+          if (payload === '[DONE]') continue;
+
+          let event;
+          try {
+            event = JSON.parse(payload);
+          } catch (error) {
+            console.warn('Skipping unparseable stream event:', payload);
+            continue;
+          }
+
+          if (event.usage) {
+            usage = toUsage(event.usage);
+          }
+
+          const delta = (event.choices && event.choices[0] && event.choices[0].delta) || {};
+          emitThinking(delta.reasoning_content || delta.reasoning);
+          if (delta.content) {
+            thinkTags.push(delta.content);
+          }
+        }
+      }
+      thinkTags.flush();
+      return usage ? { usage } : {};
+    } catch (error) {
+      console.error('API streaming error:', error);
+      throw error;
+    } finally {
+      if (response) response.cleanup();
+    }
+  }
+}
+
+/**
+ * Convert OpenAI-style usage into the Anthropic-style fields tools expect
+ * @param {Object} [usage] - { prompt_tokens, completion_tokens, completion_tokens_details }
+ * @returns {Object|undefined} - { input_tokens, output_tokens, thinking_tokens? }
+ */
+function toUsage(usage) {
+  if (!usage) return undefined;
+  const converted = {
+    input_tokens: usage.prompt_tokens || 0,
+    output_tokens: usage.completion_tokens || 0
+  };
+  const details = usage.completion_tokens_details;
+  if (details && details.reasoning_tokens !== undefined) {
+    converted.thinking_tokens = details.reasoning_tokens;
+  }
+  return converted;
+}
+
+/**
+ * Split a complete response into <think> content and visible text
+ * @param {string} content - Response content
+ * @returns {{thinking: string, text: string}}
+ */
+function splitThinkTags(content) {
+  let thinking = '';
+  let text = '';
+  const router = createThinkTagRouter(t => { thinking += t; }, t => { text += t; });
+  router.push(content);
+  router.flush();
+  return { thinking, text };
+}
+
+/**
+ * Create a router that sends streamed content inside <think>...</think>
+ * to one callback and everything else to another. Tags may be split
+ * across chunks, so a possible partial tag is held back until resolved.
+ * @param {Function} onThinking - Receives thinking text
+ * @param {Function} onText - Receives visible text
+ * @returns {{push: Function, flush: Function}}
+ */
+function createThinkTagRouter(onThinking, onText) {
+  const OPEN = '<think>';
+  const CLOSE = '</think>';
+  let inThink = false;
+  let pending = '';
+
+  const push = (chunk) => {
+    pending += chunk;
+    while (pending.length > 0) {
+      const tag = inThink ? CLOSE : OPEN;
+      const index = pending.indexOf(tag);
+      if (index >= 0) {
+        (inThink ? onThinking : onText)(pending.slice(0, index));
+        pending = pending.slice(index + tag.length);
+        inThink = !inThink;
+        continue;
+      }
+
+      // Hold back a trailing fragment that could be the start of the tag
+      let keep = 0;
+      for (let i = Math.min(tag.length - 1, pending.length); i > 0; i--) {
+        if (tag.startsWith(pending.slice(-i))) {
+          keep = i;
+          break;
+        }
+      }
+      (inThink ? onThinking : onText)(pending.slice(0, pending.length - keep));
+      pending = pending.slice(pending.length - keep);
+      break;
+    }
+  };
+
+  const flush = () => {
+    if (pending) {
+      (inThink ? onThinking : onText)(pending);
+      pending = '';
+    }
+  };
+
+  return { push, flush };
+}
+
+module.exports = OpenAICompatibleService;
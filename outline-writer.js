@@ -115,7 +115,7 @@ class OutlineWriter extends BaseTool {
       
       // Count tokens in prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.countTokens(prompt);
       
       // Calculate available tokens after prompt
       const contextWindow = this.config.context_window || 200000;
@@ -137,7 +137,7 @@ class OutlineWriter extends BaseTool {
       // Display token stats
       this.emitOutput(`\nToken stats:\n`);
       this.emitOutput(`Max AI model context window: [${contextWindow}] tokens\n`);
-      this.emitOutput(`Input prompt tokens: [${promptTokens}] ...\n`);
+      this.emitOutput(`Input prompt tokens: [${promptTokens}] (${this.tokenCountLabel()}) ...\n`);
       this.emitOutput(`                     = premise + concept + characters + example outline + prompt instructions\n`);
       this.emitOutput(`Available tokens: [${availableTokens}]  = ${contextWindow} - ${promptTokens} = context_window - prompt\n`);
       this.emitOutput(`Desired output tokens: [${desiredOutputTokens}]\n`);
@@ -175,17 +175,15 @@ class OutlineWriter extends BaseTool {
       
       try {
         // Use streaming API call
-        await this.claudeService.streamWithThinking(
+        await this.streamWithThinking(
           prompt,
           {
-            model: "claude-3-7-sonnet-20250219",
             system: systemPrompt,
             max_tokens: maxTokens,
             thinking: {
               type: "enabled",
               budget_tokens: thinkingBudget
-            },
-            betas: ["output-128k-2025-02-19"]
+            }
           },
           // Callback for thinking content
           (thinkingDelta) => {
@@ -216,8 +214,8 @@ class OutlineWriter extends BaseTool {
       this.emitOutput(`Outline has approximately ${wordCount} words.\n`);
       
       // Count tokens in response
-      const responseTokens = await this.claudeService.countTokens(cleanedResponse);
-      this.emitOutput(`Outline token count: ${responseTokens}\n`);
+      const responseTokens = await this.responseTokenCount(cleanedResponse);
+      this.emitOutput(`Outline token count: ${responseTokens} (${this.tokenCountLabel()})\n`);
       
       // Save the outline to a file
       const timestamp = new Date().toISOString().replace(/[-:.]/g, '').substring(0, 15);
@@ -0,0 +1,236 @@
+// pipeline-runner.js
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const appState = require('./state.js');
+const toolSystem = require('./tool-system');
+const pipelineRuns = require('./pipeline-runs');
+const { loadPipelines, resolveReferences } = require('./pipelines');
+
+// Pipeline runs being advanced right now, by ID
+const activePipelineRuns = new Set();
+
+/**
+ * Find a pipeline definition by ID
+ * @param {string} pipelineId - Pipeline ID
+ * @returns {Object|null} - Normalized definition (see pipelines.js)
+ */
+function getPipeline(pipelineId) {
+  return loadPipelines().pipelines.find(pipeline => pipeline.id === pipelineId) || null;
+}
+
+/**
+ * Check a pipeline's params and fill in their defaults
+ * @param {Object} pipeline - Pipeline definition
+ * @param {Object} values - Param values by name
+ * @returns {Object} - Param values
+ * @throws {Error} - With validationErrors { [param name]: message } if a required one is missing
+ */
+function resolveParams(pipeline, values = {}) {
+  const params = {};
+  const errors = {};
+  for (const param of pipeline.params) {
+    const value = values[param.name] !== undefined && values[param.name] !== null && String(values[param.name]).trim() !== ''
+      ? values[param.name]
+      : param.default;
+    if (param.required && (value === undefined || value === null || String(value).trim() === '')) {
+      errors[param.name] = 'This field is required';
+    }
+    params[param.name] = value;
+  }
+  if (Object.keys(errors).length > 0) {
+    const error = new Error(`Missing params for ${pipeline.title}: ${Object.keys(errors).join(', ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+  return params;
+}
+
+/**
+ * Create a run of a pipeline in the current project
+ * Nothing runs until runPipeline is called with the record's ID.
+ * @param {string} pipelineId - Pipeline ID
+ * @param {Object} params - Param values by name
+ * @returns {Promise<Object>} - The pipeline run record
+ * @throws {Error} - If there is no project or pipeline, or a required param is missing
+ */
+async function createPipelineRun(pipelineId, params) {
+  const projectPath = appState.CURRENT_PROJECT_PATH;
+  if (!projectPath) {
+    throw new Error('Select a project before starting a pipeline.');
+  }
+  const pipeline = getPipeline(pipelineId);
+  if (!pipeline) {
+    throw new Error(`Pipeline not found: ${pipelineId}`);
+  }
+
+  const record = {
+    id: uuidv4(),
+    pipelineId,
+    title: pipeline.title,
+    definition: pipeline,
+    params: resolveParams(pipeline, params),
+    status: 'pending',
+    startedAt: new Date().toISOString(),
+    pausedAfter: null,
+    error: null,
+    steps: pipeline.steps.map(step => ({ id: step.id, tool: step.tool, status: 'pending' }))
+  };
+  return pipelineRuns.save(projectPath, record);
+}
+
+/**
+ * Run a new, paused or failed pipeline run of the current project
+ * Steps run until the pipeline pauses for review, fails or completes. A
+ * failed step is run again from its checkpoint, so finished work is kept.
+ * If the pipeline's definition has changed since the run was created, the
+ * new one is used; steps that already completed are not run again.
+ * @param {string} id - Pipeline run ID
+ * @param {Object} hooks - How steps run and progress is reported (see advancePipeline)
+ * @returns {Promise<Object>} - The pipeline run record
+ * @throws {Error} - If the run does not exist, is running already or has completed
+ */
+async function runPipeline(id, hooks) {
+  const projectPath = appState.CURRENT_PROJECT_PATH;
+  const record = projectPath ? await pipelineRuns.load(projectPath, id) : null;
+  if (!record) {
+    throw new Error(`No pipeline run ${id} in the current project.`);
+  }
+  if (activePipelineRuns.has(id)) {
+    throw new Error(`${record.title} is already running.`);
+  }
+  if (record.status === 'completed') {
+    throw new Error(`${record.title} has already completed.`);
+  }
+
+  const pipeline = getPipeline(record.pipelineId) || record.definition;
+  const previous = new Map(record.steps.map(step => [step.id, step]));
+  record.definition = pipeline;
+  record.steps = pipeline.steps.map(step => previous.get(step.id) || { id: step.id, tool: step.tool, status: 'pending' });
+  return advancePipeline(projectPath, record, hooks);
+}
+
+/**
+ * Run a pipeline's remaining steps
+ * @param {string} projectPath - Project directory
+ * @param {Object} record - Pipeline run record
+ * @param {Object} hooks
+ * @param {Function} hooks.runStep - (step, options, { resume }) => Promise<{ runId, outputFiles, stats }>
+ *                                   runs one tool; rejects if the run fails
+ * @param {Function} [hooks.onProgress] - Called with (record, message) as the pipeline moves on
+ * @param {AbortSignal} [hooks.signal] - Stops the pipeline after the current step when aborted
+ * @returns {Promise<Object>} - The pipeline run record
+ */
+async function advancePipeline(projectPath, record, hooks) {
+  const onProgress = hooks.onProgress || (() => {});
+  const report = async (message) => {
+    await pipelineRuns.save(projectPath, record);
+    onProgress(record, message);
+  };
+
+  activePipelineRuns.add(record.id);
+  try {
+    record.status = 'running';
+    record.pausedAfter = null;
+    record.error = null;
+    await report(`${record.title}: running`);
+
+    const steps = record.definition.steps;
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      const state = record.steps[i];
+      if (state.status === 'completed') continue;
+
+      if (hooks.signal && hooks.signal.aborted) {
+        throw Object.assign(new Error('Pipeline stopped'), { stopped: true });
+      }
+
+      // A step that failed, or was cut short by a crash, continues from its checkpoint
+      const resume = state.status === 'failed' || state.status === 'running';
+      Object.assign(state, { status: 'running', error: null, fieldErrors: null, startedAt: new Date().toISOString() });
+      await report(`Step ${i + 1} of ${steps.length}: ${step.title} (${step.tool})${resume ? ' from its checkpoint' : ''}`);
+
+      try {
+        if (!toolSystem.toolRegistry.getTool(step.tool)) {
+          throw new Error(`Tool not found: ${step.tool}`);
+        }
+        const options = {
+          ...toolSystem.getDefaultToolOptions(step.tool),
+          ...resolveReferences(step.options, buildContext(projectPath, record))
+        };
+        const result = await hooks.runStep(step, options, { resume });
+        Object.assign(state, {
+          status: 'completed',
+          runId: result.runId || null,
+          outputFiles: result.outputFiles || [],
+          stats: result.stats || {},
+          finishedAt: new Date().toISOString()
+        });
+      } catch (error) {
+        Object.assign(state, {
+          status: 'failed',
+          error: error.message,
+          fieldErrors: error.validationErrors || null,
+          finishedAt: new Date().toISOString()
+        });
+        record.status = 'failed';
+        record.error = `${step.title}: ${error.message}`;
+        await report(`${record.title} stopped at ${step.title}: ${error.message}`);
+        return record;
+      }
+
+      if (step.review && i < steps.length - 1) {
+        record.status = 'paused';
+        record.pausedAfter = step.id;
+        await report(`${record.title} paused after ${step.title} for review. Continue when ready.`);
+        return record;
+      }
+    }
+
+    record.status = 'completed';
+    await report(`${record.title} completed`);
+    return record;
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+    await report(`${record.title}: ${error.message}`);
+    return record;
+  } finally {
+    activePipelineRuns.delete(record.id);
+  }
+}
+
+/**
+ * Build what a step's references can see
+ * @param {string} projectPath - Project directory
+ * @param {Object} record - Pipeline run record
+ * @returns {Object} - { params, project, steps: { [id]: { runId, outputFiles, stats } } }
+ */
+function buildContext(projectPath, record) {
+  const steps = {};
+  for (const state of record.steps) {
+    if (state.status === 'completed') {
+      steps[state.id] = { runId: state.runId, outputFiles: state.outputFiles, stats: state.stats };
+    }
+  }
+  return {
+    params: record.params,
+    project: { path: projectPath, name: path.basename(projectPath) },
+    steps
+  };
+}
+
+/**
+ * List the pipeline runs of the current project
+ * @returns {Promise<Object[]>} - Records, newest first, with active set if being advanced now
+ */
+async function listPipelineRuns() {
+  const records = await pipelineRuns.list(appState.CURRENT_PROJECT_PATH);
+  return records.map(record => ({ ...record, active: activePipelineRuns.has(record.id) }));
+}
+
+module.exports = {
+  getPipeline,
+  createPipelineRun,
+  runPipeline,
+  listPipelineRuns
+};
@@ -0,0 +1,117 @@
+// pipeline-runs.js
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Pipeline Runs
+ * Keeps the state of each pipeline run in the project's .wt/pipelines
+ * folder, as <id>.json, so a pipeline paused for review or stopped by a
+ * failure can be continued later, even after a restart. A record holds the
+ * pipeline definition it started with, its params, and each step's status,
+ * run ID and output files.
+ */
+class PipelineRuns {
+  constructor() {
+    this.DIR_NAME = path.join('.wt', 'pipelines');
+  }
+
+  /**
+   * Get the pipeline runs folder of a project
+   * @param {string} projectPath - Project directory
+   * @returns {string} - Path to .wt/pipelines
+   */
+  getRunsDir(projectPath) {
+    return path.join(projectPath, this.DIR_NAME);
+  }
+
+  /**
+   * Get the path of a pipeline run record
+   * @param {string} projectPath - Project directory
+   * @param {string} id - Pipeline run ID
+   * @returns {string} - Path to the record file
+   */
+  getRecordPath(projectPath, id) {
+    if (!/^[A-Za-z0-9_-]+$/.test(id)) {
+      throw new Error(`Invalid pipeline run ID: ${id}`);
+    }
+    return path.join(this.getRunsDir(projectPath), `${id}.json`);
+  }
+
+  /**
+   * Write a pipeline run record
+   * @param {string} projectPath - Project directory
+   * @param {Object} record - Pipeline run record with at least an id
+   * @returns {Promise<Object>} - The record as written
+   */
+  async save(projectPath, record) {
+    const recordPath = this.getRecordPath(projectPath, record.id);
+    const tempPath = `${recordPath}.partial`;
+    record.updatedAt = new Date().toISOString();
+    try {
+      await fs.mkdir(path.dirname(recordPath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(record, null, 2), 'utf-8');
+      await fs.rename(tempPath, recordPath);
+      return record;
+    } catch (error) {
+      console.error(`Error writing pipeline run ${recordPath}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read a pipeline run record
+   * @param {string} projectPath - Project directory
+   * @param {string} id - Pipeline run ID
+   * @returns {Promise<Object|null>} - The record, or null if there is none
+   */
+  async load(projectPath, id) {
+    const recordPath = this.getRecordPath(projectPath, id);
+    try {
+      return JSON.parse(await fs.readFile(recordPath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      console.error(`Error reading pipeline run ${recordPath}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the pipeline runs of a project
+   * @param {string} projectPath - Project directory
+   * @returns {Promise<Object[]>} - Pipeline run records, newest first
+   */
+  async list(projectPath) {
+    if (!projectPath) {
+      return [];
+    }
+
+    let names;
+    try {
+      names = await fs.readdir(this.getRunsDir(projectPath));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const name of names.filter(name => name.endsWith('.json'))) {
+      const record = await this.load(projectPath, path.basename(name, '.json')).catch(() => null);
+      if (record) records.push(record);
+    }
+    return records.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  /**
+   * Delete a pipeline run record
+   * @param {string} projectPath - Project directory
+   * @param {string} id - Pipeline run ID
+   */
+  async remove(projectPath, id) {
+    await fs.rm(this.getRecordPath(projectPath, id), { force: true });
+  }
+}
+
+// Create a singleton instance
+const pipelineRuns = new PipelineRuns();
+
+module.exports = pipelineRuns;
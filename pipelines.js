@@ -0,0 +1,281 @@
+// pipelines.js
+//
+// Pipelines chain tools, handing each step the files earlier steps wrote.
+// Besides the built-in ones below, pipelines are loaded from JSON or YAML
+// files in ~/writing/.pipelines. For example:
+//
+//   id: outline_and_world
+//   title: Outline and World
+//   params:
+//     - { name: title, label: Title, required: true }
+//   steps:
+//     - id: outline
+//       tool: outline_writer
+//       options: { premise_file: ideas.txt }
+//       review: true                 # pause after this step for review
+//     - id: world
+//       tool: world_writer
+//       options:
+//         title: ${params.title}
+//         characters_file: ideas.txt
+//         outline_file: ${steps.outline.outputFiles[0]}
+//
+// Option values may use ${params.<name>}, ${project.path}, ${project.name}
+// and ${steps.<id>.outputFiles[<n>]} or ${steps.<id>.stats.<key>} of an
+// earlier step. A value that is just one reference keeps its type; anything
+// else is filled in as text. Options a step leaves out take the tool's
+// defaults. Optional keys: description, review (pause after every step).
+const path = require('path');
+const os = require('os');
+const { loadDefinitionFiles } = require('./user-tools');
+
+// Shared by all projects, next to the projects themselves (see appState.PROJECTS_DIR)
+const DEFAULT_PIPELINES_DIR = path.join(os.homedir(), 'writing', '.pipelines');
+
+const REFERENCE_PATTERN = /\$\{\s*([^}]+?)\s*\}/g;
+const ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// The intended flow from an idea to a first chapter
+const BUILT_IN_PIPELINES = [
+  {
+    id: 'novel_draft',
+    title: 'Novel Draft: Brainstorm, Outline, World, Chapter',
+    description: 'Brainstorms a concept and characters from ideas.txt, writes an outline and a world from them, then drafts a chapter onto the end of manuscript.txt (which may start empty). Pauses after each step so you can review and edit its files.',
+    review: true,
+    params: [
+      { name: 'title', label: 'Title', required: true },
+      { name: 'pov', label: 'Point of view', default: 'third person perspective' },
+      {
+        name: 'chapter',
+        label: 'Chapter to write',
+        description: 'Number and title as in the outline, e.g. "Chapter 1: The Last Cup"',
+        default: 'Chapter 1: Opening'
+      }
+    ],
+    steps: [
+      {
+        id: 'brainstorm',
+        tool: 'brainstorm',
+        options: { ideas_file: 'ideas.txt', title: '${params.title}' }
+      },
+      {
+        id: 'outline',
+        tool: 'outline_writer',
+        options: {
+          premise_file: '${steps.brainstorm.stats.ideasFile}',
+          concept_file: '${steps.brainstorm.outputFiles[0]}',
+          characters_file: '${steps.brainstorm.outputFiles[1]}',
+          title: '${params.title}'
+        }
+      },
+      {
+        id: 'world',
+        tool: 'world_writer',
+        options: {
+          title: '${params.title}',
+          pov: '${params.pov}',
+          characters_file: '${steps.brainstorm.outputFiles[1]}',
+          outline_file: '${steps.outline.outputFiles[0]}'
+        }
+      },
+      {
+        id: 'chapter',
+        tool: 'chapter_writer',
+        options: {
+          request: '${params.chapter}',
+          chapters_to_write: '',
+          outline: '${steps.outline.outputFiles[0]}',
+          world: '${steps.world.outputFiles[0]}'
+        }
+      }
+    ]
+  }
+];
+
+/**
+ * Get the folder pipeline definitions are loaded from
+ * @returns {string} - WT_PIPELINES_DIR if set, otherwise ~/writing/.pipelines
+ */
+function getPipelinesDir() {
+  return process.env.WT_PIPELINES_DIR || DEFAULT_PIPELINES_DIR;
+}
+
+/**
+ * List the references in an option value
+ * @param {*} value - Option value; only strings hold references
+ * @returns {string[]} - Reference expressions, e.g. 'steps.outline.outputFiles[0]'
+ */
+function findReferences(value) {
+  if (typeof value !== 'string') return [];
+  return Array.from(value.matchAll(REFERENCE_PATTERN), match => match[1]);
+}
+
+/**
+ * Split a reference into the keys to follow
+ * @param {string} expression - e.g. 'steps.outline.outputFiles[0]'
+ * @returns {string[]} - e.g. ['steps', 'outline', 'outputFiles', '0']
+ * @throws {Error} - If the expression is not a plain path
+ */
+function parseReference(expression) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*|\[\d+\])*$/.test(expression)) {
+    throw new Error(`\${${expression}} is not a reference like \${steps.<id>.outputFiles[0]}`);
+  }
+  return expression.split(/\.|\[|\]/).filter(key => key.length > 0);
+}
+
+/**
+ * Look up a reference
+ * @param {string} expression - Reference expression
+ * @param {Object} context - { params, project, steps }
+ * @returns {*} - The value
+ * @throws {Error} - If the reference has no value
+ */
+function lookupReference(expression, context) {
+  let value = context;
+  for (const key of parseReference(expression)) {
+    value = value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)
+      ? value[key]
+      : undefined;
+  }
+  if (value === undefined || value === null) {
+    throw new Error(`\${${expression}} has no value`);
+  }
+  return value;
+}
+
+/**
+ * Fill in the references in a step's options
+ * @param {Object} options - Option values as written in the pipeline
+ * @param {Object} context - { params, project, steps: { [id]: { outputFiles, stats } } }
+ * @returns {Object} - Option values with references replaced
+ * @throws {Error} - If a reference has no value
+ */
+function resolveReferences(options, context) {
+  const resolved = {};
+  for (const [name, value] of Object.entries(options || {})) {
+    if (typeof value !== 'string') {
+      resolved[name] = value;
+      continue;
+    }
+    const whole = value.match(/^\$\{\s*([^}]+?)\s*\}$/);
+    try {
+      resolved[name] = whole
+        ? lookupReference(whole[1], context)
+        : value.replace(REFERENCE_PATTERN, (match, expression) => String(lookupReference(expression, context)));
+    } catch (error) {
+      throw new Error(`${name}: ${error.message}`);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Check a pipeline definition and fill in its defaults
+ * Tool IDs are checked when the pipeline runs, since user tools and plugins
+ * may not be loaded yet.
+ * @param {Object} raw - Parsed definition
+ * @param {string} fileName - Definition file name, for error messages
+ * @returns {Object} - { id, title, description, params, steps }
+ * @throws {Error} - If the definition is invalid
+ */
+function normalizePipeline(raw, fileName) {
+  const fail = (message) => {
+    throw new Error(`${fileName}: ${message}`);
+  };
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) fail('must contain a single object');
+  if (typeof raw.id !== 'string' || !ID_PATTERN.test(raw.id)) {
+    fail('id must be lower case letters, digits and underscores, e.g. outline_and_world');
+  }
+
+  if (!Array.isArray(raw.params || [])) fail('params must be a list');
+  const params = (raw.params || []).map(param => {
+    if (!param || typeof param.name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(param.name)) {
+      fail('every param needs a name of letters, digits and underscores');
+    }
+    return {
+      name: param.name,
+      label: param.label || param.name,
+      description: param.description || '',
+      required: !!param.required,
+      default: param.default !== undefined ? param.default : ''
+    };
+  });
+  const paramNames = new Set(params.map(param => param.name));
+
+  if (!Array.isArray(raw.steps) || raw.steps.length === 0) fail('steps must be a list of at least one step');
+  const seen = new Set();
+  const steps = raw.steps.map((step, index) => {
+    if (!step || typeof step !== 'object') fail(`step ${index + 1} must be an object`);
+    if (typeof step.id !== 'string' || !ID_PATTERN.test(step.id)) {
+      fail(`step ${index + 1} needs an id of lower case letters, digits and underscores`);
+    }
+    if (seen.has(step.id)) fail(`two steps use the id ${step.id}`);
+    if (typeof step.tool !== 'string' || !step.tool) fail(`step ${step.id} needs a tool`);
+    if (step.options !== undefined && (typeof step.options !== 'object' || Array.isArray(step.options))) {
+      fail(`step ${step.id}: options must map option names to values`);
+    }
+
+    for (const [name, value] of Object.entries(step.options || {})) {
+      for (const expression of findReferences(value)) {
+        let keys;
+        try {
+          keys = parseReference(expression);
+        } catch (error) {
+          fail(`step ${step.id}, ${name}: ${error.message}`);
+        }
+        if (keys[0] === 'steps' && !seen.has(keys[1])) {
+          fail(`step ${step.id}, ${name}: \${${expression}} must refer to an earlier step`);
+        } else if (keys[0] === 'params' && !paramNames.has(keys[1])) {
+          fail(`step ${step.id}, ${name}: \${${expression}} refers to a param that is not declared`);
+        } else if (!['steps', 'params', 'project'].includes(keys[0])) {
+          fail(`step ${step.id}, ${name}: \${${expression}} must start with steps, params or project`);
+        }
+      }
+    }
+
+    seen.add(step.id);
+    return {
+      id: step.id,
+      tool: step.tool,
+      title: step.title || step.id,
+      options: { ...(step.options || {}) },
+      review: step.review !== undefined ? !!step.review : !!raw.review
+    };
+  });
+
+  return {
+    id: raw.id,
+    title: raw.title || raw.id,
+    description: raw.description || raw.title || raw.id,
+    params,
+    steps
+  };
+}
+
+/**
+ * Load the built-in pipelines and those in the pipelines folder
+ * A broken definition is skipped and reported; it never stops the others loading.
+ * @param {string} [pipelinesDir] - Folder to load from, defaults to getPipelinesDir()
+ * @returns {Object} - { pipelines: normalized definitions, errors: messages }
+ */
+function loadPipelines(pipelinesDir = getPipelinesDir()) {
+  const builtIn = BUILT_IN_PIPELINES.map(raw => ({ ...normalizePipeline(raw, raw.id), builtIn: true }));
+  const { definitions, errors } = loadDefinitionFiles(pipelinesDir, normalizePipeline, {
+    kind: 'pipeline',
+    seen: new Set(builtIn.map(pipeline => pipeline.id))
+  });
+
+  for (const error of errors) {
+    console.error(`Pipeline skipped - ${error}`);
+  }
+  return { pipelines: [...builtIn, ...definitions], errors };
+}
+
+module.exports = {
+  getPipelinesDir,
+  loadPipelines,
+  normalizePipeline,
+  resolveReferences,
+  findReferences
+};
@@ -6,6 +6,14 @@ const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
 
+// Categories for structured findings (see findings.js)
+const FINDING_CATEGORIES = [
+  'dropped thread',
+  'unresolved thread',
+  'stalled thread',
+  'thread convergence'
+];
+
 /**
  * Plot Thread Tracker Tool
  * Analyzes manuscript to identify and track distinct plot threads using the Claude API.
@@ -37,6 +45,10 @@ class PlotThreadTracker extends BaseTool {
     const threadFocus = options.thread_focus;
     const useAsciiArt = options.ascii_art;
     const skipThinking = options.skip_thinking;
+    const structuredFindings = options.structured_findings || false;
+    const chapterRange = options.chapters || '';
+    const chunked = options.chunked || false;
+    const chunkOverlap = options.chunk_overlap !== undefined ? options.chunk_overlap : 1;
     const analysisDescription = options.analysis_description;
     const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     
@@ -69,7 +81,10 @@ class PlotThreadTracker extends BaseTool {
 
       // Read the manuscript file
       this.emitOutput(`Reading manuscript file: ${manuscriptFile}\n`);
-      const manuscriptContent = await this.readInputFile(manuscriptFile);
+      const { content: manuscriptContent, scope } = this.scopeManuscript(
+        await this.readInputFile(manuscriptFile),
+        chapterRange
+      );
       
       // Read the outline file if provided
       let outlineContent = "";
@@ -80,90 +95,112 @@ class PlotThreadTracker extends BaseTool {
         this.emitOutput(`No outline file provided.\n`);
       }
       
-      // Create the prompt
-      const prompt = this.createPlotThreadPrompt(
-        analysisDepth, 
-        outlineContent, 
-        manuscriptContent,
-        threadFocus,
-        useAsciiArt
+      // Create the prompt for a manuscript text: all of it, or one chunk
+      const buildPrompt = async (content) => this.scopePrompt(
+        await this.customizePrompt(this.createPlotThreadPrompt(
+          analysisDepth,
+          outlineContent,
+          content,
+          threadFocus,
+          useAsciiArt
+        )),
+        scope
       );
 
-      // Count tokens in the prompt
-      this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
-
-      // Call the shared token budget calculator
-      const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
-
-      // Handle logging based on the returned values
-      this.emitOutput(`\nToken stats:\n`);
-      this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
-      this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] ...\n`);
-      this.emitOutput(`                     = manuscript + outline + prompt instructions\n`);
-      this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]  = ${tokenBudgets.contextWindow} - ${tokenBudgets.promptTokens} = context_window - prompt\n`);
-      this.emitOutput(`Desired output tokens: [${tokenBudgets.desiredOutputTokens}]\n`);
-      this.emitOutput(`AI model thinking budget: [${tokenBudgets.thinkingBudget}] tokens\n`);
-      this.emitOutput(`Max output tokens: [${tokenBudgets.maxTokens}] tokens\n`);
-
-      // Check for special conditions
-      if (tokenBudgets.capThinkingBudget) {
-        this.emitOutput(`Warning: thinking budget is larger than 32K, set to 32K.\n`);
-      }
+      // Create system prompt to avoid markdown
+      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
 
-      // Check if the prompt is too large
-      if (tokenBudgets.isPromptTooLarge) {
-        this.emitOutput(`Error: prompt is too large to have a ${tokenBudgets.configuredThinkingBudget} thinking budget!\n`);
-        this.emitOutput(`Run aborted!\n`);
-        throw new Error(`Prompt is too large for ${tokenBudgets.configuredThinkingBudget} thinking budget - run aborted`);
-      }
-      
-      // Call Claude API with streaming
-      this.emitOutput(`>>> Sending request to Claude API (streaming)...\n`);
-
-      // Add a message about waiting
-      this.emitOutput(`****************************************************************************\n`);
-      this.emitOutput(`*  Analyzing plot threads in your manuscript...                            \n`);
-      this.emitOutput(`*  This process typically takes several minutes.                           \n`);
-      this.emitOutput(`*                                                                          \n`);
-      this.emitOutput(`*  It's recommended to keep this window the sole 'focus'                   \n`);
-      this.emitOutput(`*  and to avoid browsing online or running other apps, as these API        \n`);
-      this.emitOutput(`*  network connections are often flakey, like delicate echoes of whispers. \n`);
-      this.emitOutput(`*                                                                          \n`);
-      this.emitOutput(`*  So breathe, remove eye glasses, stretch, relax, and be like water 🥋 🧘🏽‍♀️\n`);
-      this.emitOutput(`****************************************************************************\n\n`);
-      
       const startTime = Date.now();
       let fullResponse = "";
       let thinkingContent = "";
-      
-      // Create system prompt to avoid markdown
-      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
+      let promptTokens;
+      let split = null;
+
+      if (chunked) {
+        ({ text: fullResponse, thinking: thinkingContent, promptTokens, split } = await this.analyzeInChunks({
+          manuscriptContent,
+          buildPrompt,
+          system: systemPrompt,
+          overlap: chunkOverlap,
+          title: 'Plot Thread Tracker',
+          findingsCategories: structuredFindings ? FINDING_CATEGORIES : null
+        }));
+      } else {
+        let prompt = await buildPrompt(manuscriptContent);
+        if (structuredFindings) {
+          prompt = this.requestFindings(prompt, FINDING_CATEGORIES);
+        }
+
+        // Count tokens in the prompt
+        this.emitOutput(`Counting tokens in prompt...\n`);
+        promptTokens = await this.countTokens(prompt);
+
+        // Call the shared token budget calculator
+        const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
+
+        // Handle logging based on the returned values
+        this.emitOutput(`\nToken stats:\n`);
+        this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
+        this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()}) ...\n`);
+        this.emitOutput(`                     = manuscript + outline + prompt instructions\n`);
+        this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]  = ${tokenBudgets.contextWindow} - ${tokenBudgets.promptTokens} = context_window - prompt\n`);
+        this.emitOutput(`Desired output tokens: [${tokenBudgets.desiredOutputTokens}]\n`);
+        this.emitOutput(`AI model thinking budget: [${tokenBudgets.thinkingBudget}] tokens\n`);
+        this.emitOutput(`Max output tokens: [${tokenBudgets.maxTokens}] tokens\n`);
+
+        // Check for special conditions
+        if (tokenBudgets.capThinkingBudget) {
+          this.emitOutput(`Warning: thinking budget is larger than 32K, set to 32K.\n`);
+        }
 
-      // Use the calculated values in the API call
-      try {
-        await this.claudeService.streamWithThinking(
-          prompt,
-          {
-            system: systemPrompt,
-            max_tokens: tokenBudgets.maxTokens,
-            thinking: {
-              type: "enabled",
-              budget_tokens: tokenBudgets.thinkingBudget
+        // Check if the prompt is too large
+        if (tokenBudgets.isPromptTooLarge) {
+          this.emitOutput(`Error: prompt is too large to have a ${tokenBudgets.configuredThinkingBudget} thinking budget!\n`);
+          this.emitOutput(`Turn on the chunked option to analyze a manuscript this long in parts.\n`);
+          this.emitOutput(`Run aborted!\n`);
+          throw new Error(`Prompt is too large for ${tokenBudgets.configuredThinkingBudget} thinking budget - run aborted`);
+        }
+      
+        // Call Claude API with streaming
+        this.emitOutput(`>>> Sending request to Claude API (streaming)...\n`);
+
+        // Add a message about waiting
+        this.emitOutput(`****************************************************************************\n`);
+        this.emitOutput(`*  Analyzing plot threads in your manuscript...                            \n`);
+        this.emitOutput(`*  This process typically takes several minutes.                           \n`);
+        this.emitOutput(`*                                                                          \n`);
+        this.emitOutput(`*  It's recommended to keep this window the sole 'focus'                   \n`);
+        this.emitOutput(`*  and to avoid browsing online or running other apps, as these API        \n`);
+        this.emitOutput(`*  network connections are often flakey, like delicate echoes of whispers. \n`);
+        this.emitOutput(`*                                                                          \n`);
+        this.emitOutput(`*  So breathe, remove eye glasses, stretch, relax, and be like water 🥋 🧘🏽‍♀️\n`);
+        this.emitOutput(`****************************************************************************\n\n`);
+      
+        // Use the calculated values in the API call
+        try {
+          await this.streamWithThinking(
+            prompt,
+            {
+              system: systemPrompt,
+              max_tokens: tokenBudgets.maxTokens,
+              thinking: {
+                type: "enabled",
+                budget_tokens: tokenBudgets.thinkingBudget
+              }
+            },
+            // Callback for thinking content
+            (thinkingDelta) => {
+              thinkingContent += thinkingDelta;
+            },
+            // Callback for response text
+            (textDelta) => {
+              fullResponse += textDelta;
             }
-          },
-          // Callback for thinking content
-          (thinkingDelta) => {
-            thinkingContent += thinkingDelta;
-          },
-          // Callback for response text
-          (textDelta) => {
-            fullResponse += textDelta;
-          }
-        );
-      } catch (error) {
-        this.emitOutput(`\nAPI Error: ${error.message}\n`);
-        throw error;
+          );
+        } catch (error) {
+          this.emitOutput(`\nAPI Error: ${error.message}\n`);
+          throw error;
+        }
       }
 
       const elapsed = (Date.now() - startTime) / 1000;
@@ -177,11 +214,21 @@ class PlotThreadTracker extends BaseTool {
       this.emitOutput(`Report has approximately ${wordCount} words.\n`);
       
       // Count tokens in response
-      const responseTokens = await this.claudeService.countTokens(fullResponse);
-      this.emitOutput(`Response token count: ${responseTokens}\n`);
+      const responseTokens = await this.responseTokenCount(fullResponse);
+      this.emitOutput(`Response token count: ${responseTokens} (${this.tokenCountLabel()})\n`);
+
+      // Take the structured findings off before cleaning up the report
+      let findings = null;
+      if (structuredFindings) {
+        ({ text: fullResponse, findings } = this.takeFindings(fullResponse));
+      }
 
       // Remove any markdown formatting
       fullResponse = this.removeMarkdown(fullResponse);
+      if (split) {
+        fullResponse = `${split}\n\n${fullResponse}`;
+      }
+      fullResponse = this.scopeReport(fullResponse, scope);
 
       // Format thread focus for reporting
       const threadFocusStr = threadFocus ? (Array.isArray(threadFocus) ? threadFocus.join(", ") : threadFocus) : "All threads";
@@ -202,6 +249,9 @@ class PlotThreadTracker extends BaseTool {
       
       // Add all output files to the result
       outputFiles.push(...outputFile);
+      if (findings) {
+        outputFiles.push(await this.saveFindings(findings, outputFile[0], manuscriptFile));
+      }
       
       // Add files to the cache
       const toolName = 'plot_thread_tracker';
@@ -261,14 +311,14 @@ Include simple ASCII art visualizations to represent:
     }
     
     const prompts = {
-      "basic": `=== OUTLINE ===
-${outlineContent}
-=== END OUTLINE ===
-
-=== MANUSCRIPT ===
+      "basic": `=== MANUSCRIPT ===
 ${manuscriptContent}
 === END MANUSCRIPT ===
 
+=== OUTLINE ===
+${outlineContent}
+=== END OUTLINE ===
+
 ${noMarkdown}
 
 You are an expert fiction editor specializing in narrative structure and plot analysis. Conduct a BASIC plot thread analysis of the manuscript, focusing on the main storylines and how they progress. ${threadFocusStr}
@@ -299,14 +349,14 @@ Organize your analysis by thread, showing each thread's progression and key conn
 
 Present the information in a clear, structured format that makes the plot architecture easy to understand without requiring graphics.`,
 
-      "detailed": `=== OUTLINE ===
-${outlineContent}
-=== END OUTLINE ===
-
-=== MANUSCRIPT ===
+      "detailed": `=== MANUSCRIPT ===
 ${manuscriptContent}
 === END MANUSCRIPT ===
 
+=== OUTLINE ===
+${outlineContent}
+=== END OUTLINE ===
+
 ${noMarkdown}
 
 You are an expert fiction editor specializing in narrative structure and plot analysis. Conduct a DETAILED plot thread analysis of the manuscript, tracking how multiple storylines develop and interconnect. ${threadFocusStr}
@@ -352,14 +402,14 @@ For each thread entry, include:
 
 Use text formatting to create a clear visual structure that shows the relationships between threads without requiring graphics.`,
 
-      "comprehensive": `=== OUTLINE ===
-${outlineContent}
-=== END OUTLINE ===
-
-=== MANUSCRIPT ===
+      "comprehensive": `=== MANUSCRIPT ===
 ${manuscriptContent}
 === END MANUSCRIPT ===
 
+=== OUTLINE ===
+${outlineContent}
+=== END OUTLINE ===
+
 ${noMarkdown}
 
 You are an expert fiction editor specializing in narrative structure and plot architecture. Conduct a COMPREHENSIVE plot thread analysis of the manuscript, creating a detailed visualization of how all narrative elements interconnect. ${threadFocusStr}
@@ -520,7 +570,7 @@ Output tokens: ${responseTokens}
 ${thinking}
 
 === END AI'S THINKING PROCESS ===
-${stats}`;
+${this.effectivePromptSection()}${stats}`;
         
         await this.writeOutputFile(thinkingContent, saveDir, thinkingFilename);
         this.emitOutput(`AI thinking saved to: ${thinkingPath}\n`);
@@ -0,0 +1,135 @@
+// plugin-api.js
+const path = require('path');
+const BaseTool = require('./base-tool');
+const fileCache = require('./file-cache');
+const appState = require('./state.js');
+
+// Bumped only when a change would break existing plugins
+const PLUGIN_API_VERSION = 1;
+
+/**
+ * Turn a path pattern into a regular expression
+ * '*' matches within one folder, '**' across folders.
+ * @param {string} pattern - Pattern relative to the project, e.g. 'reports/*.txt'
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+  const source = pattern
+    .split('/')
+    .map(part => part === '**'
+      ? '.*'
+      : part.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]'))
+    .join('/')
+    .replace(/\.\*\//g, '(?:.*/)?');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Plugin Tool
+ * The base class plugins extend, handed to them by the plugin loader. It
+ * is a BaseTool, so plugins stream, count tokens and save reports exactly
+ * as built-in tools do, plus:
+ *   this.project    - { name, path } of the current project
+ *   this.fileCache  - { addFile, getFiles, clear } for this tool's output files
+ *   this.manifest   - the plugin's manifest
+ * readInputFile and writeOutputFile only touch paths the manifest declares
+ * in "paths": { "read": [...], "write": [...] }, as patterns relative to the
+ * project folder. This keeps honest plugins honest; it is not a sandbox.
+ */
+class PluginTool extends BaseTool {
+  /**
+   * Constructor
+   * @param {Object} claudeService - AI service for this tool
+   * @param {Object} config - Tool configuration, including the plugin manifest
+   */
+  constructor(claudeService, config = {}) {
+    super(config.manifest.id, config);
+    this.claudeService = claudeService;
+    this.manifest = config.manifest;
+    this.pluginDir = config.pluginDir;
+
+    const toolId = this.name;
+    this.fileCache = Object.freeze({
+      addFile: (filePath) => fileCache.addFile(toolId, filePath),
+      getFiles: () => fileCache.getFiles(toolId),
+      clear: () => fileCache.clear(toolId)
+    });
+  }
+
+  /**
+   * The current project
+   * @returns {Object} - { name, path }, both null when no project is selected
+   */
+  get project() {
+    return { name: appState.CURRENT_PROJECT, path: appState.CURRENT_PROJECT_PATH };
+  }
+
+  /**
+   * Read a file the manifest allows this plugin to read
+   * @param {string} filePath - Path to file, absolute or relative to the project
+   * @param {string} encoding - File encoding
+   * @returns {Promise<string>} - File content
+   */
+  async readInputFile(filePath, encoding = 'utf-8') {
+    const resolved = this.checkPathAllowed(filePath, 'read');
+    return super.readInputFile(resolved, encoding);
+  }
+
+  /**
+   * Write a file the manifest allows this plugin to write
+   * @param {string} content - Content to write
+   * @param {string} saveDir - Directory to save to
+   * @param {string} fileName - File name
+   * @returns {Promise<string>} - Path to the saved file
+   */
+  async writeOutputFile(content, saveDir, fileName) {
+    this.checkPathAllowed(path.join(saveDir || '', fileName), 'write');
+    return super.writeOutputFile(content, saveDir, fileName);
+  }
+
+  /**
+   * Check a path against the manifest's declared paths
+   * @param {string} filePath - Path, absolute or relative to the project
+   * @param {string} access - 'read' or 'write'
+   * @returns {string} - Absolute path
+   * @throws {Error} - If the manifest does not allow the access
+   */
+  checkPathAllowed(filePath, access) {
+    const projectPath = this.project.path;
+    const deny = (reason) => {
+      const error = new Error(`Plugin ${this.name} may not ${access} ${filePath}: ${reason}`);
+      error.permissionDenied = true;
+      throw error;
+    };
+
+    if (!projectPath) deny('no project is selected');
+    const resolved = path.resolve(projectPath, filePath);
+    const relative = path.relative(projectPath, resolved);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) deny('it is outside the project');
+
+    const patterns = (this.manifest.paths && this.manifest.paths[access]) || [];
+    const portable = relative.split(path.sep).join('/');
+    if (!patterns.some(pattern => patternToRegExp(pattern).test(portable))) {
+      deny(`the manifest's paths.${access} does not include it`);
+    }
+    return resolved;
+  }
+}
+
+/**
+ * Build the API object a plugin's factory receives
+ * @returns {Object} - Frozen { version, BaseTool }
+ */
+function createPluginApi() {
+  return Object.freeze({
+    version: PLUGIN_API_VERSION,
+    BaseTool: PluginTool
+  });
+}
+
+module.exports = {
+  PLUGIN_API_VERSION,
+  PluginTool,
+  createPluginApi,
+  patternToRegExp
+};
@@ -0,0 +1,151 @@
+// plugin-loader.js
+//
+// Loads code plugins from ~/writing/.plugins, one folder per plugin:
+//
+//   ~/writing/.plugins/word-frequency/
+//     manifest.json   { "id": "word_frequency", "title": "Word Frequency",
+//                       "apiVersion": 1, "main": "index.js",
+//                       "options": [ ...same shape as TOOL_DEFS... ],
+//                       "paths": { "read": ["*.txt"], "write": ["word_frequency_*.txt"] } }
+//     index.js        module.exports = (api) => class extends api.BaseTool {
+//                       async execute(options) { ... }
+//                     };
+//
+// See plugin-api.js for what api.BaseTool offers, and
+// utilities/example-plugin for a complete plugin.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { PLUGIN_API_VERSION, PluginTool, createPluginApi } = require('./plugin-api');
+
+// Shared by all projects, next to the projects themselves (see appState.PROJECTS_DIR)
+const DEFAULT_PLUGINS_DIR = path.join(os.homedir(), 'writing', '.plugins');
+
+const MANIFEST_NAME = 'manifest.json';
+
+/**
+ * Get the folder plugins are loaded from
+ * @returns {string} - WT_PLUGINS_DIR if set, otherwise ~/writing/.plugins
+ */
+function getPluginsDir() {
+  return process.env.WT_PLUGINS_DIR || DEFAULT_PLUGINS_DIR;
+}
+
+/**
+ * Check a plugin manifest
+ * @param {Object} manifest - Parsed manifest.json
+ * @returns {Object} - The manifest with defaults filled in
+ * @throws {Error} - If the manifest is invalid
+ */
+function validateManifest(manifest) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error('manifest.json must contain a single object');
+  }
+  if (typeof manifest.id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(manifest.id)) {
+    throw new Error('id must be lower case letters, digits and underscores');
+  }
+  if (manifest.apiVersion !== PLUGIN_API_VERSION) {
+    throw new Error(`apiVersion ${manifest.apiVersion} is not supported; this version of the app provides ${PLUGIN_API_VERSION}`);
+  }
+  if (manifest.options !== undefined && !Array.isArray(manifest.options)) {
+    throw new Error('options must be a list');
+  }
+  for (const option of manifest.options || []) {
+    if (!option || typeof option.name !== 'string' || typeof option.type !== 'string') {
+      throw new Error('every option needs a name and a type');
+    }
+  }
+  const paths = manifest.paths || {};
+  for (const access of ['read', 'write']) {
+    if (paths[access] !== undefined &&
+        (!Array.isArray(paths[access]) || paths[access].some(pattern => typeof pattern !== 'string'))) {
+      throw new Error(`paths.${access} must be a list of path patterns`);
+    }
+  }
+
+  return {
+    ...manifest,
+    title: manifest.title || manifest.id,
+    description: manifest.description || manifest.title || manifest.id,
+    main: manifest.main || 'index.js',
+    options: manifest.options || [],
+    paths: { read: paths.read || [], write: paths.write || [] }
+  };
+}
+
+/**
+ * Load one plugin folder
+ * @param {string} pluginDir - Plugin folder
+ * @returns {Object} - { manifest, Class, pluginDir }
+ * @throws {Error} - If the plugin cannot be loaded
+ */
+function loadPlugin(pluginDir) {
+  const manifest = validateManifest(
+    JSON.parse(fs.readFileSync(path.join(pluginDir, MANIFEST_NAME), 'utf-8'))
+  );
+
+  const mainPath = path.resolve(pluginDir, manifest.main);
+  if (path.relative(pluginDir, mainPath).startsWith('..')) {
+    throw new Error('main must be inside the plugin folder');
+  }
+  const factory = require(mainPath);
+  if (typeof factory !== 'function') {
+    throw new Error(`${manifest.main} must export a function that takes the plugin API and returns a tool class`);
+  }
+
+  const Class = factory(createPluginApi());
+  if (typeof Class !== 'function' || !(Class.prototype instanceof PluginTool)) {
+    throw new Error(`${manifest.main} must return a class that extends api.BaseTool`);
+  }
+  if (Class.prototype.execute === PluginTool.prototype.execute) {
+    throw new Error(`${manifest.main}: the tool class must implement execute(options)`);
+  }
+
+  return { manifest, Class, pluginDir };
+}
+
+/**
+ * Load every plugin in the plugins folder
+ * A broken plugin is skipped and reported; it never stops the others loading.
+ * @param {string} [pluginsDir] - Folder to load from, defaults to getPluginsDir()
+ * @returns {Object} - { plugins: [{ manifest, Class, pluginDir }], errors: messages }
+ */
+function loadPlugins(pluginsDir = getPluginsDir()) {
+  const result = { plugins: [], errors: [] };
+
+  let entries;
+  try {
+    entries = fs.readdirSync(pluginsDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      result.errors.push(`Cannot read plugins folder ${pluginsDir}: ${error.message}`);
+    }
+    return result;
+  }
+
+  const seen = new Set();
+  for (const entry of entries.filter(item => item.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    const pluginDir = path.join(pluginsDir, entry.name);
+    try {
+      const plugin = loadPlugin(pluginDir);
+      if (seen.has(plugin.manifest.id)) {
+        throw new Error(`another plugin already uses the id ${plugin.manifest.id}`);
+      }
+      seen.add(plugin.manifest.id);
+      result.plugins.push(plugin);
+    } catch (error) {
+      result.errors.push(`${entry.name}: ${error.message}`);
+    }
+  }
+
+  for (const error of result.errors) {
+    console.error(`Plugin skipped - ${error}`);
+  }
+  return result;
+}
+
+module.exports = {
+  getPluginsDir,
+  loadPlugins,
+  validateManifest
+};
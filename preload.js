@@ -24,17 +24,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Tool management
   getTools: () => ipcRenderer.invoke('get-tools'),
   getToolOptions: (toolName) => ipcRenderer.invoke('get-tool-options', toolName),
+  validateToolOptions: (toolName, options) => ipcRenderer.invoke('validate-tool-options', toolName, options),
   showToolSetupDialog: (toolName) => ipcRenderer.send('show-tool-setup-dialog', toolName),
   closeToolDialog: (action, data) => ipcRenderer.send('close-tool-dialog', action, data),
   getCurrentTool: () => ipcRenderer.invoke('get-current-tool'),
-  startToolRun: (toolName, options) => ipcRenderer.invoke('start-tool-run', toolName, options),
+  startToolRun: (toolName, options, runOptions) => ipcRenderer.invoke('start-tool-run', toolName, options, runOptions),
   stopTool: (runId) => ipcRenderer.invoke('stop-tool', runId),
   setToolOptions: (options) => ipcRenderer.invoke('set-tool-options', options),
   onToolOutput: (callback) => ipcRenderer.on('tool-output', (_, data) => callback(data)),
   onToolFinished: (callback) => ipcRenderer.on('tool-finished', (_, data) => callback(data)),
   onToolError: (callback) => ipcRenderer.on('tool-error', (_, data) => callback(data)),
+  onToolStream: (callback) => ipcRenderer.on('tool-stream', (_, data) => callback(data)),
+  setToolStreamOptions: (options) => ipcRenderer.invoke('set-tool-stream-options', options),
   removeAllListeners: (channel) => {
     if (channel === 'tool-output') ipcRenderer.removeAllListeners('tool-output');
+    if (channel === 'tool-stream') ipcRenderer.removeAllListeners('tool-stream');
     if (channel === 'tool-finished') ipcRenderer.removeAllListeners('tool-finished');
     if (channel === 'tool-error') ipcRenderer.removeAllListeners('tool-error');
   },
@@ -42,6 +46,25 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getToolOutputFiles: (toolId) => ipcRenderer.invoke('get-tool-output-files', toolId),
   // Open a file in the editor
   openFileInEditor: (filePath) => ipcRenderer.invoke('open-file-in-editor', filePath),  
+  
+  // Run history
+  getRunHistory: (filter) => ipcRenderer.invoke('get-run-history', filter),
+  rerunTool: (runId) => ipcRenderer.invoke('rerun-tool', runId),
+  onRunHistoryUpdated: (callback) => ipcRenderer.on('run-history-updated', (_, run) => callback(run)),
+
+  // Message Batches
+  submitBatch: (runs) => ipcRenderer.invoke('submit-batch', runs),
+  getPendingBatches: () => ipcRenderer.invoke('get-pending-batches'),
+  collectBatch: (batchId) => ipcRenderer.invoke('collect-batch', batchId),
+  onBatchProgress: (callback) => ipcRenderer.on('batch-progress', (_, progress) => callback(progress)),
+
+  // Pipelines
+  getPipelines: () => ipcRenderer.invoke('get-pipelines'),
+  startPipeline: (pipelineId, params) => ipcRenderer.invoke('start-pipeline', pipelineId, params),
+  resumePipeline: (id) => ipcRenderer.invoke('resume-pipeline', id),
+  stopPipeline: (id) => ipcRenderer.invoke('stop-pipeline', id),
+  getPipelineRuns: () => ipcRenderer.invoke('get-pipeline-runs'),
+  onPipelineProgress: (callback) => ipcRenderer.on('pipeline-progress', (_, progress) => callback(progress)),
 
   // API settings
   getClaudeApiSettings: () => ipcRenderer.invoke('get-claude-api-settings'),
@@ -52,5 +75,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   
   onSetTheme: (callback) => ipcRenderer.on('set-theme', (_, theme) => callback(theme)),
 
-  convertDocxToTxt: (docxPath, outputFilename) => ipcRenderer.invoke('convert-docx-to-txt', docxPath, outputFilename),
+  getDocxImportDefaults: () => ipcRenderer.invoke('get-docx-import-defaults'),
+  previewDocxImport: (docxPath, options) => ipcRenderer.invoke('preview-docx-import', docxPath, options),
+  convertDocxToTxt: (docxPath, outputFilename, options) => ipcRenderer.invoke('convert-docx-to-txt', docxPath, outputFilename, options),
+  convertEpubToTxt: (epubPath, outputFilename) => ipcRenderer.invoke('convert-epub-to-txt', epubPath, outputFilename),
 });
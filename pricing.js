@@ -0,0 +1,83 @@
+// pricing.js
+
+// Anthropic list prices in US dollars per million tokens.
+// Cache writes (5 minute cache) cost 1.25x input, cache reads 0.1x input.
+// Keys are model name prefixes; the longest matching prefix wins, so dated
+// model IDs like claude-3-7-sonnet-20250219 match their family entry.
+const MODEL_PRICING = {
+  'claude-opus-4-5':   { input: 5.00,  output: 25.00, cacheWrite: 6.25,  cacheRead: 0.50 },
+  'claude-opus-4':     { input: 15.00, output: 75.00, cacheWrite: 18.75, cacheRead: 1.50 },
+  'claude-sonnet-4':   { input: 3.00,  output: 15.00, cacheWrite: 3.75,  cacheRead: 0.30 },
+  'claude-haiku-4-5':  { input: 1.00,  output: 5.00,  cacheWrite: 1.25,  cacheRead: 0.10 },
+  'claude-3-7-sonnet': { input: 3.00,  output: 15.00, cacheWrite: 3.75,  cacheRead: 0.30 },
+  'claude-3-5-sonnet': { input: 3.00,  output: 15.00, cacheWrite: 3.75,  cacheRead: 0.30 },
+  'claude-3-5-haiku':  { input: 0.80,  output: 4.00,  cacheWrite: 1.00,  cacheRead: 0.08 },
+  'claude-3-opus':     { input: 15.00, output: 75.00, cacheWrite: 18.75, cacheRead: 1.50 },
+  'claude-3-haiku':    { input: 0.25,  output: 1.25,  cacheWrite: 0.30,  cacheRead: 0.03 }
+};
+
+// Message Batches are billed at half the normal rates
+const BATCH_DISCOUNT = 0.5;
+
+/**
+ * Get the pricing for a model
+ * @param {string} modelName - Model identifier
+ * @returns {Object|null} - { input, output, cacheWrite, cacheRead } per million tokens, or null if unknown
+ */
+function getModelPricing(modelName) {
+  if (!modelName) return null;
+
+  let match = null;
+  for (const prefix of Object.keys(MODEL_PRICING)) {
+    if (modelName.startsWith(prefix) && (!match || prefix.length > match.length)) {
+      match = prefix;
+    }
+  }
+  return match ? MODEL_PRICING[match] : null;
+}
+
+/**
+ * Calculate the cost of token usage
+ * @param {string} modelName - Model identifier
+ * @param {Object} usage - Token counts
+ * @param {number} [usage.inputTokens] - Uncached input tokens
+ * @param {number} [usage.outputTokens] - Output tokens, thinking included
+ * @param {number} [usage.cacheWriteTokens] - Input tokens written to the prompt cache
+ * @param {number} [usage.cacheReadTokens] - Input tokens read from the prompt cache
+ * @param {Object} [options]
+ * @param {boolean} [options.batch] - Priced as part of a Message Batch
+ * @returns {Object|null} - Cost in dollars { input, output, cacheWrite, cacheRead, total },
+ *                          or null if the model's price is unknown
+ */
+function calculateCost(modelName, usage, options = {}) {
+  const pricing = getModelPricing(modelName);
+  if (!pricing) return null;
+
+  const discount = options.batch ? BATCH_DISCOUNT : 1;
+  const perToken = (rate, tokens) => (rate * discount * (tokens || 0)) / 1000000;
+  const cost = {
+    input: perToken(pricing.input, usage.inputTokens),
+    output: perToken(pricing.output, usage.outputTokens),
+    cacheWrite: perToken(pricing.cacheWrite, usage.cacheWriteTokens),
+    cacheRead: perToken(pricing.cacheRead, usage.cacheReadTokens)
+  };
+  cost.total = cost.input + cost.output + cost.cacheWrite + cost.cacheRead;
+  return cost;
+}
+
+/**
+ * Format a dollar amount for display
+ * @param {number} dollars - Amount in dollars
+ * @returns {string} - e.g. "$0.0421" below a dollar, "$12.30" above
+ */
+function formatCost(dollars) {
+  return dollars < 1 ? `$${dollars.toFixed(4)}` : `$${dollars.toFixed(2)}`;
+}
+
+module.exports = {
+  MODEL_PRICING,
+  BATCH_DISCOUNT,
+  getModelPricing,
+  calculateCost,
+  formatCost
+};
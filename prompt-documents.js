@@ -0,0 +1,54 @@
+// prompt-documents.js
+
+/**
+ * Split a prompt into its leading document blocks and the instructions after them
+ * Tools put stable documents first, each as "=== NAME ===\n...\n=== END NAME ===",
+ * followed by instructions that vary from call to call.
+ * @param {string} prompt - Prompt to split
+ * @param {number} [maxDocuments] - Stop after this many documents
+ * @returns {{documents: string[], rest: string}} - Parts that join back into the prompt
+ */
+function splitLeadingDocuments(prompt, maxDocuments = Infinity) {
+  const documents = [];
+  const header = /\s*=== ([A-Z][A-Z ]*) ===\n/y;
+  let position = 0;
+
+  while (documents.length < maxDocuments) {
+    header.lastIndex = position;
+    const match = header.exec(prompt);
+    if (!match) break;
+
+    const endMarker = `\n=== END ${match[1]} ===`;
+    const end = prompt.indexOf(endMarker, header.lastIndex);
+    if (end < 0) break;
+
+    const blockEnd = end + endMarker.length;
+    documents.push(prompt.slice(position, blockEnd));
+    position = blockEnd;
+  }
+
+  let rest = prompt.slice(position);
+  // Text blocks may not be blank, so trailing whitespace stays with the last document
+  if (documents.length > 0 && rest.trim() === '') {
+    documents[documents.length - 1] += rest;
+    rest = '';
+  }
+  return { documents, rest };
+}
+
+/**
+ * Shorten a document block to its name and size, for showing a prompt without its documents
+ * @param {string} document - Document block from splitLeadingDocuments
+ * @returns {string} - e.g. "=== MANUSCRIPT ===\n[81234 words]\n=== END MANUSCRIPT ==="
+ */
+function summarizeDocument(document) {
+  const match = /=== ([A-Z][A-Z ]*) ===\n([\s\S]*)\n=== END \1 ===/.exec(document);
+  if (!match) return document.trim();
+  const words = match[2].split(/\s+/).filter(word => word.length > 0).length;
+  return `=== ${match[1]} ===\n[${words} words]\n=== END ${match[1]} ===`;
+}
+
+module.exports = {
+  splitLeadingDocuments,
+  summarizeDocument
+};
@@ -0,0 +1,102 @@
+// prompt-overrides.js
+const fs = require('fs/promises');
+const path = require('path');
+const { splitLeadingDocuments } = require('./prompt-documents');
+
+/**
+ * Prompt Overrides
+ * Lets a project change a built-in tool's instructions without changing
+ * the app. Templates live in the project's prompts folder, named by tool ID:
+ *   <toolId>.override.txt - replaces the tool's instructions
+ *   <toolId>.append.txt   - is added after the tool's instructions
+ * Tools that send several different prompts (e.g. one per conflict level)
+ * also look for <toolId>.<variant>.override.txt and .append.txt, which
+ * take precedence over, or are added after, the tool-wide ones.
+ * The documents at the start of a prompt (manuscript, outline, world) are
+ * always kept; an override may use {{instructions}} to include the built-in
+ * instructions.
+ */
+class PromptOverrides {
+  constructor() {
+    this.DIR_NAME = 'prompts';
+  }
+
+  /**
+   * Get the prompts folder of a project
+   * @param {string} projectPath - Project directory
+   * @returns {string} - Path to the prompts folder
+   */
+  getPromptsDir(projectPath) {
+    return path.join(projectPath, this.DIR_NAME);
+  }
+
+  /**
+   * Load the templates that apply to a tool's prompt
+   * @param {string} projectPath - Project directory
+   * @param {string} toolId - Tool ID
+   * @param {string} [variant] - Which of the tool's prompts, e.g. 'scene'
+   * @returns {Promise<Object>} - { override: { file, text } or null, appends: [{ file, text }] }
+   */
+  async load(projectPath, toolId, variant) {
+    const result = { override: null, appends: [] };
+    if (!projectPath) {
+      return result;
+    }
+
+    const prefixes = variant ? [toolId, `${toolId}.${variant}`] : [toolId];
+    for (const prefix of prefixes) {
+      const override = await this._read(projectPath, `${prefix}.override.txt`);
+      if (override) result.override = override;
+      const append = await this._read(projectPath, `${prefix}.append.txt`);
+      if (append) result.appends.push(append);
+    }
+    return result;
+  }
+
+  /**
+   * Apply loaded templates to a prompt
+   * @param {string} prompt - Prompt as the tool built it
+   * @param {Object} templates - Result of load()
+   * @returns {string} - Effective prompt
+   */
+  apply(prompt, templates) {
+    if (!templates.override && templates.appends.length === 0) {
+      return prompt;
+    }
+
+    const { documents, rest } = splitLeadingDocuments(prompt);
+    let instructions = rest.trim();
+    if (templates.override) {
+      instructions = templates.override.text.replace(/\{\{\s*instructions\s*\}\}/g, () => instructions);
+    }
+    for (const append of templates.appends) {
+      instructions += `\n\n${append.text}`;
+    }
+
+    const leading = documents.join('');
+    return leading ? `${leading}\n\n${instructions}` : instructions;
+  }
+
+  /**
+   * Read a template from the prompts folder
+   * @param {string} projectPath - Project directory
+   * @param {string} fileName - Template file name
+   * @returns {Promise<Object|null>} - { file, text }, or null if missing or blank
+   */
+  async _read(projectPath, fileName) {
+    const file = path.join(this.getPromptsDir(projectPath), fileName);
+    try {
+      const text = (await fs.readFile(file, 'utf-8')).trim();
+      return text ? { file, text } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      console.error(`Error reading prompt template ${file}:`, error);
+      throw error;
+    }
+  }
+}
+
+// Create a singleton instance
+const promptOverrides = new PromptOverrides();
+
+module.exports = promptOverrides;
@@ -0,0 +1,280 @@
+// prompt-tool.js
+const BaseTool = require('./base-tool');
+const path = require('path');
+const fileCache = require('./file-cache');
+const appState = require('./state.js');
+const { fillTemplate } = require('./user-tools');
+
+/**
+ * Prompt Tool
+ * Runs a tool defined in a JSON or YAML file in the user tools folder
+ * (see user-tools.js) rather than in code. The definition's input files
+ * and option values fill the {{placeholders}} of its prompt and system
+ * prompt, the reply is streamed like any other tool's, and the report is
+ * saved under the definition's output filename pattern.
+ */
+class PromptTool extends BaseTool {
+  /**
+   * Constructor
+   * @param {Object} claudeService - Claude API service
+   * @param {Object} config - Tool configuration, with the tool's id and its
+   *                          definition { prompt, system, inputs, output, removeMarkdown }
+   */
+  constructor(claudeService, config = {}) {
+    super(config.id, config);
+    this.claudeService = claudeService;
+    this.definition = config.definition;
+  }
+
+  /**
+   * Execute the tool
+   * @param {Object} options - Tool options
+   * @returns {Promise<Object>} - Execution result
+   */
+  async execute(options) {
+    console.log(`Executing ${this.name} with options:`, options);
+
+    const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
+    if (!saveDir) {
+      const errorMsg = 'Error: No save directory specified and no current project selected.\n' +
+                      'Please select a project or specify a save directory.';
+      this.emitOutput(errorMsg);
+      throw new Error('No save directory available');
+    }
+
+    const outputFiles = [];
+
+    try {
+      // Read each input file into the placeholder it fills
+      this.emitOutput(`Reading files...\n`);
+      const values = this.optionValues(options);
+      for (const [placeholder, optionName] of Object.entries(this.definition.inputs)) {
+        const filePath = this.ensureAbsolutePath(options[optionName], saveDir);
+        if (!filePath) {
+          throw new Error(`No file given for ${optionName}`);
+        }
+        this.emitOutput(`Reading ${placeholder} file: ${filePath}\n`);
+        values[placeholder] = await this.readInputFile(filePath);
+      }
+
+      const prompt = this.createPrompt(values);
+      const systemPrompt = fillTemplate(this.definition.system, values);
+
+      // Count tokens in the prompt
+      this.emitOutput(`Counting tokens in prompt...\n`);
+      const promptTokens = await this.countTokens(prompt);
+
+      // Call the shared token budget calculator
+      const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
+
+      this.emitOutput(`\nToken stats:\n`);
+      this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
+      this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()})\n`);
+      this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]  = ${tokenBudgets.contextWindow} - ${tokenBudgets.promptTokens} = context_window - prompt\n`);
+      this.emitOutput(`Desired output tokens: [${tokenBudgets.desiredOutputTokens}]\n`);
+      this.emitOutput(`AI model thinking budget: [${tokenBudgets.thinkingBudget}] tokens\n`);
+      this.emitOutput(`Max output tokens: [${tokenBudgets.maxTokens}] tokens\n`);
+
+      if (tokenBudgets.capThinkingBudget) {
+        this.emitOutput(`Warning: thinking budget is larger than 32K, set to 32K.\n`);
+      }
+
+      if (tokenBudgets.isPromptTooLarge) {
+        this.emitOutput(`Error: prompt is too large to have a ${tokenBudgets.configuredThinkingBudget} thinking budget!\n`);
+        this.emitOutput(`Run aborted!\n`);
+        throw new Error(`Prompt is too large for ${tokenBudgets.configuredThinkingBudget} thinking budget - run aborted`);
+      }
+
+      this.emitOutput(`>>> Sending request to Claude API (streaming)...\n`);
+
+      const startTime = Date.now();
+      let fullResponse = "";
+      let thinkingContent = "";
+
+      try {
+        await this.streamWithThinking(
+          prompt,
+          {
+            system: systemPrompt || undefined,
+            max_tokens: tokenBudgets.maxTokens,
+            thinking: {
+              type: "enabled",
+              budget_tokens: tokenBudgets.thinkingBudget
+            }
+          },
+          (thinkingDelta) => {
+            thinkingContent += thinkingDelta;
+          },
+          (textDelta) => {
+            fullResponse += textDelta;
+          }
+        );
+      } catch (error) {
+        this.emitOutput(`\nAPI Error: ${error.message}\n`);
+        throw error;
+      }
+
+      const elapsed = (Date.now() - startTime) / 1000;
+      const minutes = Math.floor(elapsed / 60);
+      const seconds = elapsed % 60;
+      this.emitOutput(`\nCompleted in ${minutes}m ${seconds.toFixed(2)}s.\n`);
+
+      const wordCount = this.countWords(fullResponse);
+      this.emitOutput(`Report has approximately ${wordCount} words.\n`);
+
+      const responseTokens = await this.responseTokenCount(fullResponse);
+      this.emitOutput(`Response token count: ${responseTokens} (${this.tokenCountLabel()})\n`);
+
+      if (this.definition.removeMarkdown) {
+        fullResponse = this.removeMarkdown(fullResponse);
+      }
+
+      const savedFiles = await this.saveReport(
+        fullResponse,
+        thinkingContent,
+        promptTokens,
+        responseTokens,
+        saveDir,
+        options
+      );
+      outputFiles.push(...savedFiles);
+
+      outputFiles.forEach(file => {
+        fileCache.addFile(this.name, file);
+      });
+
+      return {
+        success: true,
+        outputFiles,
+        stats: {
+          wordCount,
+          tokenCount: responseTokens,
+          elapsedTime: `${minutes}m ${seconds.toFixed(2)}s`
+        }
+      };
+    } catch (error) {
+      console.error(`Error in ${this.name}:`, error);
+      this.emitOutput(`\nError: ${error.message}\n`);
+      throw error;
+    }
+  }
+
+  /**
+   * Option values that prompts and filenames may use
+   * @param {Object} options - Tool options
+   * @returns {Object} - Values by option name
+   */
+  optionValues(options) {
+    const values = {};
+    for (const option of this.config.options || []) {
+      const value = options[option.name] !== undefined ? options[option.name] : option.default;
+      values[option.name] = Array.isArray(value) ? value.join(', ') : value;
+    }
+    return values;
+  }
+
+  /**
+   * Create the prompt from the definition's template
+   * @param {Object} values - Input file contents and option values by placeholder name
+   * @returns {string} - Prompt
+   */
+  createPrompt(values) {
+    return fillTemplate(this.definition.prompt, values);
+  }
+
+  /**
+   * Count words in text
+   * @param {string} text - Text to count words in
+   * @returns {number} - Word count
+   */
+  countWords(text) {
+    return text.split(/\s+/).filter(word => word.length > 0).length;
+  }
+
+  /**
+   * Ensure file path is absolute
+   * @param {string} filePath - File path (may be relative or absolute)
+   * @param {string} basePath - Base path to prepend for relative paths
+   * @returns {string} - Absolute file path
+   */
+  ensureAbsolutePath(filePath, basePath) {
+    if (!filePath) return filePath;
+    return path.isAbsolute(filePath) ? filePath : path.join(basePath, filePath);
+  }
+
+  /**
+   * Save report and thinking content to files
+   * @param {string} content - Response content
+   * @param {string} thinking - Thinking content
+   * @param {number} promptTokens - Prompt token count
+   * @param {number} responseTokens - Response token count
+   * @param {string} saveDir - Directory to save to
+   * @param {Object} options - Tool options, for the filename pattern
+   * @returns {Promise<string[]>} - Paths of the saved files
+   */
+  async saveReport(content, thinking, promptTokens, responseTokens, saveDir, options) {
+    try {
+      const formatter = new Intl.DateTimeFormat('en-US', {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true
+      });
+      const dateTimeStr = formatter.format(new Date());
+      const timestamp = new Date().toISOString().replace(/[-:.]/g, '').substring(0, 15);
+
+      // Option values may contain anything, so keep them filename-safe
+      const filenameValues = { timestamp, tool: this.name };
+      for (const [name, value] of Object.entries(this.optionValues(options))) {
+        filenameValues[name] = String(value === undefined || value === null ? '' : value)
+          .replace(/[^A-Za-z0-9_-]+/g, '_')
+          .replace(/^_+|_+$/g, '');
+      }
+      const reportFilename = fillTemplate(this.definition.output, filenameValues);
+      const baseFilename = reportFilename.replace(/\.[^.]*$/, '');
+
+      const stats = `
+Details:  ${dateTimeStr}
+Tool: ${this.config.title} (${this.name})
+Max request timeout: ${this.config.request_timeout} seconds
+Max AI model context window: ${this.config.context_window} tokens
+AI model thinking budget: ${this.config.thinking_budget_tokens} tokens
+Desired output tokens: ${this.config.desired_output_tokens} tokens
+
+Input tokens: ${promptTokens}
+Output tokens: ${responseTokens}
+`;
+
+      const savedFilePaths = [];
+      const reportPath = await this.writeOutputFile(content, saveDir, reportFilename);
+      savedFilePaths.push(reportPath);
+
+      if (thinking && !options.skip_thinking) {
+        const thinkingFilename = `${baseFilename}_thinking.txt`;
+        const thinkingContent = `=== ${this.config.title.toUpperCase()} ===
+
+=== AI'S THINKING PROCESS ===
+
+${thinking}
+
+=== END AI'S THINKING PROCESS ===
+${stats}`;
+        const thinkingPath = await this.writeOutputFile(thinkingContent, saveDir, thinkingFilename);
+        this.emitOutput(`AI thinking saved to: ${thinkingPath}\n`);
+        savedFilePaths.push(thinkingPath);
+      }
+
+      this.emitOutput(`Report saved to: ${reportPath}\n`);
+      return savedFilePaths;
+    } catch (error) {
+      console.error(`Error saving report:`, error);
+      this.emitOutput(`Error saving report: ${error.message}\n`);
+      throw error;
+    }
+  }
+}
+
+module.exports = PromptTool;
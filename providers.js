@@ -0,0 +1,125 @@
+// providers.js
+const ClaudeAPIService = require('./client');
+const OpenAICompatibleService = require('./openai-compatible-client');
+const ReplayService = require('./replay-client');
+
+// Providers selectable in API Settings
+const PROVIDERS = [
+  { value: 'anthropic', label: 'Anthropic (Claude)' },
+  { value: 'openai_compatible', label: 'OpenAI-compatible server (llama.cpp, Ollama)' },
+  { value: 'replay', label: 'Record/Replay (offline tests and demos)' }
+];
+
+// Modes of the replay provider
+const REPLAY_MODES = [
+  { value: 'replay', label: 'Replay recorded cassettes' },
+  { value: 'record', label: 'Record cassettes from the real provider' },
+  { value: 'canned', label: 'Canned fixture text' }
+];
+
+const DEFAULT_PROVIDER = 'anthropic';
+
+/**
+ * Apply environment variable overrides to the API settings
+ * WT_PROVIDER, WT_REPLAY_MODE and WT_CASSETTE_DIR let tests and demos
+ * switch provider without touching the saved settings.
+ * @param {Object} settings - API settings
+ * @returns {Object} - Settings with overrides applied
+ */
+function applyEnvOverrides(settings) {
+  const overridden = { ...settings };
+  if (process.env.WT_PROVIDER) overridden.provider = process.env.WT_PROVIDER;
+  if (process.env.WT_REPLAY_MODE) overridden.replay_mode = process.env.WT_REPLAY_MODE;
+  if (process.env.WT_CASSETTE_DIR) overridden.replay_cassette_dir = process.env.WT_CASSETTE_DIR;
+  return overridden;
+}
+
+/**
+ * Get the provider a tool should use
+ * Tools listed in openai_tools always use the OpenAI-compatible server,
+ * so cheap analyzers can run locally while the rest use the default provider.
+ * @param {Object} settings - API settings
+ * @param {string} toolId - Tool ID
+ * @returns {string} - Provider value
+ */
+function getProviderForTool(settings, toolId) {
+  // An explicit provider from the environment applies to every tool
+  if (process.env.WT_PROVIDER) {
+    return process.env.WT_PROVIDER;
+  }
+
+  const localTools = String(settings.openai_tools || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => id.length > 0);
+
+  if (localTools.includes(toolId)) {
+    return 'openai_compatible';
+  }
+  return settings.provider || DEFAULT_PROVIDER;
+}
+
+/**
+ * Create the AI service for a provider
+ * @param {Object} settings - API settings
+ * @param {string} [provider] - Provider value (defaults to settings.provider, or WT_PROVIDER)
+ * @returns {AIService} - Service implementing countTokens, completeWithThinking,
+ *                        streamWithThinking and calculateTokenBudgets
+ */
+function createAIService(settings, provider) {
+  settings = applyEnvOverrides(settings);
+  provider = provider || settings.provider || DEFAULT_PROVIDER;
+
+  switch (provider) {
+    case 'anthropic':
+      return new ClaudeAPIService(settings);
+
+    case 'openai_compatible':
+      // The local server has its own model and (usually much smaller) context window
+      return new OpenAICompatibleService({
+        ...settings,
+        model_name: settings.openai_model_name || settings.model_name,
+        context_window: settings.openai_context_window || settings.context_window
+      });
+
+    case 'replay': {
+      // Record mode wraps the real provider it records from
+      const targetProvider = settings.replay_target || DEFAULT_PROVIDER;
+      if (settings.replay_mode === 'record' && targetProvider === 'replay') {
+        throw new Error('The replay provider cannot record from itself. Choose a real provider to record from.');
+      }
+      const target = settings.replay_mode === 'record'
+        ? createAIService(settings, targetProvider)
+        : null;
+      return new ReplayService(settings, target);
+    }
+
+    default:
+      throw new Error(`Unknown AI provider: ${provider}`);
+  }
+}
+
+/**
+ * Create a function that returns one shared service per provider
+ * @param {Object} settings - API settings
+ * @returns {Function} - (provider) => AIService
+ */
+function createServiceCache(settings) {
+  const services = {};
+  return (provider) => {
+    if (!services[provider]) {
+      services[provider] = createAIService(settings, provider);
+    }
+    return services[provider];
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  REPLAY_MODES,
+  DEFAULT_PROVIDER,
+  applyEnvOverrides,
+  getProviderForTool,
+  createAIService,
+  createServiceCache
+};
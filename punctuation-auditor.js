@@ -6,6 +6,18 @@ const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
 
+// Categories for structured findings (see findings.js)
+const FINDING_CATEGORIES = [
+  'run-on sentence',
+  'missing comma',
+  'comma splice',
+  'semicolon',
+  'colon',
+  'dash',
+  'parentheses',
+  'dialogue punctuation'
+];
+
 /**
  * PunctuationAuditor Tool
  * Analyzes manuscript for punctuation effectiveness using the Claude API.
@@ -39,6 +51,8 @@ class PunctuationAuditor extends BaseTool {
     const elements = options.elements;
     const strictness = options.strictness;
     const skipThinking = options.skip_thinking;
+    const structuredFindings = options.structured_findings || false;
+    const chapterRange = options.chapters || '';
     const analysisDescription = options.analysis_description;
     const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     
@@ -64,14 +78,21 @@ class PunctuationAuditor extends BaseTool {
 
       // Read the manuscript file
       this.emitOutput(`Reading manuscript file: ${manuscriptFile}\n`);
-      const manuscriptContent = await this.readInputFile(manuscriptFile);
+      const { content: manuscriptContent, scope } = this.scopeManuscript(
+        await this.readInputFile(manuscriptFile),
+        chapterRange
+      );
       
       // Create the prompt
-      const prompt = this.createPunctuationAnalysisPrompt(manuscriptContent, analysisLevel, elements, strictness);
+      let prompt = await this.customizePrompt(this.createPunctuationAnalysisPrompt(manuscriptContent, analysisLevel, elements, strictness));
+      prompt = this.scopePrompt(prompt, scope);
+      if (structuredFindings) {
+        prompt = this.requestFindings(prompt, FINDING_CATEGORIES);
+      }
 
       // Count tokens in the prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.countTokens(prompt);
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -79,7 +100,7 @@ class PunctuationAuditor extends BaseTool {
       // Handle logging based on the returned values
       this.emitOutput(`\nToken stats:\n`);
       this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
-      this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] ...\n`);
+      this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()}) ...\n`);
       this.emitOutput(`                     = manuscript + prompt instructions\n`);
       this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]  = ${tokenBudgets.contextWindow} - ${tokenBudgets.promptTokens} = context_window - prompt\n`);
       this.emitOutput(`Desired output tokens: [${tokenBudgets.desiredOutputTokens}]\n`);
@@ -122,7 +143,7 @@ class PunctuationAuditor extends BaseTool {
 
       // Use the calculated values in the API call - following pattern from rhythm-analyzer.js
       try {
-        await this.claudeService.streamWithThinking(
+        await this.streamWithThinking(
           prompt,
           {
             system: systemPrompt,
@@ -157,11 +178,18 @@ class PunctuationAuditor extends BaseTool {
       this.emitOutput(`Report has approximately ${wordCount} words.\n`);
       
       // Count tokens in response
-      const responseTokens = await this.claudeService.countTokens(fullResponse);
-      this.emitOutput(`Response token count: ${responseTokens}\n`);
+      const responseTokens = await this.responseTokenCount(fullResponse);
+      this.emitOutput(`Response token count: ${responseTokens} (${this.tokenCountLabel()})\n`);
+
+      // Take the structured findings off before cleaning up the report
+      let findings = null;
+      if (structuredFindings) {
+        ({ text: fullResponse, findings } = this.takeFindings(fullResponse));
+      }
 
       // Remove any markdown formatting
       fullResponse = this.removeMarkdown(fullResponse);
+      fullResponse = this.scopeReport(fullResponse, scope);
 
       // Save the report
       const outputFile = await this.saveReport(
@@ -179,6 +207,9 @@ class PunctuationAuditor extends BaseTool {
       
       // Add all output files to the result
       outputFiles.push(...outputFile);
+      if (findings) {
+        outputFiles.push(await this.saveFindings(findings, outputFile[0], manuscriptFile));
+      }
       
       // Add files to the cache
       const toolName = 'punctuation_auditor';
@@ -441,7 +472,7 @@ Output tokens: ${responseTokens}
 ${thinking}
 
 === END AI'S THINKING PROCESS ===
-${stats}`;
+${this.effectivePromptSection()}${stats}`;
         
         await this.writeOutputFile(thinkingContent, saveDir, thinkingFilename);
         this.emitOutput(`AI thinking saved to: ${thinkingPath}\n`);
@@ -135,6 +135,11 @@ window.electronAPI.onProjectUpdated((event) => {
     
     // Reload tools list after project change
     loadTools();
+    
+    // Show the run history of the newly selected project
+    loadRuns();
+    loadBatches();
+    loadPipelineRuns();
   }
 });
 
@@ -201,7 +206,7 @@ async function loadTools() {
     
     // Add all remaining tools that haven't been added yet
     tools.forEach(tool => {
-      if (!addedTools.has(tool.name)) {
+      if (!addedTools.has(tool.name) && !tool.userDefined) {
         const option = document.createElement('option');
         option.value = tool.name;
         option.textContent = tool.title;
@@ -210,6 +215,28 @@ async function loadTools() {
       }
     });
     
+    // Tools from ~/writing/.tools and ~/writing/.plugins go last, under their own header
+    const userTools = tools.filter(tool => tool.userDefined);
+    if (userTools.length > 0) {
+      const userHeader = document.createElement('option');
+      userHeader.disabled = true;
+      userHeader.value = '';
+      userHeader.textContent = '- User Tools:';
+      userHeader.style.color = '#999';
+      userHeader.style.fontWeight = 'bold';
+      userHeader.style.backgroundColor = '#252525';
+      userHeader.style.padding = '2px';
+      toolSelect.appendChild(userHeader);
+      
+      userTools.forEach(tool => {
+        const option = document.createElement('option');
+        option.value = tool.name;
+        option.textContent = tool.title;
+        option.dataset.description = tool.description;
+        toolSelect.appendChild(option);
+      });
+    }
+    
     // Select the first tool by default
     if (tools.length > 0) {
       toolSelect.value = tools[0].name;
@@ -259,202 +286,375 @@ if (openEditorBtn) {
   });
 }
 
-// Import DOCX button handler
-const importDocxBtn = document.getElementById('import-docx-btn');
-if (importDocxBtn) {
-  importDocxBtn.addEventListener('click', async () => {
-    try {
-      // Check if a project is selected
-      const projectInfo = await window.electronAPI.getProjectInfo();
-      if (!projectInfo || !projectInfo.current_project) {
-        alert('Please select a project first.');
-        return;
-      }
-      
-      // Configure file selection options for DOCX files
-      const fileOptions = {
-        title: 'Select DOCX File to Convert',
-        buttonLabel: 'Select DOCX',
-        filters: [
-          { name: 'DOCX Files', extensions: ['docx'] },
-          { name: 'All Files', extensions: ['*'] }
-        ],
-        defaultPath: projectInfo.current_project_path
-      };
-      
-      // Open file selection dialog
-      const docxPath = await window.electronAPI.selectFile(fileOptions);
-      
-      // If user cancelled or no file selected
-      if (!docxPath) {
-        return;
-      }
-      
-      // Use default filename based on the selected file
-      const docxFileName = docxPath.split('/').pop().split('\\').pop();
-      const defaultOutputName = docxFileName.replace(/\.docx$/i, '.txt');
-      
-      // Create a custom dialog for filename input
-      const filenameDialog = document.createElement('div');
-      filenameDialog.style.position = 'fixed';
-      filenameDialog.style.top = '0';
-      filenameDialog.style.left = '0';
-      filenameDialog.style.width = '100%';
-      filenameDialog.style.height = '100%';
-      filenameDialog.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
-      filenameDialog.style.display = 'flex';
-      filenameDialog.style.justifyContent = 'center';
-      filenameDialog.style.alignItems = 'center';
-      filenameDialog.style.zIndex = '1000';
-      
-      // Dialog content
-      const dialogContent = document.createElement('div');
-      dialogContent.style.backgroundColor = document.body.classList.contains('light-mode') ? '#ffffff' : '#1e1e1e';
-      dialogContent.style.color = document.body.classList.contains('light-mode') ? '#222222' : '#ffffff';
-      dialogContent.style.padding = '20px';
-      dialogContent.style.borderRadius = '8px';
-      dialogContent.style.width = '400px';
-      dialogContent.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.2)';
-      
-      const dialogTitle = document.createElement('h3');
-      dialogTitle.textContent = 'Output Filename';
-      dialogTitle.style.marginBottom = '15px';
-      
-      const dialogMessage = document.createElement('p');
-      dialogMessage.textContent = 'Enter name for the output text file:';
-      dialogMessage.style.marginBottom = '15px';
-      
-      const filenameInput = document.createElement('input');
-      filenameInput.type = 'text';
-      filenameInput.value = defaultOutputName;
-      filenameInput.style.width = '100%';
-      filenameInput.style.padding = '8px';
-      filenameInput.style.backgroundColor = document.body.classList.contains('light-mode') ? '#ffffff' : '#2a2a2a';
-      filenameInput.style.color = document.body.classList.contains('light-mode') ? '#222222' : '#ffffff';
-      filenameInput.style.border = document.body.classList.contains('light-mode') ? '1px solid #cccccc' : '1px solid #333333';
-      filenameInput.style.borderRadius = '4px';
-      filenameInput.style.fontSize = '16px';
-      filenameInput.style.marginBottom = '20px';
-      
-      const buttonContainer = document.createElement('div');
-      buttonContainer.style.display = 'flex';
-      buttonContainer.style.justifyContent = 'flex-end';
-      buttonContainer.style.gap = '10px';
-      
-      const cancelButton = document.createElement('button');
-      cancelButton.textContent = 'Cancel';
-      cancelButton.style.padding = '8px 16px';
-      cancelButton.style.backgroundColor = 'transparent';
-      cancelButton.style.color = '#4a89dc';
-      cancelButton.style.border = '1px solid #4a89dc';
-      cancelButton.style.borderRadius = '4px';
-      cancelButton.style.cursor = 'pointer';
-      
-      const okButton = document.createElement('button');
-      okButton.textContent = 'Convert';
-      okButton.style.padding = '8px 16px';
-      okButton.style.backgroundColor = '#7e57c2';
-      okButton.style.color = 'white';
-      okButton.style.border = 'none';
-      okButton.style.borderRadius = '4px';
-      okButton.style.cursor = 'pointer';
-      
-      // Build dialog
-      buttonContainer.appendChild(cancelButton);
-      buttonContainer.appendChild(okButton);
-      
-      dialogContent.appendChild(dialogTitle);
-      dialogContent.appendChild(dialogMessage);
-      dialogContent.appendChild(filenameInput);
-      dialogContent.appendChild(buttonContainer);
-      
-      filenameDialog.appendChild(dialogContent);
-      
-      // Add dialog to document
-      document.body.appendChild(filenameDialog);
-      
-      // Focus on input
-      filenameInput.focus();
-      filenameInput.select();
+/**
+ * Add a checkbox with its label to a container
+ * @param {HTMLElement} container - Where the checkbox goes
+ * @param {string} text - Label text
+ * @param {boolean} checked - Initial state
+ * @returns {HTMLInputElement} - The checkbox
+ */
+function addCheckbox(container, text, checked) {
+  const label = document.createElement('label');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = checked;
+  label.appendChild(checkbox);
+  label.appendChild(document.createTextNode(text));
+  container.appendChild(label);
+  return checkbox;
+}
+
+/**
+ * Build the DOCX import options for the import dialog, with a preview of the
+ * chapters they find that refreshes whenever an option changes
+ * @param {string} docxPath - DOCX being imported
+ * @returns {Promise<Object>} - { element, getOptions }
+ */
+async function buildDocxImportOptions(docxPath) {
+  const defaults = await window.electronAPI.getDocxImportDefaults();
+  const element = document.createElement('div');
+
+  const options = document.createElement('div');
+  options.className = 'docx-import-options';
+  const addRow = (labelText) => {
+    const label = document.createElement('span');
+    label.textContent = labelText;
+    const cell = document.createElement('div');
+    options.appendChild(label);
+    options.appendChild(cell);
+    return cell;
+  };
+
+  const levelsCell = addRow('Chapter headings:');
+  const levelBoxes = [1, 2, 3, 4, 5, 6].map(level => {
+    const checkbox = addCheckbox(levelsCell, `H${level}`, defaults.headingLevels.includes(level));
+    checkbox.value = String(level);
+    return checkbox;
+  });
+
+  const patternInput = document.createElement('input');
+  patternInput.type = 'text';
+  patternInput.value = defaults.chapterPattern;
+  patternInput.placeholder = '^Chapter \\d+';
+  patternInput.title = 'Paragraphs matching this regular expression also start chapters';
+  addRow('Or paragraphs matching:').appendChild(patternInput);
+
+  const textCell = addRow('Keep:');
+  const boldBox = addCheckbox(textCell, 'Bold lines as titles', defaults.boldTitles);
+  const italicsBox = addCheckbox(textCell, 'Italics as _text_', defaults.keepItalics);
+  const breaksBox = addCheckbox(textCell, 'Scene breaks', defaults.keepSceneBreaks);
+  const frontMatterBox = addCheckbox(textCell, 'Front matter', defaults.keepFrontMatter);
+
+  const stopInput = document.createElement('input');
+  stopInput.type = 'text';
+  stopInput.value = defaults.stopTitles.join(', ');
+  stopInput.title = 'The import stops at the first heading starting with one of these';
+  addRow('Stop at headings:').appendChild(stopInput);
+
+  const preview = document.createElement('div');
+  preview.className = 'docx-import-preview';
+
+  element.appendChild(options);
+  element.appendChild(preview);
+
+  const getOptions = () => ({
+    headingLevels: levelBoxes.filter(checkbox => checkbox.checked).map(checkbox => Number(checkbox.value)),
+    chapterPattern: patternInput.value.trim(),
+    boldTitles: boldBox.checked,
+    keepItalics: italicsBox.checked,
+    keepSceneBreaks: breaksBox.checked,
+    keepFrontMatter: frontMatterBox.checked,
+    stopTitles: stopInput.value.split(',').map(title => title.trim()).filter(title => title.length > 0)
+  });
+
+  const addNote = (text, className = 'preview-note') => {
+    const note = document.createElement('p');
+    note.className = className;
+    note.textContent = text;
+    preview.appendChild(note);
+  };
+
+  // Only the latest preview is shown when options change faster than the DOCX converts
+  let previewRequest = 0;
+  const refreshPreview = async () => {
+    const request = ++previewRequest;
+    preview.textContent = 'Finding chapters...';
+    const result = await window.electronAPI.previewDocxImport(docxPath, getOptions());
+    if (request !== previewRequest) return;
+
+    preview.textContent = '';
+    if (!result.success) {
+      addNote(result.message || 'Could not read the DOCX', 'preview-error');
+      return;
+    }
+    addNote(`${result.chapters.length} chapters, ${result.wordCount} words`);
+    const list = document.createElement('ol');
+    result.chapters.forEach(chapter => {
+      const item = document.createElement('li');
+      const scenes = chapter.sceneCount > 1 ? `, ${chapter.sceneCount} scenes` : '';
+      item.textContent = `${chapter.title} (${chapter.wordCount} words${scenes})`;
+      list.appendChild(item);
+    });
+    preview.appendChild(list);
+    if (result.frontMatterCount > 0) {
+      addNote(`Keeping ${result.frontMatterCount} paragraphs of front matter`);
+    }
+    if (result.skippedFrontMatter > 0) {
+      addNote(`Skipping ${result.skippedFrontMatter} paragraphs before the first chapter`);
+    }
+    if (result.stoppedAt) {
+      addNote(`Stopping at back matter: ${result.stoppedAt}`);
+    }
+    result.warnings.forEach(warning => addNote(warning, 'preview-error'));
+  };
+
+  options.addEventListener('change', refreshPreview);
+  refreshPreview();
+
+  return { element, getOptions };
+}
+
+// Book formats that can be imported into a project as text
+const IMPORT_FORMATS = {
+  docx: {
+    label: 'DOCX',
+    buildOptions: buildDocxImportOptions,
+    convert: (filePath, outputFilename, options) => window.electronAPI.convertDocxToTxt(filePath, outputFilename, options)
+  },
+  epub: {
+    label: 'EPUB',
+    convert: (filePath, outputFilename) => window.electronAPI.convertEpubToTxt(filePath, outputFilename)
+  }
+};
+
+/**
+ * Pick a book file, ask for the output filename and any import options, and
+ * convert it to text in the current project
+ * @param {string} extension - Key of IMPORT_FORMATS
+ */
+async function importBookFile(extension) {
+  const format = IMPORT_FORMATS[extension];
+  try {
+    // Check if a project is selected
+    const projectInfo = await window.electronAPI.getProjectInfo();
+    if (!projectInfo || !projectInfo.current_project) {
+      alert('Please select a project first.');
+      return;
+    }
+    
+    // Configure file selection options for the format
+    const fileOptions = {
+      title: `Select ${format.label} File to Convert`,
+      buttonLabel: `Select ${format.label}`,
+      filters: [
+        { name: `${format.label} Files`, extensions: [extension] },
+        { name: 'All Files', extensions: ['*'] }
+      ],
+      defaultPath: projectInfo.current_project_path
+    };
+    
+    // Open file selection dialog
+    const bookPath = await window.electronAPI.selectFile(fileOptions);
+    
+    // If user cancelled or no file selected
+    if (!bookPath) {
+      return;
+    }
+    
+    // Use default filename based on the selected file
+    const bookFileName = bookPath.split('/').pop().split('\\').pop();
+    const defaultOutputName = bookFileName.replace(new RegExp(`\\.${extension}$`, 'i'), '.txt');
+    
+    // Create a custom dialog for filename input
+    const filenameDialog = document.createElement('div');
+    filenameDialog.style.position = 'fixed';
+    filenameDialog.style.top = '0';
+    filenameDialog.style.left = '0';
+    filenameDialog.style.width = '100%';
+    filenameDialog.style.height = '100%';
+    filenameDialog.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    filenameDialog.style.display = 'flex';
+    filenameDialog.style.justifyContent = 'center';
+    filenameDialog.style.alignItems = 'center';
+    filenameDialog.style.zIndex = '1000';
+    
+    // Dialog content
+    const dialogContent = document.createElement('div');
+    dialogContent.style.backgroundColor = document.body.classList.contains('light-mode') ? '#ffffff' : '#1e1e1e';
+    dialogContent.style.color = document.body.classList.contains('light-mode') ? '#222222' : '#ffffff';
+    dialogContent.style.padding = '20px';
+    dialogContent.style.borderRadius = '8px';
+    dialogContent.style.width = format.buildOptions ? '560px' : '400px';
+    dialogContent.style.maxHeight = '90vh';
+    dialogContent.style.overflowY = 'auto';
+    dialogContent.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.2)';
+    
+    const dialogTitle = document.createElement('h3');
+    dialogTitle.textContent = 'Output Filename';
+    dialogTitle.style.marginBottom = '15px';
+    
+    const dialogMessage = document.createElement('p');
+    dialogMessage.textContent = 'Enter name for the output text file:';
+    dialogMessage.style.marginBottom = '15px';
+    
+    const filenameInput = document.createElement('input');
+    filenameInput.type = 'text';
+    filenameInput.value = defaultOutputName;
+    filenameInput.style.width = '100%';
+    filenameInput.style.padding = '8px';
+    filenameInput.style.backgroundColor = document.body.classList.contains('light-mode') ? '#ffffff' : '#2a2a2a';
+    filenameInput.style.color = document.body.classList.contains('light-mode') ? '#222222' : '#ffffff';
+    filenameInput.style.border = document.body.classList.contains('light-mode') ? '1px solid #cccccc' : '1px solid #333333';
+    filenameInput.style.borderRadius = '4px';
+    filenameInput.style.fontSize = '16px';
+    filenameInput.style.marginBottom = '20px';
+    
+    const buttonContainer = document.createElement('div');
+    buttonContainer.style.display = 'flex';
+    buttonContainer.style.justifyContent = 'flex-end';
+    buttonContainer.style.gap = '10px';
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.style.padding = '8px 16px';
+    cancelButton.style.backgroundColor = 'transparent';
+    cancelButton.style.color = '#4a89dc';
+    cancelButton.style.border = '1px solid #4a89dc';
+    cancelButton.style.borderRadius = '4px';
+    cancelButton.style.cursor = 'pointer';
+    
+    const okButton = document.createElement('button');
+    okButton.textContent = 'Convert';
+    okButton.style.padding = '8px 16px';
+    okButton.style.backgroundColor = '#7e57c2';
+    okButton.style.color = 'white';
+    okButton.style.border = 'none';
+    okButton.style.borderRadius = '4px';
+    okButton.style.cursor = 'pointer';
+    
+    // Build dialog
+    buttonContainer.appendChild(cancelButton);
+    buttonContainer.appendChild(okButton);
+    
+    dialogContent.appendChild(dialogTitle);
+    dialogContent.appendChild(dialogMessage);
+    dialogContent.appendChild(filenameInput);
+    const importOptions = format.buildOptions ? await format.buildOptions(bookPath) : null;
+    if (importOptions) {
+      dialogContent.appendChild(importOptions.element);
+    }
+    dialogContent.appendChild(buttonContainer);
+    
+    filenameDialog.appendChild(dialogContent);
+    
+    // Add dialog to document
+    document.body.appendChild(filenameDialog);
+    
+    // Focus on input
+    filenameInput.focus();
+    filenameInput.select();
+    
+    // Handle dialog actions
+    return new Promise((resolve) => {
+      cancelButton.addEventListener('click', () => {
+        document.body.removeChild(filenameDialog);
+        resolve(null);
+      });
       
-      // Handle dialog actions
-      return new Promise((resolve) => {
-        cancelButton.addEventListener('click', () => {
-          document.body.removeChild(filenameDialog);
-          resolve(null);
-        });
+      okButton.addEventListener('click', async () => {
+        let outputFilename = filenameInput.value.trim();
         
-        okButton.addEventListener('click', async () => {
-          let outputFilename = filenameInput.value.trim();
-          
-          // Ensure filename is valid
-          if (!outputFilename) {
-            outputFilename = defaultOutputName;
-          }
+        // Ensure filename is valid
+        if (!outputFilename) {
+          outputFilename = defaultOutputName;
+        }
+        
+        // Ensure it has a .txt extension
+        if (!outputFilename.toLowerCase().endsWith('.txt')) {
+          outputFilename += '.txt';
+        }
+        
+        document.body.removeChild(filenameDialog);
+        
+        // Show a loading indicator
+        const loadingDiv = document.createElement('div');
+        loadingDiv.textContent = `Converting ${format.label} to TXT...`;
+        loadingDiv.style.position = 'fixed';
+        loadingDiv.style.top = '50%';
+        loadingDiv.style.left = '50%';
+        loadingDiv.style.transform = 'translate(-50%, -50%)';
+        loadingDiv.style.padding = '20px';
+        loadingDiv.style.backgroundColor = document.body.classList.contains('light-mode') ? '#f0f0f0' : '#333';
+        loadingDiv.style.color = document.body.classList.contains('light-mode') ? '#222' : '#fff';
+        loadingDiv.style.borderRadius = '5px';
+        loadingDiv.style.zIndex = '1000';
+        document.body.appendChild(loadingDiv);
+        
+        try {
+          // Call the main process to convert the file
+          const result = await format.convert(bookPath, outputFilename, importOptions ? importOptions.getOptions() : undefined);
           
-          // Ensure it has a .txt extension
-          if (!outputFilename.toLowerCase().endsWith('.txt')) {
-            outputFilename += '.txt';
+          // Remove loading indicator
+          if (document.body.contains(loadingDiv)) {
+            document.body.removeChild(loadingDiv);
           }
-          
-          document.body.removeChild(filenameDialog);
-          
-          // Show a loading indicator
-          const loadingDiv = document.createElement('div');
-          loadingDiv.textContent = 'Converting DOCX to TXT...';
-          loadingDiv.style.position = 'fixed';
-          loadingDiv.style.top = '50%';
-          loadingDiv.style.left = '50%';
-          loadingDiv.style.transform = 'translate(-50%, -50%)';
-          loadingDiv.style.padding = '20px';
-          loadingDiv.style.backgroundColor = document.body.classList.contains('light-mode') ? '#f0f0f0' : '#333';
-          loadingDiv.style.color = document.body.classList.contains('light-mode') ? '#222' : '#fff';
-          loadingDiv.style.borderRadius = '5px';
-          loadingDiv.style.zIndex = '1000';
-          document.body.appendChild(loadingDiv);
-          
-          try {
-            // Call the main process to convert the file
-            const result = await window.electronAPI.convertDocxToTxt(docxPath, outputFilename);
-            
-            // Remove loading indicator
-            if (document.body.contains(loadingDiv)) {
-              document.body.removeChild(loadingDiv);
-            }
 
-            // Only show alert if a dialog wasn't already shown in the main process
-            if (result.success && !result.dialogShown) {
-              alert(`Conversion complete! Output saved as ${result.outputFilename}\nFound ${result.chapterCount} chapters.`);
-            } else if (!result.success) {
-              alert(`Failed to convert file: ${result.message || 'Unknown error'}`);
+          // Only show alert if a dialog wasn't already shown in the main process
+          if (result.success && !result.dialogShown) {
+            let summary = `Conversion complete! Output saved as ${result.outputFilename}\nFound ${result.chapterCount} chapters.`;
+            if (result.skipped && result.skipped.length > 0) {
+              summary += `\nSkipped front matter: ${result.skipped.join(', ')}`;
             }
-
-          } catch (error) {
-            // Remove loading indicator on error
-            if (document.body.contains(loadingDiv)) {
-              document.body.removeChild(loadingDiv);
+            if (result.skippedFrontMatter > 0) {
+              summary += `\nSkipped ${result.skippedFrontMatter} paragraphs of front matter.`;
+            }
+            if (result.frontMatterCount > 0) {
+              summary += `\nKept ${result.frontMatterCount} paragraphs of front matter.`;
             }
-            console.error('Conversion error:', error);
-            alert(`Error converting file: ${error.message || 'Unknown error'}`);
+            if (result.stoppedAt) {
+              summary += `\nStopped at back matter: ${result.stoppedAt}`;
+            }
+            if (result.warnings && result.warnings.length > 0) {
+              summary += `\n\nConversion warnings:\n${result.warnings.join('\n')}`;
+            }
+            alert(summary);
+          } else if (!result.success) {
+            alert(`Failed to convert file: ${result.message || 'Unknown error'}`);
           }
-          
-          resolve(true);
-        });
-        
-        // Also handle Enter key in the input
-        filenameInput.addEventListener('keydown', (event) => {
-          if (event.key === 'Enter') {
-            okButton.click();
+
+        } catch (error) {
+          // Remove loading indicator on error
+          if (document.body.contains(loadingDiv)) {
+            document.body.removeChild(loadingDiv);
           }
-        });
+          console.error('Conversion error:', error);
+          alert(`Error converting file: ${error.message || 'Unknown error'}`);
+        }
+        
+        resolve(true);
       });
-    } catch (error) {
-      console.error('Error in DOCX import process:', error);
-      alert(`Error: ${error.message || 'Unknown error occurred'}`);
-    }
-  });
+      
+      // Also handle Enter key in the input
+      filenameInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+          okButton.click();
+        }
+      });
+    });
+  } catch (error) {
+    console.error(`Error in ${format.label} import process:`, error);
+    alert(`Error: ${error.message || 'Unknown error occurred'}`);
+  }
 }
 
+// Import DOCX and EPUB button handlers
+Object.keys(IMPORT_FORMATS).forEach(extension => {
+  const importBtn = document.getElementById(`import-${extension}-btn`);
+  if (importBtn) {
+    importBtn.addEventListener('click', () => importBookFile(extension));
+  }
+});
+
 // Open API Settings dialog
 if (apiSettingsBtn) {
   apiSettingsBtn.addEventListener('click', () => {
@@ -468,6 +668,405 @@ window.electronAPI.onApiSettingsUpdated((settings) => {
   // Could refresh any UI that depends on these settings
 });
 
+// Runs panel functionality
+const runsList = document.getElementById('runs-list');
+const runsFilterText = document.getElementById('runs-filter-text');
+const runsFilterStatus = document.getElementById('runs-filter-status');
+const refreshRunsBtn = document.getElementById('refresh-runs-btn');
+
+// Format elapsed milliseconds as e.g. "3m 12s"
+function formatElapsed(ms) {
+  const totalSeconds = Math.round((ms || 0) / 1000);
+  return `${Math.floor(totalSeconds / 60)}m ${totalSeconds % 60}s`;
+}
+
+// Load the run history for the current project into the Runs panel
+async function loadRuns() {
+  try {
+    const runs = await window.electronAPI.getRunHistory({
+      text: runsFilterText.value.trim(),
+      status: runsFilterStatus.value
+    });
+    renderRuns(runs);
+  } catch (error) {
+    console.error('Error loading run history:', error);
+  }
+}
+
+// Render run records as rows with open-output and re-run actions
+function renderRuns(runs) {
+  runsList.innerHTML = '';
+  
+  if (!runs || runs.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'runs-empty';
+    empty.textContent = 'No runs recorded for this project yet.';
+    runsList.appendChild(empty);
+    return;
+  }
+  
+  runs.forEach(run => {
+    const item = document.createElement('div');
+    item.className = 'run-item';
+    
+    const status = document.createElement('span');
+    status.className = `run-status run-status-${run.status}`;
+    status.textContent = run.status;
+    if (run.error) {
+      status.title = run.error;
+    }
+    
+    const info = document.createElement('div');
+    info.className = 'run-item-info';
+    
+    const title = document.createElement('div');
+    title.className = 'run-item-title';
+    title.textContent = `${run.toolTitle || run.toolId} - ${new Date(run.startedAt).toLocaleString()}`;
+    
+    const details = document.createElement('div');
+    details.className = 'run-item-details';
+    const detailParts = [`elapsed: ${formatElapsed(run.elapsedMs)}`];
+    if (run.model) detailParts.push(run.model);
+    if (run.thinkingBudget) detailParts.push(`thinking budget: ${run.thinkingBudget}`);
+    if (run.stats && run.stats.tokenCount) detailParts.push(`response tokens: ${run.stats.tokenCount}`);
+    if (run.usage && run.usage.cost) detailParts.push(`cost: $${run.usage.cost.toFixed(4)}`);
+    details.textContent = detailParts.join(' | ');
+    details.title = Object.entries(run.options || {})
+      .map(([key, value]) => `${key}: ${value}`)
+      .join('\n');
+    
+    info.appendChild(title);
+    info.appendChild(details);
+    
+    item.appendChild(status);
+    item.appendChild(info);
+    
+    // Output files can be reopened in the editor
+    if (run.outputFiles && run.outputFiles.length > 0) {
+      const fileSelect = document.createElement('select');
+      run.outputFiles.forEach(filePath => {
+        const option = document.createElement('option');
+        option.value = filePath;
+        option.textContent = filePath.split(/[\/\\]/).pop();
+        fileSelect.appendChild(option);
+      });
+      
+      const openButton = document.createElement('button');
+      openButton.className = 'text-button';
+      openButton.textContent = 'Open';
+      openButton.addEventListener('click', async () => {
+        const result = await window.electronAPI.openFileInEditor(fileSelect.value);
+        if (!result.success) {
+          alert(`Could not open file: ${result.error || 'Unknown error'}`);
+        }
+      });
+      
+      item.appendChild(fileSelect);
+      item.appendChild(openButton);
+    }
+    
+    const rerunButton = document.createElement('button');
+    rerunButton.className = 'text-button';
+    rerunButton.textContent = 'Re-run';
+    rerunButton.addEventListener('click', async () => {
+      const result = await window.electronAPI.rerunTool(run.runId);
+      if (!result.success) {
+        alert(`Could not re-run tool: ${result.message || 'Unknown error'}`);
+      }
+    });
+    item.appendChild(rerunButton);
+    
+    runsList.appendChild(item);
+  });
+}
+
+runsFilterText.addEventListener('input', loadRuns);
+runsFilterStatus.addEventListener('change', loadRuns);
+refreshRunsBtn.addEventListener('click', loadRuns);
+
+// Refresh the Runs panel whenever a run is recorded
+window.electronAPI.onRunHistoryUpdated(() => {
+  loadRuns();
+});
+
+// Batch panel functionality
+const batchTools = document.getElementById('batch-tools');
+const batchStatus = document.getElementById('batch-status');
+const batchList = document.getElementById('batch-list');
+const submitBatchBtn = document.getElementById('submit-batch-btn');
+const refreshBatchesBtn = document.getElementById('refresh-batches-btn');
+
+// Show a checkbox for each tool that can run in a batch
+async function loadBatchTools() {
+  try {
+    const tools = await window.electronAPI.getTools();
+    batchTools.innerHTML = '';
+    tools.filter(tool => tool.batchable).forEach(tool => {
+      const label = document.createElement('label');
+      label.className = 'batch-tool';
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = tool.name;
+      
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${tool.title}`));
+      batchTools.appendChild(label);
+    });
+  } catch (error) {
+    console.error('Error loading batch tools:', error);
+  }
+}
+
+// List the project's batches whose results have not been collected
+async function loadBatches() {
+  try {
+    const batches = await window.electronAPI.getPendingBatches();
+    batchList.innerHTML = '';
+    
+    batches.forEach(batch => {
+      const item = document.createElement('div');
+      item.className = 'run-item';
+      
+      const info = document.createElement('div');
+      info.className = 'run-item-info';
+      
+      const title = document.createElement('div');
+      title.className = 'run-item-title';
+      title.textContent = `${batch.id} - ${new Date(batch.submittedAt).toLocaleString()}`;
+      
+      const details = document.createElement('div');
+      details.className = 'run-item-details';
+      details.textContent = `${batch.toolIds.join(', ')} | estimated: up to $${batch.estimatedCost.toFixed(4)}`;
+      
+      info.appendChild(title);
+      info.appendChild(details);
+      item.appendChild(info);
+      
+      const collectButton = document.createElement('button');
+      collectButton.className = 'text-button';
+      collectButton.textContent = batch.active ? 'Waiting...' : 'Collect';
+      collectButton.disabled = batch.active;
+      collectButton.addEventListener('click', async () => {
+        collectButton.disabled = true;
+        collectButton.textContent = 'Waiting...';
+        const result = await window.electronAPI.collectBatch(batch.id);
+        if (!result.success) {
+          alert(`Could not collect batch: ${result.message || 'Unknown error'}`);
+          loadBatches();
+        }
+      });
+      item.appendChild(collectButton);
+      
+      batchList.appendChild(item);
+    });
+  } catch (error) {
+    console.error('Error loading batches:', error);
+  }
+}
+
+submitBatchBtn.addEventListener('click', async () => {
+  const toolIds = Array.from(batchTools.querySelectorAll('input:checked')).map(input => input.value);
+  if (toolIds.length === 0) {
+    alert('Select at least one tool for the batch.');
+    return;
+  }
+  
+  submitBatchBtn.disabled = true;
+  batchStatus.textContent = 'Preparing batch...';
+  try {
+    // Each tool runs with the options of its last successful run, or its defaults
+    const runs = await Promise.all(toolIds.map(async toolId => {
+      const [lastRun] = await window.electronAPI.getRunHistory({ toolId, status: 'success', limit: 1 });
+      return { toolId, options: lastRun ? lastRun.options : {} };
+    }));
+    const result = await window.electronAPI.submitBatch(runs);
+    if (result.success) {
+      batchStatus.textContent = `Submitted batch ${result.batchId}`;
+      batchTools.querySelectorAll('input:checked').forEach(input => { input.checked = false; });
+    } else {
+      batchStatus.textContent = '';
+      alert(`Could not submit batch: ${result.message || 'Unknown error'}`);
+    }
+  } finally {
+    submitBatchBtn.disabled = false;
+    loadBatches();
+  }
+});
+
+refreshBatchesBtn.addEventListener('click', loadBatches);
+
+window.electronAPI.onBatchProgress((progress) => {
+  batchStatus.textContent = progress.message || '';
+  if (progress.done) {
+    loadBatches();
+  }
+});
+
+// Pipelines panel functionality
+const pipelineSelect = document.getElementById('pipeline-select');
+const pipelineDescription = document.getElementById('pipeline-description');
+const pipelineParams = document.getElementById('pipeline-params');
+const pipelineStatus = document.getElementById('pipeline-status');
+const pipelineList = document.getElementById('pipeline-list');
+const startPipelineBtn = document.getElementById('start-pipeline-btn');
+const refreshPipelinesBtn = document.getElementById('refresh-pipelines-btn');
+let pipelines = [];
+
+// Fill the pipeline select, keeping the current choice if it still exists
+async function loadPipelines() {
+  try {
+    const result = await window.electronAPI.getPipelines();
+    pipelines = result.pipelines;
+    const selected = pipelineSelect.value;
+    pipelineSelect.innerHTML = '';
+    pipelines.forEach(pipeline => {
+      const option = document.createElement('option');
+      option.value = pipeline.id;
+      option.textContent = pipeline.title;
+      pipelineSelect.appendChild(option);
+    });
+    if (pipelines.some(pipeline => pipeline.id === selected)) {
+      pipelineSelect.value = selected;
+    }
+    showPipelineParams();
+    if (result.errors.length > 0) {
+      pipelineStatus.textContent = `Skipped: ${result.errors.join('; ')}`;
+    }
+  } catch (error) {
+    console.error('Error loading pipelines:', error);
+  }
+}
+
+// Show the description and a text field for each param of the selected pipeline
+function showPipelineParams() {
+  const pipeline = pipelines.find(item => item.id === pipelineSelect.value);
+  pipelineParams.innerHTML = '';
+  if (!pipeline) {
+    pipelineDescription.textContent = '';
+    return;
+  }
+  pipelineDescription.textContent = `${pipeline.description} Steps: ${pipeline.steps.map(step => step.title).join(', ')}.`;
+
+  pipeline.params.forEach(param => {
+    const label = document.createElement('label');
+    label.htmlFor = `pipeline-param-${param.name}`;
+    label.textContent = param.required ? `${param.label} *` : param.label;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `pipeline-param-${param.name}`;
+    input.name = param.name;
+    input.value = param.default || '';
+    input.title = param.description || '';
+
+    pipelineParams.appendChild(label);
+    pipelineParams.appendChild(input);
+  });
+}
+
+// List the project's pipeline runs, with Continue or Stop where it applies
+async function loadPipelineRuns() {
+  try {
+    const runs = await window.electronAPI.getPipelineRuns();
+    pipelineList.innerHTML = '';
+
+    runs.forEach(run => {
+      const item = document.createElement('div');
+      item.className = 'run-item';
+
+      const info = document.createElement('div');
+      info.className = 'run-item-info';
+
+      const title = document.createElement('div');
+      title.className = 'run-item-title';
+      title.textContent = `${run.title} - ${new Date(run.startedAt).toLocaleString()}`;
+
+      const done = run.steps.filter(step => step.status === 'completed').length;
+      const details = document.createElement('div');
+      details.className = 'run-item-details';
+      details.textContent = `${done} of ${run.steps.length} steps` + (run.error ? ` | ${run.error}` : '');
+      details.title = run.error || '';
+
+      info.appendChild(title);
+      info.appendChild(details);
+      item.appendChild(info);
+
+      const status = document.createElement('span');
+      const shownStatus = run.active ? 'running' : run.status;
+      status.className = `run-status run-status-${shownStatus}`;
+      status.textContent = shownStatus;
+      item.appendChild(status);
+
+      if (run.active) {
+        const stopButton = document.createElement('button');
+        stopButton.className = 'text-button';
+        stopButton.textContent = 'Stop';
+        stopButton.addEventListener('click', async () => {
+          stopButton.disabled = true;
+          await window.electronAPI.stopPipeline(run.id);
+        });
+        item.appendChild(stopButton);
+      } else if (run.status !== 'completed') {
+        const continueButton = document.createElement('button');
+        continueButton.className = 'text-button';
+        continueButton.textContent = 'Continue';
+        continueButton.addEventListener('click', async () => {
+          continueButton.disabled = true;
+          const result = await window.electronAPI.resumePipeline(run.id);
+          if (!result.success) {
+            alert(`Could not continue pipeline: ${result.message || 'Unknown error'}`);
+          }
+          loadPipelineRuns();
+        });
+        item.appendChild(continueButton);
+      }
+
+      pipelineList.appendChild(item);
+    });
+  } catch (error) {
+    console.error('Error loading pipeline runs:', error);
+  }
+}
+
+pipelineSelect.addEventListener('change', showPipelineParams);
+
+startPipelineBtn.addEventListener('click', async () => {
+  if (!pipelineSelect.value) {
+    return;
+  }
+  const params = {};
+  pipelineParams.querySelectorAll('input').forEach(input => {
+    input.classList.remove('invalid');
+    params[input.name] = input.value;
+  });
+
+  startPipelineBtn.disabled = true;
+  try {
+    const result = await window.electronAPI.startPipeline(pipelineSelect.value, params);
+    if (!result.success) {
+      Object.keys(result.fieldErrors || {}).forEach(name => {
+        const input = document.getElementById(`pipeline-param-${name}`);
+        if (input) input.classList.add('invalid');
+      });
+      alert(`Could not start pipeline: ${result.message || 'Unknown error'}`);
+    }
+  } finally {
+    startPipelineBtn.disabled = false;
+    loadPipelineRuns();
+  }
+});
+
+refreshPipelinesBtn.addEventListener('click', () => {
+  loadPipelines();
+  loadPipelineRuns();
+});
+
+window.electronAPI.onPipelineProgress((progress) => {
+  pipelineStatus.textContent = progress.message || '';
+  loadPipelineRuns();
+});
+
 // Add this to your DOMContentLoaded event listener in renderer.js:
 document.addEventListener('DOMContentLoaded', () => {
   // Create timestamp element
@@ -489,6 +1088,11 @@ document.addEventListener('DOMContentLoaded', () => {
   // Rest of your existing initialization code
   loadProjectInfo();
   loadTools();
+  loadRuns();
+  loadBatchTools();
+  loadBatches();
+  loadPipelines();
+  loadPipelineRuns();
 });
 
 // Add this to listen for when a tool run finishes and the window gains focus again
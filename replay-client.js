@@ -0,0 +1,312 @@
+// replay-client.js
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const AIService = require('./ai-service');
+const tokenEstimator = require('./token-estimator');
+
+// Cassettes live beside the projects by default (see appState.PROJECTS_DIR)
+const DEFAULT_CASSETTE_DIR = path.join(os.homedir(), 'writing', '.wt', 'cassettes');
+
+const TOKEN_COUNTS_FILE = 'token-counts.json';
+const CANNED_FILE = 'canned.txt';
+
+const DEFAULT_CANNED_TEXT =
+`This is a canned response from the replay provider.
+
+No AI model was called. The text is fixture output so tools can be run
+end-to-end offline, in tests and in demos.
+
+1. First finding: the opening scene establishes the setting clearly.
+2. Second finding: the pacing in the middle section could be tightened.
+3. Third finding: the ending resolves the main conflict.
+`;
+
+/**
+ * Replay API Service
+ * A provider for deterministic, offline tool runs. Modes:
+ *   record - pass requests to a real provider and save each response stream
+ *            (thinking and text deltas) and token count to cassette files
+ *   replay - answer requests from the recorded cassettes, never the network
+ *   canned - answer every request with fixture text (canned.txt in the
+ *            cassette directory, or a built-in default)
+ * Cassettes are keyed by a hash of the prompt and system prompt, so budget
+ * changes do not invalidate them.
+ */
+class ReplayService extends AIService {
+  /**
+   * Constructor
+   * @param {Object} config - API configuration from UI settings
+   * @param {AIService} [targetService] - Real provider to record from (record mode only)
+   */
+  constructor(config = {}, targetService = null) {
+    // Store all config values
+    super(config);
+
+    this.mode = config.replay_mode || 'replay';
+    this.cassetteDir = config.replay_cassette_dir || DEFAULT_CASSETTE_DIR;
+    this.targetService = targetService;
+    // Only recording calls the real provider
+    this.billable = this.mode === 'record' && !!targetService && targetService.billable;
+
+    if (!['record', 'replay', 'canned'].includes(this.mode)) {
+      throw new Error(`Unknown replay mode: ${this.mode}. Use record, replay or canned.`);
+    }
+    if (this.mode === 'record' && !this.targetService) {
+      throw new Error('Replay provider in record mode needs a real provider to record from.');
+    }
+
+    console.log('Replay API Service initialized with:');
+    console.log('- Mode:', this.mode);
+    console.log('- Cassette directory:', this.cassetteDir);
+  }
+
+  /**
+   * Hash request content into a cassette key
+   * @param {Object} content - Values that identify the request
+   * @returns {string} - Hex key
+   */
+  _key(content) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify(content))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  /**
+   * Read a JSON file from the cassette directory
+   * @param {string} fileName - File name
+   * @returns {Promise<Object|null>} - Parsed JSON or null if missing
+   */
+  async _readJson(fileName) {
+    try {
+      const content = await fs.readFile(path.join(this.cassetteDir, fileName), 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      console.error(`Error reading cassette ${fileName}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a JSON file to the cassette directory
+   * @param {string} fileName - File name
+   * @param {Object} data - Data to write
+   */
+  async _writeJson(fileName, data) {
+    await fs.mkdir(this.cassetteDir, { recursive: true });
+    await fs.writeFile(path.join(this.cassetteDir, fileName), JSON.stringify(data, null, 2), 'utf-8');
+  }
+
+  /**
+   * Throw the same way the SDK does when a request is aborted
+   * @param {AbortSignal} [signal] - Caller's abort signal
+   */
+  _checkAborted(signal) {
+    if (signal && signal.aborted) {
+      const error = new Error('Request was aborted.');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+
+  /**
+   * Load the fixture text for canned mode
+   * @returns {Promise<string>} - Canned response text
+   */
+  async _cannedText() {
+    try {
+      return await fs.readFile(path.join(this.cassetteDir, CANNED_FILE), 'utf-8');
+    } catch (error) {
+      return DEFAULT_CANNED_TEXT;
+    }
+  }
+
+  /**
+   * Describe a request for the cassette, without storing the whole prompt
+   * @param {string} prompt - Prompt
+   * @param {Object} options - API options
+   * @returns {Object} - Request summary
+   */
+  _describeRequest(prompt, options) {
+    const resolved = this.resolveRequestOptions(options);
+    return {
+      model: resolved.model,
+      max_tokens: resolved.maxTokens,
+      thinking_budget: resolved.thinkingBudget,
+      system: resolved.system || null,
+      prompt_chars: prompt.length,
+      prompt_preview: prompt.slice(0, 200)
+    };
+  }
+
+  /**
+   * Count tokens in a text string
+   * @param {string} text - Text to count tokens in
+   * @returns {Promise<number>} - Token count (recorded, or estimated)
+   */
+  async countTokens(text) {
+    const { count } = await this.countTokensDetailed(text);
+    return count;
+  }
+
+  /**
+   * Count tokens, saying whether the count was recorded or estimated
+   * @param {string} text - Text to count tokens in
+   * @returns {Promise<{count: number, exact: boolean}>}
+   */
+  async countTokensDetailed(text) {
+    const key = this._key({ text });
+
+    if (this.mode === 'record') {
+      const result = await this.targetService.countTokensDetailed(text);
+      // Only exact counts are worth replaying
+      if (result.exact) {
+        const counts = (await this._readJson(TOKEN_COUNTS_FILE)) || {};
+        counts[key] = result.count;
+        await this._writeJson(TOKEN_COUNTS_FILE, counts);
+      }
+      return result;
+    }
+
+    if (this.mode === 'replay') {
+      const counts = (await this._readJson(TOKEN_COUNTS_FILE)) || {};
+      if (counts[key] !== undefined) {
+        return { count: counts[key], exact: true };
+      }
+    }
+
+    return { count: tokenEstimator.estimate(text), exact: false };
+  }
+
+  /**
+   * Calculate token budgets and validate prompt size
+   * @param {number} promptTokens - Number of tokens in the prompt
+   * @returns {Object} - Calculated token budgets and limits
+   */
+  calculateTokenBudgets(promptTokens) {
+    if (this.mode === 'record') {
+      return this.targetService.calculateTokenBudgets(promptTokens);
+    }
+    return super.calculateTokenBudgets(promptTokens);
+  }
+
+  /**
+   * Complete a prompt with thinking
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - API options, plus an optional signal
+   * @returns {Promise<Object>} - Response with content and thinking
+   */
+  async completeWithThinking(prompt, options = {}) {
+    this._checkAborted(options.signal);
+    const key = this._key({ kind: 'complete', system: options.system || null, prompt });
+    const fileName = `complete-${key}.json`;
+
+    if (this.mode === 'record') {
+      const request = this._describeRequest(prompt, options);
+      const response = await this.targetService.completeWithThinking(prompt, options);
+      await this._writeJson(fileName, {
+        version: 1,
+        key,
+        recordedAt: new Date().toISOString(),
+        request,
+        response: { content: response.content, thinking: response.thinking }
+      });
+      return response;
+    }
+
+    if (this.mode === 'canned') {
+      this.resolveRequestOptions(options);
+      return { content: await this._cannedText(), thinking: 'Canned thinking from the replay provider.' };
+    }
+
+    const cassette = await this._readJson(fileName);
+    if (!cassette) {
+      throw new Error(`No cassette recorded for this request (${fileName} in ${this.cassetteDir}). Record it first in record mode.`);
+    }
+    return { content: cassette.response.content, thinking: cassette.response.thinking };
+  }
+
+  /**
+   * Stream a response with thinking using callbacks
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - API options, plus an optional signal
+   * @param {Function} onThinking - Callback for thinking content
+   * @param {Function} onText - Callback for response text
+   * @returns {Promise<Object|void>} - Recorded { usage }, if any
+   */
+  async streamWithThinking(prompt, options = {}, onThinking, onText) {
+    this._checkAborted(options.signal);
+    const key = this._key(options.prefill
+      ? { kind: 'stream', system: options.system || null, prompt, prefill: options.prefill }
+      : { kind: 'stream', system: options.system || null, prompt });
+    const fileName = `stream-${key}.json`;
+
+    if (this.mode === 'record') {
+      const request = this._describeRequest(prompt, options);
+      const events = [];
+      const result = await this.targetService.streamWithThinking(
+        prompt,
+        options,
+        (thinkingDelta) => {
+          events.push({ type: 'thinking', text: thinkingDelta });
+          if (onThinking) onThinking(thinkingDelta);
+        },
+        (textDelta) => {
+          events.push({ type: 'text', text: textDelta });
+          if (onText) onText(textDelta);
+        }
+      );
+      await this._writeJson(fileName, {
+        version: 1,
+        key,
+        recordedAt: new Date().toISOString(),
+        request,
+        response: { events, usage: (result && result.usage) || null }
+      });
+      console.log(`Recorded cassette: ${path.join(this.cassetteDir, fileName)}`);
+      return result;
+    }
+
+    let events;
+    let usage = null;
+    if (this.mode === 'canned') {
+      this.resolveRequestOptions(options);
+      const text = await this._cannedText();
+      events = [{ type: 'thinking', text: 'Canned thinking from the replay provider.' }];
+      // Deliver the fixture in small deltas, like a real stream
+      for (let i = 0; i < text.length; i += 64) {
+        events.push({ type: 'text', text: text.slice(i, i + 64) });
+      }
+    } else {
+      const cassette = await this._readJson(fileName);
+      if (!cassette) {
+        throw new Error(`No cassette recorded for this request (${fileName} in ${this.cassetteDir}). Record it first in record mode.`);
+      }
+      console.log(`Replaying cassette: ${path.join(this.cassetteDir, fileName)}`);
+      events = cassette.response.events;
+      usage = cassette.response.usage || null;
+    }
+
+    for (const event of events) {
+      // Yield between deltas so a cancel can land mid-stream
+      await new Promise(resolve => setImmediate(resolve));
+      this._checkAborted(options.signal);
+
+      if (event.type === 'thinking') {
+        if (onThinking && typeof onThinking === 'function') onThinking(event.text);
+      } else if (event.type === 'text') {
+        if (onText && typeof onText === 'function') onText(event.text);
+      }
+    }
+
+    // Recorded usage lets prompt cache reporting be exercised offline
+    return usage ? { usage } : undefined;
+  }
+}
+
+ReplayService.DEFAULT_CASSETTE_DIR = DEFAULT_CASSETTE_DIR;
+
+module.exports = ReplayService;
@@ -0,0 +1,150 @@
+// run-history.js
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Run History
+ * Persists a record of every tool run to the project's .wt/runs.jsonl
+ * so runs survive restarts and can be browsed, reopened and re-run.
+ * Each line of the file is one JSON run record.
+ */
+class RunHistory {
+  constructor() {
+    this.DIR_NAME = '.wt';
+    this.FILE_NAME = 'runs.jsonl';
+  }
+
+  /**
+   * Get the path of the run history file for a project
+   * @param {string} projectPath - Project directory
+   * @returns {string} - Path to runs.jsonl
+   */
+  getHistoryPath(projectPath) {
+    return path.join(projectPath, this.DIR_NAME, this.FILE_NAME);
+  }
+
+  /**
+   * Build the record of a finished run
+   * @param {Object} run - { runId, toolName, optionValues, startedAt, status, error, result, outputFiles }
+   * @param {BaseTool} [tool] - Tool that ran, for its title, model and usage
+   * @returns {Object} - Run record
+   */
+  buildRecord(run, tool) {
+    const lastRequest = (tool && tool.lastRequest) || {};
+    const finishedAt = new Date();
+
+    return {
+      runId: run.runId,
+      toolId: run.toolName,
+      toolTitle: tool ? (tool.config.title || run.toolName) : run.toolName,
+      status: run.status,
+      error: run.error,
+      startedAt: run.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      elapsedMs: finishedAt - run.startedAt,
+      model: lastRequest.model || (tool ? tool.config.model_name : null) || null,
+      maxTokens: lastRequest.maxTokens || null,
+      thinkingBudget: lastRequest.thinkingBudget || null,
+      options: run.optionValues || {},
+      stats: (run.result && run.result.stats) || {},
+      usage: (tool && tool.runUsage) || null,
+      outputFiles: run.outputFiles || []
+    };
+  }
+
+  /**
+   * Append a run record to a project's history
+   * @param {string} projectPath - Project directory
+   * @param {Object} record - Run record
+   * @returns {Promise<Object>} - The record as written
+   */
+  async addRun(projectPath, record) {
+    if (!projectPath) {
+      throw new Error('Cannot record run: no project selected.');
+    }
+
+    const historyPath = this.getHistoryPath(projectPath);
+    try {
+      await fs.mkdir(path.dirname(historyPath), { recursive: true });
+      await fs.appendFile(historyPath, JSON.stringify(record) + '\n', 'utf-8');
+      return record;
+    } catch (error) {
+      console.error(`Error writing run history to ${historyPath}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read run records for a project, newest first
+   * @param {string} projectPath - Project directory
+   * @param {Object} filter - Optional filter
+   * @param {string} [filter.toolId] - Only runs of this tool
+   * @param {string} [filter.status] - Only runs with this status (success, error, cancelled)
+   * @param {string} [filter.text] - Case-insensitive text to match in tool, options or files
+   * @param {number} [filter.limit] - Maximum number of records to return
+   * @returns {Promise<Object[]>} - Matching run records
+   */
+  async getRuns(projectPath, filter = {}) {
+    if (!projectPath) {
+      return [];
+    }
+
+    const historyPath = this.getHistoryPath(projectPath);
+    let content;
+    try {
+      content = await fs.readFile(historyPath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      console.error(`Error reading run history from ${historyPath}:`, error);
+      throw error;
+    }
+
+    const runs = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        runs.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut short by a crash should not hide the rest of the history
+        console.warn(`Skipping unreadable run history line in ${historyPath}`);
+      }
+    }
+
+    const text = filter.text ? filter.text.toLowerCase() : null;
+    const matching = runs.filter(run => {
+      if (filter.toolId && run.toolId !== filter.toolId) return false;
+      if (filter.status && run.status !== filter.status) return false;
+      if (text) {
+        const haystack = [
+          run.toolId,
+          run.toolTitle,
+          JSON.stringify(run.options || {}),
+          ...(run.outputFiles || [])
+        ].join(' ').toLowerCase();
+        if (!haystack.includes(text)) return false;
+      }
+      return true;
+    });
+
+    matching.reverse();
+    return filter.limit ? matching.slice(0, filter.limit) : matching;
+  }
+
+  /**
+   * Find a single run record by its run ID
+   * @param {string} projectPath - Project directory
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object|null>} - Run record or null
+   */
+  async getRun(projectPath, runId) {
+    const runs = await this.getRuns(projectPath);
+    return runs.find(run => run.runId === runId) || null;
+  }
+}
+
+// Create a singleton instance
+const runHistory = new RunHistory();
+
+module.exports = runHistory;
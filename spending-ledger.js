@@ -0,0 +1,158 @@
+// spending-ledger.js
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Spending Ledger
+ * Records the cost of every billed tool run in the project's .wt/ledger.jsonl
+ * and enforces the optional spending caps from API Settings:
+ *   budget_project_usd - total for one project, all time
+ *   budget_monthly_usd - total for the current calendar month, all projects
+ * Each line of the file is one JSON ledger entry.
+ */
+class SpendingLedger {
+  constructor() {
+    this.DIR_NAME = '.wt';
+    this.FILE_NAME = 'ledger.jsonl';
+  }
+
+  /**
+   * Get the path of the ledger file for a project
+   * @param {string} projectPath - Project directory
+   * @returns {string} - Path to ledger.jsonl
+   */
+  getLedgerPath(projectPath) {
+    return path.join(projectPath, this.DIR_NAME, this.FILE_NAME);
+  }
+
+  /**
+   * Append an entry to a project's ledger
+   * @param {string} projectPath - Project directory
+   * @param {Object} entry - Ledger entry with at least a cost in dollars
+   * @returns {Promise<Object>} - The entry as written
+   */
+  async addEntry(projectPath, entry) {
+    if (!projectPath) {
+      throw new Error('Cannot record spending: no project selected.');
+    }
+
+    const ledgerPath = this.getLedgerPath(projectPath);
+    const record = { timestamp: new Date().toISOString(), ...entry };
+    try {
+      await fs.mkdir(path.dirname(ledgerPath), { recursive: true });
+      await fs.appendFile(ledgerPath, JSON.stringify(record) + '\n', 'utf-8');
+      return record;
+    } catch (error) {
+      console.error(`Error writing ledger to ${ledgerPath}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read all ledger entries for a project, oldest first
+   * @param {string} projectPath - Project directory
+   * @returns {Promise<Object[]>} - Ledger entries
+   */
+  async getEntries(projectPath) {
+    if (!projectPath) {
+      return [];
+    }
+
+    const ledgerPath = this.getLedgerPath(projectPath);
+    let content;
+    try {
+      content = await fs.readFile(ledgerPath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      console.error(`Error reading ledger from ${ledgerPath}:`, error);
+      throw error;
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`Skipping unreadable ledger line in ${ledgerPath}`);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Total spending for a project
+   * @param {string} projectPath - Project directory
+   * @param {Date} [since] - Only count entries at or after this time
+   * @returns {Promise<number>} - Total in dollars
+   */
+  async getProjectTotal(projectPath, since = null) {
+    const entries = await this.getEntries(projectPath);
+    return entries
+      .filter(entry => !since || new Date(entry.timestamp) >= since)
+      .reduce((sum, entry) => sum + (entry.cost || 0), 0);
+  }
+
+  /**
+   * Total spending this calendar month across every project
+   * @param {string} projectsDir - Directory holding all projects
+   * @returns {Promise<number>} - Total in dollars
+   */
+  async getMonthTotal(projectsDir) {
+    const now = new Date();
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+
+    let projectNames;
+    try {
+      const items = await fs.readdir(projectsDir, { withFileTypes: true });
+      projectNames = items.filter(item => item.isDirectory()).map(item => item.name);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let total = 0;
+    for (const name of projectNames) {
+      total += await this.getProjectTotal(path.join(projectsDir, name), monthStart);
+    }
+    return total;
+  }
+
+  /**
+   * Work out how much may still be spent under the configured caps
+   * A cap of 0 (or unset) means no cap.
+   * @param {Object} params
+   * @param {string} params.projectPath - Project directory
+   * @param {string} params.projectsDir - Directory holding all projects
+   * @param {number} [params.projectCap] - Per-project cap in dollars
+   * @param {number} [params.monthlyCap] - Monthly cap in dollars
+   * @returns {Promise<Object>} - { remaining (Infinity if uncapped), projectTotal, monthTotal, limitedBy }
+   */
+  async getRemainingBudget({ projectPath, projectsDir, projectCap, monthlyCap }) {
+    const result = { remaining: Infinity, projectTotal: null, monthTotal: null, limitedBy: null };
+
+    if (projectCap > 0 && projectPath) {
+      result.projectTotal = await this.getProjectTotal(projectPath);
+      result.remaining = projectCap - result.projectTotal;
+      result.limitedBy = 'project';
+    }
+
+    if (monthlyCap > 0 && projectsDir) {
+      result.monthTotal = await this.getMonthTotal(projectsDir);
+      const monthRemaining = monthlyCap - result.monthTotal;
+      if (monthRemaining < result.remaining) {
+        result.remaining = monthRemaining;
+        result.limitedBy = 'monthly';
+      }
+    }
+
+    return result;
+  }
+}
+
+// Create a singleton instance
+const spendingLedger = new SpendingLedger();
+
+module.exports = spendingLedger;
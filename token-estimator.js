@@ -0,0 +1,127 @@
+// token-estimator.js
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Calibration is shared by all projects (see appState.PROJECTS_DIR)
+const DEFAULT_CALIBRATION_PATH = path.join(os.homedir(), 'writing', '.wt', 'token-calibration.json');
+
+// Short texts are dominated by per-request overhead, so they make poor samples
+const MIN_SAMPLE_CHARS = 200;
+
+// Keep the learned factor within sane bounds even after odd samples
+const MIN_FACTOR = 0.5;
+const MAX_FACTOR = 2.0;
+
+// Splits text the way byte-pair tokenizers tend to: a word with its leading
+// space, runs of digits, runs of whitespace, and single other characters
+const PIECE_PATTERN = / ?[A-Za-z]+| ?\d+|\s+|[^\sA-Za-z\d]/g;
+
+/**
+ * Token Estimator
+ * Approximates Claude token counts locally, with no network call, for offline
+ * runs and instant feedback. The raw estimate mimics a byte-pair tokenizer:
+ * common short words are one token, longer words split into ~4 character
+ * pieces, digits go in groups of three and punctuation is a token each.
+ * Every exact count from the API is recorded as a calibration sample, and
+ * the ratio of exact to raw totals scales later estimates.
+ */
+class TokenEstimator {
+  constructor() {
+    this.calibrationPath = process.env.WT_TOKEN_CALIBRATION || DEFAULT_CALIBRATION_PATH;
+    this.calibration = null;
+  }
+
+  /**
+   * Raw byte-pair approximation, before calibration
+   * @param {string} text - Text to estimate
+   * @returns {number} - Estimated token count
+   */
+  rawEstimate(text) {
+    let tokens = 0;
+    for (const [piece] of String(text || '').matchAll(PIECE_PATTERN)) {
+      const word = piece.trim();
+      if (word === '') {
+        // Single spaces merge into the next word; longer runs and newlines do not
+        tokens += piece.length > 1 ? Math.ceil(piece.length / 4) : 0;
+      } else if (/^[A-Za-z]+$/.test(word)) {
+        tokens += word.length <= 6 ? 1 : Math.ceil(word.length / 4);
+      } else if (/^\d+$/.test(word)) {
+        tokens += Math.ceil(word.length / 3);
+      } else {
+        tokens += 1;
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * Load the calibration totals, once
+   * @returns {Object} - { exactTokens, estimatedTokens, samples }
+   */
+  loadCalibration() {
+    if (this.calibration) {
+      return this.calibration;
+    }
+    try {
+      this.calibration = JSON.parse(fs.readFileSync(this.calibrationPath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring unreadable token calibration ${this.calibrationPath}:`, error.message);
+      }
+      this.calibration = { exactTokens: 0, estimatedTokens: 0, samples: 0 };
+    }
+    return this.calibration;
+  }
+
+  /**
+   * Current calibration factor (exact / raw estimate)
+   * @returns {number} - Factor applied to raw estimates
+   */
+  getFactor() {
+    const calibration = this.loadCalibration();
+    if (!calibration.samples || !calibration.estimatedTokens) {
+      return 1;
+    }
+    const factor = calibration.exactTokens / calibration.estimatedTokens;
+    return Math.min(MAX_FACTOR, Math.max(MIN_FACTOR, factor));
+  }
+
+  /**
+   * Estimate the token count of a text
+   * @param {string} text - Text to estimate
+   * @returns {number} - Calibrated token estimate
+   */
+  estimate(text) {
+    return Math.ceil(this.rawEstimate(text) * this.getFactor());
+  }
+
+  /**
+   * Record an exact count from the API as a calibration sample
+   * @param {string} text - Text that was counted
+   * @param {number} exactCount - Token count reported by the API
+   */
+  recordSample(text, exactCount) {
+    if (!text || text.length < MIN_SAMPLE_CHARS || !(exactCount > 0)) {
+      return;
+    }
+
+    const calibration = this.loadCalibration();
+    calibration.exactTokens += exactCount;
+    calibration.estimatedTokens += this.rawEstimate(text);
+    calibration.samples += 1;
+
+    try {
+      fs.mkdirSync(path.dirname(this.calibrationPath), { recursive: true });
+      fs.writeFileSync(this.calibrationPath, JSON.stringify(calibration, null, 2), 'utf-8');
+    } catch (error) {
+      // Calibration is a nicety; never fail a token count over it
+      console.warn(`Could not save token calibration ${this.calibrationPath}:`, error.message);
+    }
+  }
+}
+
+// Create a singleton instance
+const tokenEstimator = new TokenEstimator();
+
+module.exports = tokenEstimator;
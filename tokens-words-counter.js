@@ -4,6 +4,8 @@ const path = require('path');
 const util = require('util');
 const fileCache = require('./file-cache');
 const appState = require('./state.js');
+const tokenEstimator = require('./token-estimator');
+const { Manuscript, describeChapter, countWords } = require('./manuscript');
 
 /**
  * Creates a delay that won't completely freeze the UI
@@ -44,7 +46,31 @@ class TokensWordsCounter extends BaseTool {
    * @returns {number} - Word count
    */
   countWords(text) {
-    return text.split(/\s+/).filter(word => word.length > 0).length;
+    return countWords(text);
+  }
+  
+  /**
+   * Build the per-chapter and per-scene word count lines of the report
+   * @param {Manuscript} manuscript - Parsed manuscript
+   * @returns {string} - Report section
+   */
+  formatStructure(manuscript) {
+    if (manuscript.style === 'none') {
+      return 'Chapters: none found (no chapter headings)';
+    }
+    const lines = [`Chapters: ${manuscript.chapters.length} (${manuscript.style} headings)`];
+    if (manuscript.preamble) {
+      lines.push(`  Before the first chapter - ${manuscript.preamble.wordCount} words`);
+    }
+    manuscript.chapters.forEach(chapter => {
+      lines.push(`  ${describeChapter(chapter)} - ${chapter.wordCount} words`);
+      if (chapter.scenes.length > 1) {
+        chapter.scenes.forEach(scene => {
+          lines.push(`    Scene ${scene.index + 1} - ${scene.wordCount} words`);
+        });
+      }
+    });
+    return lines.join('\n');
   }
   
   /**
@@ -89,17 +115,22 @@ class TokensWordsCounter extends BaseTool {
       // Count words
       console.log('Counting words...');
       this.emitOutput('Counting words...\n');
-      const wordCount = this.countWords(text);
+      const manuscript = Manuscript.parse(text);
+      const wordCount = manuscript.wordCount;
       console.log(`Word count: ${wordCount}`);
       this.emitOutput(`Word count: ${wordCount}\n`);
       
+      // Show a local estimate at once, while the API count is on its way
+      this.emitOutput(`Estimated token count: ${tokenEstimator.estimate(text)} (local estimate)\n`);
+      
       // Count tokens using Claude API
       console.log('Counting tokens using Claude API...');
       this.emitOutput('Counting tokens using Claude API (this may take a few seconds)...\n');
       
-      const promptTokens = await this.claudeService.countTokens(text);
-      console.log(`Token count: ${promptTokens}`);
-      this.emitOutput(`Token count: ${promptTokens}\n`);
+      const promptTokens = await this.countTokens(text);
+      const countLabel = this.tokenCountLabel();
+      console.log(`Token count: ${promptTokens} (${countLabel})`);
+      this.emitOutput(`Token count: ${promptTokens} (${countLabel})\n`);
       
       // Use the shared token budgets calculator from the Claude service
       // This ensures consistent calculation across all tools
@@ -120,7 +151,7 @@ Analysis of file: ${inputFile}
 Generated on: ${new Date().toLocaleString()}
 
 Word count: ${wordCount}
-Token count: ${promptTokens}
+Token count: ${promptTokens} (${countLabel})
 Words per token ratio: ${wordsPerToken.toFixed(2)}
 
 Context window: ${tokenBudgets.contextWindow} tokens
@@ -128,6 +159,8 @@ Available tokens: ${tokenBudgets.availableTokens} tokens
 Thinking budget: ${tokenBudgets.thinkingBudget} tokens
 Desired output tokens: ${tokenBudgets.desiredOutputTokens} tokens
 
+${this.formatStructure(manuscript)}
+
 Note:
 - This analysis shows how many tokens your text requires
 - For Claude API, the token count affects both cost and context usage
@@ -163,8 +196,14 @@ Note:
         stats: {
           wordCount,
           tokenCount: promptTokens,
+          tokenCountExact: countLabel === 'exact',
           wordsPerToken: wordsPerToken.toFixed(2),
-          availableTokens: tokenBudgets.availableTokens
+          availableTokens: tokenBudgets.availableTokens,
+          chapters: manuscript.chapters.map(chapter => ({
+            chapter: describeChapter(chapter),
+            wordCount: chapter.wordCount,
+            sceneWordCounts: chapter.scenes.map(scene => scene.wordCount)
+          }))
         }
       };
     } catch (error) {
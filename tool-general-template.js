@@ -69,7 +69,7 @@ class GenericTool extends BaseTool {
 
       // Count tokens in the prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.countTokens(prompt);
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -77,7 +77,7 @@ class GenericTool extends BaseTool {
       // Handle logging based on the returned values
       this.emitOutput(`\nToken stats:\n`);
       this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
-      this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] ...\n`);
+      this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()}) ...\n`);
       this.emitOutput(`                     = outline.txt + world.txt + manuscript.txt\n`);
       this.emitOutput(`                       + prompt instructions\n`);
       this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]  = ${tokenBudgets.contextWindow} - ${tokenBudgets.promptTokens} = context_window - prompt\n`);
@@ -109,17 +109,15 @@ class GenericTool extends BaseTool {
 
       // Use the calculated values in the API call
       try {
-        await this.claudeService.streamWithThinking(
+        await this.streamWithThinking(
           prompt,
           {
-            model: "claude-3-7-sonnet-20250219",
             system: systemPrompt,
             max_tokens: tokenBudgets.maxTokens,
             thinking: {
               type: "enabled",
               budget_tokens: tokenBudgets.thinkingBudget
-            },
-            betas: ["output-128k-2025-02-19"]
+            }
           },
           // Callback for thinking content
           (thinkingDelta) => {
@@ -147,8 +145,8 @@ class GenericTool extends BaseTool {
       this.emitOutput(`Report has approximately ${wordCount} words.\n`);
       
       // Count tokens in response
-      const responseTokens = await this.claudeService.countTokens(fullResponse);
-      this.emitOutput(`Response token count: ${responseTokens}\n`);
+      const responseTokens = await this.responseTokenCount(fullResponse);
+      this.emitOutput(`Response token count: ${responseTokens} (${this.tokenCountLabel()})\n`);
       
       // Save the response to a file
       const skipThinking = options.skip_thinking || false;
@@ -0,0 +1,491 @@
+// tool-server.js
+//
+// An opt-in local server that lets scripts and other editors (VS Code,
+// Obsidian, ...) drive the tool system. It listens on 127.0.0.1 only and
+// every request must carry the token from API Settings, either as
+// "Authorization: Bearer <token>" or, for EventSource clients that cannot
+// set headers, as ?token=<token>.
+//
+//   POST /rpc                  JSON-RPC 2.0, methods:
+//     list-tools               -> [{ id, title, description, batchable, userDefined }]
+//     get-tool-options         { toolId } -> option schema
+//     start-run                { toolId, options, resume } -> { runId, eventsUrl }
+//                                options may only name the tool's own options;
+//                                reports are always saved in the current project
+//     stop-run                 { runId } -> { success, message }
+//     get-run-files            { runId } -> [{ path, name }]
+//   GET /runs/<runId>/events   Server-Sent Events for a run, from its start
+//                              (stream events only while the run is going):
+//     output   { text }              tool output, as shown in the tool window
+//     stream   { kind, text }        the model's streamed text and thinking
+//     finished { createdFiles }      then the stream ends
+//     error    { error, cancelled, checkpoint, fieldErrors, shownInOutput }  then the stream ends;
+//              shownInOutput is true if the output events already gave the error
+//
+// While the server runs, ~/writing/.wt-server.json holds its URL and token
+// (readable only by the user) so scripts can find it; see
+// utilities/tool-server-client.js.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const appState = require('./state.js');
+const toolSystem = require('./tool-system');
+const runHistory = require('./run-history');
+
+const DEFAULT_PORT = 8789;
+const HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Finished runs whose events can still be replayed to a late subscriber
+const MAX_FINISHED_RUNS = 20;
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const SERVER_ERROR = -32000;
+
+/**
+ * Error returned to the client as a JSON-RPC error
+ */
+class RpcError extends Error {
+  /**
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   * @param {*} [data] - Extra details, e.g. per-option messages
+   */
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Tool Server
+ * Starting a run goes through the same function as the tool window's Run
+ * button (passed in by main.js), so server runs are tracked, cancellable
+ * and recorded in the run history like any other.
+ */
+class ToolServer {
+  constructor() {
+    this.server = null;
+    this.port = null;
+    this.token = null;
+    this.startRun = null;
+    this.stopRun = null;
+    // Events of recent runs started here, by run ID:
+    // { toolId, events: [{ event, data }], done, createdFiles, subscribers: Set<response> }
+    this.runs = new Map();
+  }
+
+  /**
+   * Get the file that tells scripts where the server is
+   * @returns {string} - Path to .wt-server.json in the projects folder
+   */
+  getInfoPath() {
+    return path.join(appState.PROJECTS_DIR, '.wt-server.json');
+  }
+
+  /**
+   * Start listening
+   * @param {Object} params
+   * @param {number} [params.port] - Port on 127.0.0.1
+   * @param {string} params.token - Token every request must carry
+   * @param {Function} params.startRun - (toolId, options, runOptions, listeners) => runId
+   * @param {Function} params.stopRun - (runId) => { success, message }
+   * @returns {Promise<string>} - The server's URL
+   */
+  async start(params) {
+    if (this.server) {
+      await this.stop();
+    }
+    if (!params.token) {
+      throw new Error('The tool server needs a token');
+    }
+
+    this.port = Number(params.port) || DEFAULT_PORT;
+    this.token = params.token;
+    this.startRun = params.startRun;
+    this.stopRun = params.stopRun;
+
+    const server = http.createServer((request, response) => {
+      this._handle(request, response).catch(error => {
+        console.error('Tool server error:', error);
+        if (!response.headersSent) {
+          this._sendJson(response, 500, { error: error.message });
+        } else {
+          response.end();
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.port, HOST, () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    });
+    this.server = server;
+
+    const url = `http://${HOST}:${this.port}`;
+    try {
+      fs.writeFileSync(this.getInfoPath(), JSON.stringify({ url, token: this.token, pid: process.pid }, null, 2), { mode: 0o600 });
+    } catch (error) {
+      // Scripts can still be given the URL and token by hand
+      console.error('Error writing tool server info file:', error);
+    }
+    console.log(`Tool server listening on ${url}`);
+    return url;
+  }
+
+  /**
+   * Stop listening and end any open event streams
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = null;
+
+    for (const run of this.runs.values()) {
+      for (const response of run.subscribers) {
+        response.end();
+      }
+      run.subscribers.clear();
+    }
+    await new Promise(resolve => server.close(() => resolve()));
+
+    try {
+      fs.unlinkSync(this.getInfoPath());
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error removing tool server info file:', error);
+      }
+    }
+    console.log('Tool server stopped');
+  }
+
+  /**
+   * Is the server listening?
+   * @returns {boolean}
+   */
+  isRunning() {
+    return !!this.server;
+  }
+
+  /**
+   * Handle one HTTP request
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse} response
+   */
+  async _handle(request, response) {
+    const url = new URL(request.url, `http://${HOST}`);
+
+    if (!this._isAuthorized(request, url)) {
+      this._sendJson(response, 401, { error: 'Missing or wrong token' });
+      return;
+    }
+
+    if (request.method === 'POST' && url.pathname === '/rpc') {
+      await this._handleRpc(request, response);
+      return;
+    }
+
+    const eventsMatch = url.pathname.match(/^\/runs\/([A-Za-z0-9-]+)\/events$/);
+    if (request.method === 'GET' && eventsMatch) {
+      this._handleEvents(eventsMatch[1], request, response);
+      return;
+    }
+
+    this._sendJson(response, 404, { error: `Not found: ${request.method} ${url.pathname}` });
+  }
+
+  /**
+   * Check the request's token
+   * @param {http.IncomingMessage} request
+   * @param {URL} url
+   * @returns {boolean}
+   */
+  _isAuthorized(request, url) {
+    const header = request.headers.authorization || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token') || '';
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(given);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Handle a JSON-RPC request
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse} response
+   */
+  async _handleRpc(request, response) {
+    let message;
+    try {
+      message = JSON.parse(await this._readBody(request));
+    } catch (error) {
+      this._sendJson(response, 200, { jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: error.message } });
+      return;
+    }
+
+    const id = message && message.id !== undefined ? message.id : null;
+    try {
+      if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+        throw new RpcError(INVALID_REQUEST, 'Expected a JSON-RPC 2.0 request');
+      }
+      const result = await this._call(message.method, message.params || {});
+      this._sendJson(response, 200, { jsonrpc: '2.0', id, result });
+    } catch (error) {
+      const code = error instanceof RpcError ? error.code : SERVER_ERROR;
+      const rpcError = { code, message: error.message };
+      if (error.data !== undefined) rpcError.data = error.data;
+      this._sendJson(response, 200, { jsonrpc: '2.0', id, error: rpcError });
+    }
+  }
+
+  /**
+   * Run a JSON-RPC method
+   * @param {string} method - Method name
+   * @param {Object} params - Method parameters
+   * @returns {Promise<*>} - Method result
+   */
+  async _call(method, params) {
+    switch (method) {
+      case 'list-tools':
+        return toolSystem.toolRegistry.getAllToolIds().map(toolId => {
+          const tool = toolSystem.toolRegistry.getTool(toolId);
+          return {
+            id: toolId,
+            title: tool.config.title || toolId,
+            description: tool.config.description || '',
+            batchable: !!tool.config.batchable,
+            userDefined: !!(tool.config.userDefined || tool.config.plugin)
+          };
+        });
+
+      case 'get-tool-options':
+        return this._getTool(params.toolId).config.options || [];
+
+      case 'start-run':
+        return this._startRun(params);
+
+      case 'stop-run':
+        if (!params.runId) throw new RpcError(INVALID_PARAMS, 'runId is required');
+        return this.stopRun(params.runId);
+
+      case 'get-run-files':
+        return this._getRunFiles(params.runId);
+
+      default:
+        throw new RpcError(METHOD_NOT_FOUND, `Unknown method: ${method}`);
+    }
+  }
+
+  /**
+   * Look up a tool
+   * @param {string} toolId - Tool ID
+   * @returns {BaseTool}
+   */
+  _getTool(toolId) {
+    if (!toolId) throw new RpcError(INVALID_PARAMS, 'toolId is required');
+    const tool = toolSystem.toolRegistry.getTool(toolId);
+    if (!tool) throw new RpcError(INVALID_PARAMS, `Tool not found: ${toolId}`);
+    return tool;
+  }
+
+  /**
+   * Start a run in the current project, buffering its events for subscribers
+   * Options not given take the tool's defaults, as in the setup dialog. Only
+   * the tool's own options may be given: save_dir in particular is refused,
+   * so a client cannot write reports outside the project.
+   * Consecutive stream deltas are buffered as one event, and stream events
+   * are dropped once the run ends, so finished runs keep only their output.
+   * @param {Object} params - { toolId, options, resume }
+   * @returns {Object} - { runId, eventsUrl }
+   */
+  _startRun(params) {
+    const tool = this._getTool(params.toolId);
+    if (!appState.CURRENT_PROJECT_PATH) {
+      throw new RpcError(SERVER_ERROR, 'No project is selected in the app');
+    }
+
+    const known = new Set((tool.config.options || []).map(option => option.name));
+    const fieldErrors = {};
+    for (const name of Object.keys(params.options || {})) {
+      if (name === 'save_dir') {
+        fieldErrors[name] = 'Reports are always saved in the current project';
+      } else if (!known.has(name)) {
+        fieldErrors[name] = `Not an option of ${params.toolId}`;
+      }
+    }
+    if (Object.keys(fieldErrors).length > 0) {
+      throw new RpcError(INVALID_PARAMS, 'Invalid options', { fieldErrors });
+    }
+
+    const options = { ...toolSystem.getDefaultToolOptions(params.toolId), ...(params.options || {}) };
+    const validation = toolSystem.validateToolOptions(params.toolId, options);
+    if (!validation.valid) {
+      throw new RpcError(INVALID_PARAMS, 'Invalid options', { fieldErrors: validation.errors });
+    }
+
+    const run = { toolId: params.toolId, events: [], done: false, createdFiles: null, subscribers: new Set() };
+    const emit = (event, data) => {
+      const last = run.events[run.events.length - 1];
+      if (event === 'stream' && last && last.event === 'stream' && last.data.kind === data.kind) {
+        last.data = { kind: data.kind, text: last.data.text + data.text };
+      } else {
+        run.events.push({ event, data });
+      }
+      for (const response of run.subscribers) {
+        this._writeEvent(response, event, data);
+      }
+    };
+    const end = () => {
+      run.done = true;
+      run.events = run.events.filter(({ event }) => event !== 'stream');
+      for (const response of run.subscribers) {
+        response.end();
+      }
+      run.subscribers.clear();
+      this._pruneRuns();
+    };
+
+    let runId;
+    try {
+      runId = this.startRun(params.toolId, validation.values, { resume: !!params.resume }, {
+        output: (text) => emit('output', { text }),
+        stream: (kind, text) => emit('stream', { kind, text }),
+        finished: ({ createdFiles }) => {
+          run.createdFiles = createdFiles;
+          emit('finished', { createdFiles });
+          end();
+        },
+        error: (details) => {
+          emit('error', details);
+          end();
+        }
+      });
+    } catch (error) {
+      throw new RpcError(SERVER_ERROR, error.message);
+    }
+    this.runs.set(runId, run);
+
+    return { runId, eventsUrl: `/runs/${runId}/events` };
+  }
+
+  /**
+   * Get the files a run wrote
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object[]>} - [{ path, name }]
+   */
+  async _getRunFiles(runId) {
+    if (!runId) throw new RpcError(INVALID_PARAMS, 'runId is required');
+
+    const run = this.runs.get(runId);
+    let files = run && run.createdFiles;
+    if (!files) {
+      // Older runs, and runs started from the app, are in the run history
+      const record = await runHistory.getRun(appState.CURRENT_PROJECT_PATH, runId);
+      if (!record) {
+        if (run && !run.done) throw new RpcError(SERVER_ERROR, `Run ${runId} has not finished`);
+        throw new RpcError(INVALID_PARAMS, `Run not found: ${runId}`);
+      }
+      files = record.outputFiles || [];
+    }
+    return files.map(filePath => ({ path: filePath, name: path.basename(filePath) }));
+  }
+
+  /**
+   * Stream a run's events, replaying those sent before the client connected
+   * @param {string} runId - Run ID
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse} response
+   */
+  _handleEvents(runId, request, response) {
+    const run = this.runs.get(runId);
+    if (!run) {
+      this._sendJson(response, 404, { error: `No events for run ${runId}; it was not started here or has expired` });
+      return;
+    }
+
+    response.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    for (const { event, data } of run.events) {
+      this._writeEvent(response, event, data);
+    }
+    if (run.done) {
+      response.end();
+      return;
+    }
+    run.subscribers.add(response);
+    request.on('close', () => run.subscribers.delete(response));
+  }
+
+  /**
+   * Write one Server-Sent Event
+   * @param {http.ServerResponse} response
+   * @param {string} event - Event name
+   * @param {Object} data - Event data, sent as JSON
+   */
+  _writeEvent(response, event, data) {
+    response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Forget the oldest finished runs beyond MAX_FINISHED_RUNS
+   */
+  _pruneRuns() {
+    const finished = [...this.runs.entries()].filter(([, run]) => run.done && run.subscribers.size === 0);
+    for (const [runId] of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_RUNS))) {
+      this.runs.delete(runId);
+    }
+  }
+
+  /**
+   * Read a request body
+   * @param {http.IncomingMessage} request
+   * @returns {Promise<string>}
+   */
+  _readBody(request) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+      request.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(new Error('Request body is too large'));
+          request.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      request.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+      request.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} response
+   * @param {number} status - HTTP status
+   * @param {Object} body - Response body
+   */
+  _sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  }
+}
+
+// Create a singleton instance
+const toolServer = new ToolServer();
+
+module.exports = toolServer;
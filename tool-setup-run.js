@@ -12,9 +12,14 @@ const dialogToolNameElement = document.getElementById('dialog-tool-name');
 const closeBtn = document.getElementById('close-btn');
 const setupBtn = document.getElementById('setup-btn');
 const runBtn = document.getElementById('run-btn');
+const cancelRunBtn = document.getElementById('cancel-run-btn');
+const resumeRunBtn = document.getElementById('resume-run-btn');
 const clearBtn = document.getElementById('clear-btn');
 const forceQuitBtn = document.getElementById('force-quit-btn');
 const outputElement = document.getElementById('output');
+const liveOutputElement = document.getElementById('live-output');
+const liveViewToggle = document.getElementById('live-view-toggle');
+const showThinkingToggle = document.getElementById('show-thinking-toggle');
 const elapsedTimeElement = document.getElementById('elapsed-time');
 
 // Dialog elements
@@ -34,6 +39,7 @@ let currentRunId = null;
 let setupCompleted = false;
 let currentOptionValues = {};
 let canClose = true; // Flag to control whether the window can be closed
+let liveOutputView = null; // Created the first time the live view is shown
 
 // Initialize when the window loads
 window.addEventListener('DOMContentLoaded', async () => {
@@ -53,6 +59,11 @@ window.addEventListener('DOMContentLoaded', async () => {
       
       // Disable Run button until setup is completed
       runBtn.disabled = true;
+
+      // A re-run from the Runs panel arrives with the previous run's options
+      if (toolData.presetOptions) {
+        applyPresetOptions(toolData.presetOptions);
+      }
     } else {
       outputElement.textContent = 'Error: No tool selected!';
     }
@@ -96,6 +107,50 @@ forceQuitBtn.addEventListener('click', () => {
   window.electronAPI.quitApp();
 });
 
+// Cancel Run button handler - stops the current run without quitting the app
+cancelRunBtn.addEventListener('click', async () => {
+  if (!isRunning || !currentRunId) {
+    return;
+  }
+  
+  cancelRunBtn.disabled = true;
+  outputElement.textContent += '\n\nCancelling run...';
+  
+  try {
+    const result = await window.electronAPI.stopTool(currentRunId);
+    if (!result.success) {
+      outputElement.textContent += `\n${result.message}`;
+    }
+  } catch (error) {
+    console.error('Error cancelling tool run:', error);
+    outputElement.textContent += `\nError cancelling run: ${error.message}`;
+  }
+});
+
+// Live view toggles - streamed model output is only forwarded while enabled
+function updateLiveView() {
+  const live = liveViewToggle.checked;
+  showThinkingToggle.disabled = !live;
+  liveOutputElement.style.display = live ? 'block' : 'none';
+
+  if (live) {
+    if (!liveOutputView) {
+      liveOutputView = new LiveOutputView(liveOutputElement);
+    } else {
+      liveOutputView.measure();
+      liveOutputView.scheduleRender();
+    }
+  }
+
+  window.electronAPI.setToolStreamOptions({
+    live,
+    thinking: live && showThinkingToggle.checked
+  });
+}
+
+liveViewToggle.addEventListener('change', updateLiveView);
+showThinkingToggle.addEventListener('change', updateLiveView);
+
 // Setup button handler - now opens the setup dialog
 setupBtn.addEventListener('click', () => {
   // Generate form controls for options
@@ -115,14 +170,22 @@ setupDialogCancel.addEventListener('click', () => {
 });
 
 // Setup dialog apply button
-setupDialogApply.addEventListener('click', () => {
+setupDialogApply.addEventListener('click', async () => {
   // Validate the form
   if (!validateOptionsForm()) {
     return; // Don't close dialog if validation fails
   }
   
-  // Gather all options from form
-  currentOptionValues = gatherOptionValues();
+  // Gather all options from form, then have the main process check them
+  // against the tool's schema (ranges, choices, files in the project)
+  const validation = await window.electronAPI.validateToolOptions(toolData.name, gatherOptionValues());
+  if (validation.message) {
+    outputElement.textContent += `\nError checking options: ${validation.message}\n`;
+  }
+  if (!showFieldErrors(validation.errors)) {
+    return;
+  }
+  currentOptionValues = validation.values;
   
   // Display setup information in output area
   outputElement.textContent = `Tool: ${toolData.title || toolData.name}\n\nOptions:\n`;
@@ -140,13 +203,25 @@ setupDialogApply.addEventListener('click', () => {
   // Enable Run button
   runBtn.disabled = false;
   setupCompleted = true;
+  // New options mean a new run, not a continuation of the failed one
+  resumeRunBtn.style.display = 'none';
   
   // Close the dialog
   hideSetupDialog();
 });
 
 // Run button handler
-runBtn.addEventListener('click', async () => {
+runBtn.addEventListener('click', () => startRun());
+
+// Continue from Checkpoint button handler - reruns with the same options,
+// picking up the partial output saved when the previous run failed
+resumeRunBtn.addEventListener('click', () => startRun({ resume: true }));
+
+/**
+ * Start a run of the tool with the current option values
+ * @param {Object} runOptions - { resume } to continue from the last checkpoint
+ */
+async function startRun(runOptions = {}) {
   if (isRunning) {
     outputElement.textContent += '\nTool is already running!';
     return;
@@ -163,8 +238,10 @@ runBtn.addEventListener('click', async () => {
   canClose = false; // Prevent closing the window while tool is running
   startTimer();
   
-  // Update UI - disable ALL buttons except Force Quit
+  // Update UI - disable ALL buttons except Cancel Run and Force Quit
   runBtn.disabled = true;
+  resumeRunBtn.style.display = 'none';
+  cancelRunBtn.disabled = false;
   setupBtn.disabled = true;
   clearBtn.disabled = true;
   closeBtn.disabled = true; // Disable the X close button
@@ -193,9 +270,15 @@ runBtn.addEventListener('click', async () => {
     window.electronAPI.removeAllListeners('tool-output');
     window.electronAPI.removeAllListeners('tool-finished');
     window.electronAPI.removeAllListeners('tool-error');
+    window.electronAPI.removeAllListeners('tool-stream');
+    
+    // Start the live view empty for this run
+    if (liveOutputView) {
+      liveOutputView.clear();
+    }
     
     // Run the tool
-    currentRunId = await window.electronAPI.startToolRun(toolData.name, currentOptionValues);
+    currentRunId = await window.electronAPI.startToolRun(toolData.name, currentOptionValues, runOptions);
     console.log('Tool started with run ID:', currentRunId);
     
     // Listen for output messages
@@ -210,6 +293,13 @@ runBtn.addEventListener('click', async () => {
       }
     });
 
+    // Listen for batched live view deltas
+    window.electronAPI.onToolStream((data) => {
+      if (data.runId === currentRunId && liveOutputView && liveViewToggle.checked) {
+        data.chunks.forEach(chunk => liveOutputView.append(chunk.kind, chunk.text));
+      }
+    });
+
     // Listen for tool completion
     window.electronAPI.onToolFinished((result) => {
       // Only process completion for the current run
@@ -220,6 +310,7 @@ runBtn.addEventListener('click', async () => {
         stopTimer();
         
         // Re-enable buttons
+        cancelRunBtn.disabled = true;
         setupBtn.disabled = false;
         clearBtn.disabled = false;
         closeBtn.disabled = false;
@@ -335,14 +426,28 @@ runBtn.addEventListener('click', async () => {
     window.electronAPI.onToolError((error) => {
       // Only process errors for the current run
       if (error.runId === currentRunId) {
-        console.error('Tool error:', error);
-        outputElement.textContent += `\n\nError: ${error.error}`;
+        if (error.cancelled) {
+          outputElement.textContent += '\n\nRun cancelled. No partial report files were written.';
+        } else {
+          console.error('Tool error:', error);
+          if (!error.shownInOutput) {
+            outputElement.textContent += `\n\nError: ${error.error}`;
+          }
+          if (error.fieldErrors) {
+            outputElement.textContent += '\nClick "Setup" to correct these options.';
+          }
+          if (error.checkpoint) {
+            outputElement.textContent += '\nThe partial output was saved. Click "Continue from Checkpoint" to pick up where it stopped.';
+            resumeRunBtn.style.display = '';
+          }
+        }
         isRunning = false;
         canClose = true; // Allow closing the window again
         stopTimer();
         
         // Re-enable buttons
         runBtn.disabled = false;
+        cancelRunBtn.disabled = true;
         setupBtn.disabled = false;
         clearBtn.disabled = false;
         closeBtn.disabled = false;
@@ -360,11 +465,12 @@ runBtn.addEventListener('click', async () => {
     
     // Re-enable buttons
     runBtn.disabled = false;
+    cancelRunBtn.disabled = true;
     setupBtn.disabled = false;
     clearBtn.disabled = false;
     closeBtn.disabled = false;
   }
-});
+}
 
 // Clear button handler - updated to reset elapsed time and disable Run button
 clearBtn.addEventListener('click', () => {
@@ -402,6 +508,28 @@ clearBtn.addEventListener('click', () => {
   setupCompleted = false;
 });
 
+// Use a previous run's option values as the defaults and make the tool ready to run
+function applyPresetOptions(presetOptions) {
+  currentToolOptions = currentToolOptions.map(option => (
+    presetOptions[option.name] !== undefined
+      ? { ...option, default: presetOptions[option.name] }
+      : option
+  ));
+
+  currentOptionValues = { ...presetOptions };
+
+  outputElement.textContent = `Tool: ${toolData.title || toolData.name}\n\nOptions (from previous run):\n`;
+  for (const [key, value] of Object.entries(currentOptionValues)) {
+    outputElement.textContent += `${key}: ${value}\n`;
+  }
+  outputElement.textContent += '\nReady to run. Click the "Run" button to execute, or "Setup" to change options.';
+
+  window.electronAPI.setToolOptions(currentOptionValues);
+
+  runBtn.disabled = false;
+  setupCompleted = true;
+}
+
 // Show the setup dialog
 function showSetupDialog() {
   setupDialogOverlay.style.display = 'flex';
@@ -732,6 +860,29 @@ function validateOptionsForm() {
   return isValid;
 }
 
+/**
+ * Show per-field errors from option validation next to their fields
+ * Errors for options the form does not show are listed in the output.
+ * @param {Object} errors - Messages by option name
+ * @returns {boolean} - True if there were no errors
+ */
+function showFieldErrors(errors) {
+  const entries = Object.entries(errors || {});
+  currentToolOptions.forEach(option => {
+    const errorElement = document.getElementById(`error-${option.name}`);
+    if (!errorElement) return;
+    const message = errors && errors[option.name];
+    errorElement.textContent = message || '';
+    errorElement.style.display = message ? 'block' : 'none';
+  });
+  entries
+    .filter(([name]) => !document.getElementById(`error-${name}`))
+    .forEach(([name, message]) => {
+      outputElement.textContent += `\n${name}: ${message}`;
+    });
+  return entries.length === 0;
+}
+
 // Gather all option values from the form
 function gatherOptionValues() {
   const values = {};
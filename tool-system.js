@@ -1,10 +1,21 @@
 // tool-system.js
 const fs   = require('fs');
 const path = require('path');
-const { app } = require('electron');
-const ClaudeAPIService = require('./client');
+const { createServiceCache, getProviderForTool } = require('./providers');
 
 const toolRegistry = require('./registry');
+const appState = require('./state.js');
+const spendingLedger = require('./spending-ledger');
+const checkpoints = require('./checkpoints');
+const batchRecords = require('./batch-records');
+const fileCache = require('./file-cache');
+const { formatCost } = require('./pricing');
+const { CHAPTERS_OPTION, parseChapterRange } = require('./chapter-scope');
+const { STRUCTURED_FINDINGS_OPTION } = require('./findings');
+const { CHUNKED_OPTIONS } = require('./chunked-analysis');
+
+// How often a submitted Message Batch is checked for completion
+const BATCH_POLL_INTERVAL_MS = 30000;
 
 // function requireTool(toolName) {
 //   console.log(`Attempting to require tool from: ${toolName}`);
@@ -63,9 +74,18 @@ const ConflictAnalyzer = require('./conflict-analyzer');
 const ForeshadowingTracker = require('./foreshadowing-tracker');
 const PlotThreadTracker = require('./plot-thread-tracker');
 const KdpPublishingPrep = require('./kdp-publishing-prep');
+const PromptTool = require('./prompt-tool');
+const { loadUserTools, getUserToolsDir } = require('./user-tools');
+const { loadPlugins, getPluginsDir } = require('./plugin-loader');
 
 
 // Built‑in tool definitions. No external JSON needed.
+// batchable: the tool's requests do not depend on each other's responses and
+// all its output goes through writeOutputFile, so it can run in a Message Batch.
+// analyzer: the tool reviews manuscript_file and reports on it, so it gets
+// the options every analyzer shares (see below the list).
+// chunkable: the analyzer can also review a long manuscript in parts and
+// merge the reports (see chunked-analysis.js).
 
 const TOOL_DEFS = [
   { id: 'tokens_words_counter', title: `Tokens & Words Counter`, Class: TokensWordsCounter, options: [
@@ -97,7 +117,7 @@ const TOOL_DEFS = [
       "group": "Input Files"
     }
   ]},
-  { id: 'narrative_integrity', title: `Narrative Integrity`, Class: NarrativeIntegrity, options: [
+  { id: 'narrative_integrity', title: `Narrative Integrity`, Class: NarrativeIntegrity, analyzer: true, chunkable: true, batchable: true, options: [
     {
       "name": "manuscript_file",
       "label": "MANUSCRIPT_FILE",
@@ -213,6 +233,9 @@ const TOOL_DEFS = [
       "description": "Number of main characters to generate (default: 5)",
       "required": false,
       "default": 5,
+      "min": 1,
+      "max": 20,
+      "step": 1,
       "group": "Content Configuration"
     },
     {
@@ -222,6 +245,9 @@ const TOOL_DEFS = [
       "description": "Depth of worldbuilding detail (1-5, where 5 is most detailed) (default: 3)",
       "required": false,
       "default": 3,
+      "min": 1,
+      "max": 5,
+      "step": 1,
       "group": "Content Configuration"
     },
     {
@@ -305,6 +331,9 @@ const TOOL_DEFS = [
       "description": "Number of main parts/sections in the outline (default: 5)",
       "required": false,
       "default": 5,
+      "min": 1,
+      "max": 50,
+      "step": 1,
       "group": "Output Configuration"
     },
     {
@@ -314,6 +343,9 @@ const TOOL_DEFS = [
       "description": "Number of chapters in the outline (default: 25)",
       "required": false,
       "default": 25,
+      "min": 1,
+      "max": 200,
+      "step": 1,
       "group": "Output Configuration"
     },
     {
@@ -462,6 +494,9 @@ const TOOL_DEFS = [
       "description": "Delay in seconds between processing multiple chapters (default: 15 seconds)",
       "required": false,
       "default": 15,
+      "min": 0,
+      "max": 600,
+      "step": 1,
       "group": "Input Files"
     },
     {
@@ -510,7 +545,7 @@ const TOOL_DEFS = [
       "group": "Input Files"
     }
   ]},
-  { id: 'character_analyzer', title: `Character Analyzer`, Class: CharacterAnalyzer, options: [
+  { id: 'character_analyzer', title: `Character Analyzer`, Class: CharacterAnalyzer, analyzer: true, chunkable: true, batchable: true, options: [
     {
       "name": "manuscript_file",
       "label": "MANUSCRIPT_FILE",
@@ -557,7 +592,7 @@ const TOOL_DEFS = [
       "group": "Output Configuration"
     }
   ]},
-  { id: 'tense_consistency_checker', title: `Tense Consistency Checker`, Class: TenseConsistencyChecker, options: [
+  { id: 'tense_consistency_checker', title: `Tense Consistency Checker`, Class: TenseConsistencyChecker, analyzer: true, batchable: true, options: [
     {
       "name": "manuscript_file",
       "label": "MANUSCRIPT_FILE",
@@ -604,7 +639,7 @@ const TOOL_DEFS = [
       "group": "Output Configuration"
     }
   ]},
-  { id: 'adjective_adverb_optimizer', title: `Adjective Adverb Optimizer`, Class: AdjectiveAdverbOptimizer, options: [
+  { id: 'adjective_adverb_optimizer', title: `Adjective Adverb Optimizer`, Class: AdjectiveAdverbOptimizer, analyzer: true, batchable: true, options: [
     {
       "name": "manuscript_file",
       "label": "MANUSCRIPT_FILE",
@@ -651,7 +686,7 @@ const TOOL_DEFS = [
       "group": "Analysis Options"
     }
   ]},
-  { id: 'dangling_modifier_checker', title: `Dangling Modifier Checker`, Class: DanglingModifierChecker, options: [
+  { id: 'dangling_modifier_checker', title: `Dangling Modifier Checker`, Class: DanglingModifierChecker, analyzer: true, batchable: true, options: [
     {
       "name": "manuscript_file",
       "label": "Select Manuscript file",
@@ -752,7 +787,7 @@ const TOOL_DEFS = [
       "group": "Output Configuration"
     }
   ]},
-  { id: 'rhythm_analyzer', title: `Rhythm Analyzer`, Class: RhythmAnalyzer, options: [
+  { id: 'rhythm_analyzer', title: `Rhythm Analyzer`, Class: RhythmAnalyzer, analyzer: true, batchable: true, options: [
     {
       "name": "manuscript_file",
       "label": "MANUSCRIPT_FILE",
@@ -808,7 +843,7 @@ const TOOL_DEFS = [
       "group": "Analysis Options"
     }
   ]},
-  { id: 'crowding_leaping_evaluator', title: `Crowding Leaping Evaluator`, Class: CrowdingLeapingEvaluator, options: [
+  { id: 'crowding_leaping_evaluator', title: `Crowding Leaping Evaluator`, Class: CrowdingLeapingEvaluator, analyzer: true, batchable: true, options: [
     {
       "name": "manuscript_file",
       "label": "MANUSCRIPT_FILE",
@@ -873,7 +908,7 @@ const TOOL_DEFS = [
       "group": "Analysis Options"
     }
   ]},
-  { id: 'punctuation_auditor', title: `Punctuation Auditor`, Class: PunctuationAuditor, options: [
+  { id: 'punctuation_auditor', title: `Punctuation Auditor`, Class: PunctuationAuditor, analyzer: true, batchable: true, options: [
     {
       "name": "manuscript_file",
       "label": "MANUSCRIPT_FILE",
@@ -929,7 +964,7 @@ const TOOL_DEFS = [
       "group": "Analysis Options"
     }
   ]},
-  { id: 'conflict_analyzer', title: `Conflict Analyzer`, Class: ConflictAnalyzer, options: [
+  { id: 'conflict_analyzer', title: `Conflict Analyzer`, Class: ConflictAnalyzer, analyzer: true, batchable: true, options: [
     {
       "name": "manuscript_file",
       "label": "MANUSCRIPT_FILE",
@@ -985,7 +1020,7 @@ const TOOL_DEFS = [
       "group": "Analysis Options"
     }
   ]},
-  { id: 'foreshadowing_tracker', title: `Foreshadowing Tracker`, Class: ForeshadowingTracker, options: [
+  { id: 'foreshadowing_tracker', title: `Foreshadowing Tracker`, Class: ForeshadowingTracker, analyzer: true, batchable: true, options: [
     {
       "name": "manuscript_file",
       "label": "MANUSCRIPT_FILE",
@@ -1041,7 +1076,7 @@ const TOOL_DEFS = [
       "group": "Output Configuration"
     }
   ]},
-  { id: 'plot_thread_tracker', title: `Plot Thread Tracker`, Class: PlotThreadTracker, options: [
+  { id: 'plot_thread_tracker', title: `Plot Thread Tracker`, Class: PlotThreadTracker, analyzer: true, chunkable: true, batchable: true, options: [
     {
       "name": "manuscript_file",
       "label": "MANUSCRIPT_FILE",
@@ -1170,6 +1205,30 @@ const TOOL_DEFS = [
   ]}
 ];
 
+/**
+ * Insert copies of shared options into a def after the named option,
+ * or at the end if the def has no such option
+ * @param {Object} def - Entry of TOOL_DEFS
+ * @param {string} name - Option to insert after
+ * @param {Object[]} options - Options to insert
+ */
+function insertOptionsAfter(def, name, options) {
+  const index = def.options.findIndex(option => option.name === name);
+  def.options.splice(index === -1 ? def.options.length : index + 1, 0, ...options.map(option => ({ ...option })));
+}
+
+// Every analyzer can be narrowed to some of the manuscript's chapters and
+// can save its findings as JSON
+TOOL_DEFS.filter(def => def.analyzer).forEach(def => {
+  insertOptionsAfter(def, 'manuscript_file', [CHAPTERS_OPTION]);
+  insertOptionsAfter(def, 'skip_thinking', [STRUCTURED_FINDINGS_OPTION]);
+});
+
+// Chunkable analyzers take their chunking options after structured_findings
+TOOL_DEFS.filter(def => def.chunkable).forEach(def => {
+  insertOptionsAfter(def, 'structured_findings', CHUNKED_OPTIONS);
+});
+
 module.exports = TOOL_DEFS;
 
 
@@ -1193,6 +1252,9 @@ function getAbsoluteToolPath(toolName) {
 
 function getToolPath(toolName) {
   try {
+    // Loaded lazily so the tool system can also run outside Electron
+    const { app } = require('electron');
+    
     // Get the app path
     const appPath = app.getAppPath();
     console.log(`App path: ${appPath}`);
@@ -1555,30 +1617,345 @@ function getToolPath(toolName) {
 async function initializeToolSystem(settings) {
   console.log('Initializing tool system (no external DB)…');
   // const ClaudeAPIService = require('./client');
-  const claudeService = new ClaudeAPIService(settings);
+  // Each tool gets the service for its provider (see API Settings)
+  const serviceFor = createServiceCache(settings);
+  const claudeService = serviceFor(getProviderForTool(settings, null));
 
   TOOL_DEFS.forEach(def => {
-    const instance = new def.Class(claudeService, {
+    const instance = new def.Class(serviceFor(getProviderForTool(settings, def.id)), {
       title: def.title,
       description: def.title,
       options: def.options,
+      batchable: !!def.batchable,
       ...settings
     });
     toolRegistry.registerTool(def.id, instance);
   });
 
   console.log('Registered', toolRegistry.getAllToolIds().length, 'built‑in tools');
-  return { claudeService, toolRegistry };
+
+  // Tools defined in JSON or YAML files rather than code
+  const userTools = loadUserTools();
+  const userToolErrors = [...userTools.errors];
+  let userToolCount = 0;
+  userTools.tools.forEach(def => {
+    if (TOOL_DEFS.some(builtIn => builtIn.id === def.id)) {
+      const message = `${def.id}: a built-in tool already uses this id`;
+      console.error(`User tool skipped - ${message}`);
+      userToolErrors.push(message);
+      return;
+    }
+    const instance = new PromptTool(serviceFor(getProviderForTool(settings, def.id)), {
+      id: def.id,
+      title: def.title,
+      description: def.description,
+      options: def.options,
+      batchable: def.batchable,
+      userDefined: true,
+      definition: def.definition,
+      ...settings
+    });
+    toolRegistry.registerTool(def.id, instance);
+    userToolCount += 1;
+  });
+  if (userToolCount > 0) {
+    console.log(`Registered ${userToolCount} user tools from ${getUserToolsDir()}`);
+  }
+
+  // Code plugins; a broken one is reported and skipped
+  const plugins = loadPlugins();
+  const pluginErrors = [...plugins.errors];
+  let pluginCount = 0;
+  plugins.plugins.forEach(({ manifest, Class, pluginDir }) => {
+    try {
+      if (toolRegistry.tools.has(manifest.id)) {
+        throw new Error(`another tool already uses the id ${manifest.id}`);
+      }
+      const instance = new Class(serviceFor(getProviderForTool(settings, manifest.id)), {
+        title: manifest.title,
+        description: manifest.description,
+        options: manifest.options,
+        batchable: !!manifest.batchable,
+        plugin: true,
+        manifest,
+        pluginDir,
+        ...settings
+      });
+      toolRegistry.registerTool(manifest.id, instance);
+      pluginCount += 1;
+    } catch (error) {
+      const message = `${path.basename(pluginDir)}: ${error.message}`;
+      console.error(`Plugin skipped - ${message}`);
+      pluginErrors.push(message);
+    }
+  });
+  if (pluginCount > 0) {
+    console.log(`Registered ${pluginCount} plugins from ${getPluginsDir()}`);
+  }
+
+  return { claudeService, toolRegistry, userToolErrors, pluginErrors };
+}
+
+/**
+ * Describe every tool and its options without creating any AI services
+ * Lists what initializeToolSystem would register, in the same order, so
+ * help text can be shown before API settings or keys are available.
+ * @returns {Object[]} - [{ id, title, description, options, source }] where
+ *                       source is 'built-in', 'user' or 'plugin'
+ */
+function listToolSchemas() {
+  const schemas = TOOL_DEFS.map(def => ({
+    id: def.id,
+    title: def.title,
+    description: def.title,
+    options: def.options,
+    source: 'built-in'
+  }));
+  const taken = new Set(schemas.map(schema => schema.id));
+
+  for (const def of loadUserTools().tools) {
+    if (taken.has(def.id)) continue;
+    taken.add(def.id);
+    schemas.push({ id: def.id, title: def.title, description: def.description, options: def.options, source: 'user' });
+  }
+  for (const { manifest } of loadPlugins().plugins) {
+    if (taken.has(manifest.id)) continue;
+    taken.add(manifest.id);
+    schemas.push({ id: manifest.id, title: manifest.title, description: manifest.description, options: manifest.options, source: 'plugin' });
+  }
+  return schemas;
 }
 
 
+/**
+ * Check option values against a tool's option schema
+ * Values come from the setup form, the run history or another program, so
+ * nothing about them is trusted: numbers and booleans are coerced from text,
+ * select values must be one of the choices, and file and directory options
+ * must exist inside the current project. Relative paths are resolved against
+ * save_dir as the tools resolve them, and come back absolute. save_dir is in
+ * no schema, but every tool writes its reports there, so it is checked as a
+ * folder inside the project too, and defaults to the project. Other options
+ * the schema does not mention are passed through; missing ones are left for
+ * the tool to default.
+ * Schema keys checked besides type and required:
+ *   number     - min, max, step (values must be min plus a multiple of step)
+ *   text       - pattern (a regular expression the whole value must match),
+ *                chapter_range (the value must parse as a chapter range)
+ *   select     - choices
+ * @param {string} toolId - Tool ID
+ * @param {Object} values - Option values by name
+ * @param {Object} [params]
+ * @param {string} [params.projectPath] - Project the run belongs to, defaults to the current one
+ * @returns {Object} - { valid, values: coerced values, errors: { [option name]: message } }
+ */
+function validateToolOptions(toolId, values, params = {}) {
+  const tool = toolRegistry.getTool(toolId);
+  if (!tool) {
+    throw new Error(`Tool not found: ${toolId}`);
+  }
+
+  const projectPath = params.projectPath !== undefined ? params.projectPath : appState.CURRENT_PROJECT_PATH;
+  const schema = tool.config.options || [];
+  const coerced = { ...(values || {}) };
+  const errors = {};
+
+  // Paths resolve against save_dir, so check it first
+  const saveDir = coerced.save_dir;
+  if (saveDir !== undefined && saveDir !== null && String(saveDir).trim()) {
+    try {
+      coerced.save_dir = checkOptionPath({ type: 'directory' }, String(saveDir), { projectPath, baseDir: projectPath });
+    } catch (error) {
+      errors.save_dir = error.message;
+    }
+  } else if (projectPath) {
+    coerced.save_dir = projectPath;
+  }
+
+  for (const option of schema) {
+    const value = coerced[option.name];
+    const isEmpty = value === undefined || value === null ||
+                    (typeof value === 'string' && !value.trim());
+    if (isEmpty) {
+      if (option.required) {
+        errors[option.name] = 'This field is required';
+      }
+      continue;
+    }
+
+    try {
+      coerced[option.name] = coerceOptionValue(option, value, {
+        projectPath,
+        baseDir: errors.save_dir ? projectPath : (coerced.save_dir || projectPath)
+      });
+    } catch (error) {
+      errors[option.name] = error.message;
+    }
+  }
+
+  return { valid: Object.keys(errors).length === 0, values: coerced, errors };
+}
+
+/**
+ * Coerce and check one option value
+ * @param {Object} option - Option schema entry
+ * @param {*} value - Non-empty value
+ * @param {Object} context - { projectPath, baseDir } for resolving paths
+ * @returns {*} - Coerced value
+ * @throws {Error} - With a message for the field if the value is invalid
+ */
+function coerceOptionValue(option, value, context) {
+  switch (option.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isFinite(number)) {
+        throw new Error('Must be a number');
+      }
+      if (option.min !== undefined && number < option.min) {
+        throw new Error(`Must be at least ${option.min}`);
+      }
+      if (option.max !== undefined && number > option.max) {
+        throw new Error(`Must be at most ${option.max}`);
+      }
+      if (option.step !== undefined && option.step > 0) {
+        const steps = (number - (option.min || 0)) / option.step;
+        if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+          throw new Error(option.step === 1 ? 'Must be a whole number' : `Must be in steps of ${option.step}`);
+        }
+      }
+      return number;
+    }
+
+    case 'boolean':
+      if (value === true || value === 'true' || value === 1 || value === '1') return true;
+      if (value === false || value === 'false' || value === 0 || value === '0') return false;
+      throw new Error('Must be true or false');
+
+    case 'select': {
+      const choices = (option.choices || []).map(choice =>
+        choice !== null && typeof choice === 'object' ? choice.value : choice);
+      const match = choices.find(choice => String(choice) === String(value));
+      if (match === undefined) {
+        throw new Error(`Must be one of: ${choices.join(', ')}`);
+      }
+      return match;
+    }
+
+    case 'file':
+    case 'directory':
+      return checkOptionPath(option, String(value), context);
+
+    default: {
+      const text = String(value);
+      if (option.pattern && !new RegExp(`^(?:${option.pattern})$`).test(text)) {
+        throw new Error(option.pattern_message || `Does not match the expected format: ${option.pattern}`);
+      }
+      if (option.chapter_range) {
+        parseChapterRange(text);
+      }
+      return text;
+    }
+  }
+}
+
+/**
+ * Check that a file or directory option names an existing path in the project
+ * @param {Object} option - Option schema entry
+ * @param {string} value - Path, absolute or relative to baseDir
+ * @param {Object} context - { projectPath, baseDir }
+ * @returns {string} - Absolute path
+ * @throws {Error} - With a message for the field if the path is unusable
+ */
+function checkOptionPath(option, value, context) {
+  const { projectPath, baseDir } = context;
+  if (!path.isAbsolute(value) && !baseDir) {
+    throw new Error('Select a project first, or give a full path');
+  }
+  const resolved = path.resolve(baseDir || '', value);
+
+  if (projectPath) {
+    const relative = path.relative(path.resolve(projectPath), resolved);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Must be inside the current project (${projectPath})`);
+    }
+  }
+
+  let stats;
+  try {
+    stats = fs.statSync(resolved);
+  } catch (error) {
+    throw new Error(`${option.type === 'file' ? 'File' : 'Folder'} not found: ${resolved}`);
+  }
+  if (option.type === 'file' && !stats.isFile()) {
+    throw new Error(`Not a file: ${resolved}`);
+  }
+  if (option.type === 'directory' && !stats.isDirectory()) {
+    throw new Error(`Not a folder: ${resolved}`);
+  }
+  return resolved;
+}
+
+/**
+ * Validate options, throwing if any are invalid
+ * @param {string} toolId - Tool ID
+ * @param {Object} values - Option values by name
+ * @param {string} projectPath - Project the run belongs to
+ * @returns {Object} - Coerced values
+ * @throws {Error} - With validationErrors { [option name]: message } if any are invalid
+ */
+function requireValidToolOptions(toolId, values, projectPath) {
+  const validation = validateToolOptions(toolId, values, { projectPath });
+  if (!validation.valid) {
+    const details = Object.entries(validation.errors)
+      .map(([name, message]) => `${name}: ${message}`)
+      .join('; ');
+    const error = new Error(`Invalid options for ${toolId} - ${details}`);
+    error.validationErrors = validation.errors;
+    throw error;
+  }
+  return validation.values;
+}
+
+// Tools in use right now, by a run or by a batch being prepared or collected.
+// A tool instance holds the state of its run, so each tool does one at a time.
+const busyTools = new Set();
+
+/**
+ * Mark tools as in use, refusing if any of them already is
+ * @param {string[]} toolIds - Tool IDs
+ * @throws {Error} - If one of the tools is already in use
+ */
+function claimTools(toolIds) {
+  const ids = [...new Set(toolIds)];
+  const busy = ids.find(toolId => busyTools.has(toolId));
+  if (busy) {
+    const tool = toolRegistry.getTool(busy);
+    throw new Error(`${(tool && tool.config.title) || busy} is already running`);
+  }
+  ids.forEach(toolId => busyTools.add(toolId));
+}
+
+/**
+ * Mark tools as free again
+ * @param {string[]} toolIds - Tool IDs passed to claimTools
+ */
+function releaseTools(toolIds) {
+  toolIds.forEach(toolId => busyTools.delete(toolId));
+}
+
 /**
  * Execute a tool by ID
  * @param {string} toolId - Tool ID
  * @param {Object} options - Tool options
+ * @param {string} [runId] - Run ID assigned by the caller
+ * @param {AbortSignal} [signal] - Signal that cancels the run when aborted
+ * @param {Object} [runOptions] - { resume: true } continues from the checkpoints
+ *                                a failed run of this tool left behind
  * @returns {Promise<Object>} - Tool execution result
+ * @throws {Error} - If the run fails; shownInOutput is set if the tool already
+ *                   wrote the error to its output, so callers need not repeat it
  */
-async function executeToolById(toolId, options) {
+async function executeToolById(toolId, options, runId, signal, runOptions = {}) {
   console.log(`Executing tool: ${toolId} with options:`, options);
   
   // Get the tool implementation
@@ -1589,31 +1966,436 @@ async function executeToolById(toolId, options) {
     throw new Error(`Tool not found: ${toolId}`);
   }
   
+  // Refuse the run outright if its options are invalid or a spending cap is used up
+  const projectPath = appState.CURRENT_PROJECT_PATH;
+  options = requireValidToolOptions(toolId, options, projectPath);
+  const budget = await getRemainingBudget(tool, projectPath);
+  
+  // Hand the run's abort signal to the tool for the duration of the run
+  tool.abortSignal = signal || null;
+  tool.lastRequest = null;
+  tool.runUsage = null;
+  tool.spendingLimit = budget.remaining === Infinity ? null : budget.remaining;
+  
+  // Streamed output is checkpointed in the project; a fresh run starts clean
+  const resume = !!runOptions.resume;
+  tool.checkpointContext = projectPath ? { projectPath, toolId, resume } : null;
+  if (projectPath && !resume) {
+    await checkpoints.clearTool(projectPath, toolId);
+  }
+  
+  // Tools write an error to their output before rethrowing it
+  const emitOutput = tool.emitOutput;
+  let lastOutput = '';
+  tool.emitOutput = (text) => {
+    lastOutput = text;
+    emitOutput.call(tool, text);
+  };
+  
   try {
     // Execute the tool
-    console.log(`Starting execution of tool: ${toolId}`);
+    console.log(`Starting execution of tool: ${toolId}${runId ? ` (run ${runId})` : ''}${resume ? ' from checkpoint' : ''}`);
     const result = await tool.execute(options);
     console.log(`Tool execution complete: ${toolId}`);
+    if (projectPath) {
+      await checkpoints.clearTool(projectPath, toolId);
+    }
     return result;
   } catch (error) {
     console.error(`Error executing tool ${toolId}:`, error);
+    if (error && error.message && lastOutput.includes(error.message)) {
+      error.shownInOutput = true;
+    }
     throw error;
+  } finally {
+    tool.emitOutput = emitOutput;
+    tool.abortSignal = null;
+    tool.spendingLimit = null;
+    tool.checkpointContext = null;
+    await recordSpending(tool, toolId, runId, projectPath);
   }
 }
 
 /**
- * Reinitialize the Claude API service with updated settings
- * @param {Object} settings - Claude API settings
- * @returns {Object} - New Claude API service instance
+ * Work out what a tool may still spend, refusing if a spending cap is used up
+ * @param {BaseTool} tool - Tool about to run
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<Object>} - Remaining budget (see spendingLedger.getRemainingBudget)
+ * @throws {Error} - If nothing remains under a cap
+ */
+async function getRemainingBudget(tool, projectPath) {
+  const budget = tool.claudeService && tool.claudeService.billable
+    ? await spendingLedger.getRemainingBudget({
+        projectPath,
+        projectsDir: appState.PROJECTS_DIR,
+        projectCap: Number(tool.config.budget_project_usd) || 0,
+        monthlyCap: Number(tool.config.budget_monthly_usd) || 0
+      })
+    : { remaining: Infinity };
+  if (budget.remaining <= 0) {
+    const spent = budget.limitedBy === 'monthly' ? budget.monthTotal : budget.projectTotal;
+    const error = new Error(
+      `Spending cap reached: ${formatCost(spent)} spent against the ${budget.limitedBy} cap. ` +
+      `Raise the cap in API Settings to run more tools.`
+    );
+    error.budgetExceeded = true;
+    throw error;
+  }
+  return budget;
+}
+
+/**
+ * Add the cost of a finished run to the project's spending ledger
+ * Failed and cancelled runs are recorded too, since their requests were billed;
+ * the request that failed counts with its output estimated (see BaseTool.streamWithThinking).
+ * @param {BaseTool} tool - Tool that ran
+ * @param {string} toolId - Tool ID
+ * @param {string} [runId] - Run ID
+ * @param {string} projectPath - Project directory
+ */
+async function recordSpending(tool, toolId, runId, projectPath) {
+  const usage = tool.runUsage;
+  if (!projectPath || !usage || !usage.cost) {
+    return;
+  }
+
+  try {
+    await spendingLedger.addEntry(projectPath, {
+      runId: runId || null,
+      toolId,
+      model: tool.lastRequest ? tool.lastRequest.model : tool.config.model_name,
+      requests: usage.requests,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      cacheReadTokens: usage.cacheReadTokens,
+      cacheWriteTokens: usage.cacheWriteTokens,
+      cost: usage.cost
+    });
+  } catch (error) {
+    // A ledger write failure must never turn a good run into a failed one
+    console.error('Error recording spending:', error);
+  }
+}
+
+/**
+ * Option values for a tool from its defaults, saving into the current project
+ * Tools resolve relative file names against save_dir. File and directory
+ * defaults in TOOL_DEFS are paths on the machine they were written on, so
+ * only their last part is kept, inside the current project.
+ * @param {string} toolId - Tool ID
+ * @returns {Object} - Option values
+ */
+function getDefaultToolOptions(toolId) {
+  const tool = toolRegistry.getTool(toolId);
+  if (!tool) {
+    throw new Error(`Tool not found: ${toolId}`);
+  }
+
+  const values = {};
+  for (const option of tool.config.options || []) {
+    if (option.default === undefined || option.default === null) {
+      continue;
+    }
+    const isPath = (option.type === 'file' || option.type === 'directory') && option.default !== '';
+    values[option.name] = isPath && appState.CURRENT_PROJECT_PATH
+      ? path.join(appState.CURRENT_PROJECT_PATH, path.basename(option.default))
+      : option.default;
+  }
+  values.save_dir = appState.CURRENT_PROJECT_PATH;
+  return values;
+}
+
+/**
+ * Run tools as one Message Batch: submit, wait for it to end, then collect
+ * Batches are billed at half price but may take up to a day. If the wait is
+ * cancelled, the batch keeps running and can be collected later with
+ * collectToolBatch.
+ * @param {Object[]} runs - [{ toolId, options }]
+ * @param {Object} [params]
+ * @param {AbortSignal} [params.signal] - Stops waiting (not the batch) when aborted
+ * @param {Function} [params.onProgress] - Called with the batch record and its status on every poll
+ * @param {Function} [params.onOutput] - Called with (toolId, text) for each tool's output
+ * @param {Function} [params.onRunFinished] - Called with each tool's outcome as it is delivered
+ * @param {number} [params.pollIntervalMs] - Time between status checks
+ * @returns {Promise<Object[]>} - Outcome of each run (see collectToolBatch)
+ */
+async function executeToolsAsBatch(runs, params = {}) {
+  const record = await submitToolBatch(runs, params);
+  await waitForToolBatch(record.id, params);
+  return collectToolBatch(record.id, params);
+}
+
+/**
+ * Build every request the runs would make and submit them as one Message Batch
+ * Each tool's execute() runs once with streaming and file writes switched
+ * off, which records the requests its create*Prompt methods produce. None
+ * of the tools may be running meanwhile (see claimTools).
+ * @param {Object[]} runs - [{ toolId, options }]
+ * @param {Object} [params]
+ * @param {Function} [params.onOutput] - Called with (toolId, text) for progress messages
+ * @returns {Promise<Object>} - The batch record saved in the project's .wt/batches
+ */
+async function submitToolBatch(runs, params = {}) {
+  const onOutput = params.onOutput || (() => {});
+  const projectPath = appState.CURRENT_PROJECT_PATH;
+  if (!projectPath) {
+    throw new Error('Select a project before submitting a batch.');
+  }
+  if (!runs || runs.length === 0) {
+    throw new Error('A batch needs at least one tool run.');
+  }
+
+  let service = null;
+  const collected = [];
+  const toolIds = runs.map(run => run.toolId);
+  claimTools(toolIds);
+  try {
+    for (const run of runs) {
+      const tool = toolRegistry.getTool(run.toolId);
+      if (!tool) {
+        throw new Error(`Tool not found: ${run.toolId}`);
+      }
+      if (!tool.config.batchable) {
+        throw new Error(`${tool.config.title || run.toolId} cannot run in a batch.`);
+      }
+      if (!tool.claudeService.supportsBatches()) {
+        throw new Error(`The provider for ${tool.config.title || run.toolId} does not support Message Batches.`);
+      }
+      if (service && tool.claudeService !== service) {
+        throw new Error('All tools in a batch must use the same provider.');
+      }
+      service = tool.claudeService;
+      const options = requireValidToolOptions(run.toolId, run.options, projectPath);
+
+      onOutput(run.toolId, `Preparing requests for ${tool.config.title || run.toolId}...\n`);
+      const batchContext = { phase: 'collect', requests: [], tokenCounts: {} };
+      const emitOutput = tool.emitOutput;
+      tool.batchContext = batchContext;
+      tool.emitOutput = () => {};
+      try {
+        await tool.execute(options);
+      } finally {
+        tool.batchContext = null;
+        tool.emitOutput = emitOutput;
+        fileCache.clear(run.toolId);
+      }
+      collected.push({ run: { ...run, options }, tool, batchContext });
+    }
+  } finally {
+    releaseTools(toolIds);
+  }
+
+  // Estimate the whole batch at batch rates before anything is billed
+  let estimate = 0;
+  let requestCount = 0;
+  for (const { tool, batchContext } of collected) {
+    for (const request of batchContext.requests) {
+      const { cost } = tool.estimateRequestCost(request.prompt, tool.describeRequest(request.options), { batch: true });
+      estimate += cost ? cost.total : 0;
+      requestCount += 1;
+    }
+  }
+  if (requestCount === 0) {
+    throw new Error('The selected tools made no requests to batch.');
+  }
+  const budget = await getRemainingBudget(collected[0].tool, projectPath);
+  if (estimate > budget.remaining) {
+    const error = new Error(
+      `Spending cap reached: this batch could cost up to ${formatCost(estimate)} ` +
+      `but only ${formatCost(budget.remaining)} remains under the cap set in API Settings.`
+    );
+    error.budgetExceeded = true;
+    throw error;
+  }
+
+  const requests = [];
+  const recordRuns = collected.map(({ run, batchContext }, runIndex) => ({
+    toolId: run.toolId,
+    options: run.options,
+    tokenCounts: batchContext.tokenCounts,
+    requests: batchContext.requests.map((request, i) => {
+      const customId = `${run.toolId}-${runIndex}-${i}`;
+      requests.push({ customId, prompt: request.prompt, options: request.options });
+      return { customId, key: request.key };
+    })
+  }));
+
+  const batchId = await service.submitBatch(requests);
+  const record = {
+    id: batchId,
+    submittedAt: new Date().toISOString(),
+    estimatedCost: estimate,
+    runs: recordRuns
+  };
+  await batchRecords.save(projectPath, record);
+  onOutput(null, `Submitted batch ${batchId}: ${requestCount} requests, estimated cost up to ${formatCost(estimate)} at batch rates.\n`);
+  return record;
+}
+
+/**
+ * Get the batch service for a batch record
+ * @param {Object} record - Batch record
+ * @returns {Object} - AI service of the batch's first tool
+ */
+function getBatchService(record) {
+  const tool = toolRegistry.getTool(record.runs[0].toolId);
+  if (!tool) {
+    throw new Error(`Tool not found: ${record.runs[0].toolId}`);
+  }
+  return tool.claudeService;
+}
+
+/**
+ * Load a batch record of the current project
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<Object>} - Batch record
+ */
+async function loadBatchRecord(batchId) {
+  const projectPath = appState.CURRENT_PROJECT_PATH;
+  const record = projectPath ? await batchRecords.load(projectPath, batchId) : null;
+  if (!record) {
+    throw new Error(`No pending batch ${batchId} in the current project.`);
+  }
+  return record;
+}
+
+/**
+ * Poll a submitted batch until it ends
+ * @param {string} batchId - Batch ID
+ * @param {Object} [params]
+ * @param {AbortSignal} [params.signal] - Stops waiting (not the batch) when aborted
+ * @param {Function} [params.onProgress] - Called with (record, status) on every poll
+ * @param {number} [params.pollIntervalMs] - Time between status checks
+ * @returns {Promise<Object>} - Final status { id, status, counts }
+ */
+async function waitForToolBatch(batchId, params = {}) {
+  const record = await loadBatchRecord(batchId);
+  const service = getBatchService(record);
+  const pollIntervalMs = params.pollIntervalMs || BATCH_POLL_INTERVAL_MS;
+
+  for (;;) {
+    const status = await service.getBatch(batchId);
+    if (params.onProgress) params.onProgress(record, status);
+    if (status.status === 'ended') {
+      return status;
+    }
+
+    await new Promise(resolve => {
+      const signal = params.signal;
+      const done = () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', done);
+        resolve();
+      };
+      const timer = setTimeout(done, pollIntervalMs);
+      if (signal) signal.addEventListener('abort', done);
+    });
+    if (params.signal && params.signal.aborted) {
+      const error = new Error(`Stopped waiting for batch ${batchId}; it is still running and can be collected later.`);
+      error.cancelled = true;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Collect the results of an ended batch and save each tool's reports
+ * Each tool's execute() runs again with the batch results standing in for
+ * the API, so reports go through the tool's own saveReport. Spending is
+ * recorded at batch rates. None of the tools may be running meanwhile.
+ * @param {string} batchId - Batch ID
+ * @param {Object} [params]
+ * @param {Function} [params.onOutput] - Called with (toolId, text) for each tool's output
+ * @param {Function} [params.onRunFinished] - Called with each outcome before the next tool runs
+ * @returns {Promise<Object[]>} - [{ toolId, options, success, error, result, outputFiles }]
+ */
+async function collectToolBatch(batchId, params = {}) {
+  const onOutput = params.onOutput || (() => {});
+  const projectPath = appState.CURRENT_PROJECT_PATH;
+  const record = await loadBatchRecord(batchId);
+  const service = getBatchService(record);
+
+  const status = await service.getBatch(batchId);
+  if (status.status !== 'ended') {
+    throw new Error(`Batch ${batchId} is still ${status.status.replace(/_/g, ' ')}.`);
+  }
+  const results = await service.getBatchResults(batchId);
+
+  const outcomes = [];
+  const toolIds = record.runs.map(run => run.toolId);
+  claimTools(toolIds);
+  try {
+    for (const [runIndex, run] of record.runs.entries()) {
+      const tool = toolRegistry.getTool(run.toolId);
+      const outcome = { toolId: run.toolId, options: run.options, success: false, error: null, result: null, outputFiles: [] };
+      if (!tool) {
+        outcome.error = `Tool not found: ${run.toolId}`;
+        outcomes.push(outcome);
+        continue;
+      }
+
+      const emitOutput = tool.emitOutput;
+      tool.emitOutput = (text) => onOutput(run.toolId, text);
+      tool.lastRequest = null;
+      tool.runUsage = null;
+      tool.batchContext = {
+        phase: 'deliver',
+        tokenCounts: run.tokenCounts || {},
+        results: run.requests.map(request => ({
+          key: request.key,
+          ...(results.get(request.customId) || { error: 'no result returned' })
+        }))
+      };
+      try {
+        fileCache.clear(run.toolId);
+        outcome.result = await tool.execute(run.options);
+        outcome.success = true;
+        outcome.outputFiles = [...new Set([
+          ...(outcome.result.outputFiles || []),
+          ...fileCache.getFiles(run.toolId).map(file => file.path)
+        ])];
+      } catch (error) {
+        console.error(`Error delivering batch results to ${run.toolId}:`, error);
+        outcome.error = error.message;
+        onOutput(run.toolId, `\nError: ${error.message}\n`);
+      } finally {
+        await recordSpending(tool, run.toolId, `${batchId}-${runIndex}`, projectPath);
+        tool.batchContext = null;
+        tool.emitOutput = emitOutput;
+      }
+      outcomes.push(outcome);
+      if (params.onRunFinished) await params.onRunFinished(outcome, tool);
+    }
+  } finally {
+    releaseTools(toolIds);
+  }
+
+  await batchRecords.remove(projectPath, batchId);
+  return outcomes;
+}
+
+/**
+ * List the current project's batches whose results have not been collected
+ * @returns {Promise<Object[]>} - Batch records
+ */
+async function listPendingBatches() {
+  return batchRecords.list(appState.CURRENT_PROJECT_PATH);
+}
+
+/**
+ * Reinitialize the AI services with updated settings
+ * @param {Object} settings - API settings
+ * @returns {Object} - New service instance for the default provider
  */
 function reinitializeClaudeService(settings) {
-  // Create a new Claude service with the updated settings
-  const claudeService = new ClaudeAPIService(settings);
+  // Create new services with the updated settings
+  const serviceFor = createServiceCache(settings);
+  const claudeService = serviceFor(getProviderForTool(settings, null));
   
   // Update the service in all registered tools
   for (const toolId of toolRegistry.getAllToolIds()) {
     const tool = toolRegistry.getTool(toolId);
-    tool.claudeService = claudeService;
+    tool.claudeService = serviceFor(getProviderForTool(settings, toolId));
   }
   
   return claudeService;
@@ -1621,7 +2403,17 @@ function reinitializeClaudeService(settings) {
 
 module.exports = {
   initializeToolSystem,
+  listToolSchemas,
   executeToolById,
+  executeToolsAsBatch,
+  submitToolBatch,
+  waitForToolBatch,
+  collectToolBatch,
+  listPendingBatches,
+  getDefaultToolOptions,
+  validateToolOptions,
+  claimTools,
+  releaseTools,
   reinitializeClaudeService, // Add the missing export here
   toolRegistry
 };
\ No newline at end of file
@@ -298,7 +298,7 @@ class GenericToolTemplate extends BaseTool {
   async callClaudeAPI(prompt, options) {
     // Count tokens in the prompt
     this.emitOutput(`Counting tokens in prompt...\n`);
-    const promptTokens = await this.claudeService.countTokens(prompt);
+    const promptTokens = await this.countTokens(prompt);
     
     // Calculate token budget
     const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -323,7 +323,7 @@ class GenericToolTemplate extends BaseTool {
     const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
     
     try {
-      await this.claudeService.streamWithThinking(
+      await this.streamWithThinking(
         prompt,
         {
           system: systemPrompt,
@@ -359,8 +359,8 @@ class GenericToolTemplate extends BaseTool {
     this.emitOutput(`Response has approximately ${wordCount} words.\n`);
     
     // Count tokens in response
-    const responseTokens = await this.claudeService.countTokens(fullResponse);
-    this.emitOutput(`Response token count: ${responseTokens}\n`);
+    const responseTokens = await this.responseTokenCount(fullResponse);
+    this.emitOutput(`Response token count: ${responseTokens} (${this.tokenCountLabel()})\n`);
     
     // Remove any markdown formatting
     fullResponse = this.removeMarkdown(fullResponse);
@@ -386,7 +386,7 @@ class GenericToolTemplate extends BaseTool {
   logTokenStats(tokenBudgets) {
     this.emitOutput(`\nToken stats:\n`);
     this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
-    this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] tokens\n`);
+    this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] (${this.tokenCountLabel()}) tokens\n`);
     this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}] tokens\n`);
     this.emitOutput(`Desired output tokens: [${tokenBudgets.desiredOutputTokens}] tokens\n`);
     this.emitOutput(`AI model thinking budget: [${tokenBudgets.thinkingBudget}] tokens\n`);
@@ -0,0 +1,252 @@
+// user-tools.js
+//
+// Tools defined in JSON or YAML files in ~/writing/.tools instead of code.
+// Options use the same shape as TOOL_DEFS in tool-system.js; each entry of
+// inputs names the file option whose contents fill a {{placeholder}}, and
+// option values fill placeholders of the same name. For example:
+//
+//   id: house_style_check
+//   title: House Style Check
+//   inputs: { manuscript: manuscript_file }
+//   options:
+//     - { name: style_notes, label: STYLE_NOTES, type: text, default: "", group: Analysis Options }
+//   system: Plain text only, no Markdown.
+//   prompt: |
+//     === MANUSCRIPT ===
+//     {{manuscript}}
+//     === END MANUSCRIPT ===
+//     Check the manuscript above against our house style. {{style_notes}}
+//   output: house_style_{{timestamp}}.txt
+//
+// Optional keys: description, batchable (default true), remove_markdown (default true).
+// Options are checked before each run as built-in ones are: number options
+// may set min, max and step, text options a pattern, select options choices.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Shared by all projects, next to the projects themselves (see appState.PROJECTS_DIR)
+const DEFAULT_TOOLS_DIR = path.join(os.homedir(), 'writing', '.tools');
+
+const DEFINITION_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const OPTION_TYPES = ['text', 'textarea', 'number', 'boolean', 'select', 'file', 'directory'];
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+// Placeholders every output filename pattern may use
+const OUTPUT_PLACEHOLDERS = ['timestamp', 'tool'];
+
+/**
+ * Get the folder user tool definitions are loaded from
+ * @returns {string} - WT_TOOLS_DIR if set, otherwise ~/writing/.tools
+ */
+function getUserToolsDir() {
+  return process.env.WT_TOOLS_DIR || DEFAULT_TOOLS_DIR;
+}
+
+/**
+ * List the placeholder names used in a template
+ * @param {string} template - Template text
+ * @returns {string[]} - Placeholder names
+ */
+function findPlaceholders(template) {
+  return Array.from(String(template || '').matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+}
+
+/**
+ * Fill in {{name}} placeholders
+ * @param {string} template - Template text
+ * @param {Object} values - Values by placeholder name
+ * @returns {string} - Filled-in text
+ */
+function fillTemplate(template, values) {
+  return String(template || '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = values[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Parse a definition file
+ * YAML needs the js-yaml package; JSON needs nothing.
+ * @param {string} filePath - Definition file
+ * @returns {Object} - Parsed definition
+ */
+function parseDefinitionFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf-8');
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    return JSON.parse(text);
+  }
+  const yaml = require('js-yaml');
+  return yaml.load(text);
+}
+
+/**
+ * Check a definition and fill in its defaults
+ * Each entry of `inputs` maps a prompt placeholder to a file option; a file
+ * option that is not declared is added with <placeholder>.txt as its default.
+ * @param {Object} raw - Parsed definition
+ * @param {string} fileName - Definition file name, for error messages
+ * @returns {Object} - { id, title, description, batchable, options, definition }
+ * @throws {Error} - If the definition is invalid
+ */
+function normalizeDefinition(raw, fileName) {
+  const fail = (message) => {
+    throw new Error(`${fileName}: ${message}`);
+  };
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) fail('must contain a single object');
+  if (typeof raw.id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(raw.id)) {
+    fail('id must be lower case letters, digits and underscores, e.g. house_style_check');
+  }
+  if (typeof raw.prompt !== 'string' || !raw.prompt.trim()) fail('prompt is required');
+  if (raw.system !== undefined && typeof raw.system !== 'string') fail('system must be text');
+
+  if (!Array.isArray(raw.options || [])) fail('options must be a list');
+  const options = (raw.options || []).map(option => ({ ...option }));
+  for (const option of options) {
+    if (!option.name || typeof option.name !== 'string') fail('every option needs a name');
+    if (!OPTION_TYPES.includes(option.type)) {
+      fail(`option ${option.name} has unknown type "${option.type}" (use ${OPTION_TYPES.join(', ')})`);
+    }
+    option.label = option.label || option.name;
+    option.description = option.description || '';
+    option.required = !!option.required;
+    if (option.pattern !== undefined) {
+      try {
+        new RegExp(option.pattern);
+      } catch (error) {
+        fail(`option ${option.name} has an invalid pattern: ${error.message}`);
+      }
+    }
+  }
+  const optionNames = new Set(options.map(option => option.name));
+
+  const inputs = raw.inputs || { manuscript: 'manuscript_file' };
+  if (typeof inputs !== 'object' || Array.isArray(inputs)) {
+    fail('inputs must map placeholder names to file options, e.g. { manuscript: manuscript_file }');
+  }
+  for (const [placeholder, optionName] of Object.entries(inputs)) {
+    if (optionNames.has(optionName)) {
+      const option = options.find(item => item.name === optionName);
+      if (option.type !== 'file') fail(`input ${placeholder} uses option ${optionName}, which is not a file option`);
+      continue;
+    }
+    options.unshift({
+      name: optionName,
+      label: optionName.toUpperCase(),
+      type: 'file',
+      description: `File for {{${placeholder}}} in the prompt`,
+      required: true,
+      default: `${placeholder}.txt`,
+      group: 'Input Files'
+    });
+    optionNames.add(optionName);
+  }
+
+  if (!optionNames.has('skip_thinking')) {
+    options.push({
+      name: 'skip_thinking',
+      label: 'skip_thinking',
+      type: 'boolean',
+      description: 'Skip saving the AI thinking process',
+      required: false,
+      default: false,
+      group: 'Output Configuration'
+    });
+    optionNames.add('skip_thinking');
+  }
+
+  const known = new Set([...Object.keys(inputs), ...optionNames]);
+  for (const name of [...findPlaceholders(raw.prompt), ...findPlaceholders(raw.system)]) {
+    if (!known.has(name)) fail(`prompt uses {{${name}}}, which is neither an input nor an option`);
+  }
+
+  const output = raw.output || `${raw.id}_{{timestamp}}.txt`;
+  for (const name of findPlaceholders(output)) {
+    if (!optionNames.has(name) && !OUTPUT_PLACEHOLDERS.includes(name)) {
+      fail(`output uses {{${name}}}, which is not an option, {{timestamp}} or {{tool}}`);
+    }
+  }
+  if (/[\/\\]/.test(output)) fail('output must be a file name, not a path');
+
+  return {
+    id: raw.id,
+    title: raw.title || raw.id,
+    description: raw.description || raw.title || raw.id,
+    batchable: raw.batchable !== false,
+    options,
+    definition: {
+      prompt: raw.prompt,
+      system: raw.system || '',
+      inputs,
+      output,
+      removeMarkdown: raw.remove_markdown !== false
+    }
+  };
+}
+
+/**
+ * Load and normalize every definition file in a folder
+ * A broken definition is skipped and reported; it never stops the others
+ * loading. Pipelines (see pipelines.js) are loaded the same way.
+ * @param {string} dir - Folder to load from
+ * @param {Function} normalize - (raw, fileName) => normalized definition with an id
+ * @param {Object} params
+ * @param {string} params.kind - What the files define, for messages, e.g. "user tool"
+ * @param {Set<string>} [params.seen] - Ids already taken
+ * @returns {Object} - { definitions: normalized definitions, errors: messages }
+ */
+function loadDefinitionFiles(dir, normalize, { kind, seen = new Set() }) {
+  const result = { definitions: [], errors: [] };
+
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      result.errors.push(`Cannot read ${kind}s folder ${dir}: ${error.message}`);
+    }
+    return result;
+  }
+
+  for (const name of names.sort()) {
+    if (!DEFINITION_EXTENSIONS.includes(path.extname(name).toLowerCase())) continue;
+    try {
+      const definition = normalize(parseDefinitionFile(path.join(dir, name)), name);
+      if (seen.has(definition.id)) {
+        throw new Error(`${name}: another ${kind} already uses the id ${definition.id}`);
+      }
+      seen.add(definition.id);
+      result.definitions.push(definition);
+    } catch (error) {
+      const message = error.code === 'MODULE_NOT_FOUND'
+        ? `${name}: YAML definitions need the js-yaml package (npm install)`
+        : error.message.startsWith(name) ? error.message : `${name}: ${error.message}`;
+      result.errors.push(message);
+    }
+  }
+  return result;
+}
+
+/**
+ * Load every tool definition in the user tools folder
+ * @param {string} [toolsDir] - Folder to load from, defaults to getUserToolsDir()
+ * @returns {Object} - { tools: normalized definitions, errors: messages }
+ */
+function loadUserTools(toolsDir = getUserToolsDir()) {
+  const { definitions, errors } = loadDefinitionFiles(toolsDir, normalizeDefinition, { kind: 'user tool' });
+  for (const error of errors) {
+    console.error(`User tool skipped - ${error}`);
+  }
+  return { tools: definitions, errors };
+}
+
+module.exports = {
+  getUserToolsDir,
+  parseDefinitionFile,
+  loadDefinitionFiles,
+  loadUserTools,
+  normalizeDefinition,
+  fillTemplate,
+  findPlaceholders
+};
@@ -0,0 +1,152 @@
+// batch-stand-in.js
+// A local stand-in for the Message Batches endpoints, for trying batch mode
+// without spending anything. Every request "succeeds" with canned text a few
+// seconds after the batch is submitted.
+//
+//   node utilities/batch-stand-in.js [port]        (default port 8787)
+//
+// Then set "Batch endpoint" in API Settings to http://127.0.0.1:8787
+// (or pass batch_base_url to the tool system settings).
+// Set WT_STAND_IN_DELAY_MS to change how long a batch takes to end.
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2]) || 8787;
+const DELAY_MS = Number(process.env.WT_STAND_IN_DELAY_MS) || 5000;
+
+// Submitted batches by ID: { id, createdAt, requests }
+const batches = new Map();
+
+/**
+ * Canned reply for a batch request
+ * @param {Object} params - Message request parameters
+ * @returns {Object} - Message content and usage
+ */
+function cannedMessage(params) {
+  const content = [];
+  if (params.thinking && params.thinking.type === 'enabled') {
+    content.push({ type: 'thinking', thinking: 'Stand-in thinking for a batched request.', signature: '' });
+  }
+  content.push({
+    type: 'text',
+    text: 'Stand-in batch response.\n\nThe manuscript was received and this text stands in for the analysis.\n'
+  });
+
+  const promptChars = JSON.stringify(params.messages).length;
+  return {
+    id: `msg_${crypto.randomBytes(8).toString('hex')}`,
+    type: 'message',
+    role: 'assistant',
+    model: params.model,
+    content,
+    stop_reason: 'end_turn',
+    stop_sequence: null,
+    usage: {
+      input_tokens: Math.ceil(promptChars / 4),
+      output_tokens: 40,
+      cache_creation_input_tokens: 0,
+      cache_read_input_tokens: 0
+    }
+  };
+}
+
+/**
+ * Batch object as the API returns it
+ * @param {Object} batch - Stored batch
+ * @param {string} baseUrl - Base URL of this server
+ * @returns {Object} - Message batch
+ */
+function describeBatch(batch, baseUrl) {
+  const ended = Date.now() - batch.createdAt >= DELAY_MS;
+  const count = batch.requests.length;
+  return {
+    id: batch.id,
+    type: 'message_batch',
+    processing_status: ended ? 'ended' : 'in_progress',
+    request_counts: {
+      processing: ended ? 0 : count,
+      succeeded: ended ? count : 0,
+      errored: 0,
+      canceled: 0,
+      expired: 0
+    },
+    created_at: new Date(batch.createdAt).toISOString(),
+    ended_at: ended ? new Date(batch.createdAt + DELAY_MS).toISOString() : null,
+    results_url: ended ? `${baseUrl}/v1/messages/batches/${batch.id}/results` : null
+  };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message) {
+  sendJson(res, status, { type: 'error', error: { type: 'invalid_request_error', message } });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const baseUrl = `http://${req.headers.host}`;
+  const parts = url.pathname.split('/').filter(Boolean); // v1 messages batches [id] [results]
+
+  if (parts[0] !== 'v1' || parts[1] !== 'messages' || parts[2] !== 'batches') {
+    return sendError(res, 404, `Not found: ${url.pathname}`);
+  }
+
+  if (req.method === 'POST' && parts.length === 3) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        return sendError(res, 400, 'Request body is not JSON');
+      }
+      if (!Array.isArray(payload.requests) || payload.requests.length === 0) {
+        return sendError(res, 400, 'requests: at least one request is required');
+      }
+
+      const batch = {
+        id: `msgbatch_${crypto.randomBytes(12).toString('hex')}`,
+        createdAt: Date.now(),
+        requests: payload.requests
+      };
+      batches.set(batch.id, batch);
+      console.log(`Batch ${batch.id}: ${batch.requests.length} requests`);
+      sendJson(res, 200, describeBatch(batch, baseUrl));
+    });
+    return;
+  }
+
+  const batch = batches.get(parts[3]);
+  if (!batch) {
+    return sendError(res, 404, `No batch ${parts[3]}`);
+  }
+
+  if (req.method === 'GET' && parts.length === 4) {
+    return sendJson(res, 200, describeBatch(batch, baseUrl));
+  }
+
+  if (req.method === 'GET' && parts[4] === 'results') {
+    const described = describeBatch(batch, baseUrl);
+    if (described.processing_status !== 'ended') {
+      return sendError(res, 400, 'Batch has not ended');
+    }
+    res.writeHead(200, { 'Content-Type': 'application/binary' });
+    for (const request of batch.requests) {
+      res.write(JSON.stringify({
+        custom_id: request.custom_id,
+        result: { type: 'succeeded', message: cannedMessage(request.params) }
+      }) + '\n');
+    }
+    return res.end();
+  }
+
+  sendError(res, 404, `Not found: ${req.method} ${url.pathname}`);
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`Batch stand-in listening on http://127.0.0.1:${PORT} (batches end after ${DELAY_MS} ms)`);
+});
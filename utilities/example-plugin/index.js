@@ -0,0 +1,33 @@
+// index.js
+// Example plugin: counts the most used words in the manuscript, without the AI.
+// Copy this folder to ~/writing/.plugins/word-frequency to try it.
+
+module.exports = (api) => class WordFrequency extends api.BaseTool {
+  /**
+   * Execute the tool
+   * @param {Object} options - Tool options
+   * @returns {Promise<Object>} - Execution result
+   */
+  async execute(options) {
+    this.fileCache.clear();
+
+    const manuscript = await this.readInputFile(options.manuscript_file || 'manuscript.txt');
+    const counts = new Map();
+    for (const word of manuscript.toLowerCase().match(/[a-z']+/g) || []) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+
+    const top = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, Number(options.top_words) || 50);
+    const report = top.map(([word, count]) => `${count}\t${word}`).join('\n') + '\n';
+    this.emitOutput(`Counted ${counts.size} different words in ${this.project.name}.\n`);
+
+    const timestamp = new Date().toISOString().replace(/[-:.]/g, '').substring(0, 15);
+    const outputFile = await this.writeOutputFile(report, this.project.path, `word_frequency_${timestamp}.txt`);
+    this.fileCache.addFile(outputFile);
+    this.emitOutput(`Report saved to: ${outputFile}\n`);
+
+    return { success: true, outputFiles: [outputFile], stats: { words: counts.size } };
+  }
+};
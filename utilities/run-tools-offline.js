@@ -0,0 +1,108 @@
+// run-tools-offline.js
+// Runs every built-in tool end-to-end against a small sample project,
+// using the record/replay provider so no API key or network is needed.
+//
+//   node utilities/run-tools-offline.js                  (canned fixture text)
+//   WT_REPLAY_MODE=replay WT_CASSETTE_DIR=./cassettes node utilities/run-tools-offline.js
+//   WT_REPLAY_MODE=record WT_CASSETTE_DIR=./cassettes node utilities/run-tools-offline.js
+//
+// Pass tool IDs as arguments to run only those tools.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+process.env.WT_PROVIDER = process.env.WT_PROVIDER || 'replay';
+process.env.WT_REPLAY_MODE = process.env.WT_REPLAY_MODE || 'canned';
+
+const appState = require('../state.js');
+const toolSystem = require('../tool-system');
+
+// Same defaults as the API Settings dialog
+const SETTINGS = {
+  max_retries: 1,
+  request_timeout: 300,
+  context_window: 200000,
+  thinking_budget_tokens: 32000,
+  betas_max_tokens: 128000,
+  desired_output_tokens: 12000,
+  model_name: 'claude-3-7-sonnet-20250219',
+  betas: 'output-128k-2025-02-19',
+  max_thinking_budget: 32000
+};
+
+const SAMPLE_FILES = {
+  'manuscript.txt': 'Chapter 1: The Lighthouse\n\nMara climbed the stairs slowly. The lamp had not been lit for years.\n\n\nChapter 2: The Storm\n\nThe storm arrived at dusk, and with it came the stranger.\n',
+  'outline.txt': 'Chapter 1: The Lighthouse\nMara returns to the abandoned lighthouse.\n\nChapter 2: The Storm\nA stranger arrives during a storm.\n\nChapter 3: The Light\nMara relights the lamp.\n',
+  'world.txt': 'Setting: a fishing village on a rocky northern coast.\n',
+  'characters.txt': 'Mara: the lighthouse keeper\'s daughter.\nThe stranger: a sailor with no name.\n',
+  'ideas.txt': 'A lighthouse keeper\'s daughter and a stranger who arrives in a storm.\n',
+  'chapters.txt': '3. The Light\n'
+};
+
+/**
+ * Build option values from a tool's defaults, pointing files at the sample project
+ */
+function buildOptions(tool, projectDir) {
+  const values = { save_dir: projectDir };
+  for (const option of tool.config.options || []) {
+    let value = option.default;
+    if (option.type === 'file' && !value) {
+      value = option.name.includes('character') ? 'characters.txt' : 'ideas.txt';
+    }
+    if (option.type === 'file' && value) {
+      value = path.join(projectDir, path.basename(value));
+    }
+    if (option.required && option.type === 'text' && !value) {
+      value = 'The Lighthouse';
+    }
+    if (value !== undefined && value !== null) {
+      values[option.name] = value;
+    }
+  }
+  values.save_dir = projectDir;
+  return values;
+}
+
+async function main() {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wt-offline-'));
+  for (const [name, content] of Object.entries(SAMPLE_FILES)) {
+    fs.writeFileSync(path.join(projectDir, name), content);
+  }
+  appState.CURRENT_PROJECT = path.basename(projectDir);
+  appState.CURRENT_PROJECT_PATH = projectDir;
+
+  await toolSystem.initializeToolSystem(SETTINGS);
+
+  const only = process.argv.slice(2);
+  const toolIds = toolSystem.toolRegistry.getAllToolIds()
+    .filter(id => only.length === 0 || only.includes(id));
+
+  const results = [];
+  for (const toolId of toolIds) {
+    const tool = toolSystem.toolRegistry.getTool(toolId);
+    tool.emitOutput = () => {};
+    tool.config.chapter_delay = 0;
+    try {
+      const result = await toolSystem.executeToolById(toolId, buildOptions(tool, projectDir));
+      results.push({ toolId, ok: true, files: (result.outputFiles || []).length });
+    } catch (error) {
+      results.push({ toolId, ok: false, error: error.message });
+    }
+  }
+
+  console.log(`\nSample project: ${projectDir}\n`);
+  for (const result of results) {
+    console.log(result.ok
+      ? `  ok    ${result.toolId} (${result.files} files)`
+      : `  FAIL  ${result.toolId}: ${result.error}`);
+  }
+
+  const failed = results.filter(result => !result.ok).length;
+  console.log(`\n${results.length - failed} passed, ${failed} failed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,158 @@
+// tool-server-client.js
+// Talks to the app's local tool server (see tool-server.js): a working
+// example for scripts and editor plugins.
+//
+//   node utilities/tool-server-client.js list
+//   node utilities/tool-server-client.js options narrative_integrity
+//   node utilities/tool-server-client.js run narrative_integrity check_type=world skip_thinking=true
+//   node utilities/tool-server-client.js stop <runId>
+//   node utilities/tool-server-client.js files <runId>
+//
+// The URL and token are read from ~/writing/.wt-server.json, which the app
+// writes while the server runs; WT_SERVER_URL and WT_SERVER_TOKEN override them.
+// "run" prints the tool's output as it arrives and exits non-zero if the run fails.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+
+/**
+ * Find the server's URL and token
+ * @returns {Object} - { url, token }
+ */
+function getServerInfo() {
+  let info = {};
+  try {
+    info = JSON.parse(fs.readFileSync(path.join(os.homedir(), 'writing', '.wt-server.json'), 'utf-8'));
+  } catch (error) {
+    // Fine if both are given in the environment
+  }
+  const url = process.env.WT_SERVER_URL || info.url;
+  const token = process.env.WT_SERVER_TOKEN || info.token;
+  if (!url || !token) {
+    throw new Error('Tool server not found: turn it on in API Settings, or set WT_SERVER_URL and WT_SERVER_TOKEN');
+  }
+  return { url, token };
+}
+
+/**
+ * Call a JSON-RPC method
+ * @param {Object} server - { url, token }
+ * @param {string} method - Method name
+ * @param {Object} params - Method parameters
+ * @returns {Promise<*>} - Method result
+ */
+async function call(server, method, params = {}) {
+  const response = await fetch(`${server.url}/rpc`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${server.token}` },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+  }
+  const reply = await response.json();
+  if (reply.error) {
+    const details = reply.error.data && reply.error.data.fieldErrors
+      ? '\n' + Object.entries(reply.error.data.fieldErrors).map(([name, message]) => `  ${name}: ${message}`).join('\n')
+      : '';
+    throw new Error(reply.error.message + details);
+  }
+  return reply.result;
+}
+
+/**
+ * Print a run's events until it ends
+ * @param {Object} server - { url, token }
+ * @param {string} eventsUrl - Path of the run's event stream
+ * @returns {Promise<boolean>} - True if the run finished successfully
+ */
+function followRun(server, eventsUrl) {
+  return new Promise((resolve, reject) => {
+    const request = http.get(`${server.url}${eventsUrl}`, {
+      headers: { Authorization: `Bearer ${server.token}`, Accept: 'text/event-stream' }
+    }, (response) => {
+      if (response.statusCode !== 200) {
+        reject(new Error(`HTTP ${response.statusCode} from ${eventsUrl}`));
+        response.resume();
+        return;
+      }
+
+      let buffer = '';
+      let succeeded = false;
+      response.setEncoding('utf-8');
+      response.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const event = (block.match(/^event: (.*)$/m) || [])[1];
+          const data = JSON.parse((block.match(/^data: (.*)$/m) || [])[1] || '{}');
+          if (event === 'output') {
+            process.stdout.write(data.text);
+          } else if (event === 'finished') {
+            succeeded = true;
+            process.stdout.write(`\nOutput files:\n${data.createdFiles.map(file => `  ${file}\n`).join('')}`);
+          } else if (event === 'error' && !data.shownInOutput) {
+            process.stderr.write(`\nError: ${data.error}\n`);
+          }
+        }
+      });
+      response.on('end', () => resolve(succeeded));
+    });
+    request.on('error', reject);
+  });
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const server = getServerInfo();
+
+  switch (command) {
+    case 'list':
+      for (const tool of await call(server, 'list-tools')) {
+        console.log(`${tool.id.padEnd(40)} ${tool.title}`);
+      }
+      break;
+
+    case 'options':
+      console.log(JSON.stringify(await call(server, 'get-tool-options', { toolId: args[0] }), null, 2));
+      break;
+
+    case 'run': {
+      const options = {};
+      for (const pair of args.slice(1)) {
+        const index = pair.indexOf('=');
+        if (index === -1) {
+          throw new Error(`Options are given as name=value, not "${pair}"`);
+        }
+        options[pair.slice(0, index)] = pair.slice(index + 1);
+      }
+      const { runId, eventsUrl } = await call(server, 'start-run', { toolId: args[0], options });
+      console.log(`Run ${runId}`);
+      process.on('SIGINT', () => call(server, 'stop-run', { runId }).catch(() => {}));
+      process.exitCode = (await followRun(server, eventsUrl)) ? 0 : 1;
+      break;
+    }
+
+    case 'stop':
+      console.log(await call(server, 'stop-run', { runId: args[0] }));
+      break;
+
+    case 'files':
+      for (const file of await call(server, 'get-run-files', { runId: args[0] })) {
+        console.log(file.path);
+      }
+      break;
+
+    default:
+      console.log('Usage: tool-server-client.js list | options <toolId> | run <toolId> [name=value ...] | stop <runId> | files <runId>');
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
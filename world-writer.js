@@ -88,7 +88,7 @@ class WorldWriter extends BaseTool {
       
       // Count tokens in prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.countTokens(prompt);
       
       // Calculate available tokens after prompt
       const contextWindow = this.config.context_window || 200000;
@@ -110,7 +110,7 @@ class WorldWriter extends BaseTool {
       // Display token stats
       this.emitOutput(`\nToken stats:\n`);
       this.emitOutput(`Max AI model context window: [${contextWindow}] tokens\n`);
-      this.emitOutput(`Input prompt tokens: [${promptTokens}] ...\n`);
+      this.emitOutput(`Input prompt tokens: [${promptTokens}] (${this.tokenCountLabel()}) ...\n`);
       this.emitOutput(`                     = characters + outline + prompt instructions\n`);
       this.emitOutput(`Available tokens: [${availableTokens}]  = ${contextWindow} - ${promptTokens} = context_window - prompt\n`);
       this.emitOutput(`Desired output tokens: [${desiredOutputTokens}]\n`);
@@ -150,17 +150,15 @@ class WorldWriter extends BaseTool {
       
       try {
         // Use streaming API call
-        await this.claudeService.streamWithThinking(
+        await this.streamWithThinking(
           prompt,
           {
-            model: "claude-3-7-sonnet-20250219",
             system: systemPrompt,
             max_tokens: maxTokens,
             thinking: {
               type: "enabled",
               budget_tokens: thinkingBudget
-            },
-            betas: ["output-128k-2025-02-19"]
+            }
           },
           // Callback for thinking content
           (thinkingDelta) => {
@@ -188,7 +186,7 @@ class WorldWriter extends BaseTool {
       this.emitOutput(`World document has approximately ${wordCount} words.\n`);
       
       // Count tokens in response
-      const responseTokens = await this.claudeService.countTokens(fullResponse);
+      const responseTokens = await this.responseTokenCount(fullResponse);
       this.emitOutput(`World document token count: ${responseTokens}\n`);
       
       // Save the world document to a file